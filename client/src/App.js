@@ -15,6 +15,8 @@ import Approvals from './pages/Approvals/Approvals';
 import Users from './pages/Users/Users';
 import UserForm from './pages/Users/UserForm';
 import Company from './pages/Company/Company';
+import Budgets from './pages/Budgets/Budgets';
+import VatReport from './pages/VatReport/VatReport';
 import Profile from './pages/Profile/Profile';
 import LoadingSpinner from './components/UI/LoadingSpinner';
 
@@ -55,6 +57,8 @@ function App() {
           <Route path="/users" element={<Users />} />
           <Route path="/users/new" element={<UserForm />} />
           <Route path="/users/:id/edit" element={<UserForm />} />
+          <Route path="/budgets" element={<Budgets />} />
+          <Route path="/vat-report" element={<VatReport />} />
           <Route path="/company" element={<Company />} />
           <Route path="/profile" element={<Profile />} />
           <Route path="*" element={<Navigate to="/dashboard" replace />} />
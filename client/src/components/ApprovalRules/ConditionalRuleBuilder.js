@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Plus, Trash2, Settings, Users, DollarSign, Tag, Building } from 'lucide-react';
+import { Plus, Trash2, Settings, Users, DollarSign, Tag, Building, PiggyBank } from 'lucide-react';
 import Button from '../UI/Button';
 import Input from '../UI/Input';
 
@@ -36,6 +36,12 @@ const ConditionalRuleBuilder = ({ rules = [], onChange, availableApprovers = [],
       label: 'Department',
       icon: Building,
       description: 'Trigger for specific departments'
+    },
+    {
+      value: 'budget_exceeded',
+      label: 'Budget Exceeded',
+      icon: PiggyBank,
+      description: 'Trigger when the expense takes a department or project budget past a share of its amount'
     }
   ];
 
@@ -173,6 +179,23 @@ const ConditionalRuleBuilder = ({ rules = [], onChange, availableApprovers = [],
           </select>
         );
 
+      case 'budget_exceeded':
+        return (
+          <div className="flex items-center space-x-2">
+            <Input
+              type="number"
+              min="1"
+              max="1000"
+              step="1"
+              value={condition.budgetThreshold || ''}
+              onChange={(e) => updateCondition(index, 'budgetThreshold', parseFloat(e.target.value))}
+              placeholder="100"
+              className="w-24"
+            />
+            <span className="text-sm text-gray-600">% of the budget</span>
+          </div>
+        );
+
       default:
         return null;
     }
@@ -5,13 +5,33 @@ import Button from '../UI/Button';
 import HierarchicalApproverSelector from './HierarchicalApproverSelector';
 import { handleApiError, approvalsAPI } from '../../utils/api';
 
+// Who approves a step; everything but fixed users is resolved from the submitter's org tree
+export const APPROVER_TYPES = [
+  { value: 'users', label: 'Selected users' },
+  { value: 'direct_manager', label: "Submitter's direct manager" },
+  { value: 'manager_level', label: 'Manager N levels up' },
+  { value: 'department_head', label: 'Department head' },
+  { value: 'manager_chain', label: 'Manager chain up to sufficient approval limit' }
+];
+
+const emptyStep = (stepNumber) => ({
+  stepNumber,
+  approverType: 'users',
+  approvers: [],
+  levels: '',
+  fallbackApprover: '',
+  isRequired: true,
+  canEscalate: false
+});
+
 const EnhancedApprovalRuleForm = ({ 
   rule = null, 
   onSave, 
   onCancel, 
   availableUsers = [],
   availableCategories = [],
-  availableDepartments = []
+  availableDepartments = [],
+  availableProjects = []
 }) => {
   const [formData, setFormData] = useState({
     name: '',
@@ -20,16 +40,10 @@ const EnhancedApprovalRuleForm = ({
       amountThreshold: '',
       categories: [],
       departments: [],
+      projects: [],
       employeeIds: []
     },
-    approvalSteps: [
-      {
-        stepNumber: 1,
-        approvers: [],
-        isRequired: true,
-        canEscalate: false
-      }
-    ],
+    approvalSteps: [emptyStep(1)],
     approvalLogic: {
       type: 'hierarchical', // New type for hierarchical approval
       hierarchicalSettings: {
@@ -64,19 +78,18 @@ const EnhancedApprovalRuleForm = ({
           amountThreshold: rule.conditions?.amountThreshold?.toString() || '',
           categories: rule.conditions?.categories || [],
           departments: rule.conditions?.departments || [],
+          projects: rule.conditions?.projects?.map(project => project._id || project) || [],
           employeeIds: rule.conditions?.employeeIds || []
         },
         approvalSteps: rule.approvalSteps?.length > 0 ? rule.approvalSteps.map(step => ({
           stepNumber: step.stepNumber,
+          approverType: step.approverType || 'users',
           approvers: step.approvers?.map(approver => approver._id) || [],
+          levels: step.levels?.toString() || '',
+          fallbackApprover: step.fallbackApprover?._id || step.fallbackApprover || '',
           isRequired: step.isRequired,
           canEscalate: step.canEscalate
-        })) : [{
-          stepNumber: 1,
-          approvers: [],
-          isRequired: true,
-          canEscalate: false
-        }],
+        })) : [emptyStep(1)],
         approvalLogic: {
           type: rule.approvalLogic?.type || 'hierarchical',
           hierarchicalSettings: {
@@ -112,7 +125,7 @@ const EnhancedApprovalRuleForm = ({
     }
 
     formData.approvalSteps.forEach((step, index) => {
-      if (step.approvers.length === 0) {
+      if (step.approverType === 'users' && step.approvers.length === 0) {
         errors[`step_${index}_approvers`] = 'At least one approver is required for each step';
       }
     });
@@ -141,7 +154,13 @@ const EnhancedApprovalRuleForm = ({
           ...formData.conditions,
           amountThreshold: formData.conditions.amountThreshold ? 
             parseFloat(formData.conditions.amountThreshold) : undefined
-        }
+        },
+        approvalSteps: formData.approvalSteps.map(step => ({
+          ...step,
+          approvers: step.approverType === 'users' ? step.approvers : [],
+          levels: step.levels ? parseInt(step.levels) : null,
+          fallbackApprover: step.fallbackApprover || null
+        }))
       };
 
       if (rule) {
@@ -183,12 +202,7 @@ const EnhancedApprovalRuleForm = ({
       ...prev,
       approvalSteps: [
         ...prev.approvalSteps,
-        {
-          stepNumber: prev.approvalSteps.length + 1,
-          approvers: [],
-          isRequired: true,
-          canEscalate: false
-        }
+        emptyStep(prev.approvalSteps.length + 1)
       ]
     }));
   };
@@ -321,6 +335,25 @@ const EnhancedApprovalRuleForm = ({
               </select>
               <p className="text-xs text-gray-500 mt-1">Hold Ctrl/Cmd to select multiple categories</p>
             </div>
+
+            {availableProjects.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Projects (Optional)
+                </label>
+                <select
+                  multiple
+                  value={formData.conditions.projects}
+                  onChange={(e) => updateNestedFormData('conditions', 'projects', Array.from(e.target.selectedOptions, option => option.value))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent h-24"
+                >
+                  {availableProjects.map(project => (
+                    <option key={project._id} value={project._id}>{project.code} · {project.name}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">Applies to expenses charged to any of these projects</p>
+              </div>
+            )}
           </div>
 
           {/* Approval Logic Type */}
@@ -471,8 +504,71 @@ const EnhancedApprovalRuleForm = ({
                 </div>
 
                 <div className="space-y-4">
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Approved by
+                      </label>
+                      <select
+                        value={step.approverType}
+                        onChange={(e) => updateApprovalStep(stepIndex, 'approverType', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        {APPROVER_TYPES.map(type => (
+                          <option key={type.value} value={type.value}>{type.label}</option>
+                        ))}
+                      </select>
+                    </div>
+
+                    {['manager_level', 'manager_chain'].includes(step.approverType) && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          {step.approverType === 'manager_level' ? 'Levels up' : 'At most levels'}
+                        </label>
+                        <input
+                          type="number"
+                          min="1"
+                          max="10"
+                          value={step.levels}
+                          onChange={(e) => updateApprovalStep(stepIndex, 'levels', e.target.value)}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          placeholder={step.approverType === 'manager_level' ? '1' : '10'}
+                        />
+                      </div>
+                    )}
+
+                    {step.approverType !== 'users' && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Fallback approver
+                        </label>
+                        <select
+                          value={step.fallbackApprover}
+                          onChange={(e) => updateApprovalStep(stepIndex, 'fallbackApprover', e.target.value)}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        >
+                          <option value="">An admin</option>
+                          {availableUsers.filter(user => ['admin', 'manager'].includes(user.role)).map(user => (
+                            <option key={user._id} value={user._id}>
+                              {user.firstName} {user.lastName} ({user.role})
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+                  </div>
+
+                  {step.approverType !== 'users' && (
+                    <p className="text-xs text-gray-500">
+                      {step.approverType === 'manager_chain'
+                        ? 'Each manager above the submitter approves in turn, up to the first one whose approval limit covers the amount. '
+                        : 'Resolved from the submitter\'s manager or department when the expense is submitted. '}
+                      Inactive managers and users who cannot approve are skipped; the fallback approver is used when nobody is found.
+                    </p>
+                  )}
+
                   {/* Hierarchical Approver Selector */}
-                  {formData.approvalLogic.type === 'hierarchical' ? (
+                  {step.approverType !== 'users' ? null : formData.approvalLogic.type === 'hierarchical' ? (
                     availableUsers.length === 0 ? (
                       <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
                         <p className="text-yellow-800 text-sm">
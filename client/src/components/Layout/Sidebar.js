@@ -6,6 +6,8 @@ import {
   CheckCircle, 
   Users, 
   Building2, 
+  PiggyBank,
+  Percent,
   User,
   X
 } from 'lucide-react';
@@ -43,6 +45,18 @@ const Sidebar = ({ onClose }) => {
       icon: Users,
       roles: ['admin']
     },
+    {
+      name: 'Budgets',
+      href: '/budgets',
+      icon: PiggyBank,
+      roles: ['manager', 'admin']
+    },
+    {
+      name: 'VAT Reclaim',
+      href: '/vat-report',
+      icon: Percent,
+      roles: ['admin']
+    },
     {
       name: 'Company Details',
       href: '/company',
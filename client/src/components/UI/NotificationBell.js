@@ -49,8 +49,28 @@ const NotificationBell = () => {
         return '❌';
       case 'expense_deleted':
         return '🗑️';
+      case 'expense_info_requested':
+        return '❓';
+      case 'expense_info_provided':
+        return '💬';
+      case 'expense_comment_mention':
+        return '💭';
+      case 'expense_reimbursed':
+        return '💸';
       case 'approval_request':
         return '⏰';
+      case 'approval_escalated':
+        return '⏫';
+      case 'approval_delegated':
+        return '🤝';
+      case 'report_submitted':
+        return '📁';
+      case 'report_approved':
+        return '✅';
+      case 'report_rejected':
+        return '❌';
+      case 'budget_threshold':
+        return '📊';
       default:
         return '🔔';
     }
@@ -59,14 +79,21 @@ const NotificationBell = () => {
   const getNotificationColor = (type) => {
     switch (type) {
       case 'expense_approved':
+      case 'report_approved':
+      case 'expense_reimbursed':
         return 'text-green-600';
       case 'expense_auto_approved':
         return 'text-green-500';
       case 'expense_rejected':
+      case 'report_rejected':
         return 'text-red-600';
       case 'expense_deleted':
         return 'text-red-500';
       case 'approval_request':
+      case 'approval_escalated':
+      case 'approval_delegated':
+      case 'budget_threshold':
+      case 'expense_info_requested':
         return 'text-orange-600';
       default:
         return 'text-blue-600';
@@ -4,9 +4,24 @@ import { Card } from '../../components/UI/Card';
 import Button from '../../components/UI/Button';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
 import Badge from '../../components/UI/Badge';
-import { handleApiError, approvalsAPI } from '../../utils/api';
+import { handleApiError, approvalsAPI, projectsAPI } from '../../utils/api';
 import ConditionalRuleBuilder from '../../components/ApprovalRules/ConditionalRuleBuilder';
-import EnhancedApprovalRuleForm from '../../components/ApprovalRules/EnhancedApprovalRuleForm';
+import EnhancedApprovalRuleForm, { APPROVER_TYPES } from '../../components/ApprovalRules/EnhancedApprovalRuleForm';
+
+const describeApprovers = (step) => {
+  const approverType = step.approverType || 'users';
+  if (approverType === 'users') {
+    return step.approvers?.map(approver => `${approver.firstName} ${approver.lastName}`).join(', ');
+  }
+
+  const label = approverType === 'manager_level'
+    ? `Manager ${step.levels || 1} level${(step.levels || 1) > 1 ? 's' : ''} up`
+    : APPROVER_TYPES.find(type => type.value === approverType)?.label;
+  const fallback = step.fallbackApprover
+    ? `${step.fallbackApprover.firstName} ${step.fallbackApprover.lastName}`
+    : 'an admin';
+  return `${label} (fallback: ${fallback})`;
+};
 
 const ApprovalRules = () => {
   const [rules, setRules] = useState([]);
@@ -14,6 +29,7 @@ const ApprovalRules = () => {
   const [showForm, setShowForm] = useState(false);
   const [editingRule, setEditingRule] = useState(null);
   const [availableApprovers, setAvailableApprovers] = useState([]);
+  const [availableProjects, setAvailableProjects] = useState([]);
   const [formData, setFormData] = useState({
     name: '',
     description: '',
@@ -41,6 +57,7 @@ const ApprovalRules = () => {
   useEffect(() => {
     loadRules();
     loadAvailableApprovers();
+    loadProjects();
   }, []);
 
   const loadRules = async () => {
@@ -66,6 +83,15 @@ const ApprovalRules = () => {
     }
   };
 
+  const loadProjects = async () => {
+    try {
+      const response = await projectsAPI.getProjects();
+      setAvailableProjects(response.data || []);
+    } catch (error) {
+      console.error('Error loading projects:', error);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -238,6 +264,7 @@ const ApprovalRules = () => {
           availableUsers={availableApprovers}
           availableCategories={['Travel', 'Meals', 'Office Supplies', 'Transportation', 'Accommodation', 'Other']}
           availableDepartments={['Engineering', 'Sales', 'Marketing', 'HR', 'Finance', 'Operations']}
+          availableProjects={availableProjects}
         />
       )}
 
@@ -269,13 +296,16 @@ const ApprovalRules = () => {
                 </div>
 
                 {/* Conditions */}
-                {(rule.conditions?.amountThreshold) && (
+                {(rule.conditions?.amountThreshold || rule.conditions?.projects?.length > 0) && (
                   <div className="mb-4">
                     <h4 className="font-medium text-gray-700 mb-2">Conditions:</h4>
                     <div className="text-sm text-gray-600">
                       {rule.conditions.amountThreshold && (
                         <p>Amount threshold: ${rule.conditions.amountThreshold}</p>
                       )}
+                      {rule.conditions.projects?.length > 0 && (
+                        <p>Projects: {rule.conditions.projects.map(project => project.code || project.name).join(', ')}</p>
+                      )}
                     </div>
                   </div>
                 )}
@@ -288,7 +318,7 @@ const ApprovalRules = () => {
                       <div key={index} className="flex items-center text-sm">
                         <span className="font-medium mr-2">Step {step.stepNumber}:</span>
                         <span className="text-gray-600">
-                          {step.approvers?.map(approver => `${approver.firstName} ${approver.lastName}`).join(', ')}
+                          {describeApprovers(step)}
                         </span>
                         {step.isRequired && (
                           <Badge variant="warning" className="ml-2">Required</Badge>
@@ -1,14 +1,43 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { Card, CardContent, CardHeader, CardTitle } from '../../components/UI/Card';
 import Button from '../../components/UI/Button';
 import Badge from '../../components/UI/Badge';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
-import { CheckCircle, X, Eye, User, Receipt, Settings, Workflow } from 'lucide-react';
+import { CheckCircle, X, Eye, User, Receipt, Settings, Workflow, AlertTriangle, HelpCircle } from 'lucide-react';
 import { approvalsAPI, formatCurrency, formatDate } from '../../utils/api';
 import { useAuth } from '../../contexts/AuthContext';
 import ApprovalRules from './ApprovalRules';
 import ApprovalFlows from './ApprovalFlows';
+import toast from 'react-hot-toast';
+
+// Wording and look of the comment modal for each approval action
+const ACTIONS = {
+  approve: {
+    title: 'Approve Expense',
+    label: 'Comments (optional)',
+    placeholder: 'Add any comments...',
+    button: 'Approve',
+    className: 'bg-green-600 hover:bg-green-700',
+    Icon: CheckCircle
+  },
+  reject: {
+    title: 'Reject Expense',
+    label: 'Rejection reason',
+    placeholder: 'Please provide a reason for rejection',
+    button: 'Reject',
+    className: 'bg-red-600 hover:bg-red-700',
+    Icon: X
+  },
+  request_info: {
+    title: 'Ask for More Information',
+    label: 'Question for the submitter',
+    placeholder: 'e.g. Please attach the missing receipt',
+    button: 'Send Back',
+    className: 'bg-orange-500 hover:bg-orange-600',
+    Icon: HelpCircle
+  }
+};
 
 const Approvals = () => {
   const navigate = useNavigate();
@@ -57,9 +86,18 @@ const Approvals = () => {
       setActionLoading(selectedExpense._id);
       
       if (actionType === 'approve') {
-        await approvalsAPI.approveExpense(selectedExpense._id, {
+        const response = await approvalsAPI.approveExpense(selectedExpense._id, {
           comments: comment
         });
+        // Above the approver's limit the expense moves on to a higher authority
+        if (response.data.approvalResult?.routedTo) {
+          toast(response.data.approvalResult.message);
+        }
+      } else if (actionType === 'request_info') {
+        await approvalsAPI.requestInfo(selectedExpense._id, {
+          question: comment.trim()
+        });
+        toast.success('Expense sent back to the submitter');
       } else {
         await approvalsAPI.rejectExpense(selectedExpense._id, {
           reason: comment || 'No reason provided'
@@ -75,8 +113,8 @@ const Approvals = () => {
       setSelectedExpense(null);
       setComment('');
     } catch (error) {
-      console.error(`Error ${actionType}ing expense:`, error);
-      alert(`Failed to ${actionType} expense. Please try again.`);
+      console.error(`Error processing ${actionType} for expense:`, error);
+      alert(`Failed to ${ACTIONS[actionType].button.toLowerCase()} expense. Please try again.`);
     } finally {
       setActionLoading(null);
     }
@@ -91,6 +129,8 @@ const Approvals = () => {
     }
   };
 
+  const ActionIcon = ACTIONS[actionType].Icon;
+
   // Only show to managers and admins
   if (user?.role === 'employee') {
     return (
@@ -182,6 +222,11 @@ const Approvals = () => {
                         <span className="text-sm text-gray-500">
                           {formatDate(expense.submissionDate)}
                         </span>
+                        {expense.onBehalfOf && (
+                          <Badge variant="primary">
+                            On behalf of {expense.onBehalfOf.firstName} {expense.onBehalfOf.lastName}
+                          </Badge>
+                        )}
                       </div>
                       
                       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
@@ -215,10 +260,49 @@ const Approvals = () => {
                         </div>
                       </div>
 
-                      {expense.receipt && (
+                      {expense.attachments?.length > 0 && (
                         <div className="flex items-center mb-4">
                           <Receipt className="h-4 w-4 text-gray-400 mr-2" />
-                          <span className="text-sm text-gray-600">Receipt attached</span>
+                          <span className="text-sm text-gray-600">
+                            {expense.attachments.length === 1 ? 'Receipt attached' : `${expense.attachments.length} attachments`}
+                          </span>
+                        </div>
+                      )}
+
+                      {expense.policyViolations?.length > 0 && (
+                        <div className="bg-yellow-50 border border-yellow-200 rounded-md p-3 mb-4">
+                          <div className="flex items-center text-sm font-medium text-yellow-800">
+                            <AlertTriangle className="h-4 w-4 mr-2" />
+                            Policy violations
+                          </div>
+                          <ul className="mt-1 ml-6 list-disc space-y-1">
+                            {expense.policyViolations.map((violation, index) => (
+                              <li key={index} className="text-sm text-yellow-800">{violation.message}</li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+
+                      {expense.duplicateCheck?.status === 'possible' && (
+                        <div className="bg-yellow-50 border border-yellow-200 rounded-md p-3 mb-4">
+                          <div className="flex items-center text-sm font-medium text-yellow-800">
+                            <AlertTriangle className="h-4 w-4 mr-2" />
+                            Possible duplicate
+                          </div>
+                          <ul className="mt-1 ml-6 space-y-1">
+                            {expense.duplicateCheck.matches
+                              .filter(match => match.expense)
+                              .map(({ expense: original, reasons }) => (
+                                <li key={original._id} className="text-sm text-yellow-800">
+                                  <Link to={`/expenses/${original._id}`} className="underline">
+                                    {original.merchant || original.description}
+                                  </Link>
+                                  {' '}· {formatCurrency(original.amount, original.currency)} on {formatDate(original.expenseDate)}
+                                  {original.employee && ` by ${original.employee.firstName} ${original.employee.lastName}`}
+                                  {' '}({reasons.includes('same_receipt') ? 'same receipt' : 'similar details'}, {original.status})
+                                </li>
+                              ))}
+                          </ul>
                         </div>
                       )}
                     </div>
@@ -254,6 +338,15 @@ const Approvals = () => {
                         <X className="h-3 w-3 mr-1" />
                         Reject
                       </Button>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => handleApprovalAction(expense, 'request_info')}
+                        disabled={actionLoading === expense._id}
+                      >
+                        <HelpCircle className="h-3 w-3 mr-1" />
+                        Ask
+                      </Button>
                     </div>
                   </div>
                 </div>
@@ -323,21 +416,21 @@ const Approvals = () => {
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
           <div className="bg-white rounded-lg p-6 w-full max-w-md">
             <h3 className="text-lg font-medium text-gray-900 mb-4">
-              {actionType === 'approve' ? 'Approve Expense' : 'Reject Expense'}
+              {ACTIONS[actionType].title}
             </h3>
             <p className="text-sm text-gray-600 mb-4">
               {selectedExpense?.description}
             </p>
             <div className="mb-4">
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                {actionType === 'approve' ? 'Comments (optional)' : 'Rejection reason'}
+                {ACTIONS[actionType].label}
               </label>
               <textarea
                 value={comment}
                 onChange={(e) => setComment(e.target.value)}
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                 rows={3}
-                placeholder={actionType === 'approve' ? 'Add any comments...' : 'Please provide a reason for rejection'}
+                placeholder={ACTIONS[actionType].placeholder}
               />
             </div>
             <div className="flex justify-end space-x-3">
@@ -353,17 +446,15 @@ const Approvals = () => {
               </Button>
               <Button
                 onClick={submitApprovalAction}
-                disabled={actionLoading}
-                className={actionType === 'approve' ? 'bg-green-600 hover:bg-green-700' : 'bg-red-600 hover:bg-red-700'}
+                disabled={actionLoading || (actionType === 'request_info' && !comment.trim())}
+                className={ACTIONS[actionType].className}
               >
                 {actionLoading ? (
                   <LoadingSpinner className="h-4 w-4 mr-2" />
-                ) : actionType === 'approve' ? (
-                  <CheckCircle className="h-4 w-4 mr-2" />
                 ) : (
-                  <X className="h-4 w-4 mr-2" />
+                  <ActionIcon className="h-4 w-4 mr-2" />
                 )}
-                {actionType === 'approve' ? 'Approve' : 'Reject'}
+                {ACTIONS[actionType].button}
               </Button>
             </div>
           </div>
@@ -0,0 +1,343 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { Card, CardContent, CardHeader, CardTitle } from '../../components/UI/Card';
+import Button from '../../components/UI/Button';
+import Input from '../../components/UI/Input';
+import Badge from '../../components/UI/Badge';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import Money from '../../components/UI/Money';
+import { PiggyBank, Plus, Edit, Trash2, Save, X } from 'lucide-react';
+import { budgetsAPI, departmentsAPI, projectsAPI, handleApiError } from '../../utils/api';
+import toast from 'react-hot-toast';
+
+const PERIODS = [
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'quarterly', label: 'Quarterly' },
+  { value: 'yearly', label: 'Yearly' }
+];
+
+const emptyForm = {
+  targetType: 'department',
+  department: '',
+  project: '',
+  period: 'monthly',
+  amount: '',
+  alertThresholds: '80, 100',
+  notes: '',
+  isActive: true
+};
+
+const parseThresholds = (value) => value
+  .split(',')
+  .map(threshold => Number(threshold.trim()))
+  .filter(threshold => threshold > 0);
+
+// Red once over budget, amber past the first alert threshold
+const usageVariant = (budget) => {
+  const { percentUsed } = budget.status;
+  if (percentUsed > 100) return 'error';
+  if (percentUsed >= Math.min(...(budget.alertThresholds.length > 0 ? budget.alertThresholds : [100]))) return 'warning';
+  return 'success';
+};
+
+const BudgetBar = ({ budget }) => {
+  const { amount, spent, committed } = budget.status;
+  const scale = Math.max(amount, spent + committed) || 1;
+
+  return (
+    <div className="w-full h-3 bg-gray-100 rounded-full overflow-hidden flex">
+      <div className="h-full bg-primary-600" style={{ width: `${(spent / scale) * 100}%` }} />
+      <div className="h-full bg-primary-300" style={{ width: `${(committed / scale) * 100}%` }} />
+    </div>
+  );
+};
+
+const Budgets = () => {
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+  const currency = user?.company?.currency || 'USD';
+
+  const [budgets, setBudgets] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+
+  const fetchBudgets = useCallback(async () => {
+    try {
+      const response = await budgetsAPI.getBudgets({ date, includeInactive: isAdmin });
+      setBudgets(response.data);
+    } catch (error) {
+      toast.error(handleApiError(error));
+    } finally {
+      setLoading(false);
+    }
+  }, [date, isAdmin]);
+
+  useEffect(() => {
+    fetchBudgets();
+  }, [fetchBudgets]);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+    departmentsAPI.getDepartments()
+      .then(response => setDepartments(response.data))
+      .catch(error => console.error('Error fetching departments:', error));
+    projectsAPI.getProjects()
+      .then(response => setProjects(response.data))
+      .catch(error => console.error('Error fetching projects:', error));
+  }, [isAdmin]);
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const startEdit = (budget) => {
+    setEditingId(budget ? budget._id : 'new');
+    setForm(budget ? {
+      targetType: budget.department ? 'department' : 'project',
+      department: budget.department?._id || '',
+      project: budget.project?._id || '',
+      period: budget.period,
+      amount: budget.amount,
+      alertThresholds: budget.alertThresholds.join(', '),
+      notes: budget.notes || '',
+      isActive: budget.isActive
+    } : emptyForm);
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const data = {
+      period: form.period,
+      amount: Number(form.amount),
+      alertThresholds: parseThresholds(form.alertThresholds),
+      notes: form.notes,
+      isActive: form.isActive
+    };
+
+    try {
+      if (editingId === 'new') {
+        await budgetsAPI.createBudget({
+          ...data,
+          [form.targetType]: form[form.targetType]
+        });
+        toast.success('Budget added successfully!');
+      } else {
+        await budgetsAPI.updateBudget(editingId, data);
+        toast.success('Budget updated successfully!');
+      }
+      cancelEdit();
+      fetchBudgets();
+    } catch (error) {
+      toast.error(handleApiError(error));
+    }
+  };
+
+  const handleDelete = async (budget) => {
+    if (!window.confirm(`Are you sure you want to delete the budget of ${budget.status.targetName}?`)) return;
+
+    try {
+      await budgetsAPI.deleteBudget(budget._id);
+      toast.success('Budget deleted successfully!');
+      fetchBudgets();
+    } catch (error) {
+      toast.error(handleApiError(error));
+    }
+  };
+
+  const renderForm = () => (
+    <form onSubmit={handleSave} className="space-y-3 p-4 border border-gray-200 rounded-lg bg-gray-50">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        {editingId === 'new' && (
+          <>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Budget for</label>
+              <select
+                value={form.targetType}
+                onChange={(e) => updateForm({ targetType: e.target.value })}
+                className="input"
+              >
+                <option value="department">Department</option>
+                <option value="project">Project</option>
+              </select>
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {form.targetType === 'department' ? 'Department' : 'Project'}
+              </label>
+              <select
+                value={form[form.targetType]}
+                onChange={(e) => updateForm({ [form.targetType]: e.target.value })}
+                className="input"
+                required
+              >
+                <option value="">Select...</option>
+                {form.targetType === 'department'
+                  ? departments.map(department => (
+                    <option key={department._id} value={department._id}>{department.name}</option>
+                  ))
+                  : projects.map(project => (
+                    <option key={project._id} value={project._id}>{project.code} · {project.name}</option>
+                  ))}
+              </select>
+            </div>
+          </>
+        )}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Period</label>
+          <select value={form.period} onChange={(e) => updateForm({ period: e.target.value })} className="input">
+            {PERIODS.map(period => (
+              <option key={period.value} value={period.value}>{period.label}</option>
+            ))}
+          </select>
+        </div>
+        <Input
+          label={`Amount per period (${currency})`}
+          type="number"
+          step="0.01"
+          min="0"
+          value={form.amount}
+          onChange={(e) => updateForm({ amount: e.target.value })}
+          required
+        />
+        <Input
+          label="Alert at (% of the amount)"
+          value={form.alertThresholds}
+          onChange={(e) => updateForm({ alertThresholds: e.target.value })}
+          placeholder="80, 100"
+        />
+        <div className="md:col-span-2">
+          <Input label="Notes" value={form.notes} onChange={(e) => updateForm({ notes: e.target.value })} />
+        </div>
+        <div className="flex items-end">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.isActive}
+              onChange={(e) => updateForm({ isActive: e.target.checked })}
+              className="mr-2"
+            />
+            Active
+          </label>
+        </div>
+      </div>
+      <div className="flex items-center space-x-2">
+        <Button type="submit" size="sm" className="bg-green-600 hover:bg-green-700">
+          <Save className="h-4 w-4 mr-1" />
+          Save
+        </Button>
+        <Button type="button" variant="outline" size="sm" onClick={cancelEdit}>
+          <X className="h-4 w-4" />
+        </Button>
+      </div>
+    </form>
+  );
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Budgets</h1>
+          <p className="text-gray-600">Approved (spent) and pending (committed) expenses against each budget</p>
+        </div>
+        <div className="flex items-end space-x-3">
+          <Input label="Period containing" type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+          {isAdmin && (
+            <Button onClick={() => startEdit(null)} className="flex items-center">
+              <Plus className="h-4 w-4 mr-1" />
+              Add Budget
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <PiggyBank className="h-5 w-5 mr-2" />
+            Department & Project Budgets
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {editingId === 'new' && <div className="mb-4">{renderForm()}</div>}
+          {budgets.length === 0 ? (
+            <p className="text-center py-8 text-gray-500">No budgets found</p>
+          ) : (
+            <div className="space-y-4">
+              {budgets.map(budget => (
+                editingId === budget._id ? (
+                  <div key={budget._id}>{renderForm()}</div>
+                ) : (
+                  <div key={budget._id} className="p-4 border border-gray-200 rounded-lg space-y-3">
+                    <div className="flex items-start justify-between">
+                      <div>
+                        <h4 className="font-medium text-gray-900">
+                          {budget.status.targetName}
+                          {!budget.isActive && <span className="ml-2 text-xs text-gray-400">(inactive)</span>}
+                        </h4>
+                        <p className="text-xs text-gray-500 mt-1">
+                          {budget.department ? 'Department' : 'Project'} · {budget.status.periodLabel} ·
+                          Alerts at {budget.alertThresholds.map(threshold => `${threshold}%`).join(', ') || 'never'}
+                        </p>
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        <Badge variant={usageVariant(budget)}>{budget.status.percentUsed}% used</Badge>
+                        {isAdmin && (
+                          <>
+                            <Button variant="outline" size="sm" onClick={() => startEdit(budget)} className="text-blue-600 hover:text-blue-700">
+                              <Edit className="h-4 w-4" />
+                            </Button>
+                            <Button variant="outline" size="sm" onClick={() => handleDelete(budget)} className="text-red-600 hover:text-red-700">
+                              <Trash2 className="h-4 w-4" />
+                            </Button>
+                          </>
+                        )}
+                      </div>
+                    </div>
+                    <BudgetBar budget={budget} />
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                      <div>
+                        <p className="text-gray-500">Budget</p>
+                        <p className="font-medium"><Money amount={budget.status.amount} currency={currency} /></p>
+                      </div>
+                      <div>
+                        <p className="text-gray-500">Spent (approved)</p>
+                        <p className="font-medium"><Money amount={budget.status.spent} currency={currency} /></p>
+                      </div>
+                      <div>
+                        <p className="text-gray-500">Committed (pending)</p>
+                        <p className="font-medium"><Money amount={budget.status.committed} currency={currency} /></p>
+                      </div>
+                      <div>
+                        <p className="text-gray-500">Remaining</p>
+                        <p className={`font-medium ${budget.status.remaining < 0 ? 'text-red-600' : ''}`}>
+                          <Money amount={budget.status.remaining} currency={currency} />
+                        </p>
+                      </div>
+                    </div>
+                  </div>
+                )
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default Budgets;
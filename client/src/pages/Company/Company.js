@@ -3,9 +3,11 @@ import { useAuth } from '../../contexts/AuthContext';
 import { Card, CardContent, CardHeader, CardTitle } from '../../components/UI/Card';
 import Button from '../../components/UI/Button';
 import Input from '../../components/UI/Input';
-import { Building2, Save, Users, Settings, DollarSign, Plus, Trash2, Edit, X } from 'lucide-react';
-import { companiesAPI, departmentsAPI, handleApiError } from '../../utils/api';
+import { Building2, Save, Users, Settings, DollarSign, Plus, Trash2, Edit, X, Landmark } from 'lucide-react';
+import { companiesAPI, departmentsAPI, usersAPI, handleApiError } from '../../utils/api';
 import toast from 'react-hot-toast';
+import ExpensePolicySettings from './ExpensePolicySettings';
+import CostAssignmentSettings from './CostAssignmentSettings';
 
 const Company = () => {
   const { user } = useAuth();
@@ -15,7 +17,8 @@ const Company = () => {
   const [departments, setDepartments] = useState([]);
   const [showAddDepartment, setShowAddDepartment] = useState(false);
   const [editingDepartment, setEditingDepartment] = useState(null);
-  const [newDepartment, setNewDepartment] = useState({ name: '', description: '' });
+  const [newDepartment, setNewDepartment] = useState({ name: '', description: '', head: '' });
+  const [users, setUsers] = useState([]);
   
   // Check if user is admin
   const isAdmin = user?.role === 'admin';
@@ -42,7 +45,19 @@ const Company = () => {
     expenseCategories: ['Travel', 'Meals', 'Office Supplies', 'Transportation', 'Accommodation', 'Other'],
     autoApproveLimit: 0,
     maxExpenseAmount: null,
-    requireReceipts: true
+    requireReceipts: true,
+    duplicateHandling: 'warn'
+  });
+
+  const [paymentData, setPaymentData] = useState({
+    debtorName: '',
+    iban: '',
+    bic: '',
+    achImmediateDestination: '',
+    achImmediateDestinationName: '',
+    achImmediateOrigin: '',
+    achCompanyId: '',
+    achCompanyName: ''
   });
 
   const countries = [
@@ -61,6 +76,13 @@ const Company = () => {
     fetchDepartments();
   }, []);
 
+  useEffect(() => {
+    if (!isAdmin) return;
+    usersAPI.getUsers()
+      .then(response => setUsers(response.data))
+      .catch(error => console.error('Error fetching users:', error));
+  }, [isAdmin]);
+
   const fetchCompanyData = async () => {
     try {
       const response = await companiesAPI.getCompany();
@@ -87,7 +109,18 @@ const Company = () => {
         expenseCategories: response.data.settings?.expenseCategories || ['Travel', 'Meals', 'Office Supplies', 'Transportation', 'Accommodation', 'Other'],
         autoApproveLimit: response.data.settings?.autoApproveLimit || 0,
         maxExpenseAmount: response.data.settings?.maxExpenseAmount || null,
-        requireReceipts: response.data.settings?.requireReceipts !== false
+        requireReceipts: response.data.settings?.requireReceipts !== false,
+        duplicateHandling: response.data.settings?.duplicateHandling || 'warn'
+      });
+      setPaymentData({
+        debtorName: response.data.paymentSettings?.debtorName || '',
+        iban: '',
+        bic: response.data.paymentSettings?.bic || '',
+        achImmediateDestination: response.data.paymentSettings?.achImmediateDestination || '',
+        achImmediateDestinationName: response.data.paymentSettings?.achImmediateDestinationName || '',
+        achImmediateOrigin: response.data.paymentSettings?.achImmediateOrigin || '',
+        achCompanyId: response.data.paymentSettings?.achCompanyId || '',
+        achCompanyName: response.data.paymentSettings?.achCompanyName || ''
       });
     } catch (error) {
       toast.error(handleApiError(error));
@@ -160,6 +193,28 @@ const Company = () => {
     }
   };
 
+  const handlePaymentChange = (e) => {
+    const { name, value } = e.target;
+    setPaymentData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSavePaymentSettings = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await companiesAPI.updatePaymentSettings(paymentData);
+      toast.success('Payment settings updated successfully!');
+      fetchCompanyData();
+    } catch (error) {
+      toast.error(handleApiError(error));
+    } finally {
+      setSaving(false);
+    }
+  };
+
   const fetchDepartments = async () => {
     try {
       const response = await departmentsAPI.getDepartments();
@@ -177,9 +232,9 @@ const Company = () => {
     }
 
     try {
-      await departmentsAPI.createDepartment(newDepartment);
+      await departmentsAPI.createDepartment({ ...newDepartment, head: newDepartment.head || null });
       toast.success('Department added successfully!');
-      setNewDepartment({ name: '', description: '' });
+      setNewDepartment({ name: '', description: '', head: '' });
       setShowAddDepartment(false);
       fetchDepartments();
     } catch (error) {
@@ -197,7 +252,8 @@ const Company = () => {
     try {
       await departmentsAPI.updateDepartment(editingDepartment._id, {
         name: editingDepartment.name,
-        description: editingDepartment.description
+        description: editingDepartment.description,
+        head: editingDepartment.head || null
       });
       toast.success('Department updated successfully!');
       setEditingDepartment(null);
@@ -222,7 +278,7 @@ const Company = () => {
   };
 
   const startEditDepartment = (department) => {
-    setEditingDepartment({ ...department });
+    setEditingDepartment({ ...department, head: department.head?._id || '' });
   };
 
   const cancelEditDepartment = () => {
@@ -478,6 +534,25 @@ const Company = () => {
                   </label>
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Duplicate expenses
+                  </label>
+                  <select
+                    name="duplicateHandling"
+                    value={settingsData.duplicateHandling}
+                    onChange={handleSettingsChange}
+                    className="input"
+                    disabled={!isAdmin}
+                  >
+                    <option value="warn">Warn approvers</option>
+                    <option value="block">Block submission</option>
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Applies when an expense reuses a receipt or matches an earlier expense's amount, date and merchant
+                  </p>
+                </div>
+
                 {isAdmin && (
                   <Button type="submit" loading={saving} className="w-full">
                     <Settings className="h-4 w-4 mr-2" />
@@ -488,6 +563,88 @@ const Company = () => {
             </CardContent>
           </Card>
 
+          <ExpensePolicySettings company={company} isAdmin={isAdmin} onSaved={fetchCompanyData} />
+
+          <CostAssignmentSettings company={company} isAdmin={isAdmin} users={users} />
+
+          {isAdmin && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center">
+                  <Landmark className="h-5 w-5 mr-2" />
+                  Payment Settings
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <form onSubmit={handleSavePaymentSettings} className="space-y-4">
+                  <p className="text-sm text-gray-600">
+                    Payer account used for SEPA and NACHA reimbursement files.
+                  </p>
+
+                  <Input
+                    label="Debtor name"
+                    name="debtorName"
+                    value={paymentData.debtorName}
+                    onChange={handlePaymentChange}
+                    placeholder={company?.name}
+                  />
+                  <Input
+                    label="IBAN"
+                    name="iban"
+                    value={paymentData.iban}
+                    onChange={handlePaymentChange}
+                    placeholder={company?.paymentSettings?.maskedAccount || ''}
+                    helperText="Stored encrypted; leave empty to keep the current IBAN"
+                  />
+                  <Input
+                    label="BIC"
+                    name="bic"
+                    value={paymentData.bic}
+                    onChange={handlePaymentChange}
+                  />
+                  <Input
+                    label="ACH bank routing number"
+                    name="achImmediateDestination"
+                    value={paymentData.achImmediateDestination}
+                    onChange={handlePaymentChange}
+                  />
+                  <Input
+                    label="ACH bank name"
+                    name="achImmediateDestinationName"
+                    value={paymentData.achImmediateDestinationName}
+                    onChange={handlePaymentChange}
+                  />
+                  <Input
+                    label="ACH company ID"
+                    name="achCompanyId"
+                    value={paymentData.achCompanyId}
+                    onChange={handlePaymentChange}
+                    helperText="10 characters, e.g. 1 followed by your EIN"
+                  />
+                  <Input
+                    label="ACH immediate origin"
+                    name="achImmediateOrigin"
+                    value={paymentData.achImmediateOrigin}
+                    onChange={handlePaymentChange}
+                    helperText="Defaults to the ACH company ID"
+                  />
+                  <Input
+                    label="ACH company name"
+                    name="achCompanyName"
+                    value={paymentData.achCompanyName}
+                    onChange={handlePaymentChange}
+                    helperText="Up to 16 characters"
+                  />
+
+                  <Button type="submit" loading={saving} className="w-full">
+                    <Save className="h-4 w-4 mr-2" />
+                    Save Payment Settings
+                  </Button>
+                </form>
+              </CardContent>
+            </Card>
+          )}
+
           {/* Department Management Section */}
           <Card>
             <CardHeader>
@@ -537,6 +694,16 @@ const Company = () => {
                             placeholder="Description (optional)"
                             className="flex-1"
                           />
+                          <select
+                            value={editingDepartment.head}
+                            onChange={(e) => setEditingDepartment(prev => ({ ...prev, head: e.target.value }))}
+                            className="input flex-1"
+                          >
+                            <option value="">No head</option>
+                            {users.map(user => (
+                              <option key={user._id} value={user._id}>{user.firstName} {user.lastName}</option>
+                            ))}
+                          </select>
                           <Button type="submit" size="sm" className="bg-green-600 hover:bg-green-700">
                             <Save className="h-4 w-4" />
                           </Button>
@@ -558,6 +725,7 @@ const Company = () => {
                             )}
                             <p className="text-xs text-gray-400 mt-1">
                               {department.employeeCount || 0} employee(s)
+                              {department.head && ` · Head: ${department.head.firstName} ${department.head.lastName}`}
                             </p>
                           </div>
                           {isAdmin && (
@@ -603,6 +771,17 @@ const Company = () => {
                       onChange={(e) => setNewDepartment(prev => ({ ...prev, description: e.target.value }))}
                       placeholder="Description (optional)"
                     />
+                    <select
+                      value={newDepartment.head}
+                      onChange={(e) => setNewDepartment(prev => ({ ...prev, head: e.target.value }))}
+                      className="input"
+                    >
+                      <option value="">No department head</option>
+                      {users.map(user => (
+                        <option key={user._id} value={user._id}>{user.firstName} {user.lastName}</option>
+                      ))}
+                    </select>
+                    <p className="text-xs text-gray-500">The head is notified when the department budget runs low</p>
                     <div className="flex items-center space-x-2">
                       <Button type="submit" size="sm" className="bg-green-600 hover:bg-green-700">
                         <Plus className="h-4 w-4 mr-1" />
@@ -614,7 +793,7 @@ const Company = () => {
                         size="sm"
                         onClick={() => {
                           setShowAddDepartment(false);
-                          setNewDepartment({ name: '', description: '' });
+                          setNewDepartment({ name: '', description: '', head: '' });
                         }}
                       >
                         Cancel
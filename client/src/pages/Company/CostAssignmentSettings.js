@@ -0,0 +1,278 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '../../components/UI/Card';
+import Button from '../../components/UI/Button';
+import Input from '../../components/UI/Input';
+import { Briefcase, Landmark, Plus, Edit, Trash2, Save, X } from 'lucide-react';
+import { projectsAPI, costCentersAPI, formatCurrency, formatDate, handleApiError } from '../../utils/api';
+import toast from 'react-hot-toast';
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+// Projects and cost centers share their fields except for the client and who is in charge
+const KINDS = {
+  project: {
+    title: 'Projects',
+    singular: 'Project',
+    icon: Briefcase,
+    personField: 'lead',
+    personLabel: 'Project lead',
+    hasClient: true,
+    list: () => projectsAPI.getProjects({ includeInactive: true }),
+    create: projectsAPI.createProject,
+    update: projectsAPI.updateProject,
+    remove: projectsAPI.deleteProject
+  },
+  costCenter: {
+    title: 'Cost Centers',
+    singular: 'Cost center',
+    icon: Landmark,
+    personField: 'owner',
+    personLabel: 'Owner',
+    hasClient: false,
+    list: () => costCentersAPI.getCostCenters({ includeInactive: true }),
+    create: costCentersAPI.createCostCenter,
+    update: costCentersAPI.updateCostCenter,
+    remove: costCentersAPI.deleteCostCenter
+  }
+};
+
+const emptyForm = {
+  code: '',
+  name: '',
+  client: '',
+  person: '',
+  members: [],
+  budget: '',
+  startDate: '',
+  endDate: '',
+  isActive: true
+};
+
+const toForm = (item, personField) => ({
+  code: item.code,
+  name: item.name,
+  client: item.client || '',
+  person: item[personField]?._id || '',
+  members: (item.members || []).map(member => member._id),
+  budget: item.budget ?? '',
+  startDate: toDateInput(item.startDate),
+  endDate: toDateInput(item.endDate),
+  isActive: item.isActive
+});
+
+const CostAssignmentList = ({ kind, users, isAdmin, currency }) => {
+  const config = KINDS[kind];
+  const Icon = config.icon;
+  const [items, setItems] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+
+  useEffect(() => {
+    fetchItems();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const fetchItems = async () => {
+    try {
+      const response = await config.list();
+      setItems(response.data);
+    } catch (error) {
+      console.error(`Error fetching ${config.title.toLowerCase()}:`, error);
+    }
+  };
+
+  const startEdit = (item) => {
+    setEditingId(item ? item._id : 'new');
+    setForm(item ? toForm(item, config.personField) : emptyForm);
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+  };
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const data = {
+      code: form.code,
+      name: form.name,
+      [config.personField]: form.person || null,
+      members: form.members,
+      budget: form.budget === '' ? null : Number(form.budget),
+      startDate: form.startDate || null,
+      endDate: form.endDate || null,
+      isActive: form.isActive
+    };
+    if (config.hasClient) data.client = form.client;
+
+    try {
+      if (editingId === 'new') {
+        await config.create(data);
+        toast.success(`${config.singular} added successfully!`);
+      } else {
+        await config.update(editingId, data);
+        toast.success(`${config.singular} updated successfully!`);
+      }
+      cancelEdit();
+      fetchItems();
+    } catch (error) {
+      toast.error(handleApiError(error));
+    }
+  };
+
+  const handleDelete = async (item) => {
+    if (!window.confirm(`Are you sure you want to delete "${item.name}"?`)) return;
+
+    try {
+      await config.remove(item._id);
+      toast.success(`${config.singular} deleted successfully!`);
+      fetchItems();
+    } catch (error) {
+      toast.error(handleApiError(error));
+    }
+  };
+
+  const renderForm = () => (
+    <form onSubmit={handleSave} className="space-y-3 p-4 border border-gray-200 rounded-lg bg-gray-50">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <Input label="Code" value={form.code} onChange={(e) => updateForm({ code: e.target.value })} required />
+        <Input label="Name" value={form.name} onChange={(e) => updateForm({ name: e.target.value })} required />
+        {config.hasClient ? (
+          <Input label="Client" value={form.client} onChange={(e) => updateForm({ client: e.target.value })} />
+        ) : (
+          <div />
+        )}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">{config.personLabel}</label>
+          <select value={form.person} onChange={(e) => updateForm({ person: e.target.value })} className="input">
+            <option value="">None</option>
+            {users.map(user => (
+              <option key={user._id} value={user._id}>{user.firstName} {user.lastName}</option>
+            ))}
+          </select>
+        </div>
+        <Input
+          label={`Budget (${currency})`}
+          type="number"
+          step="0.01"
+          min="0"
+          value={form.budget}
+          onChange={(e) => updateForm({ budget: e.target.value })}
+          placeholder="No budget"
+        />
+        <div className="flex items-end">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.isActive}
+              onChange={(e) => updateForm({ isActive: e.target.checked })}
+              className="mr-2"
+            />
+            Active
+          </label>
+        </div>
+        <Input label="Start date" type="date" value={form.startDate} onChange={(e) => updateForm({ startDate: e.target.value })} />
+        <Input label="End date" type="date" value={form.endDate} onChange={(e) => updateForm({ endDate: e.target.value })} />
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Members</label>
+        <select
+          multiple
+          value={form.members}
+          onChange={(e) => updateForm({ members: Array.from(e.target.selectedOptions, option => option.value) })}
+          className="input h-28"
+        >
+          {users.map(user => (
+            <option key={user._id} value={user._id}>{user.firstName} {user.lastName}</option>
+          ))}
+        </select>
+        <p className="text-xs text-gray-500 mt-1">Leave empty to let everyone charge expenses to it</p>
+      </div>
+      <div className="flex items-center space-x-2">
+        <Button type="submit" size="sm" className="bg-green-600 hover:bg-green-700">
+          <Save className="h-4 w-4 mr-1" />
+          Save
+        </Button>
+        <Button type="button" variant="outline" size="sm" onClick={cancelEdit}>
+          <X className="h-4 w-4" />
+        </Button>
+      </div>
+    </form>
+  );
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <div className="flex items-center">
+            <Icon className="h-5 w-5 mr-2" />
+            {config.title}
+          </div>
+          {isAdmin && (
+            <Button variant="outline" size="sm" onClick={() => startEdit(null)} className="flex items-center">
+              <Plus className="h-4 w-4 mr-1" />
+              Add {config.singular}
+            </Button>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {editingId === 'new' && <div className="mb-4">{renderForm()}</div>}
+        {items.length === 0 ? (
+          <p className="text-center py-6 text-gray-500">No {config.title.toLowerCase()} found</p>
+        ) : (
+          <div className="space-y-3">
+            {items.map(item => (
+              editingId === item._id ? (
+                <div key={item._id}>{renderForm()}</div>
+              ) : (
+                <div key={item._id} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+                  <div className="flex-1">
+                    <h4 className="font-medium text-gray-900">
+                      {item.code} · {item.name}
+                      {!item.isActive && <span className="ml-2 text-xs text-gray-400">(inactive)</span>}
+                    </h4>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {[
+                        item.client,
+                        item[config.personField] && `${config.personLabel}: ${item[config.personField].firstName} ${item[config.personField].lastName}`,
+                        item.budget != null && `Budget ${formatCurrency(item.budget, currency)}`,
+                        (item.startDate || item.endDate) &&
+                          `${item.startDate ? formatDate(item.startDate) : '…'} – ${item.endDate ? formatDate(item.endDate) : '…'}`,
+                        item.members?.length > 0 ? `${item.members.length} member(s)` : 'Open to everyone'
+                      ].filter(Boolean).join(' · ')}
+                    </p>
+                  </div>
+                  {isAdmin && (
+                    <div className="flex items-center space-x-2">
+                      <Button variant="outline" size="sm" onClick={() => startEdit(item)} className="text-blue-600 hover:text-blue-700">
+                        <Edit className="h-4 w-4" />
+                      </Button>
+                      <Button variant="outline" size="sm" onClick={() => handleDelete(item)} className="text-red-600 hover:text-red-700">
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  )}
+                </div>
+              )
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+const CostAssignmentSettings = ({ company, isAdmin, users = [] }) => {
+  const currency = company?.currency || 'USD';
+
+  return (
+    <>
+      <CostAssignmentList kind="project" users={users} isAdmin={isAdmin} currency={currency} />
+      <CostAssignmentList kind="costCenter" users={users} isAdmin={isAdmin} currency={currency} />
+    </>
+  );
+};
+
+export default CostAssignmentSettings;
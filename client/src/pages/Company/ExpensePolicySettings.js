@@ -0,0 +1,645 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '../../components/UI/Card';
+import Button from '../../components/UI/Button';
+import Input from '../../components/UI/Input';
+import { ShieldCheck, Plus, Trash2, Save } from 'lucide-react';
+import { companiesAPI, handleApiError } from '../../utils/api';
+import toast from 'react-hot-toast';
+
+const ACTION_LABELS = {
+  allow: 'Allow',
+  flag: 'Flag for approvers',
+  block: 'Block submission'
+};
+
+// Empty inputs mean "no limit"
+const toNumberOrNull = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+const buildPolicyState = (policy = {}) => ({
+  categoryLimits: (policy.categoryLimits || []).map(limit => ({
+    category: limit.category,
+    perItemLimit: limit.perItemLimit ?? '',
+    dailyLimit: limit.dailyLimit ?? '',
+    action: limit.action || 'flag'
+  })),
+  perDiem: {
+    categories: (policy.perDiem?.categories || []).join(', '),
+    rates: (policy.perDiem?.rates || []).map(rate => ({
+      country: rate.country,
+      city: rate.city || '',
+      dailyRate: rate.dailyRate,
+      effectiveFrom: toDateInput(rate.effectiveFrom)
+    })),
+    mealDeductions: {
+      breakfast: policy.perDiem?.mealDeductions?.breakfast ?? 20,
+      lunch: policy.perDiem?.mealDeductions?.lunch ?? 40,
+      dinner: policy.perDiem?.mealDeductions?.dinner ?? 40
+    },
+    action: policy.perDiem?.action || 'flag'
+  },
+  mileageRates: (policy.mileageRates || []).map(rate => ({
+    vehicleType: rate.vehicleType,
+    rate: rate.rate,
+    unit: rate.unit || 'km',
+    effectiveFrom: toDateInput(rate.effectiveFrom)
+  })),
+  weekend: { action: policy.weekend?.action || 'allow' },
+  holidays: {
+    dates: (policy.holidays?.dates || []).map(holiday => ({
+      date: toDateInput(holiday.date),
+      name: holiday.name || ''
+    })),
+    action: policy.holidays?.action || 'allow'
+  },
+  receiptThreshold: {
+    amount: policy.receiptThreshold?.amount ?? '',
+    action: policy.receiptThreshold?.action || 'block'
+  },
+  submissionDeadline: {
+    days: policy.submissionDeadline?.days ?? '',
+    action: policy.submissionDeadline?.action || 'flag'
+  },
+  vat: {
+    rates: (policy.vat?.rates || []).map(rate => ({
+      country: rate.country,
+      code: rate.code,
+      name: rate.name || '',
+      rate: rate.rate,
+      effectiveFrom: toDateInput(rate.effectiveFrom)
+    })),
+    action: policy.vat?.action || 'flag'
+  }
+});
+
+const ActionSelect = ({ value, onChange, actions = ['flag', 'block'], disabled }) => (
+  <select
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    className="input"
+    disabled={disabled}
+  >
+    {actions.map(action => (
+      <option key={action} value={action}>{ACTION_LABELS[action]}</option>
+    ))}
+  </select>
+);
+
+const ExpensePolicySettings = ({ company, isAdmin, onSaved }) => {
+  const [policy, setPolicy] = useState(buildPolicyState());
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setPolicy(buildPolicyState(company?.policy));
+  }, [company]);
+
+  const currency = company?.currency || '';
+  const categories = company?.settings?.expenseCategories || [];
+
+  const updateSection = (section, changes) => {
+    setPolicy(prev => ({ ...prev, [section]: { ...prev[section], ...changes } }));
+  };
+
+  const updateListItem = (list, index, changes) => list.map((item, i) => (i === index ? { ...item, ...changes } : item));
+
+  const updateCategoryLimit = (index, changes) => {
+    setPolicy(prev => ({ ...prev, categoryLimits: updateListItem(prev.categoryLimits, index, changes) }));
+  };
+
+  const addCategoryLimit = () => {
+    setPolicy(prev => ({
+      ...prev,
+      categoryLimits: [...prev.categoryLimits, { category: categories[0] || '', perItemLimit: '', dailyLimit: '', action: 'flag' }]
+    }));
+  };
+
+  const removeCategoryLimit = (index) => {
+    setPolicy(prev => ({ ...prev, categoryLimits: prev.categoryLimits.filter((_, i) => i !== index) }));
+  };
+
+  const updateRate = (index, changes) => {
+    updateSection('perDiem', { rates: updateListItem(policy.perDiem.rates, index, changes) });
+  };
+
+  const updateMileageRate = (index, changes) => {
+    setPolicy(prev => ({ ...prev, mileageRates: updateListItem(prev.mileageRates, index, changes) }));
+  };
+
+  const updateMealDeduction = (meal, value) => {
+    updateSection('perDiem', { mealDeductions: { ...policy.perDiem.mealDeductions, [meal]: value } });
+  };
+
+  const updateVatRate = (index, changes) => {
+    updateSection('vat', { rates: updateListItem(policy.vat.rates, index, changes) });
+  };
+
+  const updateHoliday = (index, changes) => {
+    updateSection('holidays', { dates: updateListItem(policy.holidays.dates, index, changes) });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await companiesAPI.updatePolicy({
+        categoryLimits: policy.categoryLimits.map(limit => ({
+          ...limit,
+          perItemLimit: toNumberOrNull(limit.perItemLimit),
+          dailyLimit: toNumberOrNull(limit.dailyLimit)
+        })),
+        perDiem: {
+          categories: policy.perDiem.categories.split(',').map(category => category.trim()).filter(Boolean),
+          rates: policy.perDiem.rates.map(rate => ({
+            country: rate.country.toUpperCase(),
+            city: rate.city || undefined,
+            dailyRate: Number(rate.dailyRate),
+            effectiveFrom: rate.effectiveFrom || null
+          })),
+          mealDeductions: {
+            breakfast: Number(policy.perDiem.mealDeductions.breakfast) || 0,
+            lunch: Number(policy.perDiem.mealDeductions.lunch) || 0,
+            dinner: Number(policy.perDiem.mealDeductions.dinner) || 0
+          },
+          action: policy.perDiem.action
+        },
+        mileageRates: policy.mileageRates.map(rate => ({
+          ...rate,
+          rate: Number(rate.rate),
+          effectiveFrom: rate.effectiveFrom || null
+        })),
+        weekend: policy.weekend,
+        holidays: policy.holidays,
+        receiptThreshold: {
+          amount: toNumberOrNull(policy.receiptThreshold.amount),
+          action: policy.receiptThreshold.action
+        },
+        submissionDeadline: {
+          days: toNumberOrNull(policy.submissionDeadline.days),
+          action: policy.submissionDeadline.action
+        },
+        vat: {
+          rates: policy.vat.rates.map(rate => ({
+            country: rate.country.toUpperCase(),
+            code: rate.code.toUpperCase(),
+            name: rate.name || undefined,
+            rate: Number(rate.rate),
+            effectiveFrom: rate.effectiveFrom || null
+          })),
+          action: policy.vat.action
+        }
+      });
+      toast.success('Expense policy updated successfully!');
+      if (onSaved) onSaved();
+    } catch (error) {
+      toast.error(handleApiError(error));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <ShieldCheck className="h-5 w-5 mr-2" />
+          Expense Policy
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSave} className="space-y-6">
+          <p className="text-sm text-gray-600">
+            Checked when an expense is submitted. Amounts are in {currency}. Flagged violations are shown to approvers;
+            blocking ones stop the submission.
+          </p>
+
+          {/* Category limits */}
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <h4 className="text-sm font-medium text-gray-900">Category limits</h4>
+              {isAdmin && (
+                <Button type="button" variant="outline" size="sm" onClick={addCategoryLimit}>
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add Limit
+                </Button>
+              )}
+            </div>
+            {policy.categoryLimits.length === 0 && (
+              <p className="text-sm text-gray-500">No category limits</p>
+            )}
+            {policy.categoryLimits.map((limit, index) => (
+              <div key={index} className="grid grid-cols-1 md:grid-cols-5 gap-2 items-center">
+                <select
+                  value={limit.category}
+                  onChange={(e) => updateCategoryLimit(index, { category: e.target.value })}
+                  className="input"
+                  disabled={!isAdmin}
+                >
+                  {[...new Set([limit.category, ...categories])].filter(Boolean).map(category => (
+                    <option key={category} value={category}>{category}</option>
+                  ))}
+                </select>
+                <Input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={limit.perItemLimit}
+                  onChange={(e) => updateCategoryLimit(index, { perItemLimit: e.target.value })}
+                  placeholder="Per item"
+                  disabled={!isAdmin}
+                />
+                <Input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={limit.dailyLimit}
+                  onChange={(e) => updateCategoryLimit(index, { dailyLimit: e.target.value })}
+                  placeholder="Per day"
+                  disabled={!isAdmin}
+                />
+                <ActionSelect
+                  value={limit.action}
+                  onChange={(action) => updateCategoryLimit(index, { action })}
+                  disabled={!isAdmin}
+                />
+                {isAdmin && (
+                  <Button type="button" variant="outline" size="sm" onClick={() => removeCategoryLimit(index)}>
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {/* Per-diem rates */}
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <h4 className="text-sm font-medium text-gray-900">Per-diem rates</h4>
+              {isAdmin && (
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() => updateSection('perDiem', { rates: [...policy.perDiem.rates, { country: '', city: '', dailyRate: '', effectiveFrom: '' }] })}
+                >
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add Rate
+                </Button>
+              )}
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+              <Input
+                label="Categories"
+                value={policy.perDiem.categories}
+                onChange={(e) => updateSection('perDiem', { categories: e.target.value })}
+                placeholder="Meals, Accommodation"
+                helperText="Daily spending in these categories is capped by the rate of the expense location; per-diem claims are paid at the same rates"
+                disabled={!isAdmin}
+              />
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">When exceeded</label>
+                <ActionSelect
+                  value={policy.perDiem.action}
+                  onChange={(action) => updateSection('perDiem', { action })}
+                  disabled={!isAdmin}
+                />
+              </div>
+            </div>
+            {policy.perDiem.rates.map((rate, index) => (
+              <div key={index} className="grid grid-cols-1 md:grid-cols-5 gap-2 items-center">
+                <Input
+                  value={rate.country}
+                  onChange={(e) => updateRate(index, { country: e.target.value })}
+                  placeholder="Country (e.g. DE)"
+                  maxLength={2}
+                  required
+                  disabled={!isAdmin}
+                />
+                <Input
+                  value={rate.city}
+                  onChange={(e) => updateRate(index, { city: e.target.value })}
+                  placeholder="City (optional)"
+                  disabled={!isAdmin}
+                />
+                <Input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={rate.dailyRate}
+                  onChange={(e) => updateRate(index, { dailyRate: e.target.value })}
+                  placeholder="Daily rate"
+                  required
+                  disabled={!isAdmin}
+                />
+                <Input
+                  type="date"
+                  value={rate.effectiveFrom}
+                  onChange={(e) => updateRate(index, { effectiveFrom: e.target.value })}
+                  title="Effective from (empty: always)"
+                  disabled={!isAdmin}
+                />
+                {isAdmin && (
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={() => updateSection('perDiem', { rates: policy.perDiem.rates.filter((_, i) => i !== index) })}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-3 gap-2">
+            {['breakfast', 'lunch', 'dinner'].map(meal => (
+              <Input
+                key={meal}
+                label={`${meal.charAt(0).toUpperCase() + meal.slice(1)} deduction (%)`}
+                type="number"
+                min="0"
+                max="100"
+                value={policy.perDiem.mealDeductions[meal]}
+                onChange={(e) => updateMealDeduction(meal, e.target.value)}
+                disabled={!isAdmin}
+              />
+            ))}
+          </div>
+
+          {/* Mileage rates */}
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <h4 className="text-sm font-medium text-gray-900">Mileage rates</h4>
+              {isAdmin && (
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setPolicy(prev => ({
+                    ...prev,
+                    mileageRates: [...prev.mileageRates, { vehicleType: '', rate: '', unit: 'km', effectiveFrom: '' }]
+                  }))}
+                >
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add Rate
+                </Button>
+              )}
+            </div>
+            {policy.mileageRates.length === 0 && (
+              <p className="text-sm text-gray-500">No mileage rates; employees cannot claim mileage</p>
+            )}
+            {policy.mileageRates.map((rate, index) => (
+              <div key={index} className="grid grid-cols-1 md:grid-cols-5 gap-2 items-center">
+                <Input
+                  value={rate.vehicleType}
+                  onChange={(e) => updateMileageRate(index, { vehicleType: e.target.value })}
+                  placeholder="Vehicle (e.g. Car)"
+                  required
+                  disabled={!isAdmin}
+                />
+                <Input
+                  type="number"
+                  min="0"
+                  step="0.001"
+                  value={rate.rate}
+                  onChange={(e) => updateMileageRate(index, { rate: e.target.value })}
+                  placeholder={`Rate (${currency})`}
+                  required
+                  disabled={!isAdmin}
+                />
+                <select
+                  value={rate.unit}
+                  onChange={(e) => updateMileageRate(index, { unit: e.target.value })}
+                  className="input"
+                  disabled={!isAdmin}
+                >
+                  <option value="km">per km</option>
+                  <option value="mi">per mile</option>
+                </select>
+                <Input
+                  type="date"
+                  value={rate.effectiveFrom}
+                  onChange={(e) => updateMileageRate(index, { effectiveFrom: e.target.value })}
+                  title="Effective from (empty: always)"
+                  disabled={!isAdmin}
+                />
+                {isAdmin && (
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={() => setPolicy(prev => ({ ...prev, mileageRates: prev.mileageRates.filter((_, i) => i !== index) }))}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                )}
+              </div>
+            ))}
+            <p className="text-xs text-gray-500">
+              A rate applies from its effective date until a newer rate for the same vehicle takes over.
+            </p>
+          </div>
+
+          {/* VAT rates */}
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <h4 className="text-sm font-medium text-gray-900">VAT rates</h4>
+              {isAdmin && (
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() => updateSection('vat', { rates: [...policy.vat.rates, { country: company?.country || '', code: '', name: '', rate: '', effectiveFrom: '' }] })}
+                >
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add Rate
+                </Button>
+              )}
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+              <p className="text-sm text-gray-500">
+                Tax entered on an expense must match a rate of the country it was incurred in, or of the company's country.
+              </p>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">When tax does not match</label>
+                <ActionSelect
+                  value={policy.vat.action}
+                  onChange={(action) => updateSection('vat', { action })}
+                  disabled={!isAdmin}
+                />
+              </div>
+            </div>
+            {policy.vat.rates.map((rate, index) => (
+              <div key={index} className="grid grid-cols-1 md:grid-cols-6 gap-2 items-center">
+                <Input
+                  value={rate.country}
+                  onChange={(e) => updateVatRate(index, { country: e.target.value })}
+                  placeholder="Country (e.g. DE)"
+                  maxLength={2}
+                  required
+                  disabled={!isAdmin}
+                />
+                <Input
+                  value={rate.code}
+                  onChange={(e) => updateVatRate(index, { code: e.target.value })}
+                  placeholder="Code (e.g. STANDARD)"
+                  maxLength={20}
+                  required
+                  disabled={!isAdmin}
+                />
+                <Input
+                  value={rate.name}
+                  onChange={(e) => updateVatRate(index, { name: e.target.value })}
+                  placeholder="Name (optional)"
+                  disabled={!isAdmin}
+                />
+                <Input
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="0.01"
+                  value={rate.rate}
+                  onChange={(e) => updateVatRate(index, { rate: e.target.value })}
+                  placeholder="Rate (%)"
+                  required
+                  disabled={!isAdmin}
+                />
+                <Input
+                  type="date"
+                  value={rate.effectiveFrom}
+                  onChange={(e) => updateVatRate(index, { effectiveFrom: e.target.value })}
+                  title="Effective from (empty: always)"
+                  disabled={!isAdmin}
+                />
+                {isAdmin && (
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={() => updateSection('vat', { rates: policy.vat.rates.filter((_, i) => i !== index) })}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                )}
+              </div>
+            ))}
+            <p className="text-xs text-gray-500">
+              A rate applies from its effective date until a newer rate with the same country and code takes over.
+            </p>
+          </div>
+
+          {/* Weekends and holidays */}
+          <div className="space-y-2">
+            <h4 className="text-sm font-medium text-gray-900">Weekends and holidays</h4>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Weekend expenses</label>
+                <ActionSelect
+                  value={policy.weekend.action}
+                  onChange={(action) => updateSection('weekend', { action })}
+                  actions={['allow', 'flag', 'block']}
+                  disabled={!isAdmin}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Holiday expenses</label>
+                <ActionSelect
+                  value={policy.holidays.action}
+                  onChange={(action) => updateSection('holidays', { action })}
+                  actions={['allow', 'flag', 'block']}
+                  disabled={!isAdmin}
+                />
+              </div>
+            </div>
+            {policy.holidays.dates.map((holiday, index) => (
+              <div key={index} className="grid grid-cols-1 md:grid-cols-3 gap-2 items-center">
+                <Input
+                  type="date"
+                  value={holiday.date}
+                  onChange={(e) => updateHoliday(index, { date: e.target.value })}
+                  required
+                  disabled={!isAdmin}
+                />
+                <Input
+                  value={holiday.name}
+                  onChange={(e) => updateHoliday(index, { name: e.target.value })}
+                  placeholder="Holiday name"
+                  disabled={!isAdmin}
+                />
+                {isAdmin && (
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={() => updateSection('holidays', { dates: policy.holidays.dates.filter((_, i) => i !== index) })}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                )}
+              </div>
+            ))}
+            {isAdmin && (
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={() => updateSection('holidays', { dates: [...policy.holidays.dates, { date: '', name: '' }] })}
+              >
+                <Plus className="h-4 w-4 mr-1" />
+                Add Holiday
+              </Button>
+            )}
+          </div>
+
+          {/* Receipts and deadlines */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Input
+                label="Receipt required above"
+                type="number"
+                min="0"
+                step="0.01"
+                value={policy.receiptThreshold.amount}
+                onChange={(e) => updateSection('receiptThreshold', { amount: e.target.value })}
+                helperText="Leave empty to turn off"
+                disabled={!isAdmin}
+              />
+              <ActionSelect
+                value={policy.receiptThreshold.action}
+                onChange={(action) => updateSection('receiptThreshold', { action })}
+                disabled={!isAdmin}
+              />
+            </div>
+            <div className="space-y-2">
+              <Input
+                label="Submission deadline (days)"
+                type="number"
+                min="1"
+                step="1"
+                value={policy.submissionDeadline.days}
+                onChange={(e) => updateSection('submissionDeadline', { days: e.target.value })}
+                helperText="Days after the expense date; leave empty to turn off"
+                disabled={!isAdmin}
+              />
+              <ActionSelect
+                value={policy.submissionDeadline.action}
+                onChange={(action) => updateSection('submissionDeadline', { action })}
+                disabled={!isAdmin}
+              />
+            </div>
+          </div>
+
+          {isAdmin && (
+            <Button type="submit" loading={saving} className="w-full">
+              <Save className="h-4 w-4 mr-2" />
+              Save Policy
+            </Button>
+          )}
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ExpensePolicySettings;
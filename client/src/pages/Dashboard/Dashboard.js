@@ -219,6 +219,38 @@ const Dashboard = () => {
         </Card>
       </div>
 
+      {/* Department Spending; shared expenses are split by their cost allocation */}
+      {user?.role !== 'employee' && stats?.departmentStats?.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center">
+              <Users className="h-5 w-5 mr-2" />
+              Expenses by Department
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="space-y-3">
+              {stats.departmentStats.map((dept) => {
+                const share = stats.totalExpenses > 0 ? Math.round((dept.total / stats.totalExpenses) * 100) : 0;
+                return (
+                  <div key={dept.departmentId || 'none'}>
+                    <div className="flex justify-between text-sm">
+                      <span className="font-medium text-gray-900">{dept.department}</span>
+                      <span className="text-gray-600">
+                        <Money amount={dept.total} currency={user?.company?.currency || 'USD'} /> · {dept.count} expense{dept.count === 1 ? '' : 's'}
+                      </span>
+                    </div>
+                    <div className="mt-1 h-2 bg-gray-100 rounded-full">
+                      <div className="h-2 bg-blue-600 rounded-full" style={{ width: `${share}%` }} />
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
       {/* Recent Expenses */}
       <Card>
         <CardHeader>
@@ -0,0 +1,401 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '../../components/UI/Card';
+import Button from '../../components/UI/Button';
+import { MessageSquare, Reply, Edit, Trash2, Paperclip, Send, X } from 'lucide-react';
+import { expensesAPI, formatDateTime, handleApiError } from '../../utils/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { useNotifications } from '../../contexts/NotificationContext';
+import toast from 'react-hot-toast';
+
+// Mentions are stored as @[First Last](userId) and typed as @First Last
+const MENTION_PATTERN = /@\[([^\]]+)\]\(([a-f0-9]{24})\)/g;
+
+const fullName = (user) => (user ? `${user.firstName} ${user.lastName}` : 'Unknown user');
+
+// Stored body to the text shown while editing, with the users it mentions
+const toEditable = (body) => {
+  const mentioned = [];
+  const text = body.replace(MENTION_PATTERN, (match, name, userId) => {
+    mentioned.push({ _id: userId, name });
+    return `@${name}`;
+  });
+  return { text, mentioned };
+};
+
+// Typed text to the stored body; longer names go first so that "@Ann" never claims "@Anna Berg"
+const toStored = (text, mentioned) => [...mentioned]
+  .sort((a, b) => b.name.length - a.name.length)
+  .reduce((body, mention) => body.split(`@${mention.name}`).join(`@[${mention.name}](${mention._id})`), text);
+
+const CommentBody = ({ body }) => {
+  const parts = [];
+  let lastIndex = 0;
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    parts.push(body.slice(lastIndex, match.index));
+    parts.push(<span key={match.index} className="font-medium text-blue-600">@{match[1]}</span>);
+    lastIndex = match.index + match[0].length;
+  }
+  parts.push(body.slice(lastIndex));
+
+  return <p className="text-sm text-gray-700 whitespace-pre-wrap">{parts}</p>;
+};
+
+const CommentComposer = ({ mentionable, initialBody = '', allowAttachments = false, placeholder, submitLabel, onSubmit, onCancel }) => {
+  const [initial] = useState(() => toEditable(initialBody));
+  const [text, setText] = useState(initial.text);
+  const [mentioned, setMentioned] = useState(initial.mentioned);
+  const [files, setFiles] = useState([]);
+  // Partial name typed after an @ at the cursor, null when not mentioning
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const textareaRef = useRef(null);
+
+  const suggestions = mentionQuery === null ? [] : mentionable
+    .filter(candidate => fullName(candidate).toLowerCase().startsWith(mentionQuery)
+      || candidate.lastName.toLowerCase().startsWith(mentionQuery))
+    .slice(0, 5);
+
+  const handleChange = (e) => {
+    setText(e.target.value);
+    const beforeCursor = e.target.value.slice(0, e.target.selectionStart);
+    const match = beforeCursor.match(/(^|\s)@(\w*)$/);
+    setMentionQuery(match ? match[2].toLowerCase() : null);
+  };
+
+  const insertMention = (candidate) => {
+    const textarea = textareaRef.current;
+    const cursor = textarea.selectionStart;
+    const start = text.slice(0, cursor).lastIndexOf('@');
+    const name = fullName(candidate);
+
+    setText(`${text.slice(0, start)}@${name} ${text.slice(cursor)}`);
+    setMentioned(prev => (prev.some(mention => mention._id === candidate._id)
+      ? prev
+      : [...prev, { _id: candidate._id, name }]));
+    setMentionQuery(null);
+    textarea.focus();
+  };
+
+  const handleAddFiles = (e) => {
+    const selected = Array.from(e.target.files);
+    e.target.value = '';
+    setFiles(prev => [...prev, ...selected]);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    try {
+      setSaving(true);
+      await onSubmit(toStored(text, mentioned), files);
+      setText('');
+      setMentioned([]);
+      setFiles([]);
+    } catch (error) {
+      toast.error(handleApiError(error));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <div className="relative">
+        <textarea
+          ref={textareaRef}
+          value={text}
+          onChange={handleChange}
+          rows={3}
+          maxLength={2000}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          placeholder={placeholder}
+        />
+        {suggestions.length > 0 && (
+          <ul className="absolute z-10 left-0 mt-1 w-64 bg-white border border-gray-200 rounded-md shadow-lg">
+            {suggestions.map(candidate => (
+              <li key={candidate._id}>
+                <button
+                  type="button"
+                  onClick={() => insertMention(candidate)}
+                  className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50"
+                >
+                  {fullName(candidate)} <span className="text-gray-500">({candidate.role})</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {files.length > 0 && (
+        <ul className="space-y-1">
+          {files.map((file, index) => (
+            <li key={`${file.name}-${index}`} className="flex items-center text-sm text-gray-600">
+              <Paperclip className="h-4 w-4 mr-1" />
+              {file.name}
+              <button
+                type="button"
+                onClick={() => setFiles(prev => prev.filter((_, fileIndex) => fileIndex !== index))}
+                className="ml-2 text-gray-400 hover:text-gray-600"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex items-center space-x-2">
+        <Button type="submit" size="sm" loading={saving} disabled={!text.trim()}>
+          <Send className="h-4 w-4 mr-1" />
+          {submitLabel}
+        </Button>
+        {allowAttachments && (
+          <label className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50 cursor-pointer">
+            <Paperclip className="h-4 w-4 mr-1" />
+            Attach
+            <input type="file" multiple className="sr-only" accept="image/*,.pdf" onChange={handleAddFiles} />
+          </label>
+        )}
+        {onCancel && (
+          <Button type="button" variant="outline" size="sm" onClick={onCancel}>
+            Cancel
+          </Button>
+        )}
+        <span className="text-xs text-gray-500">Type @ to mention someone</span>
+      </div>
+    </form>
+  );
+};
+
+const Comment = ({ comment, isReply, currentUser, mentionable, editing, onReply, onEdit, onSaveEdit, onCancelEdit, onDelete, onDownload }) => {
+  const [showHistory, setShowHistory] = useState(false);
+  const isAuthor = comment.author?._id === currentUser?._id;
+
+  return (
+    <div className={isReply ? 'ml-6 pl-3 border-l-2 border-gray-100 space-y-1' : 'space-y-1'}>
+      <div className="flex items-center justify-between">
+        <p className="text-sm">
+          <span className="font-medium text-gray-900">{fullName(comment.author)}</span>
+          <span className="text-gray-500"> · {formatDateTime(comment.createdAt)}</span>
+          {comment.editedAt && !comment.isDeleted && (
+            <button
+              type="button"
+              onClick={() => setShowHistory(!showHistory)}
+              className="text-gray-500 hover:text-gray-700"
+            >
+              {' '}· edited
+            </button>
+          )}
+        </p>
+        {!comment.isDeleted && !editing && (
+          <div className="flex items-center space-x-2">
+            {!isReply && (
+              <button type="button" onClick={() => onReply(comment)} className="text-gray-400 hover:text-gray-600" title="Reply">
+                <Reply className="h-4 w-4" />
+              </button>
+            )}
+            {isAuthor && (
+              <button type="button" onClick={() => onEdit(comment)} className="text-gray-400 hover:text-gray-600" title="Edit">
+                <Edit className="h-4 w-4" />
+              </button>
+            )}
+            {(isAuthor || currentUser?.role === 'admin') && (
+              <button type="button" onClick={() => onDelete(comment)} className="text-gray-400 hover:text-red-600" title="Delete">
+                <Trash2 className="h-4 w-4" />
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {comment.isDeleted ? (
+        <p className="text-sm italic text-gray-400">This comment was deleted.</p>
+      ) : editing ? (
+        <CommentComposer
+          mentionable={mentionable}
+          initialBody={comment.body}
+          submitLabel="Save"
+          onSubmit={(body) => onSaveEdit(comment, body)}
+          onCancel={onCancelEdit}
+        />
+      ) : (
+        <CommentBody body={comment.body} />
+      )}
+
+      {showHistory && comment.editHistory.length > 0 && (
+        <ul className="space-y-1 p-2 bg-gray-50 rounded-md">
+          {comment.editHistory.map(version => (
+            <li key={version._id} className="text-xs text-gray-500">
+              <span className="font-medium">Replaced {formatDateTime(version.editedAt)}:</span>
+              <CommentBody body={version.body} />
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {comment.attachments.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {comment.attachments.map(attachment => (
+            <button
+              key={attachment._id}
+              type="button"
+              onClick={() => onDownload(comment, attachment)}
+              className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+            >
+              <Paperclip className="h-4 w-4 mr-1" />
+              {attachment.originalName}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ExpenseComments = ({ expenseId }) => {
+  const { user } = useAuth();
+  const { socket } = useNotifications();
+  const [threads, setThreads] = useState([]);
+  const [mentionable, setMentionable] = useState([]);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+
+  const fetchComments = useCallback(async () => {
+    try {
+      const response = await expensesAPI.getComments(expenseId);
+      setThreads(response.data);
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+    }
+  }, [expenseId]);
+
+  useEffect(() => {
+    fetchComments();
+    expensesAPI.getMentionableUsers(expenseId)
+      .then(response => setMentionable(response.data))
+      .catch(error => console.error('Error fetching mentionable users:', error));
+  }, [expenseId, fetchComments]);
+
+  // Comments written elsewhere arrive over the company room
+  useEffect(() => {
+    if (socket) {
+      const handleCommentEvent = (event) => {
+        if (event.expenseId === expenseId) {
+          fetchComments();
+        }
+      };
+
+      socket.on('expense-comment', handleCommentEvent);
+
+      return () => {
+        socket.off('expense-comment', handleCommentEvent);
+      };
+    }
+  }, [socket, expenseId, fetchComments]);
+
+  const handleAddComment = async (body, files, parent = null) => {
+    const formData = new FormData();
+    formData.append('body', body);
+    if (parent) {
+      formData.append('parent', parent._id);
+    }
+    files.forEach(file => formData.append('attachments', file));
+
+    await expensesAPI.addComment(expenseId, formData);
+    setReplyingTo(null);
+    fetchComments();
+  };
+
+  const handleSaveEdit = async (comment, body) => {
+    await expensesAPI.updateComment(expenseId, comment._id, body);
+    setEditingId(null);
+    fetchComments();
+  };
+
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Delete this comment?')) return;
+
+    try {
+      await expensesAPI.deleteComment(expenseId, comment._id);
+      toast.success('Comment deleted');
+      fetchComments();
+    } catch (error) {
+      toast.error(handleApiError(error));
+    }
+  };
+
+  const handleDownload = async (comment, attachment) => {
+    try {
+      // Ask for a fresh link; the ones loaded with the thread expire after a few minutes
+      const response = await expensesAPI.getCommentAttachmentUrl(expenseId, comment._id, attachment._id);
+      window.location.assign(response.data.url);
+    } catch (error) {
+      toast.error(handleApiError(error));
+    }
+  };
+
+  const commentProps = (comment, isReply) => ({
+    comment,
+    isReply,
+    currentUser: user,
+    mentionable,
+    editing: editingId === comment._id,
+    onReply: (target) => setReplyingTo(target._id),
+    onEdit: (target) => setEditingId(target._id),
+    onSaveEdit: handleSaveEdit,
+    onCancelEdit: () => setEditingId(null),
+    onDelete: handleDelete,
+    onDownload: handleDownload
+  });
+
+  const commentCount = threads.reduce((count, thread) => count + 1 + thread.replies.length, 0);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <MessageSquare className="h-5 w-5 mr-2" />
+          Discussion ({commentCount})
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {threads.length === 0 && (
+          <p className="text-sm text-gray-500">No comments yet.</p>
+        )}
+
+        {threads.map(thread => (
+          <div key={thread._id} className="space-y-3 pb-4 border-b border-gray-100 last:border-b-0">
+            <Comment {...commentProps(thread, false)} />
+            {thread.replies.map(reply => (
+              <Comment key={reply._id} {...commentProps(reply, true)} />
+            ))}
+            {replyingTo === thread._id && (
+              <div className="ml-6">
+                <CommentComposer
+                  mentionable={mentionable}
+                  allowAttachments
+                  placeholder={`Reply to ${fullName(thread.author)}...`}
+                  submitLabel="Reply"
+                  onSubmit={(body, files) => handleAddComment(body, files, thread)}
+                  onCancel={() => setReplyingTo(null)}
+                />
+              </div>
+            )}
+          </div>
+        ))}
+
+        <CommentComposer
+          mentionable={mentionable}
+          allowAttachments
+          placeholder="Write a comment..."
+          submitLabel="Comment"
+          onSubmit={(body, files) => handleAddComment(body, files)}
+        />
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ExpenseComments;
@@ -4,9 +4,10 @@ import { Card, CardContent, CardHeader, CardTitle } from '../../components/UI/Ca
 import Button from '../../components/UI/Button';
 import Badge from '../../components/UI/Badge';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
-import { Receipt, ArrowLeft, Edit, Download, User, Calendar, DollarSign, Tag, FileText, CheckCircle, XCircle, Clock, Trash2 } from 'lucide-react';
-import { expensesAPI, formatDate, formatDateTime } from '../../utils/api';
+import { Receipt, ArrowLeft, Edit, Download, User, Calendar, DollarSign, Tag, FileText, CheckCircle, XCircle, Clock, Trash2, Banknote, History, Upload, Paperclip, AlertTriangle, MapPin, HelpCircle } from 'lucide-react';
+import { expensesAPI, formatDate, formatDateTime, formatStatus } from '../../utils/api';
 import Money from '../../components/UI/Money';
+import ExpenseComments from './ExpenseComments';
 import { useAuth } from '../../contexts/AuthContext';
 
 const ExpenseDetails = () => {
@@ -18,9 +19,13 @@ const ExpenseDetails = () => {
   const [error, setError] = useState(null);
   const [deleteLoading, setDeleteLoading] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [activity, setActivity] = useState([]);
+  const [attachmentError, setAttachmentError] = useState(null);
+  const [uploading, setUploading] = useState(false);
 
   useEffect(() => {
     fetchExpenseDetails();
+    fetchActivity();
   }, [id]); // eslint-disable-line react-hooks/exhaustive-deps
 
   const fetchExpenseDetails = async () => {
@@ -36,6 +41,61 @@ const ExpenseDetails = () => {
     }
   };
 
+  const fetchActivity = async () => {
+    try {
+      const response = await expensesAPI.getExpenseActivity(id);
+      setActivity(response.data);
+    } catch (error) {
+      // The timeline is optional; the expense itself still renders
+      console.error('Error fetching expense activity:', error);
+    }
+  };
+
+  const handleDownloadAttachment = async (attachment) => {
+    try {
+      // Ask for a fresh link; the ones loaded with the expense expire after a few minutes
+      const response = await expensesAPI.getAttachmentUrl(id, attachment._id);
+      window.location.assign(response.data.url);
+    } catch (error) {
+      console.error('Error downloading attachment:', error);
+      setAttachmentError('Failed to download attachment');
+    }
+  };
+
+  const handleAddAttachments = async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    const formData = new FormData();
+    files.forEach(file => formData.append('attachments', file));
+
+    try {
+      setUploading(true);
+      setAttachmentError(null);
+      const response = await expensesAPI.addAttachments(id, formData);
+      setExpense(prev => ({ ...prev, attachments: response.data }));
+    } catch (error) {
+      console.error('Error adding attachments:', error);
+      setAttachmentError(error.response?.data?.message || 'Failed to upload attachments');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleRemoveAttachment = async (attachment) => {
+    if (!window.confirm(`Remove ${attachment.originalName}?`)) return;
+
+    try {
+      setAttachmentError(null);
+      const response = await expensesAPI.removeAttachment(id, attachment._id);
+      setExpense(prev => ({ ...prev, attachments: response.data }));
+    } catch (error) {
+      console.error('Error removing attachment:', error);
+      setAttachmentError(error.response?.data?.message || 'Failed to remove attachment');
+    }
+  };
+
   const handleDeleteClick = () => {
     setShowDeleteModal(true);
   };
@@ -62,7 +122,7 @@ const ExpenseDetails = () => {
   const canDeleteExpense = (expense) => {
     if (!expense || !user) return false;
     const employeeId = expense.employee?._id || expense.employee;
-    return expense.status === 'pending' && employeeId === user._id;
+    return ['draft', 'pending', 'needs_info'].includes(expense.status) && employeeId === user._id;
   };
 
   const getStatusBadgeColor = (status) => {
@@ -73,8 +133,12 @@ const ExpenseDetails = () => {
         return 'bg-red-100 text-red-800';
       case 'pending':
         return 'bg-yellow-100 text-yellow-800';
+      case 'needs_info':
+        return 'bg-orange-100 text-orange-800';
       case 'cancelled':
         return 'bg-gray-100 text-gray-800';
+      case 'draft':
+        return 'bg-blue-100 text-blue-800';
       default:
         return 'bg-gray-100 text-gray-800';
     }
@@ -88,15 +152,53 @@ const ExpenseDetails = () => {
         return <XCircle className="h-4 w-4" />;
       case 'pending':
         return <Clock className="h-4 w-4" />;
+      case 'needs_info':
+        return <HelpCircle className="h-4 w-4" />;
       default:
         return <Clock className="h-4 w-4" />;
     }
   };
 
+  const paymentMethodLabels = {
+    bank_transfer: 'Bank Transfer',
+    cash: 'Cash',
+    check: 'Check',
+    other: 'Other'
+  };
+
+  const getPayoutStatus = () => {
+    if (expense.isReimbursed) {
+      return { label: 'Paid', color: 'bg-green-100 text-green-800' };
+    }
+    if (expense.reimbursementBatch) {
+      return { label: 'Scheduled for payout', color: 'bg-yellow-100 text-yellow-800' };
+    }
+    return { label: 'Awaiting payout', color: 'bg-gray-100 text-gray-800' };
+  };
+
+  const activityActions = {
+    create: 'created',
+    update: 'updated',
+    delete: 'deleted'
+  };
+
+  const activityEntities = {
+    Expense: 'the expense',
+    ApprovalFlow: 'the approval flow'
+  };
+
+  const formatActivityValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? '' : 's'}`;
+    if (typeof value === 'object') return JSON.stringify(value);
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return formatDateTime(value);
+    return String(value);
+  };
+
   const canEditExpense = () => {
     if (!expense || !user) return false;
     const employeeId = expense.employee?._id || expense.employee;
-    return expense.status === 'pending' && employeeId === user._id;
+    return ['draft', 'pending', 'needs_info'].includes(expense.status) && employeeId === user._id;
   };
 
   if (loading) {
@@ -180,7 +282,7 @@ const ExpenseDetails = () => {
               <div className="flex items-center space-x-2">
                 {getStatusIcon(expense.status)}
                 <Badge className={`${getStatusBadgeColor(expense.status)} flex items-center space-x-1`}>
-                  <span>{expense.status.charAt(0).toUpperCase() + expense.status.slice(1)}</span>
+                  <span>{formatStatus(expense.status)}</span>
                 </Badge>
               </div>
               <div className="text-2xl font-bold text-gray-900">
@@ -197,6 +299,21 @@ const ExpenseDetails = () => {
         </CardContent>
       </Card>
 
+      {/* Policy Violations */}
+      {expense.policyViolations?.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-md p-4">
+          <div className="flex items-center text-sm font-medium text-yellow-800">
+            <AlertTriangle className="h-4 w-4 mr-2" />
+            Policy violations
+          </div>
+          <ul className="mt-2 ml-6 list-disc space-y-1">
+            {expense.policyViolations.map((violation, index) => (
+              <li key={index} className="text-sm text-yellow-800">{violation.message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Basic Information */}
         <Card>
@@ -236,8 +353,136 @@ const ExpenseDetails = () => {
                 </div>
                 <p className="text-gray-900">{expense.currency}</p>
               </div>
+              {expense.merchant && (
+                <div>
+                  <div className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-1">
+                    Merchant
+                  </div>
+                  <p className="text-gray-900">{expense.merchant}</p>
+                </div>
+              )}
+              {expense.project && (
+                <div>
+                  <div className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-1">
+                    Project
+                  </div>
+                  <p className="text-gray-900">
+                    {expense.project.code} · {expense.project.name}
+                    {expense.project.client && <span className="text-gray-500"> ({expense.project.client})</span>}
+                  </p>
+                </div>
+              )}
+              {expense.costCenter && (
+                <div>
+                  <div className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-1">
+                    Cost Center
+                  </div>
+                  <p className="text-gray-900">{expense.costCenter.code} · {expense.costCenter.name}</p>
+                </div>
+              )}
+              {expense.location?.country && (
+                <div>
+                  <div className="flex items-center text-sm font-medium text-gray-500 uppercase tracking-wide mb-1">
+                    <MapPin className="h-4 w-4 mr-1" />
+                    Location
+                  </div>
+                  <p className="text-gray-900">
+                    {expense.location.city ? `${expense.location.city}, ${expense.location.country}` : expense.location.country}
+                  </p>
+                </div>
+              )}
             </div>
             
+            {expense.type === 'mileage' && expense.mileage && (
+              <div>
+                <div className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-1">
+                  Mileage
+                </div>
+                <p className="text-gray-900">
+                  {expense.mileage.distance} {expense.mileage.unit} by {expense.mileage.vehicleType} × {expense.mileage.rate}
+                  {(expense.mileage.startLocation || expense.mileage.endLocation) &&
+                    ` (${expense.mileage.startLocation || '?'} → ${expense.mileage.endLocation || '?'})`}
+                </p>
+              </div>
+            )}
+
+            {expense.type === 'per_diem' && expense.perDiem && (
+              <div>
+                <div className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-1">
+                  Per Diem
+                </div>
+                <p className="text-gray-900">
+                  {formatDate(expense.perDiem.startDate)} – {formatDate(expense.perDiem.endDate)}:
+                  {' '}{expense.perDiem.days} days × {expense.perDiem.dailyRate}
+                  {expense.perDiem.deduction > 0 && ` − ${expense.perDiem.deduction} for provided meals`}
+                </p>
+              </div>
+            )}
+
+            {expense.lineItems?.length > 0 && (
+              <div>
+                <div className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-1">
+                  Line Items
+                </div>
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="py-1 pr-4 font-medium">Description</th>
+                      <th className="py-1 pr-4 font-medium">Category</th>
+                      <th className="py-1 pr-4 font-medium text-right">Amount</th>
+                      <th className="py-1 font-medium text-right">Tax</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {expense.lineItems.map((line, index) => (
+                      <tr key={line._id || index}>
+                        <td className="py-1 pr-4 text-gray-900">{line.description || '—'}</td>
+                        <td className="py-1 pr-4 text-gray-900">{line.category}</td>
+                        <td className="py-1 pr-4 text-right text-gray-900"><Money amount={line.amount} currency={expense.currency} /></td>
+                        <td className="py-1 text-right text-gray-900">
+                          <Money amount={line.taxAmount} currency={expense.currency} />
+                          {line.taxRate != null && <span className="text-gray-500"> ({line.taxRate}%{line.taxCode ? ` ${line.taxCode}` : ''})</span>}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {expense.tax?.amount != null && (
+              <div>
+                <div className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-1">
+                  Tax / VAT
+                </div>
+                <p className="text-gray-900">
+                  Net <Money amount={expense.tax.netAmount} currency={expense.currency} />
+                  {' + tax '}<Money amount={expense.tax.amount} currency={expense.currency} />
+                  {expense.tax.rate != null && ` at ${expense.tax.rate}%`}
+                  {expense.tax.code && <span className="text-gray-500"> ({expense.tax.code})</span>}
+                </p>
+              </div>
+            )}
+
+            {expense.allocations?.length > 0 && (
+              <div>
+                <div className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-1">
+                  Cost Allocation
+                </div>
+                <ul className="space-y-1 text-sm text-gray-900">
+                  {expense.allocations.map((allocation, index) => (
+                    <li key={allocation._id || index} className="flex justify-between">
+                      <span>
+                        {[allocation.department?.name, allocation.project?.name].filter(Boolean).join(' · ') || '—'}
+                        {allocation.percent != null && <span className="text-gray-500"> ({allocation.percent}%)</span>}
+                      </span>
+                      <Money amount={allocation.amount} currency={expense.currency} />
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
             {expense.exchangeRate && expense.exchangeRate !== 1 && (
               <div>
                 <div className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-1">
@@ -284,45 +529,142 @@ const ExpenseDetails = () => {
         </Card>
       </div>
 
-      {/* Receipt */}
-      {expense.receipt && (
+      {/* Attachments */}
+      {(expense.attachments?.length > 0 || canEditExpense()) && (
+        <Card>
+          <CardHeader>
+            <div className="flex items-center justify-between">
+              <CardTitle className="flex items-center">
+                <Paperclip className="h-5 w-5 mr-2" />
+                Receipts & Attachments ({expense.attachments?.length || 0})
+              </CardTitle>
+              {canEditExpense() && (
+                <label className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50 cursor-pointer">
+                  {uploading ? (
+                    <LoadingSpinner className="h-4 w-4 mr-1" />
+                  ) : (
+                    <Upload className="h-4 w-4 mr-1" />
+                  )}
+                  Add files
+                  <input
+                    type="file"
+                    multiple
+                    className="sr-only"
+                    accept="image/*,.pdf"
+                    onChange={handleAddAttachments}
+                    disabled={uploading}
+                  />
+                </label>
+              )}
+            </div>
+          </CardHeader>
+          <CardContent>
+            {attachmentError && (
+              <p className="mb-3 text-sm text-red-600">{attachmentError}</p>
+            )}
+            {expense.attachments?.length > 0 ? (
+              <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+                {expense.attachments.map((attachment) => (
+                  <div key={attachment._id} className="border border-gray-200 rounded-lg overflow-hidden">
+                    <div className="h-32 bg-gray-50 flex items-center justify-center">
+                      {attachment.mimetype?.startsWith('image/') && attachment.previewUrl ? (
+                        <img
+                          src={attachment.previewUrl}
+                          alt={attachment.originalName}
+                          className="h-full w-full object-cover"
+                        />
+                      ) : (
+                        <Receipt className="h-10 w-10 text-gray-400" />
+                      )}
+                    </div>
+                    <div className="p-3">
+                      <p className="text-sm font-medium text-gray-900 truncate" title={attachment.originalName}>
+                        {attachment.originalName || 'Receipt'}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {formatDate(attachment.uploadDate)}
+                        {attachment.size ? ` · ${Math.round(attachment.size / 1024)} KB` : ''}
+                      </p>
+                      <div className="flex items-center space-x-2 mt-2">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          className="flex items-center"
+                          onClick={() => handleDownloadAttachment(attachment)}
+                        >
+                          <Download className="h-4 w-4 mr-1" />
+                          Download
+                        </Button>
+                        {canEditExpense() && (
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            className="text-red-600 hover:text-red-700 hover:border-red-300"
+                            onClick={() => handleRemoveAttachment(attachment)}
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No receipts attached yet.</p>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Questions from approvers */}
+      {expense.infoRequests?.length > 0 && (
         <Card>
           <CardHeader>
             <CardTitle className="flex items-center">
-              <Receipt className="h-5 w-5 mr-2" />
-              Receipt
+              <HelpCircle className="h-5 w-5 mr-2 text-orange-600" />
+              Questions from Approvers
             </CardTitle>
           </CardHeader>
-          <CardContent>
-            <div className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
-              <div className="flex items-center">
-                <Receipt className="h-8 w-8 text-gray-400 mr-3" />
-                <div>
-                  <p className="text-sm font-medium text-gray-900">
-                    {expense.receipt.originalName || 'Receipt'}
-                  </p>
-                  <p className="text-xs text-gray-500">
-                    Uploaded on {formatDate(expense.receipt.uploadDate)}
+          <CardContent className="space-y-4">
+            {expense.infoRequests.map(request => (
+              <div key={request._id} className="text-sm border-l-2 border-orange-200 pl-3 space-y-1">
+                <p className="text-gray-900">
+                  <span className="font-medium">
+                    {request.requestedBy?.firstName} {request.requestedBy?.lastName}
+                  </span>
+                  {request.onBehalfOf && (
+                    <span className="text-gray-500">
+                      {' '}on behalf of {request.onBehalfOf.firstName} {request.onBehalfOf.lastName}
+                    </span>
+                  )}
+                  <span className="text-gray-500"> · {formatDateTime(request.requestedAt)}</span>
+                </p>
+                <p className="text-gray-700">{request.question}</p>
+                {request.respondedAt ? (
+                  <p className="text-gray-700">
+                    <span className="font-medium">
+                      {request.respondedBy?.firstName} {request.respondedBy?.lastName}:
+                    </span>{' '}
+                    {request.response}
+                    <span className="text-gray-500"> · {formatDateTime(request.respondedAt)}</span>
                   </p>
-                </div>
+                ) : canEditExpense() ? (
+                  <Link to={`/expenses/${expense._id}/edit`} className="text-blue-600 hover:text-blue-800">
+                    Answer and correct the expense
+                  </Link>
+                ) : (
+                  <p className="text-gray-500">Waiting for the submitter to answer</p>
+                )}
               </div>
-              <Button
-                variant="outline"
-                size="sm"
-                className="flex items-center"
-                onClick={() => {
-                  // In a real app, this would download the file
-                  alert('Receipt download functionality would be implemented here');
-                }}
-              >
-                <Download className="h-4 w-4 mr-1" />
-                Download
-              </Button>
-            </div>
+            ))}
           </CardContent>
         </Card>
       )}
 
+      {/* Discussion */}
+      <ExpenseComments expenseId={expense._id} />
+
       {/* Approval Information */}
       {(expense.status === 'approved' || expense.status === 'rejected') && (
         <Card>
@@ -366,6 +708,86 @@ const ExpenseDetails = () => {
                 <p className="text-gray-900">{expense.rejectionReason}</p>
               </div>
             )}
+            {expense.approvals?.length > 0 && (
+              <div>
+                <div className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-1">
+                  Approval History
+                </div>
+                <ul className="space-y-1">
+                  {expense.approvals.map(approval => (
+                    <li key={approval._id} className="text-sm text-gray-900">
+                      Step {approval.step}: {approval.status === 'rejected' ? 'Rejected' : 'Approved'} by{' '}
+                      {approval.approver?.firstName} {approval.approver?.lastName}
+                      {approval.onBehalfOf && (
+                        <span className="text-gray-500">
+                          {' '}on behalf of {approval.onBehalfOf.firstName} {approval.onBehalfOf.lastName}
+                        </span>
+                      )}
+                      {approval.approvedAt && (
+                        <span className="text-gray-500"> · {formatDateTime(approval.approvedAt)}</span>
+                      )}
+                      {approval.comments && <span className="text-gray-500"> · {approval.comments}</span>}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Payout Status */}
+      {expense.status === 'approved' && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center">
+              <Banknote className="h-5 w-5 mr-2" />
+              Payout Status
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <div className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-1">
+                  Status
+                </div>
+                <Badge className={getPayoutStatus().color}>
+                  {getPayoutStatus().label}
+                </Badge>
+              </div>
+              {expense.reimbursementBatch && (
+                <div>
+                  <div className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-1">
+                    Batch
+                  </div>
+                  <p className="text-gray-900">{expense.reimbursementBatch.batchNumber}</p>
+                </div>
+              )}
+              {expense.isReimbursed && (
+                <>
+                  <div>
+                    <div className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-1">
+                      Paid On
+                    </div>
+                    <p className="text-gray-900">{formatDate(expense.reimbursementDate)}</p>
+                  </div>
+                  <div>
+                    <div className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-1">
+                      Method
+                    </div>
+                    <p className="text-gray-900">{paymentMethodLabels[expense.reimbursementMethod] || expense.reimbursementMethod}</p>
+                  </div>
+                  {expense.reimbursementReference && (
+                    <div>
+                      <div className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-1">
+                        Reference
+                      </div>
+                      <p className="text-gray-900">{expense.reimbursementReference}</p>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
           </CardContent>
         </Card>
       )}
@@ -391,6 +813,46 @@ const ExpenseDetails = () => {
         </Card>
       )}
 
+      {/* Activity */}
+      {activity.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center">
+              <History className="h-5 w-5 mr-2" />
+              Activity
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <ol className="relative border-l border-gray-200 ml-2 space-y-6">
+              {activity.map((entry) => (
+                <li key={entry._id} className="ml-4">
+                  <span className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border border-white bg-blue-500" />
+                  <div className="flex items-center justify-between">
+                    <p className="text-sm text-gray-900">
+                      <span className="font-medium">{entry.actorName}</span>{' '}
+                      {activityActions[entry.action]} {activityEntities[entry.entityType] || entry.entityType}
+                    </p>
+                    <span className="text-xs text-gray-500">{formatDateTime(entry.createdAt)}</span>
+                  </div>
+                  {entry.action === 'update' && entry.changes.length > 0 && (
+                    <ul className="mt-2 space-y-1">
+                      {entry.changes.map((change) => (
+                        <li key={change.path} className="text-xs text-gray-600">
+                          <span className="font-mono text-gray-700">{change.path}</span>:{' '}
+                          <span className="line-through text-gray-400">{formatActivityValue(change.before)}</span>
+                          {' → '}
+                          <span>{formatActivityValue(change.after)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </li>
+              ))}
+            </ol>
+          </CardContent>
+        </Card>
+      )}
+
       {/* Delete Confirmation Modal */}
       {showDeleteModal && expense && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -1,14 +1,48 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate, useParams } from 'react-router-dom';
+import { Link, useNavigate, useParams } from 'react-router-dom';
 import { Card, CardContent, CardHeader, CardTitle } from '../../components/UI/Card';
 import Button from '../../components/UI/Button';
 import Input from '../../components/UI/Input';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
 import OCRProcessor from '../../components/UI/OCRProcessor';
-import { Receipt, Save, ArrowLeft, Upload, X, Scan } from 'lucide-react';
-import { expensesAPI, companiesAPI } from '../../utils/api';
+import { Receipt, Save, ArrowLeft, Upload, X, Scan, Send, Plus, ListPlus, Split, AlertTriangle, HelpCircle } from 'lucide-react';
+import { expensesAPI, companiesAPI, departmentsAPI, projectsAPI, costCentersAPI, budgetsAPI, formatCurrency, formatDate } from '../../utils/api';
+import { toast } from 'react-hot-toast';
 // import { useAuth } from '../../contexts/AuthContext';
 
+// Matches the server limit on files per expense
+const MAX_ATTACHMENTS = 10;
+
+const EXPENSE_TYPES = [
+  { value: 'standard', label: 'Standard' },
+  { value: 'mileage', label: 'Mileage' },
+  { value: 'per_diem', label: 'Per diem' }
+];
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+// Tax included in a gross amount at a rate (percent of the net amount)
+const taxFromGross = (gross, rate) => Math.round(gross * rate / (100 + rate) * 100) / 100;
+
+// VAT rates of a country in effect on a date, the latest one per tax code
+const vatRatesFor = (rates, country, date) => {
+  const byCode = {};
+  (rates || [])
+    .filter(rate => rate.country === country && (!rate.effectiveFrom || toDateInput(rate.effectiveFrom) <= date))
+    .forEach(rate => {
+      const current = byCode[rate.code];
+      if (!current || new Date(rate.effectiveFrom || 0) > new Date(current.effectiveFrom || 0)) {
+        byCode[rate.code] = rate;
+      }
+    });
+  return Object.values(byCode);
+};
+
+// Keep the project or cost center an expense is already charged to selectable after it closed
+const withCurrent = (options, current) => (
+  current?._id && !options.some(option => option._id === current._id) ? [...options, current] : options
+);
+
 const ExpenseForm = () => {
   const navigate = useNavigate();
   const { id } = useParams();
@@ -16,22 +50,143 @@ const ExpenseForm = () => {
   const isEditing = Boolean(id);
 
   const [loading, setLoading] = useState(false);
+  const [savingDraft, setSavingDraft] = useState(false);
+  const [expenseStatus, setExpenseStatus] = useState(null);
+  const [openQuestion, setOpenQuestion] = useState(null);
+  const [infoResponse, setInfoResponse] = useState('');
   const [company, setCompany] = useState(null);
-  const [receiptFile, setReceiptFile] = useState(null);
-  const [receiptPreview, setReceiptPreview] = useState(null);
+  const [attachments, setAttachments] = useState([]);
+  const [newFiles, setNewFiles] = useState([]);
   const [showOCR, setShowOCR] = useState(false);
   const [ocrError, setOcrError] = useState(null);
+  const [duplicates, setDuplicates] = useState([]);
+  const [calculation, setCalculation] = useState(null);
+  const [calculationError, setCalculationError] = useState(null);
+  const [lineItems, setLineItems] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [costCenters, setCostCenters] = useState([]);
+  const [chargedTo, setChargedTo] = useState({ project: null, costCenter: null });
+  const [allocations, setAllocations] = useState([]);
+  const [allocationMode, setAllocationMode] = useState('percent');
+  const [budgetCheck, setBudgetCheck] = useState(null);
   const [formData, setFormData] = useState({
+    type: 'standard',
     category: '',
     amount: '',
     currency: 'USD',
     description: '',
-    expenseDate: new Date().toISOString().split('T')[0]
+    merchant: '',
+    project: '',
+    costCenter: '',
+    locationCountry: '',
+    locationCity: '',
+    taxAmount: '',
+    taxRate: '',
+    taxCode: '',
+    expenseDate: new Date().toISOString().split('T')[0],
+    vehicleType: '',
+    distance: '',
+    startLocation: '',
+    endLocation: '',
+    perDiemStart: '',
+    perDiemEnd: '',
+    breakfasts: '',
+    lunches: '',
+    dinners: ''
   });
   const [errors, setErrors] = useState({});
 
+  const isCalculatedType = formData.type !== 'standard';
+
+  // Mileage and per-diem amounts are calculated by the server from the company rates
+  useEffect(() => {
+    if (!isCalculatedType) {
+      setCalculation(null);
+      setCalculationError(null);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await expensesAPI.calculateAmount({
+          type: formData.type,
+          expenseDate: formData.expenseDate,
+          location: { country: formData.locationCountry.toUpperCase(), city: formData.locationCity },
+          mileage: {
+            vehicleType: formData.vehicleType,
+            distance: formData.distance,
+            startLocation: formData.startLocation,
+            endLocation: formData.endLocation
+          },
+          perDiem: {
+            startDate: formData.perDiemStart,
+            endDate: formData.perDiemEnd || formData.perDiemStart,
+            mealsProvided: {
+              breakfast: formData.breakfasts || 0,
+              lunch: formData.lunches || 0,
+              dinner: formData.dinners || 0
+            }
+          }
+        });
+        setCalculation(response.data);
+        setCalculationError(null);
+      } catch (error) {
+        setCalculation(null);
+        setCalculationError(error.response?.data?.message || null);
+      }
+    }, 400);
+
+    return () => clearTimeout(timer);
+  }, [
+    isCalculatedType, formData.type, formData.expenseDate, formData.locationCountry, formData.locationCity,
+    formData.vehicleType, formData.distance, formData.startLocation, formData.endLocation,
+    formData.perDiemStart, formData.perDiemEnd, formData.breakfasts, formData.lunches, formData.dinners
+  ]);
+
+  // Warn before submitting when the expense would take a department or project budget past an alert threshold
+  const budgetAmount = Number(isCalculatedType ? calculation?.amount : formData.amount) || 0;
+  const budgetCurrency = isCalculatedType ? calculation?.currency : formData.currency;
+  const budgetDate = formData.type === 'per_diem' ? formData.perDiemStart : formData.expenseDate;
+  useEffect(() => {
+    if (!(budgetAmount > 0)) {
+      setBudgetCheck(null);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await budgetsAPI.checkExpense({
+          amount: budgetAmount,
+          currency: budgetCurrency,
+          expenseDate: budgetDate,
+          project: formData.project,
+          expenseId: id,
+          allocations: allocations
+            .filter(allocation => Number(allocation.value) > 0)
+            .map(allocation => ({
+              department: allocation.department || undefined,
+              project: allocation.project || undefined,
+              [allocationMode]: Number(allocation.value)
+            }))
+        });
+        setBudgetCheck(response.data);
+      } catch (error) {
+        setBudgetCheck(null);
+      }
+    }, 500);
+
+    return () => clearTimeout(timer);
+  }, [budgetAmount, budgetCurrency, budgetDate, formData.project, allocations, allocationMode, id]);
+
+  const budgetWarnings = (budgetCheck?.budgets || []).filter(budget =>
+    budget.exceeds || budget.alertThresholds.some(threshold => budget.projectedPercent >= threshold)
+  );
+
   useEffect(() => {
     fetchCompanyInfo();
+    fetchDepartments();
+    fetchCostAssignments();
     if (isEditing) {
       fetchExpense();
     }
@@ -50,25 +205,81 @@ const ExpenseForm = () => {
     }
   };
 
+  const fetchDepartments = async () => {
+    try {
+      const response = await departmentsAPI.getDepartments();
+      setDepartments(response.data);
+    } catch (error) {
+      console.error('Error fetching departments:', error);
+    }
+  };
+
+  // Only projects and cost centers the user may charge today are offered
+  const fetchCostAssignments = async () => {
+    try {
+      const [projectsResponse, costCentersResponse] = await Promise.all([
+        projectsAPI.getProjects({ available: true }),
+        costCentersAPI.getCostCenters({ available: true })
+      ]);
+      setProjects(projectsResponse.data);
+      setCostCenters(costCentersResponse.data);
+    } catch (error) {
+      console.error('Error fetching projects and cost centers:', error);
+    }
+  };
+
   const fetchExpense = async () => {
     try {
       setLoading(true);
       const response = await expensesAPI.getExpense(id);
       const expense = response.data;
+      setExpenseStatus(expense.status);
+      // An approver sent the expense back; answering returns it to them
+      setOpenQuestion(expense.status === 'needs_info'
+        ? expense.infoRequests?.find(request => !request.respondedAt) || null
+        : null);
       setFormData({
+        type: expense.type || 'standard',
         category: expense.category || '',
         amount: expense.amount || '',
         currency: expense.currency || 'USD',
         description: expense.description || '',
-        expenseDate: expense.expenseDate ? new Date(expense.expenseDate).toISOString().split('T')[0] : ''
+        merchant: expense.merchant || '',
+        project: expense.project?._id || '',
+        costCenter: expense.costCenter?._id || '',
+        locationCountry: expense.location?.country || '',
+        locationCity: expense.location?.city || '',
+        taxAmount: expense.tax?.amount ?? '',
+        taxRate: expense.tax?.rate ?? '',
+        taxCode: expense.tax?.code || '',
+        expenseDate: expense.expenseDate ? new Date(expense.expenseDate).toISOString().split('T')[0] : '',
+        vehicleType: expense.mileage?.vehicleType || '',
+        distance: expense.mileage?.distance || '',
+        startLocation: expense.mileage?.startLocation || '',
+        endLocation: expense.mileage?.endLocation || '',
+        perDiemStart: toDateInput(expense.perDiem?.startDate),
+        perDiemEnd: toDateInput(expense.perDiem?.endDate),
+        breakfasts: expense.perDiem?.mealsProvided?.breakfast || '',
+        lunches: expense.perDiem?.mealsProvided?.lunch || '',
+        dinners: expense.perDiem?.mealsProvided?.dinner || ''
       });
-      // Only set receipt preview if there's actually a receipt file with a valid path
-      if (expense.receipt && expense.receipt.path && expense.receipt.filename) {
-        setReceiptPreview(expense.receipt.path);
-      } else {
-        setReceiptPreview(null);
-        setReceiptFile(null);
-      }
+      setLineItems((expense.lineItems || []).map(line => ({
+        description: line.description || '',
+        category: line.category,
+        amount: line.amount,
+        taxAmount: line.taxAmount || '',
+        taxRate: line.taxRate ?? ''
+      })));
+      setChargedTo({ project: expense.project, costCenter: expense.costCenter });
+      const savedAllocations = expense.allocations || [];
+      setAllocationMode(savedAllocations.some(allocation => allocation.percent == null) ? 'amount' : 'percent');
+      setAllocations(savedAllocations.map(allocation => ({
+        department: allocation.department?._id || allocation.department || '',
+        project: allocation.project?._id || allocation.project || '',
+        value: allocation.percent ?? allocation.amount
+      })));
+      setAttachments(expense.attachments || []);
+      setNewFiles([]);
     } catch (error) {
       console.error('Error fetching expense:', error);
       navigate('/expenses');
@@ -93,49 +304,63 @@ const ExpenseForm = () => {
   };
 
   const handleFileChange = (e) => {
-    const file = e.target.files[0];
-    if (file) {
+    const files = Array.from(e.target.files);
+    // Allow picking the same file again after removing it
+    e.target.value = '';
+
+    if (attachments.length + newFiles.length + files.length > MAX_ATTACHMENTS) {
+      setErrors(prev => ({
+        ...prev,
+        receipt: `An expense can have at most ${MAX_ATTACHMENTS} attachments`
+      }));
+      return;
+    }
+
+    const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'application/pdf'];
+    for (const file of files) {
       // Validate file size (5MB limit)
       if (file.size > 5 * 1024 * 1024) {
         setErrors(prev => ({
           ...prev,
-          receipt: 'File size must be less than 5MB'
+          receipt: `${file.name}: file size must be less than 5MB`
         }));
         return;
       }
 
       // Validate file type
-      const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'application/pdf'];
       if (!allowedTypes.includes(file.type)) {
         setErrors(prev => ({
           ...prev,
-          receipt: 'Only JPEG, PNG, GIF, and PDF files are allowed'
+          receipt: `${file.name}: only JPEG, PNG, GIF, and PDF files are allowed`
         }));
         return;
       }
+    }
+
+    setNewFiles(prev => [...prev, ...files]);
+    setErrors(prev => ({
+      ...prev,
+      receipt: ''
+    }));
+  };
 
-      setReceiptFile(file);
-      setReceiptPreview(URL.createObjectURL(file));
+  const removeNewFile = (index) => {
+    setNewFiles(prev => prev.filter((file, fileIndex) => fileIndex !== index));
+  };
+
+  const removeAttachment = async (attachmentId) => {
+    try {
+      const response = await expensesAPI.removeAttachment(id, attachmentId);
+      setAttachments(response.data);
       setErrors(prev => ({
         ...prev,
         receipt: ''
       }));
-    }
-  };
-
-  const removeReceipt = () => {
-    setReceiptFile(null);
-    setReceiptPreview(null);
-    // Reset the file input
-    const fileInput = document.getElementById('receipt');
-    if (fileInput) {
-      fileInput.value = '';
-    }
-    // Clear any receipt-related errors
-    if (errors.receipt) {
+    } catch (error) {
+      console.error('Error removing attachment:', error);
       setErrors(prev => ({
         ...prev,
-        receipt: ''
+        receipt: error.response?.data?.message || 'Failed to remove attachment'
       }));
     }
   };
@@ -147,6 +372,7 @@ const ExpenseForm = () => {
     const updates = {};
     
     if (data.merchant) {
+      updates.merchant = data.merchant;
       updates.description = data.merchant;
     }
     
@@ -162,12 +388,24 @@ const ExpenseForm = () => {
       updates.expenseDate = data.date;
     }
     
-    // If we have items, create a more detailed description
-    if (data.items && data.items.length > 0) {
-      const itemsText = data.items.map(item => 
-        `${item.description} - ${item.amount}`
-      ).join(', ');
-      updates.description = `${data.merchant || 'Receipt'}: ${itemsText}`;
+    // Several receipt items become line items the employee can categorize
+    if (data.items && data.items.length > 1) {
+      setLineItems(data.items.map(item => ({
+        description: item.description || '',
+        category: formData.category,
+        amount: item.amount ?? '',
+        taxAmount: '',
+        taxRate: ''
+      })));
+    } else {
+      // Tax printed on the receipt, or the difference between total and subtotal
+      const tax = data.tax ?? (data.total && data.subtotal ? Math.round((data.total - data.subtotal) * 100) / 100 : null);
+      if (tax > 0) {
+        updates.taxAmount = tax.toString();
+        const match = data.total && vatRates.find(rate => Math.abs(taxFromGross(data.total, rate.rate) - tax) <= 0.02);
+        updates.taxRate = match ? match.rate : '';
+        updates.taxCode = match ? match.code : '';
+      }
     }
     
     setFormData(prev => ({
@@ -185,23 +423,121 @@ const ExpenseForm = () => {
     setErrors(newErrors);
   };
 
+  const updateLineItem = (index, changes) => {
+    setLineItems(prev => prev.map((line, i) => (i === index ? { ...line, ...changes } : line)));
+  };
+
+  // A rate fills in the tax it gives on the line amount
+  const updateLineTaxRate = (index, taxRate) => {
+    const line = lineItems[index];
+    updateLineItem(index, {
+      taxRate,
+      ...(taxRate !== '' && Number(line.amount) > 0 ? { taxAmount: taxFromGross(Number(line.amount), Number(taxRate)) } : {})
+    });
+  };
+
+  const addLineItem = () => {
+    setLineItems(prev => [...prev, { description: '', category: formData.category, amount: '', taxAmount: '', taxRate: '' }]);
+  };
+
+  // Picking a VAT rate (or typing one) fills in the tax it gives on the amount
+  const updateTaxRate = (taxRate, taxCode = formData.taxCode) => {
+    setFormData(prev => ({
+      ...prev,
+      taxRate,
+      taxCode,
+      ...(taxRate !== '' && Number(prev.amount) > 0 ? { taxAmount: taxFromGross(Number(prev.amount), Number(taxRate)) } : {})
+    }));
+  };
+
+  const handleTaxCodeChange = (e) => {
+    const rate = vatRates.find(vatRate => vatRate.code === e.target.value);
+    updateTaxRate(rate ? rate.rate : formData.taxRate, e.target.value);
+  };
+
+  const removeLineItem = (index) => {
+    setLineItems(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const lineItemsTotal = Math.round(lineItems.reduce((sum, line) => sum + (Number(line.amount) || 0), 0) * 100) / 100;
+  const lineItemsMismatch = lineItems.length > 0 && Math.abs(lineItemsTotal - Number(formData.amount || 0)) > 0.01;
+
+  const projectOptions = withCurrent(projects, chargedTo.project);
+  const costCenterOptions = withCurrent(costCenters, chargedTo.costCenter);
+
+  const updateAllocation = (index, changes) => {
+    setAllocations(prev => prev.map((allocation, i) => (i === index ? { ...allocation, ...changes } : allocation)));
+  };
+
+  const addAllocation = () => {
+    setAllocations(prev => [...prev, { department: '', project: '', value: '' }]);
+  };
+
+  const removeAllocation = (index) => {
+    setAllocations(prev => prev.filter((_, i) => i !== index));
+  };
+
+  // Percentages must cover the whole expense, fixed amounts must add up to it
+  const allocationTarget = allocationMode === 'percent'
+    ? 100
+    : Number(isCalculatedType ? calculation?.amount : formData.amount) || 0;
+  const allocationTotal = Math.round(allocations.reduce((sum, allocation) => sum + (Number(allocation.value) || 0), 0) * 100) / 100;
+  const amountCurrency = isCalculatedType ? calculation?.currency || formData.currency : formData.currency;
+  const allocationMismatch = allocations.length > 0 && allocationTarget > 0 && Math.abs(allocationTotal - allocationTarget) > 0.01;
+
   const handleOCRError = (error) => {
     setOcrError(error);
   };
 
+  // Drafts can be saved half-filled, only what was entered is checked
+  const validateDraft = () => {
+    const newErrors = {};
+
+    if (formData.amount && formData.amount <= 0) {
+      newErrors.amount = 'Amount must be greater than 0';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
   const validateForm = () => {
     const newErrors = {};
 
     if (!formData.category.trim()) {
       newErrors.category = 'Category is required';
     }
-    if (!formData.amount || formData.amount <= 0) {
+    if (isCalculatedType) {
+      if (!calculation) {
+        newErrors.amount = calculationError || 'The amount could not be calculated';
+      }
+    } else if (!formData.amount || formData.amount <= 0) {
       newErrors.amount = 'Amount must be greater than 0';
     }
     if (!formData.description.trim()) {
       newErrors.description = 'Description is required';
     }
-    if (!formData.expenseDate) {
+    if (!isCalculatedType && lineItems.length > 0) {
+      if (lineItems.some(line => !line.category || !(Number(line.amount) > 0))) {
+        newErrors.lineItems = 'Every line item needs a category and an amount';
+      } else if (lineItemsMismatch) {
+        newErrors.lineItems = `Line items add up to ${lineItemsTotal} but the amount is ${formData.amount}`;
+      }
+    }
+    if (!isCalculatedType && lineItems.length === 0 && formData.taxAmount !== '' &&
+        (Number(formData.taxAmount) < 0 || Number(formData.taxAmount) > Number(formData.amount))) {
+      newErrors.taxAmount = 'Tax must be between 0 and the amount';
+    }
+    if (allocations.length > 0) {
+      if (allocations.some(allocation => (!allocation.department && !allocation.project) || !(Number(allocation.value) > 0))) {
+        newErrors.allocations = `Every allocation needs a department or project and ${allocationMode === 'percent' ? 'a percentage' : 'an amount'}`;
+      } else if (allocationMismatch) {
+        newErrors.allocations = allocationMode === 'percent'
+          ? `Allocations add up to ${allocationTotal}% instead of 100%`
+          : `Allocations add up to ${allocationTotal} but the amount is ${allocationTarget}`;
+      }
+    }
+    if (formData.type === 'per_diem' ? !formData.perDiemStart : !formData.expenseDate) {
       newErrors.expenseDate = 'Expense date is required';
     }
 
@@ -211,34 +547,125 @@ const ExpenseForm = () => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    
-    if (!validateForm()) {
+    await saveExpense(false);
+  };
+
+  const saveExpense = async (asDraft) => {
+    if (!(asDraft ? validateDraft() : validateForm())) {
       return;
     }
 
     try {
-      setLoading(true);
+      if (asDraft) {
+        setSavingDraft(true);
+      } else {
+        setLoading(true);
+      }
       
       const submitData = new FormData();
-      submitData.append('category', formData.category);
-      submitData.append('amount', formData.amount);
-      submitData.append('currency', formData.currency);
-      submitData.append('description', formData.description);
-      submitData.append('expenseDate', formData.expenseDate);
+      ['type', 'category', 'currency', 'description', 'merchant'].forEach(field => {
+        if (formData[field]) {
+          submitData.append(field, formData[field]);
+        }
+      });
+
+      // Sent even when empty so that an edit can remove them
+      submitData.append('project', formData.project);
+      submitData.append('costCenter', formData.costCenter);
+
+      // Mileage and per-diem amounts are calculated by the server
+      if (formData.type === 'standard' && formData.amount) {
+        submitData.append('amount', formData.amount);
+      }
+
+      // Sent as JSON so that removing every line also reaches the server
+      if (formData.type === 'standard' && (lineItems.length > 0 || isEditing)) {
+        submitData.append('lineItems', JSON.stringify(lineItems.map(line => ({
+          ...line,
+          amount: Number(line.amount),
+          taxAmount: Number(line.taxAmount) || 0,
+          taxRate: line.taxRate === '' ? undefined : Number(line.taxRate)
+        }))));
+      }
+
+      // Itemized expenses take their tax from the lines; sent even when empty so that an edit can remove it
+      if (formData.type === 'standard' && lineItems.length === 0 &&
+          (formData.taxAmount !== '' || formData.taxRate !== '' || isEditing)) {
+        submitData.append('tax', JSON.stringify({
+          amount: formData.taxAmount,
+          rate: formData.taxRate,
+          code: formData.taxCode
+        }));
+      }
+
+      if (allocations.length > 0 || isEditing) {
+        submitData.append('allocations', JSON.stringify(allocations.map(allocation => ({
+          department: allocation.department || undefined,
+          project: allocation.project || undefined,
+          [allocationMode]: Number(allocation.value)
+        }))));
+      }
+
+      const expenseDate = formData.type === 'per_diem' ? formData.perDiemStart : formData.expenseDate;
+      if (expenseDate) {
+        submitData.append('expenseDate', expenseDate);
+      }
+
+      if (formData.type === 'mileage') {
+        submitData.append('mileage[vehicleType]', formData.vehicleType);
+        submitData.append('mileage[distance]', formData.distance);
+        submitData.append('mileage[startLocation]', formData.startLocation);
+        submitData.append('mileage[endLocation]', formData.endLocation);
+      }
+
+      if (formData.type === 'per_diem') {
+        submitData.append('perDiem[startDate]', formData.perDiemStart);
+        submitData.append('perDiem[endDate]', formData.perDiemEnd || formData.perDiemStart);
+        submitData.append('perDiem[mealsProvided][breakfast]', formData.breakfasts || 0);
+        submitData.append('perDiem[mealsProvided][lunch]', formData.lunches || 0);
+        submitData.append('perDiem[mealsProvided][dinner]', formData.dinners || 0);
+      }
       
-      if (receiptFile) {
-        submitData.append('receipt', receiptFile);
+      if (formData.locationCountry) {
+        submitData.append('location[country]', formData.locationCountry.toUpperCase());
+        submitData.append('location[city]', formData.locationCity);
+      }
+
+      newFiles.forEach(file => submitData.append('attachments', file));
+
+      if (openQuestion && infoResponse.trim()) {
+        submitData.append('infoResponse', infoResponse.trim());
       }
 
+      let response;
       if (isEditing) {
-        await expensesAPI.updateExpense(id, submitData);
+        response = await expensesAPI.updateExpense(id, submitData);
+        if (expenseStatus === 'draft' && !asDraft) {
+          response = await expensesAPI.submitExpense(id);
+        }
       } else {
-        await expensesAPI.createExpense(submitData);
+        if (asDraft) {
+          submitData.append('saveAsDraft', 'true');
+        }
+        response = await expensesAPI.createExpense(submitData);
+      }
+
+      if (asDraft) {
+        toast.success('Draft saved');
+      } else if (openQuestion && infoResponse.trim()) {
+        toast.success('Answer sent, the expense is back with your approver');
+      } else if (response.data.appliedRule) {
+        toast.success(`Expense routed for approval using rule "${response.data.appliedRule.name}"`);
+      }
+
+      if (response.data.duplicates?.length > 0) {
+        toast('This expense looks like a possible duplicate; your approver will be asked to check it', { icon: '⚠️' });
       }
 
       navigate('/expenses');
     } catch (error) {
       console.error('Error saving expense:', error);
+      setDuplicates(error.response?.data?.duplicates || []);
       if (error.response?.data?.message) {
         setErrors({ submit: error.response.data.message });
       } else if (error.response?.data?.errors) {
@@ -252,6 +679,7 @@ const ExpenseForm = () => {
       }
     } finally {
       setLoading(false);
+      setSavingDraft(false);
     }
   };
 
@@ -259,6 +687,16 @@ const ExpenseForm = () => {
     'Travel', 'Meals', 'Office Supplies', 'Transportation', 'Accommodation', 'Other'
   ];
 
+  // New expenses and drafts can be saved without submitting them
+  const canSaveDraft = !isEditing || expenseStatus === 'draft';
+
+  const vehicleTypes = [...new Set((company?.policy?.mileageRates || []).map(rate => rate.vehicleType))];
+  const vatRates = vatRatesFor(
+    company?.policy?.vat?.rates,
+    (formData.locationCountry || company?.country || '').toUpperCase(),
+    formData.expenseDate
+  );
+
   if (loading && isEditing) {
     return (
       <div className="flex justify-center items-center min-h-64">
@@ -280,7 +718,7 @@ const ExpenseForm = () => {
         </Button>
         <div>
           <h1 className="text-2xl font-bold text-gray-900">
-            {isEditing ? 'Edit Expense' : 'Submit New Expense'}
+            {isEditing ? (expenseStatus === 'draft' ? 'Edit Draft' : 'Edit Expense') : 'Submit New Expense'}
           </h1>
           <p className="text-gray-600">
             {isEditing ? 'Update your expense claim' : 'Fill out the form below to submit an expense claim'}
@@ -289,6 +727,41 @@ const ExpenseForm = () => {
       </div>
 
       <form onSubmit={handleSubmit} className="space-y-6">
+        {openQuestion && (
+          <Card className="border-orange-200 bg-orange-50">
+            <CardHeader>
+              <CardTitle className="flex items-center text-orange-900">
+                <HelpCircle className="h-5 w-5 mr-2" />
+                Your Approver Needs More Information
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              <p className="text-sm text-orange-900">
+                <span className="font-medium">
+                  {openQuestion.requestedBy?.firstName} {openQuestion.requestedBy?.lastName}:
+                </span>{' '}
+                {openQuestion.question}
+              </p>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Your answer
+                </label>
+                <textarea
+                  value={infoResponse}
+                  onChange={(e) => setInfoResponse(e.target.value)}
+                  rows={3}
+                  maxLength={1000}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  placeholder="Answer the question and correct the expense below if needed"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Saving with an answer sends the expense back for approval at the step that asked. Without one, your changes are saved and the question stays open.
+                </p>
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
         <Card>
           <CardHeader>
             <CardTitle className="flex items-center">
@@ -297,6 +770,27 @@ const ExpenseForm = () => {
             </CardTitle>
           </CardHeader>
           <CardContent className="space-y-4">
+            {canSaveDraft && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Type
+                </label>
+                <div className="flex space-x-2">
+                  {EXPENSE_TYPES.map(type => (
+                    <Button
+                      key={type.value}
+                      type="button"
+                      size="sm"
+                      variant={formData.type === type.value ? 'primary' : 'outline'}
+                      onClick={() => setFormData(prev => ({ ...prev, type: type.value }))}
+                    >
+                      {type.label}
+                    </Button>
+                  ))}
+                </div>
+              </div>
+            )}
+
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -321,44 +815,171 @@ const ExpenseForm = () => {
                 )}
               </div>
 
-              <div>
+              {formData.type !== 'per_diem' && (
+                <div>
+                  <Input
+                    label={formData.type === 'mileage' ? 'Trip Date' : 'Expense Date'}
+                    name="expenseDate"
+                    type="date"
+                    value={formData.expenseDate}
+                    onChange={handleInputChange}
+                    error={errors.expenseDate}
+                    required
+                  />
+                </div>
+              )}
+            </div>
+
+            {formData.type === 'mileage' && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Vehicle <span className="text-red-500">*</span>
+                  </label>
+                  <select
+                    name="vehicleType"
+                    value={formData.vehicleType}
+                    onChange={handleInputChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    required
+                  >
+                    <option value="">Select Vehicle</option>
+                    {vehicleTypes.map(vehicleType => (
+                      <option key={vehicleType} value={vehicleType}>
+                        {vehicleType}
+                      </option>
+                    ))}
+                  </select>
+                </div>
                 <Input
-                  label="Expense Date"
-                  name="expenseDate"
-                  type="date"
-                  value={formData.expenseDate}
+                  label="Distance"
+                  name="distance"
+                  type="number"
+                  step="0.1"
+                  min="0.1"
+                  value={formData.distance}
                   onChange={handleInputChange}
-                  error={errors.expenseDate}
                   required
                 />
+                <Input
+                  label="From"
+                  name="startLocation"
+                  value={formData.startLocation}
+                  onChange={handleInputChange}
+                  placeholder="e.g. Office"
+                />
+                <Input
+                  label="To"
+                  name="endLocation"
+                  value={formData.endLocation}
+                  onChange={handleInputChange}
+                  placeholder="e.g. Client site"
+                />
               </div>
-            </div>
+            )}
 
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div>
+            {formData.type === 'per_diem' && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <Input
-                  label="Amount"
-                  name="amount"
-                  type="number"
-                  step="0.01"
-                  min="0.01"
-                  value={formData.amount}
+                  label="Start Date"
+                  name="perDiemStart"
+                  type="date"
+                  value={formData.perDiemStart}
                   onChange={handleInputChange}
-                  error={errors.amount}
+                  error={errors.expenseDate}
                   required
                 />
-              </div>
-
-              <div>
                 <Input
-                  label="Currency"
-                  name="currency"
-                  value={formData.currency}
+                  label="End Date"
+                  name="perDiemEnd"
+                  type="date"
+                  value={formData.perDiemEnd}
                   onChange={handleInputChange}
-                  readOnly={!isEditing} // Can't change currency on edit
+                  min={formData.perDiemStart}
                 />
+                <div className="md:col-span-2 grid grid-cols-3 gap-4">
+                  <Input
+                    label="Breakfasts provided"
+                    name="breakfasts"
+                    type="number"
+                    min="0"
+                    value={formData.breakfasts}
+                    onChange={handleInputChange}
+                  />
+                  <Input
+                    label="Lunches provided"
+                    name="lunches"
+                    type="number"
+                    min="0"
+                    value={formData.lunches}
+                    onChange={handleInputChange}
+                  />
+                  <Input
+                    label="Dinners provided"
+                    name="dinners"
+                    type="number"
+                    min="0"
+                    value={formData.dinners}
+                    onChange={handleInputChange}
+                  />
+                </div>
+                <p className="md:col-span-2 text-sm text-gray-500">
+                  The rate comes from the country and city below; provided meals are deducted.
+                </p>
               </div>
-            </div>
+            )}
+
+            {isCalculatedType ? (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Amount
+                </label>
+                <div className="px-3 py-2 bg-gray-50 border border-gray-200 rounded-md text-gray-900">
+                  {calculation ? formatCurrency(calculation.amount, calculation.currency) : '—'}
+                  {calculation?.details?.rate !== undefined && (
+                    <span className="ml-2 text-sm text-gray-500">
+                      ({calculation.details.distance} {calculation.details.unit} × {calculation.details.rate})
+                    </span>
+                  )}
+                  {calculation?.details?.days !== undefined && (
+                    <span className="ml-2 text-sm text-gray-500">
+                      ({calculation.details.days} days × {calculation.details.dailyRate}
+                      {calculation.details.deduction > 0 && ` − ${calculation.details.deduction} meals`})
+                    </span>
+                  )}
+                </div>
+                {(errors.amount || calculationError) && (
+                  <p className="mt-1 text-sm text-red-600">{errors.amount || calculationError}</p>
+                )}
+                <p className="mt-1 text-xs text-gray-500">Calculated from your company's rates</p>
+              </div>
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <Input
+                    label="Amount"
+                    name="amount"
+                    type="number"
+                    step="0.01"
+                    min="0.01"
+                    value={formData.amount}
+                    onChange={handleInputChange}
+                    error={errors.amount}
+                    required
+                  />
+                </div>
+
+                <div>
+                  <Input
+                    label="Currency"
+                    name="currency"
+                    value={formData.currency}
+                    onChange={handleInputChange}
+                    readOnly={!isEditing} // Can't change currency on edit
+                  />
+                </div>
+              </div>
+            )}
 
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -378,6 +999,320 @@ const ExpenseForm = () => {
               )}
             </div>
 
+            <div>
+              <Input
+                label="Merchant"
+                name="merchant"
+                value={formData.merchant}
+                onChange={handleInputChange}
+                error={errors.merchant}
+                placeholder="e.g. City Taxi"
+              />
+            </div>
+
+            {(projectOptions.length > 0 || costCenterOptions.length > 0) && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Project
+                  </label>
+                  <select
+                    name="project"
+                    value={formData.project}
+                    onChange={handleInputChange}
+                    className="input"
+                  >
+                    <option value="">No project</option>
+                    {projectOptions.map(project => (
+                      <option key={project._id} value={project._id}>
+                        {project.code} · {project.name}{project.client ? ` (${project.client})` : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Cost Center
+                  </label>
+                  <select
+                    name="costCenter"
+                    value={formData.costCenter}
+                    onChange={handleInputChange}
+                    className="input"
+                  >
+                    <option value="">No cost center</option>
+                    {costCenterOptions.map(costCenter => (
+                      <option key={costCenter._id} value={costCenter._id}>
+                        {costCenter.code} · {costCenter.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            )}
+
+            {!isCalculatedType && (
+              <div>
+                <div className="flex items-center justify-between mb-1">
+                  <label className="block text-sm font-medium text-gray-700">
+                    Line Items
+                  </label>
+                  <Button type="button" variant="outline" size="sm" onClick={addLineItem}>
+                    {lineItems.length === 0 ? <ListPlus className="h-4 w-4 mr-1" /> : <Plus className="h-4 w-4 mr-1" />}
+                    {lineItems.length === 0 ? 'Split into line items' : 'Add line'}
+                  </Button>
+                </div>
+                {lineItems.length === 0 ? (
+                  <p className="text-sm text-gray-500">
+                    Split a bill across categories, e.g. a hotel bill into Accommodation and Meals.
+                  </p>
+                ) : (
+                  <div className="space-y-2">
+                    {lineItems.map((line, index) => (
+                      <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                        <input
+                          value={line.description}
+                          onChange={(e) => updateLineItem(index, { description: e.target.value })}
+                          placeholder="Description"
+                          className="input col-span-3"
+                        />
+                        <select
+                          value={line.category}
+                          onChange={(e) => updateLineItem(index, { category: e.target.value })}
+                          className="input col-span-3"
+                        >
+                          <option value="">Category</option>
+                          {expenseCategories.map(category => (
+                            <option key={category} value={category}>
+                              {category}
+                            </option>
+                          ))}
+                        </select>
+                        <input
+                          type="number"
+                          step="0.01"
+                          min="0.01"
+                          value={line.amount}
+                          onChange={(e) => updateLineItem(index, { amount: e.target.value })}
+                          placeholder="Amount"
+                          className="input col-span-2"
+                        />
+                        <input
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          value={line.taxAmount}
+                          onChange={(e) => updateLineItem(index, { taxAmount: e.target.value })}
+                          placeholder="Tax"
+                          className="input col-span-2"
+                        />
+                        <input
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          max="100"
+                          value={line.taxRate}
+                          onChange={(e) => updateLineTaxRate(index, e.target.value)}
+                          placeholder="%"
+                          title="Tax rate (%)"
+                          className="input col-span-1"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => removeLineItem(index)}
+                          className="col-span-1 text-red-500 hover:text-red-700"
+                        >
+                          <X className="h-4 w-4" />
+                        </button>
+                      </div>
+                    ))}
+                    <p className={`text-sm ${lineItemsMismatch ? 'text-red-600' : 'text-gray-500'}`}>
+                      Lines total {formatCurrency(lineItemsTotal, formData.currency)} of {formatCurrency(Number(formData.amount) || 0, formData.currency)}
+                    </p>
+                  </div>
+                )}
+                {errors.lineItems && (
+                  <p className="mt-1 text-sm text-red-600">{errors.lineItems}</p>
+                )}
+              </div>
+            )}
+
+            {!isCalculatedType && lineItems.length === 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Tax / VAT
+                </label>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  {vatRates.length > 0 ? (
+                    <select value={formData.taxCode} onChange={handleTaxCodeChange} className="input">
+                      <option value="">Tax code</option>
+                      {vatRates.map(rate => (
+                        <option key={rate.code} value={rate.code}>
+                          {rate.name || rate.code} ({rate.rate}%)
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    <Input
+                      name="taxCode"
+                      value={formData.taxCode}
+                      onChange={handleInputChange}
+                      placeholder="Tax code"
+                      maxLength={20}
+                    />
+                  )}
+                  <Input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    max="100"
+                    value={formData.taxRate}
+                    onChange={(e) => updateTaxRate(e.target.value)}
+                    placeholder="Rate (%)"
+                  />
+                  <Input
+                    name="taxAmount"
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={formData.taxAmount}
+                    onChange={handleInputChange}
+                    placeholder="Tax amount"
+                    error={errors.taxAmount}
+                  />
+                </div>
+                {formData.taxAmount !== '' && Number(formData.amount) > 0 && (
+                  <p className="mt-1 text-sm text-gray-500">
+                    Net {formatCurrency(Math.round((Number(formData.amount) - Number(formData.taxAmount)) * 100) / 100, formData.currency)} + tax {formatCurrency(Number(formData.taxAmount), formData.currency)}
+                  </p>
+                )}
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <Input
+                  label="Country"
+                  name="locationCountry"
+                  value={formData.locationCountry}
+                  onChange={handleInputChange}
+                  placeholder="e.g. DE"
+                  maxLength={2}
+                  helperText="Where the expense was incurred; used for per-diem and VAT rates"
+                />
+              </div>
+              <div>
+                <Input
+                  label="City"
+                  name="locationCity"
+                  value={formData.locationCity}
+                  onChange={handleInputChange}
+                  placeholder="e.g. Munich"
+                />
+              </div>
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <label className="block text-sm font-medium text-gray-700">
+                  Cost Allocation
+                </label>
+                <div className="flex items-center space-x-2">
+                  {allocations.length > 0 && (
+                    <select
+                      value={allocationMode}
+                      onChange={(e) => setAllocationMode(e.target.value)}
+                      className="input py-1 text-sm"
+                    >
+                      <option value="percent">By percentage</option>
+                      <option value="amount">By amount</option>
+                    </select>
+                  )}
+                  <Button type="button" variant="outline" size="sm" onClick={addAllocation}>
+                    {allocations.length === 0 ? <Split className="h-4 w-4 mr-1" /> : <Plus className="h-4 w-4 mr-1" />}
+                    {allocations.length === 0 ? 'Split cost' : 'Add allocation'}
+                  </Button>
+                </div>
+              </div>
+              {allocations.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                  Charge the cost to several departments or projects, e.g. a team dinner 50/50 to Engineering and Sales.
+                </p>
+              ) : (
+                <div className="space-y-2">
+                  {allocations.map((allocation, index) => (
+                    <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                      <select
+                        value={allocation.department}
+                        onChange={(e) => updateAllocation(index, { department: e.target.value })}
+                        className="input col-span-5"
+                      >
+                        <option value="">No department</option>
+                        {departments.map(department => (
+                          <option key={department._id} value={department._id}>
+                            {department.name}
+                          </option>
+                        ))}
+                      </select>
+                      <select
+                        value={allocation.project}
+                        onChange={(e) => updateAllocation(index, { project: e.target.value })}
+                        className="input col-span-4"
+                      >
+                        <option value="">No project</option>
+                        {projectOptions.map(project => (
+                          <option key={project._id} value={project._id}>
+                            {project.code} · {project.name}
+                          </option>
+                        ))}
+                      </select>
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0.01"
+                        max={allocationMode === 'percent' ? 100 : undefined}
+                        value={allocation.value}
+                        onChange={(e) => updateAllocation(index, { value: e.target.value })}
+                        placeholder={allocationMode === 'percent' ? '%' : 'Amount'}
+                        className="input col-span-2"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeAllocation(index)}
+                        className="col-span-1 text-red-500 hover:text-red-700"
+                      >
+                        <X className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                  <p className={`text-sm ${allocationMismatch ? 'text-red-600' : 'text-gray-500'}`}>
+                    {allocationMode === 'percent'
+                      ? `Allocated ${allocationTotal}% of 100%`
+                      : `Allocated ${formatCurrency(allocationTotal, amountCurrency)} of ${formatCurrency(allocationTarget, amountCurrency)}`}
+                  </p>
+                </div>
+              )}
+              {errors.allocations && (
+                <p className="mt-1 text-sm text-red-600">{errors.allocations}</p>
+              )}
+            </div>
+
+            {budgetWarnings.length > 0 && (
+              <div className="p-3 rounded-lg border border-yellow-200 bg-yellow-50 space-y-1">
+                {budgetWarnings.map(budget => (
+                  <p key={budget._id} className={`flex items-start text-sm ${budget.exceeds ? 'text-red-700' : 'text-yellow-800'}`}>
+                    <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+                    <span>
+                      {budget.exceeds ? 'Exceeds' : 'Nearly uses up'} the {budget.targetName} budget for {budget.periodLabel}:{' '}
+                      {formatCurrency(budget.projected, budgetCheck.currency)} of {formatCurrency(budget.amount, budgetCheck.currency)}{' '}
+                      ({budget.projectedPercent}%) including this expense
+                    </span>
+                  </p>
+                ))}
+                <p className="text-xs text-gray-500">You can still submit; approvers may be added when a budget is exceeded.</p>
+              </div>
+            )}
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Receipt
@@ -413,19 +1348,20 @@ const ExpenseForm = () => {
               )}
 
               {/* Traditional File Upload */}
-              {(!receiptPreview && !receiptFile) ? (
+              {attachments.length + newFiles.length < MAX_ATTACHMENTS && (
                 <div className="border-2 border-dashed border-gray-300 rounded-lg p-6">
                   <div className="text-center">
                     <Upload className="mx-auto h-8 w-8 text-gray-400" />
                     <div className="mt-2">
                       <label htmlFor="receipt" className="cursor-pointer">
                         <span className="text-sm text-blue-600 hover:text-blue-500">
-                          Upload a receipt
+                          Upload receipts
                         </span>
                         <input
                           id="receipt"
-                          name="receipt"
+                          name="attachments"
                           type="file"
+                          multiple
                           className="sr-only"
                           accept="image/*,.pdf"
                           onChange={handleFileChange}
@@ -433,34 +1369,53 @@ const ExpenseForm = () => {
                       </label>
                     </div>
                     <p className="text-xs text-gray-500 mt-1">
-                      PNG, JPG, GIF, PDF up to 5MB
+                      PNG, JPG, GIF, PDF up to 5MB each, {MAX_ATTACHMENTS} files per expense
                     </p>
                   </div>
                 </div>
-              ) : (
-                <div className="relative border border-gray-300 rounded-lg p-4">
-                  <div className="flex items-center justify-between">
-                    <div className="flex items-center">
-                      <Receipt className="h-8 w-8 text-gray-400 mr-3" />
-                      <div>
-                        <p className="text-sm font-medium text-gray-900">
-                          {receiptFile ? receiptFile.name : 'Current receipt'}
-                        </p>
-                        <p className="text-xs text-gray-500">
-                          {receiptFile ? `${Math.round(receiptFile.size / 1024)} KB` : 'Uploaded'}
-                        </p>
+              )}
+
+              {(attachments.length > 0 || newFiles.length > 0) && (
+                <ul className="mt-3 space-y-2">
+                  {attachments.map((attachment) => (
+                    <li key={attachment._id} className="flex items-center justify-between border border-gray-300 rounded-lg p-3">
+                      <div className="flex items-center">
+                        <Receipt className="h-6 w-6 text-gray-400 mr-3" />
+                        <div>
+                          <p className="text-sm font-medium text-gray-900">{attachment.originalName}</p>
+                          <p className="text-xs text-gray-500">Uploaded</p>
+                        </div>
                       </div>
-                    </div>
-                    <Button
-                      type="button"
-                      variant="outline"
-                      size="sm"
-                      onClick={removeReceipt}
-                    >
-                      <X className="h-4 w-4" />
-                    </Button>
-                  </div>
-                </div>
+                      <Button
+                        type="button"
+                        variant="outline"
+                        size="sm"
+                        onClick={() => removeAttachment(attachment._id)}
+                      >
+                        <X className="h-4 w-4" />
+                      </Button>
+                    </li>
+                  ))}
+                  {newFiles.map((file, index) => (
+                    <li key={`${file.name}-${index}`} className="flex items-center justify-between border border-gray-300 rounded-lg p-3">
+                      <div className="flex items-center">
+                        <Receipt className="h-6 w-6 text-gray-400 mr-3" />
+                        <div>
+                          <p className="text-sm font-medium text-gray-900">{file.name}</p>
+                          <p className="text-xs text-gray-500">{Math.round(file.size / 1024)} KB</p>
+                        </div>
+                      </div>
+                      <Button
+                        type="button"
+                        variant="outline"
+                        size="sm"
+                        onClick={() => removeNewFile(index)}
+                      >
+                        <X className="h-4 w-4" />
+                      </Button>
+                    </li>
+                  ))}
+                </ul>
               )}
               {errors.receipt && (
                 <p className="mt-1 text-sm text-red-600">{errors.receipt}</p>
@@ -470,6 +1425,23 @@ const ExpenseForm = () => {
             {errors.submit && (
               <div className="bg-red-50 border border-red-200 rounded-md p-3">
                 <p className="text-sm text-red-600">{errors.submit}</p>
+                {duplicates.length > 0 && (
+                  <ul className="mt-2 space-y-1">
+                    {duplicates.map(({ expense, reasons }) => (
+                      <li key={expense._id} className="text-sm text-red-600">
+                        {expense.isOwn ? (
+                          <Link to={`/expenses/${expense._id}`} className="underline">
+                            {expense.description || 'Expense'}
+                          </Link>
+                        ) : (
+                          <span>A colleague's expense</span>
+                        )}
+                        {' '}· {formatCurrency(expense.amount, expense.currency)} on {formatDate(expense.expenseDate)}
+                        {' '}({reasons.includes('same_receipt') ? 'same receipt' : 'similar details'})
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </div>
             )}
           </CardContent>
@@ -483,17 +1455,35 @@ const ExpenseForm = () => {
           >
             Cancel
           </Button>
+          {canSaveDraft && (
+            <Button
+              type="button"
+              variant="outline"
+              disabled={loading || savingDraft}
+              onClick={() => saveExpense(true)}
+              className="flex items-center"
+            >
+              {savingDraft ? (
+                <LoadingSpinner className="w-4 h-4 mr-2" />
+              ) : (
+                <Save className="h-4 w-4 mr-2" />
+              )}
+              Save Draft
+            </Button>
+          )}
           <Button
             type="submit"
-            disabled={loading}
+            disabled={loading || savingDraft}
             className="flex items-center"
           >
             {loading ? (
               <LoadingSpinner className="w-4 h-4 mr-2" />
+            ) : canSaveDraft ? (
+              <Send className="h-4 w-4 mr-2" />
             ) : (
               <Save className="h-4 w-4 mr-2" />
             )}
-            {isEditing ? 'Update Expense' : 'Submit Expense'}
+            {canSaveDraft ? 'Submit Expense' : 'Update Expense'}
           </Button>
         </div>
       </form>
@@ -0,0 +1,535 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '../../components/UI/Card';
+import Button from '../../components/UI/Button';
+import Badge from '../../components/UI/Badge';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import Money from '../../components/UI/Money';
+import { FolderOpen, Plus, Send, Trash2, ChevronDown, ChevronUp, Check, X } from 'lucide-react';
+import { reportsAPI, expensesAPI, formatDate, handleApiError } from '../../utils/api';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+
+const ExpenseReports = ({ getStatusBadgeColor, onExpensesChanged }) => {
+  const { user } = useAuth();
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedReport, setExpandedReport] = useState(null);
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [newReport, setNewReport] = useState({ title: '', description: '' });
+  const [availableExpenses, setAvailableExpenses] = useState([]);
+  const [selectedExpenseIds, setSelectedExpenseIds] = useState([]);
+  const [actionLoading, setActionLoading] = useState(null);
+  const [decisionComments, setDecisionComments] = useState('');
+  const [rejectedLines, setRejectedLines] = useState({});
+
+  useEffect(() => {
+    fetchReports();
+  }, []);
+
+  const fetchReports = async () => {
+    try {
+      setLoading(true);
+      const response = await reportsAPI.getReports({ limit: 50 });
+      setReports(response.data.reports || []);
+    } catch (error) {
+      console.error('Error fetching expense reports:', error);
+      setReports([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Own draft and pending expenses that are not in a report yet can be added to a draft report
+  const loadAvailableExpenses = async () => {
+    try {
+      const response = await expensesAPI.getExpenses({ status: 'draft,pending', limit: 100 });
+      const expensesData = response.data.expenses || [];
+      setAvailableExpenses(expensesData.filter(expense =>
+        !expense.report && (expense.employee?._id || expense.employee) === user?._id
+      ));
+    } catch (error) {
+      console.error('Error loading expenses:', error);
+      setAvailableExpenses([]);
+    }
+  };
+
+  const isOwner = (report) => (report.employee?._id || report.employee) === user?._id;
+
+  const canDecide = (report) =>
+    (user?.role === 'manager' || user?.role === 'admin') && report.status === 'pending' && !isOwner(report);
+
+  const replaceReport = (updatedReport) => {
+    setReports(reports.map(report => report._id === updatedReport._id ? updatedReport : report));
+  };
+
+  const toggleExpanded = async (report) => {
+    if (expandedReport === report._id) {
+      setExpandedReport(null);
+      return;
+    }
+
+    setExpandedReport(report._id);
+    setSelectedExpenseIds([]);
+    setRejectedLines({});
+    setDecisionComments('');
+    if (isOwner(report) && report.status === 'draft') {
+      loadAvailableExpenses();
+    }
+
+    try {
+      const response = await reportsAPI.getReport(report._id);
+      replaceReport(response.data);
+    } catch (error) {
+      console.error('Error loading expense report:', error);
+    }
+  };
+
+  const toggleSelectedExpense = (expenseId) => {
+    setSelectedExpenseIds(selectedExpenseIds.includes(expenseId)
+      ? selectedExpenseIds.filter(id => id !== expenseId)
+      : [...selectedExpenseIds, expenseId]);
+  };
+
+  const openCreateForm = () => {
+    setShowCreateForm(true);
+    setNewReport({ title: '', description: '' });
+    setSelectedExpenseIds([]);
+    loadAvailableExpenses();
+  };
+
+  const handleCreateReport = async (e) => {
+    e.preventDefault();
+    try {
+      setActionLoading('create');
+      const response = await reportsAPI.createReport({ ...newReport, expenseIds: selectedExpenseIds });
+      setReports([response.data, ...reports]);
+      setShowCreateForm(false);
+      setSelectedExpenseIds([]);
+      toast.success('Expense report created');
+      onExpensesChanged();
+    } catch (error) {
+      console.error('Error creating expense report:', error);
+      toast.error(handleApiError(error));
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleAddExpenses = async (report) => {
+    try {
+      setActionLoading(report._id);
+      const response = await reportsAPI.addExpenses(report._id, selectedExpenseIds);
+      replaceReport(response.data);
+      setSelectedExpenseIds([]);
+      loadAvailableExpenses();
+      onExpensesChanged();
+    } catch (error) {
+      console.error('Error adding expenses to report:', error);
+      toast.error(handleApiError(error));
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleRemoveExpense = async (report, expenseId) => {
+    try {
+      setActionLoading(report._id);
+      const response = await reportsAPI.removeExpense(report._id, expenseId);
+      replaceReport(response.data);
+      loadAvailableExpenses();
+      onExpensesChanged();
+    } catch (error) {
+      console.error('Error removing expense from report:', error);
+      toast.error(handleApiError(error));
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleSubmitReport = async (report) => {
+    try {
+      setActionLoading(report._id);
+      const response = await reportsAPI.submitReport(report._id);
+      replaceReport(response.data);
+      toast.success(response.data.appliedRule
+        ? `Report submitted for approval using rule "${response.data.appliedRule.name}"`
+        : 'Report submitted for approval');
+      onExpensesChanged();
+    } catch (error) {
+      console.error('Error submitting expense report:', error);
+      toast.error(handleApiError(error));
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleDeleteReport = async (report) => {
+    try {
+      setActionLoading(report._id);
+      await reportsAPI.deleteReport(report._id);
+      setReports(reports.filter(r => r._id !== report._id));
+      toast.success('Expense report deleted');
+      onExpensesChanged();
+    } catch (error) {
+      console.error('Error deleting expense report:', error);
+      toast.error(handleApiError(error));
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleApproveReport = async (report) => {
+    try {
+      setActionLoading(report._id);
+      const rejectedExpenses = Object.entries(rejectedLines)
+        .filter(([, line]) => line.rejected)
+        .map(([expenseId, line]) => ({ expenseId, reason: line.reason }));
+      const response = await reportsAPI.approveReport(report._id, {
+        comments: decisionComments,
+        rejectedExpenses
+      });
+      replaceReport(response.data);
+      setRejectedLines({});
+      setDecisionComments('');
+      toast.success(response.data.approvalResult?.message || 'Report approved');
+      onExpensesChanged();
+    } catch (error) {
+      console.error('Error approving expense report:', error);
+      toast.error(handleApiError(error));
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleRejectReport = async (report) => {
+    if (!decisionComments.trim()) {
+      toast.error('Please enter a reason for rejecting the report');
+      return;
+    }
+
+    try {
+      setActionLoading(report._id);
+      const response = await reportsAPI.rejectReport(report._id, { reason: decisionComments });
+      replaceReport(response.data);
+      setDecisionComments('');
+      toast.success('Report rejected');
+      onExpensesChanged();
+    } catch (error) {
+      console.error('Error rejecting expense report:', error);
+      toast.error(handleApiError(error));
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const renderExpensePicker = () => (
+    availableExpenses.length === 0 ? (
+      <p className="text-sm text-gray-500">No draft or pending expenses available to add.</p>
+    ) : (
+      <div className="max-h-48 overflow-y-auto border border-gray-200 rounded-md divide-y divide-gray-100">
+        {availableExpenses.map(expense => (
+          <label key={expense._id} className="flex items-center justify-between px-3 py-2 text-sm cursor-pointer hover:bg-gray-50">
+            <span className="flex items-center">
+              <input
+                type="checkbox"
+                className="mr-3"
+                checked={selectedExpenseIds.includes(expense._id)}
+                onChange={() => toggleSelectedExpense(expense._id)}
+              />
+              {formatDate(expense.expenseDate)} · {expense.description} · {expense.category}
+            </span>
+            <Money amount={expense.amount} currency={expense.currency} />
+          </label>
+        ))}
+      </div>
+    )
+  );
+
+  const renderReportDetails = (report) => {
+    const lines = (report.expenses || []).filter(line => typeof line === 'object');
+    const editable = isOwner(report) && report.status === 'draft';
+    const deciding = canDecide(report);
+
+    return (
+      <div className="mt-4 space-y-4">
+        {report.description && <p className="text-sm text-gray-600">{report.description}</p>}
+
+        <table className="w-full">
+          <thead>
+            <tr className="border-b border-gray-200">
+              <th className="text-left py-2 px-3 text-sm font-medium text-gray-900">Date</th>
+              <th className="text-left py-2 px-3 text-sm font-medium text-gray-900">Description</th>
+              <th className="text-left py-2 px-3 text-sm font-medium text-gray-900">Category</th>
+              <th className="text-left py-2 px-3 text-sm font-medium text-gray-900">Amount</th>
+              <th className="text-left py-2 px-3 text-sm font-medium text-gray-900">Status</th>
+              {(editable || deciding) && <th className="py-2 px-3"></th>}
+            </tr>
+          </thead>
+          <tbody>
+            {lines.map(line => (
+              <tr key={line._id} className="border-b border-gray-100">
+                <td className="py-2 px-3 text-sm text-gray-900">{formatDate(line.expenseDate)}</td>
+                <td className="py-2 px-3 text-sm text-gray-900">
+                  {line.description}
+                  {line.status === 'rejected' && line.rejectionReason && (
+                    <div className="text-xs text-red-600">{line.rejectionReason}</div>
+                  )}
+                </td>
+                <td className="py-2 px-3 text-sm text-gray-900">{line.category}</td>
+                <td className="py-2 px-3 text-sm text-gray-900">
+                  <Money amount={line.amount} currency={line.currency} />
+                </td>
+                <td className="py-2 px-3">
+                  <Badge className={getStatusBadgeColor(line.status)}>
+                    {line.status.charAt(0).toUpperCase() + line.status.slice(1)}
+                  </Badge>
+                </td>
+                {editable && (
+                  <td className="py-2 px-3 text-right">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleRemoveExpense(report, line._id)}
+                      disabled={actionLoading === report._id}
+                      className="text-red-600 hover:text-red-700 hover:border-red-300"
+                    >
+                      <X className="h-3 w-3" />
+                    </Button>
+                  </td>
+                )}
+                {deciding && (
+                  <td className="py-2 px-3">
+                    {line.status === 'pending' && (
+                      <div className="flex items-center space-x-2">
+                        <label className="flex items-center text-xs text-gray-700">
+                          <input
+                            type="checkbox"
+                            className="mr-1"
+                            checked={!!rejectedLines[line._id]?.rejected}
+                            onChange={(e) => setRejectedLines({
+                              ...rejectedLines,
+                              [line._id]: { ...rejectedLines[line._id], rejected: e.target.checked }
+                            })}
+                          />
+                          Reject line
+                        </label>
+                        {rejectedLines[line._id]?.rejected && (
+                          <input
+                            type="text"
+                            placeholder="Reason"
+                            className="px-2 py-1 text-xs border border-gray-300 rounded-md"
+                            value={rejectedLines[line._id]?.reason || ''}
+                            onChange={(e) => setRejectedLines({
+                              ...rejectedLines,
+                              [line._id]: { ...rejectedLines[line._id], reason: e.target.value }
+                            })}
+                          />
+                        )}
+                      </div>
+                    )}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {report.status === 'rejected' && report.rejectionReason && (
+          <p className="text-sm text-red-600">Rejection reason: {report.rejectionReason}</p>
+        )}
+
+        {editable && (
+          <div className="space-y-2">
+            <h4 className="text-sm font-medium text-gray-900">Add expenses</h4>
+            {renderExpensePicker()}
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={() => handleAddExpenses(report)}
+              disabled={selectedExpenseIds.length === 0 || actionLoading === report._id}
+            >
+              <Plus className="h-3 w-3 mr-1" />
+              Add Selected
+            </Button>
+          </div>
+        )}
+
+        {deciding && (
+          <div className="space-y-2">
+            <textarea
+              rows={2}
+              placeholder="Comments (required when rejecting)"
+              className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              value={decisionComments}
+              onChange={(e) => setDecisionComments(e.target.value)}
+            />
+            <div className="flex justify-end space-x-3">
+              <Button
+                variant="outline"
+                onClick={() => handleRejectReport(report)}
+                disabled={actionLoading === report._id}
+                className="text-red-600 hover:text-red-700 hover:border-red-300"
+              >
+                <X className="h-4 w-4 mr-2" />
+                Reject Report
+              </Button>
+              <Button
+                onClick={() => handleApproveReport(report)}
+                disabled={actionLoading === report._id}
+                className="bg-green-600 hover:bg-green-700"
+              >
+                <Check className="h-4 w-4 mr-2" />
+                Approve Report
+              </Button>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-64">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {showCreateForm ? (
+        <Card>
+          <CardHeader>
+            <CardTitle>New Expense Report</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handleCreateReport} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Title</label>
+                <input
+                  type="text"
+                  required
+                  maxLength={100}
+                  placeholder="e.g. Berlin client visit"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  value={newReport.title}
+                  onChange={(e) => setNewReport({ ...newReport, title: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <textarea
+                  rows={2}
+                  maxLength={500}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  value={newReport.description}
+                  onChange={(e) => setNewReport({ ...newReport, description: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Expenses</label>
+                {renderExpensePicker()}
+              </div>
+              <div className="flex justify-end space-x-3">
+                <Button variant="outline" onClick={() => setShowCreateForm(false)}>
+                  Cancel
+                </Button>
+                <Button type="submit" loading={actionLoading === 'create'}>
+                  Create Draft
+                </Button>
+              </div>
+            </form>
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="flex justify-end">
+          <Button onClick={openCreateForm}>
+            <Plus className="h-4 w-4 mr-2" />
+            New Report
+          </Button>
+        </div>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <FolderOpen className="h-5 w-5 mr-2" />
+            Expense Reports ({reports.length})
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {reports.length === 0 ? (
+            <div className="text-center py-12">
+              <FolderOpen className="mx-auto h-12 w-12 text-gray-400" />
+              <h3 className="mt-2 text-sm font-medium text-gray-900">No expense reports yet</h3>
+              <p className="mt-1 text-sm text-gray-500">
+                Group the expenses of a trip into a report and submit them together.
+              </p>
+            </div>
+          ) : (
+            <div className="divide-y divide-gray-100">
+              {reports.map(report => (
+                <div key={report._id} className="py-4">
+                  <div className="flex items-center justify-between">
+                    <button
+                      type="button"
+                      className="flex items-center text-left"
+                      onClick={() => toggleExpanded(report)}
+                    >
+                      {expandedReport === report._id ? (
+                        <ChevronUp className="h-4 w-4 mr-2 text-gray-400" />
+                      ) : (
+                        <ChevronDown className="h-4 w-4 mr-2 text-gray-400" />
+                      )}
+                      <div>
+                        <div className="text-sm font-medium text-gray-900">{report.title}</div>
+                        <div className="text-xs text-gray-500">
+                          {report.expenses?.length || 0} expenses
+                          {!isOwner(report) && report.employee?.firstName && ` · ${report.employee.firstName} ${report.employee.lastName}`}
+                          {report.submissionDate && ` · Submitted: ${formatDate(report.submissionDate)}`}
+                        </div>
+                      </div>
+                    </button>
+                    <div className="flex items-center space-x-3">
+                      <span className="text-sm font-medium text-gray-900">
+                        <Money amount={report.totalAmount || 0} currency={report.currency} />
+                      </span>
+                      <Badge className={getStatusBadgeColor(report.status)}>
+                        {report.status.charAt(0).toUpperCase() + report.status.slice(1)}
+                      </Badge>
+                      {isOwner(report) && report.status === 'draft' && (
+                        <>
+                          <Button
+                            size="sm"
+                            onClick={() => handleSubmitReport(report)}
+                            disabled={actionLoading === report._id || !report.expenses?.length}
+                          >
+                            <Send className="h-3 w-3 mr-1" />
+                            Submit
+                          </Button>
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => handleDeleteReport(report)}
+                            disabled={actionLoading === report._id}
+                            className="text-red-600 hover:text-red-700 hover:border-red-300"
+                          >
+                            <Trash2 className="h-3 w-3" />
+                          </Button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                  {expandedReport === report._id && renderReportDetails(report)}
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default ExpenseReports;
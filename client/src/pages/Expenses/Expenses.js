@@ -4,11 +4,12 @@ import { Card, CardContent, CardHeader, CardTitle } from '../../components/UI/Ca
 import Button from '../../components/UI/Button';
 import Badge from '../../components/UI/Badge';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
-import { Plus, Receipt, Eye, Edit, Trash2, Filter, GitBranch } from 'lucide-react';
-import { expensesAPI, approvalsAPI, formatCurrency, formatDate, handleApiError } from '../../utils/api';
+import { Plus, Receipt, Eye, Edit, Trash2, Filter, GitBranch, FolderOpen, Download } from 'lucide-react';
+import { expensesAPI, approvalsAPI, formatCurrency, formatDate, formatStatus, handleApiError, downloadBlob } from '../../utils/api';
 import { toast } from 'react-hot-toast';
 import Money from '../../components/UI/Money';
 import { useAuth } from '../../contexts/AuthContext';
+import ExpenseReports from './ExpenseReports';
 
 const Expenses = () => {
   const navigate = useNavigate();
@@ -24,6 +25,9 @@ const Expenses = () => {
   const [approvalRules, setApprovalRules] = useState([]);
   const [selectedRule, setSelectedRule] = useState('');
   const [creatingFlow, setCreatingFlow] = useState(false);
+  const [currentTab, setCurrentTab] = useState('expenses');
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exporting, setExporting] = useState(false);
 
   useEffect(() => {
     fetchExpenses();
@@ -46,6 +50,20 @@ const Expenses = () => {
     }
   };
 
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const params = filter !== 'all' ? { status: filter, format: exportFormat } : { format: exportFormat };
+      const response = await expensesAPI.exportExpenses(params);
+      downloadBlob(response.data, `expenses-${new Date().toISOString().slice(0, 10)}.${exportFormat}`);
+    } catch (error) {
+      console.error('Error exporting expenses:', error);
+      toast.error('Failed to export expenses');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const handleDeleteClick = (expense) => {
     setExpenseToDelete(expense);
     setShowDeleteModal(true);
@@ -82,8 +100,12 @@ const Expenses = () => {
         return 'bg-red-100 text-red-800';
       case 'pending':
         return 'bg-yellow-100 text-yellow-800';
+      case 'needs_info':
+        return 'bg-orange-100 text-orange-800';
       case 'cancelled':
         return 'bg-gray-100 text-gray-800';
+      case 'draft':
+        return 'bg-blue-100 text-blue-800';
       default:
         return 'bg-gray-100 text-gray-800';
     }
@@ -92,14 +114,17 @@ const Expenses = () => {
   const canEditExpense = (expense) => {
     if (!expense || !user) return false;
     const employeeId = expense.employee?._id || expense.employee;
-    return expense.status === 'pending' && employeeId === user._id;
+    return ['draft', 'pending', 'needs_info'].includes(expense.status) && employeeId === user._id;
   };
 
   const canDeleteExpense = (expense) => {
     if (!expense || !user) return false;
     
-    // Only allow deleting pending expenses
-    if (expense.status !== 'pending') return false;
+    // Only allow deleting draft and pending expenses, including those sent back with a question
+    if (!['draft', 'pending', 'needs_info'].includes(expense.status)) return false;
+
+    // Expenses in a report have to be removed from the report first
+    if (expense.report) return false;
     
     // Employees can only delete their own expenses
     if (user.role === 'employee') {
@@ -116,7 +141,8 @@ const Expenses = () => {
     return (
       (user?.role === 'manager' || user?.role === 'admin') &&
       expense.status === 'pending' &&
-      !expense.approvalFlow
+      !expense.approvalFlow &&
+      !expense.report
     );
   };
 
@@ -184,184 +210,251 @@ const Expenses = () => {
         </Link>
       </div>
 
-      {/* Filter Bar */}
-      <Card>
-        <CardContent className="py-4">
-          <div className="flex items-center space-x-4">
-            <Filter className="h-5 w-5 text-gray-400" />
-            <div className="flex space-x-2">
-              {['all', 'pending', 'approved', 'rejected'].map((status) => (
-                <Button
-                  key={status}
-                  variant={filter === status ? 'default' : 'outline'}
-                  size="sm"
-                  onClick={() => setFilter(status)}
-                >
-                  {status.charAt(0).toUpperCase() + status.slice(1)}
-                </Button>
-              ))}
-            </div>
-          </div>
-        </CardContent>
-      </Card>
+      {/* Tabs */}
+      <div className="border-b border-gray-200">
+        <nav className="-mb-px flex space-x-8" aria-label="Tabs">
+          <button
+            onClick={() => setCurrentTab('expenses')}
+            className={`${
+              currentTab === 'expenses'
+                ? 'border-blue-500 text-blue-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            } whitespace-nowrap py-2 px-1 border-b-2 font-medium text-sm flex items-center`}
+          >
+            <Receipt className="h-4 w-4 mr-2" />
+            Expenses
+          </button>
+          <button
+            onClick={() => setCurrentTab('reports')}
+            className={`${
+              currentTab === 'reports'
+                ? 'border-blue-500 text-blue-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            } whitespace-nowrap py-2 px-1 border-b-2 font-medium text-sm flex items-center`}
+          >
+            <FolderOpen className="h-4 w-4 mr-2" />
+            Reports
+          </button>
+        </nav>
+      </div>
 
-      {filteredExpenses.length === 0 ? (
-        <Card>
-          <CardHeader>
-            <CardTitle>Your Expenses</CardTitle>
-          </CardHeader>
-          <CardContent>
-            <div className="text-center py-12">
-              <Receipt className="mx-auto h-12 w-12 text-gray-400" />
-              <h3 className="mt-2 text-sm font-medium text-gray-900">
-                {filter === 'all' ? 'No expenses yet' : `No ${filter} expenses`}
-              </h3>
-              <p className="mt-1 text-sm text-gray-500">
-                {filter === 'all' 
-                  ? 'Get started by creating your first expense claim.'
-                  : `You don't have any ${filter} expenses.`
-                }
-              </p>
-              {filter === 'all' && (
-                <div className="mt-6">
-                  <Link to="/expenses/new">
-                    <Button>
-                      <Plus className="h-4 w-4 mr-2" />
-                      Submit Expense
+      {currentTab === 'reports' ? (
+        <ExpenseReports
+          getStatusBadgeColor={getStatusBadgeColor}
+          onExpensesChanged={fetchExpenses}
+        />
+      ) : (
+        <>
+          {/* Filter Bar */}
+          <Card>
+            <CardContent className="py-4">
+              <div className="flex items-center space-x-4">
+                <Filter className="h-5 w-5 text-gray-400" />
+                <div className="flex space-x-2">
+                  {['all', 'draft', 'pending', 'needs_info', 'approved', 'rejected'].map((status) => (
+                    <Button
+                      key={status}
+                      variant={filter === status ? 'default' : 'outline'}
+                      size="sm"
+                      onClick={() => setFilter(status)}
+                    >
+                      {formatStatus(status)}
                     </Button>
-                  </Link>
+                  ))}
+                </div>
+                <div className="flex items-center space-x-2 ml-auto">
+                  <select
+                    value={exportFormat}
+                    onChange={(e) => setExportFormat(e.target.value)}
+                    className="px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    aria-label="Export format"
+                  >
+                    <option value="csv">CSV</option>
+                    <option value="xlsx">Excel</option>
+                  </select>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={handleExport}
+                    loading={exporting}
+                  >
+                    <Download className="h-4 w-4 mr-2" />
+                    Export
+                  </Button>
                 </div>
-              )}
-            </div>
-          </CardContent>
-        </Card>
-      ) : (
-        <Card>
-          <CardHeader>
-            <CardTitle className="flex items-center justify-between">
-              <div className="flex items-center">
-                <Receipt className="h-5 w-5 mr-2" />
-                Your Expenses ({filteredExpenses.length})
               </div>
-            </CardTitle>
-          </CardHeader>
-          <CardContent>
-            <div className="overflow-x-auto">
-              <table className="w-full">
-                <thead>
-                  <tr className="border-b border-gray-200">
-                    <th className="text-left py-3 px-4 font-medium text-gray-900">Date</th>
-                    <th className="text-left py-3 px-4 font-medium text-gray-900">Description</th>
-                    <th className="text-left py-3 px-4 font-medium text-gray-900">Category</th>
-                    <th className="text-left py-3 px-4 font-medium text-gray-900">Amount</th>
-                    <th className="text-left py-3 px-4 font-medium text-gray-900">Status</th>
-                    <th className="text-left py-3 px-4 font-medium text-gray-900">Actions</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {filteredExpenses.map((expense) => (
-                    <tr key={expense._id} className="border-b border-gray-100 hover:bg-gray-50">
-                      <td className="py-4 px-4">
-                        <div className="text-sm text-gray-900">
-                          {formatDate(expense.expenseDate)}
-                        </div>
-                        <div className="text-xs text-gray-500">
-                          Submitted: {formatDate(expense.submissionDate)}
-                        </div>
-                      </td>
-                      <td className="py-4 px-4">
-                        <div className="text-sm font-medium text-gray-900 max-w-xs truncate">
-                          {expense.description}
-                        </div>
-                        {expense.receipt && (
-                          <div className="flex items-center mt-1">
-                            <Receipt className="h-3 w-3 text-gray-400 mr-1" />
-                            <span className="text-xs text-gray-500">Receipt attached</span>
-                          </div>
-                        )}
-                      </td>
-                      <td className="py-4 px-4">
-                        <span className="text-sm text-gray-900">{expense.category}</span>
-                      </td>
-                      <td className="py-4 px-4">
-                        <div className="text-sm font-medium text-gray-900">
-                          <Money amount={expense.amount || 0} currency={expense.currency || 'USD'} />
-                        </div>
-                      </td>
-                      <td className="py-4 px-4">
-                        <div className="flex items-center space-x-2">
-                          <Badge className={getStatusBadgeColor(expense.status)}>
-                            {expense.status.charAt(0).toUpperCase() + expense.status.slice(1)}
-                          </Badge>
-                          {expense.status === 'approved' && expense.approvals?.some(a => !a.approver) && (
-                            <span className="text-xs bg-green-100 text-green-800 px-2 py-1 rounded-full">
-                              ⚡ Auto
-                            </span>
-                          )}
-                        </div>
-                        {expense.status === 'approved' && expense.approvedAt && (
-                          <div className="text-xs text-gray-500 mt-1">
-                            {formatDate(expense.approvedAt)}
-                          </div>
-                        )}
-                        {expense.status === 'rejected' && expense.rejectedAt && (
-                          <div className="text-xs text-gray-500 mt-1">
-                            {formatDate(expense.rejectedAt)}
-                          </div>
-                        )}
-                      </td>
-                      <td className="py-4 px-4">
-                        <div className="flex items-center space-x-2">
-                          <Button
-                            variant="outline"
-                            size="sm"
-                            onClick={() => navigate(`/expenses/${expense._id}`)}
-                          >
-                            <Eye className="h-3 w-3" />
-                          </Button>
-                          {canEditExpense(expense) && (
-                            <Button
-                              variant="outline"
-                              size="sm"
-                              onClick={() => navigate(`/expenses/${expense._id}/edit`)}
-                            >
-                              <Edit className="h-3 w-3" />
-                            </Button>
-                          )}
-                          {canCreateApprovalFlow(expense) && (
-                            <Button
-                              variant="outline"
-                              size="sm"
-                              onClick={() => handleCreateApprovalFlow(expense)}
-                              className="text-blue-600 hover:text-blue-700 hover:border-blue-300"
-                            >
-                              <GitBranch className="h-3 w-3" />
-                            </Button>
-                          )}
-                          {canDeleteExpense(expense) && (
-                            <Button
-                              variant="outline"
-                              size="sm"
-                              onClick={() => handleDeleteClick(expense)}
-                              disabled={deleteLoading === expense._id}
-                              className="text-red-600 hover:text-red-700 hover:border-red-300"
-                            >
-                              {deleteLoading === expense._id ? (
-                                <LoadingSpinner className="h-3 w-3" />
-                              ) : (
-                                <Trash2 className="h-3 w-3" />
+            </CardContent>
+          </Card>
+
+          {filteredExpenses.length === 0 ? (
+            <Card>
+              <CardHeader>
+                <CardTitle>Your Expenses</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="text-center py-12">
+                  <Receipt className="mx-auto h-12 w-12 text-gray-400" />
+                  <h3 className="mt-2 text-sm font-medium text-gray-900">
+                    {filter === 'all' ? 'No expenses yet' : `No ${filter} expenses`}
+                  </h3>
+                  <p className="mt-1 text-sm text-gray-500">
+                    {filter === 'all' 
+                      ? 'Get started by creating your first expense claim.'
+                      : `You don't have any ${filter} expenses.`
+                    }
+                  </p>
+                  {filter === 'all' && (
+                    <div className="mt-6">
+                      <Link to="/expenses/new">
+                        <Button>
+                          <Plus className="h-4 w-4 mr-2" />
+                          Submit Expense
+                        </Button>
+                      </Link>
+                    </div>
+                  )}
+                </div>
+              </CardContent>
+            </Card>
+          ) : (
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center justify-between">
+                  <div className="flex items-center">
+                    <Receipt className="h-5 w-5 mr-2" />
+                    Your Expenses ({filteredExpenses.length})
+                  </div>
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="overflow-x-auto">
+                  <table className="w-full">
+                    <thead>
+                      <tr className="border-b border-gray-200">
+                        <th className="text-left py-3 px-4 font-medium text-gray-900">Date</th>
+                        <th className="text-left py-3 px-4 font-medium text-gray-900">Description</th>
+                        <th className="text-left py-3 px-4 font-medium text-gray-900">Category</th>
+                        <th className="text-left py-3 px-4 font-medium text-gray-900">Amount</th>
+                        <th className="text-left py-3 px-4 font-medium text-gray-900">Status</th>
+                        <th className="text-left py-3 px-4 font-medium text-gray-900">Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {filteredExpenses.map((expense) => (
+                        <tr key={expense._id} className="border-b border-gray-100 hover:bg-gray-50">
+                          <td className="py-4 px-4">
+                            <div className="text-sm text-gray-900">
+                              {formatDate(expense.expenseDate)}
+                            </div>
+                            <div className="text-xs text-gray-500">
+                              {expense.status === 'draft'
+                                ? `Draft saved: ${formatDate(expense.updatedAt)}`
+                                : `Submitted: ${formatDate(expense.submissionDate)}`}
+                            </div>
+                          </td>
+                          <td className="py-4 px-4">
+                            <div className="text-sm font-medium text-gray-900 max-w-xs truncate">
+                              {expense.description}
+                            </div>
+                            {expense.attachments?.length > 0 && (
+                              <div className="flex items-center mt-1">
+                                <Receipt className="h-3 w-3 text-gray-400 mr-1" />
+                                <span className="text-xs text-gray-500">
+                                  {expense.attachments.length === 1 ? 'Receipt attached' : `${expense.attachments.length} attachments`}
+                                </span>
+                              </div>
+                            )}
+                            {expense.report && (
+                              <div className="flex items-center mt-1">
+                                <FolderOpen className="h-3 w-3 text-gray-400 mr-1" />
+                                <span className="text-xs text-gray-500">Part of a report</span>
+                              </div>
+                            )}
+                          </td>
+                          <td className="py-4 px-4">
+                            <span className="text-sm text-gray-900">{expense.category}</span>
+                          </td>
+                          <td className="py-4 px-4">
+                            <div className="text-sm font-medium text-gray-900">
+                              <Money amount={expense.amount || 0} currency={expense.currency || 'USD'} />
+                            </div>
+                          </td>
+                          <td className="py-4 px-4">
+                            <div className="flex items-center space-x-2">
+                              <Badge className={getStatusBadgeColor(expense.status)}>
+                                {formatStatus(expense.status)}
+                              </Badge>
+                              {expense.status === 'approved' && expense.approvals?.some(a => !a.approver) && (
+                                <span className="text-xs bg-green-100 text-green-800 px-2 py-1 rounded-full">
+                                  ⚡ Auto
+                                </span>
                               )}
-                            </Button>
-                          )}
-                        </div>
-                      </td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          </CardContent>
-        </Card>
+                            </div>
+                            {expense.status === 'approved' && expense.approvedAt && (
+                              <div className="text-xs text-gray-500 mt-1">
+                                {formatDate(expense.approvedAt)}
+                              </div>
+                            )}
+                            {expense.status === 'rejected' && expense.rejectedAt && (
+                              <div className="text-xs text-gray-500 mt-1">
+                                {formatDate(expense.rejectedAt)}
+                              </div>
+                            )}
+                          </td>
+                          <td className="py-4 px-4">
+                            <div className="flex items-center space-x-2">
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() => navigate(`/expenses/${expense._id}`)}
+                              >
+                                <Eye className="h-3 w-3" />
+                              </Button>
+                              {canEditExpense(expense) && (
+                                <Button
+                                  variant="outline"
+                                  size="sm"
+                                  onClick={() => navigate(`/expenses/${expense._id}/edit`)}
+                                >
+                                  <Edit className="h-3 w-3" />
+                                </Button>
+                              )}
+                              {canCreateApprovalFlow(expense) && (
+                                <Button
+                                  variant="outline"
+                                  size="sm"
+                                  onClick={() => handleCreateApprovalFlow(expense)}
+                                  className="text-blue-600 hover:text-blue-700 hover:border-blue-300"
+                                >
+                                  <GitBranch className="h-3 w-3" />
+                                </Button>
+                              )}
+                              {canDeleteExpense(expense) && (
+                                <Button
+                                  variant="outline"
+                                  size="sm"
+                                  onClick={() => handleDeleteClick(expense)}
+                                  disabled={deleteLoading === expense._id}
+                                  className="text-red-600 hover:text-red-700 hover:border-red-300"
+                                >
+                                  {deleteLoading === expense._id ? (
+                                    <LoadingSpinner className="h-3 w-3" />
+                                  ) : (
+                                    <Trash2 className="h-3 w-3" />
+                                  )}
+                                </Button>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </CardContent>
+            </Card>
+          )}
+        </>
       )}
 
       {/* Create Approval Flow Modal */}
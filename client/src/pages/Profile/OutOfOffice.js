@@ -0,0 +1,260 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { Card, CardContent, CardHeader, CardTitle } from '../../components/UI/Card';
+import Button from '../../components/UI/Button';
+import Input from '../../components/UI/Input';
+import Badge from '../../components/UI/Badge';
+import Money from '../../components/UI/Money';
+import { Plane, Plus, Trash2, Save, X } from 'lucide-react';
+import { delegationsAPI, handleApiError } from '../../utils/api';
+import toast from 'react-hot-toast';
+
+const DEFAULT_CATEGORIES = ['Travel', 'Meals', 'Office Supplies', 'Transportation', 'Accommodation', 'Other'];
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyForm = () => ({
+  delegate: '',
+  startDate: today(),
+  endDate: today(),
+  categories: [],
+  maxAmount: '',
+  reason: ''
+});
+
+// Delegations cover whole UTC days, so the stored dates are shown as days
+const day = (value) => value.slice(0, 10);
+
+const delegationStatus = (delegation) => {
+  const now = new Date().toISOString();
+  if (!delegation.isActive) return { label: 'Inactive', variant: 'secondary' };
+  if (delegation.endDate < now) return { label: 'Ended', variant: 'secondary' };
+  if (delegation.startDate > now) return { label: 'Scheduled', variant: 'warning' };
+  return { label: 'In effect', variant: 'success' };
+};
+
+const fullName = (user) => (user ? `${user.firstName} ${user.lastName}` : 'Unknown user');
+
+const OutOfOffice = () => {
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+  const currency = user?.company?.currency || 'USD';
+  const categories = user?.company?.settings?.expenseCategories || DEFAULT_CATEGORIES;
+
+  const [delegations, setDelegations] = useState([]);
+  const [substitutes, setSubstitutes] = useState([]);
+  const [adding, setAdding] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(emptyForm());
+
+  const fetchDelegations = useCallback(async () => {
+    try {
+      const response = await delegationsAPI.getDelegations();
+      setDelegations(response.data);
+    } catch (error) {
+      console.error('Error fetching delegations:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDelegations();
+    delegationsAPI.getSubstitutes()
+      .then(response => setSubstitutes(response.data))
+      .catch(error => console.error('Error fetching substitutes:', error));
+  }, [fetchDelegations]);
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const toggleCategory = (category) => {
+    updateForm({
+      categories: form.categories.includes(category)
+        ? form.categories.filter(selected => selected !== category)
+        : [...form.categories, category]
+    });
+  };
+
+  const cancelAdd = () => {
+    setAdding(false);
+    setForm(emptyForm());
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await delegationsAPI.createDelegation({
+        delegate: form.delegate,
+        startDate: form.startDate,
+        endDate: form.endDate,
+        categories: form.categories,
+        maxAmount: form.maxAmount === '' ? null : Number(form.maxAmount),
+        reason: form.reason
+      });
+      toast.success('Substitute nominated successfully!');
+      cancelAdd();
+      fetchDelegations();
+    } catch (error) {
+      toast.error(handleApiError(error));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (delegation) => {
+    if (!window.confirm(`Are you sure you want to remove ${fullName(delegation.delegate)} as substitute?`)) return;
+
+    try {
+      await delegationsAPI.deleteDelegation(delegation._id);
+      toast.success('Delegation removed successfully!');
+      fetchDelegations();
+    } catch (error) {
+      toast.error(handleApiError(error));
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center">
+            <Plane className="h-5 w-5 mr-2" />
+            Out of Office
+          </CardTitle>
+          {!adding && (
+            <Button variant="outline" size="sm" onClick={() => setAdding(true)} className="flex items-center">
+              <Plus className="h-4 w-4 mr-1" />
+              Nominate Substitute
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-gray-600">
+          While you are away, your substitute can approve or reject the expenses waiting for you.
+          Their decisions are recorded as made on your behalf.
+        </p>
+
+        {adding && (
+          <form onSubmit={handleSave} className="space-y-3 p-4 border border-gray-200 rounded-lg bg-gray-50">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Substitute</label>
+                <select
+                  value={form.delegate}
+                  onChange={(e) => updateForm({ delegate: e.target.value })}
+                  className="input"
+                  required
+                >
+                  <option value="">Select...</option>
+                  {substitutes.map(substitute => (
+                    <option key={substitute._id} value={substitute._id}>
+                      {fullName(substitute)} ({substitute.role})
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <Input
+                label="From"
+                type="date"
+                value={form.startDate}
+                onChange={(e) => updateForm({ startDate: e.target.value })}
+                required
+              />
+              <Input
+                label="Until"
+                type="date"
+                value={form.endDate}
+                min={form.startDate}
+                onChange={(e) => updateForm({ endDate: e.target.value })}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Categories <span className="font-normal text-gray-500">(none selected means all)</span>
+              </label>
+              <div className="flex flex-wrap gap-3">
+                {categories.map(category => (
+                  <label key={category} className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={form.categories.includes(category)}
+                      onChange={() => toggleCategory(category)}
+                      className="mr-1"
+                    />
+                    {category}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              <Input
+                label={`Up to (${currency})`}
+                type="number"
+                step="0.01"
+                min="0"
+                value={form.maxAmount}
+                onChange={(e) => updateForm({ maxAmount: e.target.value })}
+                placeholder="No limit"
+              />
+              <div className="md:col-span-2">
+                <Input label="Reason" value={form.reason} onChange={(e) => updateForm({ reason: e.target.value })} />
+              </div>
+            </div>
+            <div className="flex items-center space-x-2">
+              <Button type="submit" size="sm" loading={saving} className="bg-green-600 hover:bg-green-700">
+                <Save className="h-4 w-4 mr-1" />
+                Save
+              </Button>
+              <Button type="button" variant="outline" size="sm" onClick={cancelAdd}>
+                <X className="h-4 w-4" />
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {delegations.length === 0 ? (
+          <p className="text-sm text-gray-500">No substitutes nominated.</p>
+        ) : (
+          <div className="space-y-3">
+            {delegations.map(delegation => {
+              const status = delegationStatus(delegation);
+              const isDelegator = delegation.delegator?._id === user?._id;
+              return (
+                <div key={delegation._id} className="flex items-start justify-between p-3 border border-gray-200 rounded-lg">
+                  <div className="text-sm">
+                    <p className="font-medium text-gray-900">
+                      {isDelegator
+                        ? `${fullName(delegation.delegate)} approves for you`
+                        : delegation.delegate?._id === user?._id
+                          ? `You approve for ${fullName(delegation.delegator)}`
+                          : `${fullName(delegation.delegate)} approves for ${fullName(delegation.delegator)}`}
+                    </p>
+                    <p className="text-gray-500 mt-1">
+                      {day(delegation.startDate)} to {day(delegation.endDate)} ·{' '}
+                      {delegation.categories.length > 0 ? delegation.categories.join(', ') : 'All categories'}
+                      {delegation.maxAmount !== null && (
+                        <> · up to <Money amount={delegation.maxAmount} currency={currency} /></>
+                      )}
+                    </p>
+                    {delegation.reason && <p className="text-gray-500 mt-1">{delegation.reason}</p>}
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <Badge variant={status.variant}>{status.label}</Badge>
+                    {(isDelegator || isAdmin) && (
+                      <Button variant="outline" size="sm" onClick={() => handleDelete(delegation)} className="text-red-600 hover:text-red-700">
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default OutOfOffice;
@@ -4,8 +4,9 @@ import { Card, CardContent, CardHeader, CardTitle } from '../../components/UI/Ca
 import Button from '../../components/UI/Button';
 import Input from '../../components/UI/Input';
 import Badge from '../../components/UI/Badge';
-import { User, Save, Eye, EyeOff, Shield, Building2, Mail, Phone, MapPin, Calendar } from 'lucide-react';
+import { User, Save, Eye, EyeOff, Shield, Building2, Mail, Phone, MapPin, Calendar, Landmark } from 'lucide-react';
 import { authAPI, usersAPI, handleApiError } from '../../utils/api';
+import OutOfOffice from './OutOfOffice';
 import toast from 'react-hot-toast';
 
 const Profile = () => {
@@ -26,6 +27,15 @@ const Profile = () => {
     newPassword: '',
     confirmPassword: ''
   });
+  const [bankData, setBankData] = useState({
+    accountHolderName: '',
+    iban: '',
+    bic: '',
+    routingNumber: '',
+    accountNumber: '',
+    accountType: 'checking'
+  });
+  const [savingBank, setSavingBank] = useState(false);
 
   useEffect(() => {
     if (user) {
@@ -37,6 +47,13 @@ const Profile = () => {
         department: user.department?.name || '',
         employeeId: user.employeeId || ''
       });
+      setBankData(prev => ({
+        ...prev,
+        accountHolderName: user.bankDetails?.accountHolderName || `${user.firstName} ${user.lastName}`,
+        bic: user.bankDetails?.bic || '',
+        routingNumber: user.bankDetails?.routingNumber || '',
+        accountType: user.bankDetails?.accountType || 'checking'
+      }));
     }
   }, [user]);
 
@@ -56,6 +73,35 @@ const Profile = () => {
     }));
   };
 
+  const handleBankChange = (e) => {
+    const { name, value } = e.target;
+    setBankData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSaveBankDetails = async (e) => {
+    e.preventDefault();
+
+    if (!bankData.iban && !(bankData.routingNumber && bankData.accountNumber)) {
+      toast.error('Enter an IBAN or a routing and account number');
+      return;
+    }
+
+    setSavingBank(true);
+    try {
+      const response = await usersAPI.updateBankDetails(user.id, bankData);
+      updateUser({ ...user, bankDetails: response.data.bankDetails });
+      setBankData(prev => ({ ...prev, iban: '', accountNumber: '' }));
+      toast.success('Bank details updated successfully!');
+    } catch (error) {
+      toast.error(handleApiError(error));
+    } finally {
+      setSavingBank(false);
+    }
+  };
+
   const handleSaveProfile = async (e) => {
     e.preventDefault();
     setSaving(true);
@@ -255,6 +301,93 @@ const Profile = () => {
               </form>
             </CardContent>
           </Card>
+          {/* Bank Details */}
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center">
+                <Landmark className="h-5 w-5 mr-2" />
+                Bank Details
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              <form onSubmit={handleSaveBankDetails} className="space-y-4">
+                <p className="text-sm text-gray-600">
+                  Used to pay out your approved expenses. Account numbers are stored encrypted.
+                  {user?.bankDetails?.maskedAccount && (
+                    <span className="block mt-1">
+                      Current account: <span className="font-medium">{user.bankDetails.maskedAccount}</span>
+                    </span>
+                  )}
+                </p>
+
+                <Input
+                  label="Account Holder Name"
+                  name="accountHolderName"
+                  value={bankData.accountHolderName}
+                  onChange={handleBankChange}
+                  required
+                />
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <Input
+                    label="IBAN"
+                    name="iban"
+                    value={bankData.iban}
+                    onChange={handleBankChange}
+                    placeholder={user?.bankDetails?.maskedAccount || 'DE89 3704 0044 0532 0130 00'}
+                    helperText="For SEPA payouts"
+                  />
+                  <Input
+                    label="BIC"
+                    name="bic"
+                    value={bankData.bic}
+                    onChange={handleBankChange}
+                  />
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <Input
+                    label="Routing Number"
+                    name="routingNumber"
+                    value={bankData.routingNumber}
+                    onChange={handleBankChange}
+                    helperText="For US ACH payouts"
+                  />
+                  <Input
+                    label="Account Number"
+                    name="accountNumber"
+                    value={bankData.accountNumber}
+                    onChange={handleBankChange}
+                    placeholder={user?.bankDetails?.maskedAccount || ''}
+                  />
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Account Type
+                    </label>
+                    <select
+                      name="accountType"
+                      value={bankData.accountType}
+                      onChange={handleBankChange}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="checking">Checking</option>
+                      <option value="savings">Savings</option>
+                    </select>
+                  </div>
+                </div>
+
+                <div className="flex justify-end">
+                  <Button type="submit" loading={savingBank}>
+                    <Save className="h-4 w-4 mr-2" />
+                    Save Bank Details
+                  </Button>
+                </div>
+              </form>
+            </CardContent>
+          </Card>
+
+          {/* Approval Delegation */}
+          <OutOfOffice />
         </div>
 
         {/* Profile Overview */}
@@ -1,17 +1,23 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
 import { Card, CardContent, CardHeader, CardTitle } from '../../components/UI/Card';
 import Button from '../../components/UI/Button';
 import Input from '../../components/UI/Input';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
-import { UserPlus, Save, ArrowLeft, Mail } from 'lucide-react';
+import { UserPlus, Save, ArrowLeft, Mail, ShieldCheck, Plus, Trash2 } from 'lucide-react';
 import { usersAPI, departmentsAPI, handleApiError } from '../../utils/api';
 import toast from 'react-hot-toast';
 
+const DEFAULT_CATEGORIES = ['Travel', 'Meals', 'Office Supplies', 'Transportation', 'Accommodation', 'Other'];
+
 const UserForm = () => {
   const navigate = useNavigate();
   const { id } = useParams();
   const isEditing = Boolean(id);
+  const { user: currentUser } = useAuth();
+  const currency = currentUser?.company?.currency || 'USD';
+  const categories = currentUser?.company?.settings?.expenseCategories || DEFAULT_CATEGORIES;
 
   const [loading, setLoading] = useState(false);
   const [managers, setManagers] = useState([]);
@@ -25,7 +31,9 @@ const UserForm = () => {
     manager: '',
     department: '',
     employeeId: '',
-    phone: ''
+    phone: '',
+    approvalLimit: '',
+    categoryApprovalLimits: []
   });
   const [errors, setErrors] = useState({});
 
@@ -74,7 +82,9 @@ const UserForm = () => {
         manager: user.manager?._id || '',
         department: user.department?._id || '',
         employeeId: user.employeeId || '',
-        phone: user.phone || ''
+        phone: user.phone || '',
+        approvalLimit: user.approvalLimit ?? '',
+        categoryApprovalLimits: (user.categoryApprovalLimits || []).map(({ category, limit }) => ({ category, limit }))
       });
     } catch (error) {
       console.error('Error fetching user:', error);
@@ -100,6 +110,29 @@ const UserForm = () => {
     }
   };
 
+  const updateCategoryLimit = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      categoryApprovalLimits: prev.categoryApprovalLimits.map((entry, i) =>
+        i === index ? { ...entry, [field]: value } : entry
+      )
+    }));
+  };
+
+  const addCategoryLimit = () => {
+    setFormData(prev => ({
+      ...prev,
+      categoryApprovalLimits: [...prev.categoryApprovalLimits, { category: '', limit: '' }]
+    }));
+  };
+
+  const removeCategoryLimit = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      categoryApprovalLimits: prev.categoryApprovalLimits.filter((_, i) => i !== index)
+    }));
+  };
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -133,7 +166,13 @@ const UserForm = () => {
     try {
       setLoading(true);
       
-      const submitData = { ...formData };
+      const submitData = {
+        ...formData,
+        approvalLimit: formData.approvalLimit === '' ? null : Number(formData.approvalLimit),
+        categoryApprovalLimits: formData.categoryApprovalLimits
+          .filter(entry => entry.category && entry.limit !== '')
+          .map(entry => ({ category: entry.category, limit: Number(entry.limit) }))
+      };
       // For new users, don't send password (it will be auto-generated)
       // For editing, only send password if it's provided
       if (!isEditing) {
@@ -355,6 +394,78 @@ const UserForm = () => {
               />
             </div>
 
+            {['manager', 'admin'].includes(formData.role) && (
+              <div className="border-t border-gray-200 pt-4 space-y-3">
+                <h3 className="text-sm font-medium text-gray-900 flex items-center">
+                  <ShieldCheck className="h-4 w-4 mr-2" />
+                  Approval Authority
+                </h3>
+                <p className="text-sm text-gray-600">
+                  Expenses above this amount are forwarded to the next manager or admin whose limit covers them.
+                  Leave empty for no limit.
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <Input
+                    label={`Approval Limit (${currency})`}
+                    name="approvalLimit"
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={formData.approvalLimit}
+                    onChange={handleInputChange}
+                    error={errors.approvalLimit}
+                    placeholder="No limit"
+                  />
+                </div>
+
+                {formData.categoryApprovalLimits.map((entry, index) => (
+                  <div key={index} className="grid grid-cols-1 md:grid-cols-2 gap-4 items-end">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Category
+                      </label>
+                      <select
+                        value={entry.category}
+                        onChange={(e) => updateCategoryLimit(index, 'category', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">Select category</option>
+                        {categories.map(category => (
+                          <option key={category} value={category}>{category}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="flex items-end space-x-2">
+                      <div className="flex-1">
+                        <Input
+                          label={`Limit (${currency})`}
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          value={entry.limit}
+                          onChange={(e) => updateCategoryLimit(index, 'limit', e.target.value)}
+                        />
+                      </div>
+                      <Button
+                        type="button"
+                        variant="outline"
+                        size="sm"
+                        onClick={() => removeCategoryLimit(index)}
+                        className="text-red-600 hover:text-red-700 mb-1"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  </div>
+                ))}
+
+                <Button type="button" variant="outline" size="sm" onClick={addCategoryLimit} className="flex items-center">
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add Category Limit
+                </Button>
+              </div>
+            )}
+
             {errors.submit && (
               <div className="bg-red-50 border border-red-200 rounded-md p-3">
                 <p className="text-sm text-red-600">{errors.submit}</p>
@@ -0,0 +1,138 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { Card, CardContent, CardHeader, CardTitle } from '../../components/UI/Card';
+import Button from '../../components/UI/Button';
+import Input from '../../components/UI/Input';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import Money from '../../components/UI/Money';
+import { Percent, Download } from 'lucide-react';
+import { expensesAPI, handleApiError, downloadBlob } from '../../utils/api';
+import toast from 'react-hot-toast';
+
+// Default period: the current month so far
+const today = () => new Date().toISOString().split('T')[0];
+const monthStart = () => `${today().slice(0, 8)}01`;
+
+const VatReport = () => {
+  const { user } = useAuth();
+  const currency = user?.company?.currency || 'USD';
+
+  const [startDate, setStartDate] = useState(monthStart());
+  const [endDate, setEndDate] = useState(today());
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+
+  const fetchReport = useCallback(async () => {
+    if (!startDate || !endDate) return;
+    try {
+      setLoading(true);
+      const response = await expensesAPI.getVatReport({ startDate, endDate });
+      setReport(response.data);
+    } catch (error) {
+      toast.error(handleApiError(error));
+    } finally {
+      setLoading(false);
+    }
+  }, [startDate, endDate]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const response = await expensesAPI.exportVatReport({ startDate, endDate });
+      downloadBlob(response.data, `vat-report-${startDate}-${endDate}.csv`);
+    } catch (error) {
+      console.error('Error exporting VAT report:', error);
+      toast.error('Failed to export VAT report');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">VAT Reclaim</h1>
+          <p className="text-gray-600">VAT on approved expenses by country and rate, by expense date</p>
+        </div>
+        <div className="flex items-end space-x-3">
+          <Input label="From" type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} />
+          <Input label="To" type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} />
+          <Button
+            variant="outline"
+            onClick={handleExport}
+            loading={exporting}
+            disabled={!report || report.rows.length === 0}
+            className="flex items-center"
+          >
+            <Download className="h-4 w-4 mr-1" />
+            Export CSV
+          </Button>
+        </div>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <Percent className="h-5 w-5 mr-2" />
+            Reclaimable VAT
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {loading ? (
+            <div className="flex items-center justify-center h-32">
+              <LoadingSpinner size="lg" />
+            </div>
+          ) : !report || report.rows.length === 0 ? (
+            <p className="text-center py-8 text-gray-500">No VAT on approved expenses in this period</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b border-gray-200">
+                    <th className="py-2 pr-4 font-medium">Country</th>
+                    <th className="py-2 pr-4 font-medium">Tax Code</th>
+                    <th className="py-2 pr-4 font-medium text-right">Rate</th>
+                    <th className="py-2 pr-4 font-medium text-right">Expenses</th>
+                    <th className="py-2 pr-4 font-medium text-right">Net</th>
+                    <th className="py-2 pr-4 font-medium text-right">Tax</th>
+                    <th className="py-2 pr-4 font-medium text-right">Net ({currency})</th>
+                    <th className="py-2 font-medium text-right">Tax ({currency})</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {report.rows.map(row => (
+                    <tr key={`${row.country}-${row.rate}-${row.code}-${row.currency}`}>
+                      <td className="py-2 pr-4 text-gray-900">{row.country}</td>
+                      <td className="py-2 pr-4 text-gray-900">{row.code || '—'}</td>
+                      <td className="py-2 pr-4 text-right text-gray-900">{row.rate != null ? `${row.rate}%` : 'Unknown'}</td>
+                      <td className="py-2 pr-4 text-right text-gray-900">{row.count}</td>
+                      <td className="py-2 pr-4 text-right text-gray-900"><Money amount={row.net} currency={row.currency} /></td>
+                      <td className="py-2 pr-4 text-right text-gray-900"><Money amount={row.tax} currency={row.currency} /></td>
+                      <td className="py-2 pr-4 text-right text-gray-900"><Money amount={row.netInCompanyCurrency} currency={currency} /></td>
+                      <td className="py-2 text-right font-medium text-gray-900"><Money amount={row.taxInCompanyCurrency} currency={currency} /></td>
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot>
+                  <tr className="border-t border-gray-200 font-medium text-gray-900">
+                    <td className="py-2 pr-4" colSpan={6}>Total</td>
+                    <td className="py-2 pr-4 text-right"><Money amount={report.totals.netInCompanyCurrency} currency={currency} /></td>
+                    <td className="py-2 text-right"><Money amount={report.totals.taxInCompanyCurrency} currency={currency} /></td>
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default VatReport;
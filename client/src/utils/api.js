@@ -54,26 +54,78 @@ export const usersAPI = {
   createUser: (userData) => api.post('/users', userData),
   updateUser: (id, userData) => api.put(`/users/${id}`, userData),
   deleteUser: (id) => api.delete(`/users/${id}`),
+  updateBankDetails: (id, bankDetails) => api.put(`/users/${id}/bank-details`, bankDetails),
 };
 
 export const companiesAPI = {
   getCompany: () => api.get('/companies'),
   updateCompany: (companyData) => api.put('/companies', companyData),
   updateSettings: (settings) => api.put('/companies/settings', settings),
+  updatePaymentSettings: (paymentSettings) => api.put('/companies/payment-settings', paymentSettings),
+  updatePolicy: (policy) => api.put('/companies/policy', policy),
+};
+
+// Expense forms carry attachments, so they are sent as multipart instead of the default JSON
+const multipartConfig = {
+  headers: {
+    'Content-Type': 'multipart/form-data',
+  },
 };
 
 export const expensesAPI = {
   getExpenses: (params) => api.get('/expenses', { params }),
   getExpense: (id) => api.get(`/expenses/${id}`),
-  createExpense: (expenseData) => api.post('/expenses', expenseData),
-  updateExpense: (id, expenseData) => api.put(`/expenses/${id}`, expenseData),
+  createExpense: (expenseData) => api.post('/expenses', expenseData, multipartConfig),
+  updateExpense: (id, expenseData) => api.put(`/expenses/${id}`, expenseData, multipartConfig),
   deleteExpense: (id) => api.delete(`/expenses/${id}`),
+  submitExpense: (id) => api.post(`/expenses/${id}/submit`),
+  calculateAmount: (data) => api.post('/expenses/calculate', data),
+  getExpenseActivity: (id) => api.get(`/expenses/${id}/activity`),
+  addAttachments: (id, formData) => api.post(`/expenses/${id}/attachments`, formData, multipartConfig),
+  getAttachmentUrl: (id, attachmentId, inline = false) =>
+    api.get(`/expenses/${id}/attachments/${attachmentId}/url`, { params: { inline } }),
+  removeAttachment: (id, attachmentId) => api.delete(`/expenses/${id}/attachments/${attachmentId}`),
+  getComments: (id) => api.get(`/expenses/${id}/comments`),
+  getMentionableUsers: (id) => api.get(`/expenses/${id}/comments/mentionable`),
+  addComment: (id, formData) => api.post(`/expenses/${id}/comments`, formData, multipartConfig),
+  updateComment: (id, commentId, body) => api.put(`/expenses/${id}/comments/${commentId}`, { body }),
+  deleteComment: (id, commentId) => api.delete(`/expenses/${id}/comments/${commentId}`),
+  getCommentAttachmentUrl: (id, commentId, attachmentId) =>
+    api.get(`/expenses/${id}/comments/${commentId}/attachments/${attachmentId}/url`),
+  exportExpenses: (params) => api.get('/expenses/export', { params, responseType: 'blob' }),
+  getVatReport: (params) => api.get('/expenses/vat-report', { params }),
+  exportVatReport: (params) => api.get('/expenses/vat-report', { params: { ...params, format: 'csv' }, responseType: 'blob' }),
+};
+
+export const reportsAPI = {
+  getReports: (params) => api.get('/reports', { params }),
+  getReport: (id) => api.get(`/reports/${id}`),
+  createReport: (reportData) => api.post('/reports', reportData),
+  updateReport: (id, reportData) => api.put(`/reports/${id}`, reportData),
+  deleteReport: (id) => api.delete(`/reports/${id}`),
+  addExpenses: (id, expenseIds) => api.post(`/reports/${id}/expenses`, { expenseIds }),
+  removeExpense: (id, expenseId) => api.delete(`/reports/${id}/expenses/${expenseId}`),
+  submitReport: (id) => api.post(`/reports/${id}/submit`),
+  approveReport: (id, data) => api.post(`/reports/${id}/approve`, data),
+  rejectReport: (id, data) => api.post(`/reports/${id}/reject`, data),
+};
+
+export const reimbursementsAPI = {
+  getEligibleExpenses: (params) => api.get('/reimbursements/eligible', { params }),
+  getBatches: (params) => api.get('/reimbursements', { params }),
+  getBatch: (id) => api.get(`/reimbursements/${id}`),
+  createBatch: (batchData) => api.post('/reimbursements', batchData),
+  markBatchPaid: (id, paymentData) => api.post(`/reimbursements/${id}/pay`, paymentData),
+  cancelBatch: (id) => api.post(`/reimbursements/${id}/cancel`),
+  previewPaymentFile: (id, format) => api.get(`/reimbursements/${id}/payment-file/preview`, { params: { format } }),
+  downloadPaymentFile: (id, params) => api.get(`/reimbursements/${id}/payment-file`, { params, responseType: 'blob' }),
 };
 
 export const approvalsAPI = {
   getPendingApprovals: (params) => api.get('/approvals/pending', { params }),
   approveExpense: (expenseId, data) => api.post(`/approvals/${expenseId}/approve`, data),
   rejectExpense: (expenseId, data) => api.post(`/approvals/${expenseId}/reject`, data),
+  requestInfo: (expenseId, data) => api.post(`/approvals/${expenseId}/request-info`, data),
   getApprovalFlows: (params) => api.get('/approvals/flows', { params }),
   getApprovalFlow: (id) => api.get(`/approvals/flows/${id}`),
   createApprovalFlow: (data) => api.post('/approvals/flows', data),
@@ -170,6 +222,24 @@ export const formatDateTime = (date) => {
   }).format(new Date(date));
 };
 
+// Status label for display, e.g. needs_info -> Needs info
+export const formatStatus = (status) => {
+  const label = status.replace(/_/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+};
+
+// Save a blob response (e.g. an export) as a file download
+export const downloadBlob = (data, fileName) => {
+  const url = window.URL.createObjectURL(new Blob([data]));
+  const link = document.createElement('a');
+  link.href = url;
+  link.setAttribute('download', fileName);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
 export const notificationsAPI = {
   getNotifications: (page = 1, limit = 20, unreadOnly = false) => 
     api.get('/notifications', { params: { page, limit, unreadOnly } }),
@@ -196,4 +266,37 @@ export const departmentsAPI = {
   getDepartmentStats: () => api.get('/departments/stats')
 };
 
+export const projectsAPI = {
+  getProjects: (params = {}) => api.get('/projects', { params }),
+  getProject: (id) => api.get(`/projects/${id}`),
+  createProject: (data) => api.post('/projects', data),
+  updateProject: (id, data) => api.put(`/projects/${id}`, data),
+  deleteProject: (id) => api.delete(`/projects/${id}`)
+};
+
+export const costCentersAPI = {
+  getCostCenters: (params = {}) => api.get('/cost-centers', { params }),
+  getCostCenter: (id) => api.get(`/cost-centers/${id}`),
+  createCostCenter: (data) => api.post('/cost-centers', data),
+  updateCostCenter: (id, data) => api.put(`/cost-centers/${id}`, data),
+  deleteCostCenter: (id) => api.delete(`/cost-centers/${id}`)
+};
+
+export const budgetsAPI = {
+  getBudgets: (params = {}) => api.get('/budgets', { params }),
+  getBudget: (id, params = {}) => api.get(`/budgets/${id}`, { params }),
+  createBudget: (data) => api.post('/budgets', data),
+  updateBudget: (id, data) => api.put(`/budgets/${id}`, data),
+  deleteBudget: (id) => api.delete(`/budgets/${id}`),
+  checkExpense: (data) => api.post('/budgets/check', data)
+};
+
+export const delegationsAPI = {
+  getDelegations: (params = {}) => api.get('/delegations', { params }),
+  getSubstitutes: () => api.get('/delegations/substitutes'),
+  createDelegation: (data) => api.post('/delegations', data),
+  updateDelegation: (id, data) => api.put(`/delegations/${id}`, data),
+  deleteDelegation: (id) => api.delete(`/delegations/${id}`)
+};
+
 export default api;
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ApprovalChainService = require('../utils/approvalChainService');
+
+// Query stand-in that resolves to a fixed value and ignores select/sort
+const query = (value) => ({
+  select() { return this; },
+  sort() { return this; },
+  then(resolve, reject) { return Promise.resolve(value).then(resolve, reject); }
+});
+
+describe('routing an approval above the approver\'s limit', () => {
+  let company;
+  let users;
+  let director;
+  let signer;
+  let employee;
+
+  const buildUser = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    company,
+    role: 'manager',
+    isActive: true,
+    isManagerApprover: true,
+    approvalLimit: null,
+    ...overrides
+  });
+
+  // Flow whose first step the signer has just approved
+  const buildFlow = (firstStepApprovers, laterSteps = []) => {
+    const steps = [
+      {
+        stepNumber: 1,
+        approvers: [{ user: signer._id, status: 'approved', isRequired: true }, ...firstStepApprovers]
+      },
+      ...laterSteps.map((approvers, index) => ({ stepNumber: index + 2, approvers }))
+    ];
+    return { currentStep: 1, totalSteps: steps.length, steps };
+  };
+
+  const expense = () => ({ amountInCompanyCurrency: 5000, category: 'Travel', employee: employee._id });
+
+  beforeEach(() => {
+    company = new mongoose.Types.ObjectId();
+    employee = buildUser({ role: 'employee', isManagerApprover: false });
+    director = buildUser({ firstName: 'Dan', lastName: 'Director' });
+    signer = buildUser({ approvalLimit: 1000, manager: director._id });
+    employee.manager = signer._id;
+    users = [employee, director, signer];
+
+    const byId = (id) => users.find(user => user._id.equals(id)) || null;
+    jest.spyOn(User, 'findById').mockImplementation((id) => query(byId(id)));
+    jest.spyOn(User, 'findOne').mockImplementation((filter) => query(byId(filter._id)));
+    jest.spyOn(User, 'find').mockImplementation((filter) => query(filter._id
+      ? users.filter(user => filter._id.$in.some(id => user._id.equals(id)))
+      : users.filter(user => user.role === filter.role)));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('leaves the flow alone when the amount is within the signer\'s limit', async () => {
+    signer.approvalLimit = 10000;
+    const flow = buildFlow([]);
+
+    const result = await ApprovalChainService.routeAboveLimit(flow, flow.steps[0], signer._id, expense());
+
+    expect(result).toEqual({ routedTo: null, blocked: false, withinLimit: true });
+    expect(flow.steps).toHaveLength(1);
+  });
+
+  it('routes past an optional approver of the step whose limit would cover the amount', async () => {
+    const optional = buildUser({ approvalLimit: 10000 });
+    users.push(optional);
+    const flow = buildFlow([{ user: optional._id, status: 'pending', isRequired: false }]);
+
+    const result = await ApprovalChainService.routeAboveLimit(flow, flow.steps[0], signer._id, expense());
+
+    expect(result.routedTo._id).toEqual(director._id);
+    expect(result.blocked).toBe(false);
+    expect(flow.totalSteps).toBe(2);
+    expect(flow.steps[1]).toMatchObject({
+      stepNumber: 2,
+      approvers: [{ user: director._id, status: 'pending', isRequired: true }]
+    });
+  });
+
+  it('relies on a required approver who must still decide', async () => {
+    const required = buildUser({ approvalLimit: 10000 });
+    users.push(required);
+    const flow = buildFlow([], [[{ user: required._id, status: 'pending', isRequired: true }]]);
+
+    const result = await ApprovalChainService.routeAboveLimit(flow, flow.steps[0], signer._id, expense());
+
+    expect(result).toEqual({ routedTo: null, blocked: false, withinLimit: false });
+    expect(flow.steps).toHaveLength(2);
+  });
+
+  it('routes past a covering approver a majority can do without', async () => {
+    const covering = buildUser({ approvalLimit: 10000 });
+    const other = buildUser({ approvalLimit: 1000 });
+    users.push(covering, other);
+    const flow = buildFlow([
+      { user: covering._id, status: 'pending', isRequired: true },
+      { user: other._id, status: 'pending', isRequired: true }
+    ]);
+
+    const result = await ApprovalChainService.routeAboveLimit(
+      flow, flow.steps[0], signer._id, expense(), { requireAllSelected: false, allowPartialApproval: true }
+    );
+
+    expect(result.routedTo._id).toEqual(director._id);
+    expect(flow.totalSteps).toBe(2);
+  });
+
+  it('refuses the approval when nobody has enough authority', async () => {
+    director.approvalLimit = 2000;
+    const flow = buildFlow([]);
+
+    const result = await ApprovalChainService.routeAboveLimit(flow, flow.steps[0], signer._id, expense());
+
+    expect(result).toEqual({ routedTo: null, blocked: true, withinLimit: false });
+    expect(flow.steps).toHaveLength(1);
+  });
+});
@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const ScheduledJob = require('../models/ScheduledJob');
+const ApprovalFlow = require('../models/ApprovalFlow');
+const User = require('../models/User');
+const JobScheduler = require('../utils/jobScheduler');
+const EscalationService = require('../utils/escalationService');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const SCAN_INTERVAL_MS = 15 * MINUTE_MS;
+
+// Query stand-in that resolves to a fixed value and ignores populate/sort/limit/select
+const query = (value) => ({
+  populate() { return this; },
+  sort() { return this; },
+  limit() { return this; },
+  select() { return this; },
+  then(resolve, reject) { return Promise.resolve(value).then(resolve, reject); }
+});
+
+describe('approval escalation through the job scheduler', () => {
+  const start = new Date('2026-01-05T09:00:00Z');
+  let now;
+  let jobs;
+  let flows;
+  let scheduler;
+  let manager;
+  let director;
+
+  const advance = (ms) => {
+    now = new Date(now.getTime() + ms);
+  };
+
+  const buildFlow = (overrides = {}) => {
+    const flow = {
+      _id: new mongoose.Types.ObjectId(),
+      company: manager.company,
+      status: 'active',
+      currentStep: 1,
+      totalSteps: 1,
+      startedAt: start,
+      escalatedAt: new Date(start.getTime() + 24 * HOUR_MS),
+      rule: { escalation: { enabled: true, timeoutHours: 24, escalateTo: director._id } },
+      expense: { _id: new mongoose.Types.ObjectId(), status: 'pending', infoRequests: [] },
+      steps: [{
+        stepNumber: 1,
+        isCompleted: false,
+        approvers: [{ user: manager._id, status: 'pending', isRequired: true }]
+      }],
+      ...overrides
+    };
+    flow.save = jest.fn().mockResolvedValue(flow);
+    return flow;
+  };
+
+  beforeEach(async () => {
+    now = new Date(start);
+    jobs = [];
+    flows = [];
+
+    const company = new mongoose.Types.ObjectId();
+    manager = { _id: new mongoose.Types.ObjectId(), company, firstName: 'Mia', lastName: 'Manager' };
+    director = { _id: new mongoose.Types.ObjectId(), company, firstName: 'Dan', lastName: 'Director' };
+
+    // In-memory ScheduledJob collection covering the queries JobScheduler makes
+    jest.spyOn(ScheduledJob, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (filter.key) {
+        let job = jobs.find(existing => existing.key === filter.key);
+        if (!job) {
+          job = { _id: new mongoose.Types.ObjectId(), key: filter.key, attempts: 0, maxAttempts: 5, ...update.$setOnInsert };
+          jobs.push(job);
+        }
+        Object.assign(job, update.$set);
+        return { ...job };
+      }
+
+      const dueAt = filter.$or[0].runAt.$lte;
+      const due = jobs
+        .filter(job => filter.name.$in.includes(job.name) && job.status === 'scheduled' && job.runAt <= dueAt)
+        .sort((a, b) => a.runAt - b.runAt)[0];
+      if (!due) return null;
+
+      Object.assign(due, update.$set);
+      due.attempts += update.$inc.attempts;
+      return { ...due };
+    });
+    jest.spyOn(ScheduledJob, 'updateOne').mockImplementation(async (filter, update) => {
+      Object.assign(jobs.find(job => job._id.equals(filter._id)), update.$set);
+    });
+
+    // Only active flows whose escalation deadline has passed are returned, like the real scan query
+    jest.spyOn(ApprovalFlow, 'find').mockImplementation((filter) => query(flows.filter(flow =>
+      flow.status === filter.status && flow.escalatedAt && flow.escalatedAt <= filter.escalatedAt.$lte
+    )));
+    jest.spyOn(User, 'findOne').mockImplementation((filter) => query(
+      [manager, director].find(user => user._id.equals(filter._id)) || null
+    ));
+
+    scheduler = new JobScheduler({ clock: () => now, workerId: 'test' });
+    scheduler.define('approval-escalation-scan', (payload, { now: runAt, io }) =>
+      EscalationService.processDueEscalations({ now: runAt, io })
+    );
+    await scheduler.every('approval-escalation-scan', SCAN_INTERVAL_MS);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs the scan only when the clock reaches its due time', async () => {
+    const [firstRun] = await scheduler.tick();
+    expect(firstRun.success).toBe(true);
+    expect(jobs[0].runAt).toEqual(new Date(start.getTime() + SCAN_INTERVAL_MS));
+
+    advance(SCAN_INTERVAL_MS - 1);
+    expect(await scheduler.tick()).toEqual([]);
+
+    advance(1);
+    expect(await scheduler.tick()).toHaveLength(1);
+  });
+
+  it('escalates a flow once its step is overdue', async () => {
+    const flow = buildFlow();
+    flows.push(flow);
+
+    advance(23 * HOUR_MS);
+    const [beforeDeadline] = await scheduler.tick();
+    expect(beforeDeadline.result).toMatchObject({ checked: 0, escalated: 0 });
+    expect(flow.steps[0].isEscalated).toBeUndefined();
+
+    advance(HOUR_MS + MINUTE_MS);
+    const escalationTime = new Date(now);
+    const [afterDeadline] = await scheduler.tick();
+    expect(afterDeadline.result).toMatchObject({ checked: 1, escalated: 1 });
+
+    const [step] = flow.steps;
+    expect(step.isEscalated).toBe(true);
+    expect(step.escalatedAt).toEqual(escalationTime);
+    expect(step.escalatedTo).toEqual(director._id);
+    expect(step.approvers).toEqual([
+      expect.objectContaining({ user: manager._id, status: 'skipped', isRequired: false }),
+      expect.objectContaining({ user: director._id, status: 'pending', isRequired: true })
+    ]);
+    expect(flow.escalatedTo).toEqual(director._id);
+    // The flow is checked again one timeout later in case it moves on to a later step
+    expect(flow.escalatedAt).toEqual(new Date(escalationTime.getTime() + 24 * HOUR_MS));
+    expect(flow.save).toHaveBeenCalled();
+  });
+
+  it('leaves a completed flow alone', async () => {
+    const flow = buildFlow({ status: 'completed' });
+    flow.steps[0].approvers[0].status = 'approved';
+    flow.steps[0].isCompleted = true;
+    flows.push(flow);
+
+    advance(48 * HOUR_MS);
+    const [run] = await scheduler.tick();
+
+    expect(run.success).toBe(true);
+    expect(run.result).toMatchObject({ checked: 0, escalated: 0 });
+    expect(flow.steps[0].isEscalated).toBeUndefined();
+    expect(flow.steps[0].approvers).toHaveLength(1);
+    expect(flow.save).not.toHaveBeenCalled();
+  });
+
+  it('clears the timer of a flow whose expense was decided without escalating it', async () => {
+    const flow = buildFlow({ expense: { _id: new mongoose.Types.ObjectId(), status: 'approved', infoRequests: [] } });
+    flows.push(flow);
+
+    advance(48 * HOUR_MS);
+    const [run] = await scheduler.tick();
+
+    expect(run.result).toMatchObject({ checked: 1, cleared: 1, escalated: 0 });
+    expect(flow.escalatedAt).toBeUndefined();
+    expect(flow.steps[0].isEscalated).toBeUndefined();
+    expect(flow.steps[0].approvers).toHaveLength(1);
+  });
+});
@@ -26,6 +26,10 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Request context (actor, IP) for the audit log
+const AuditContext = require('./utils/auditContext');
+app.use(AuditContext.middleware);
+
 // Serve static files from React build in production
 if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, '../client/build')));
@@ -36,6 +40,8 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/companies', require('./routes/companies'));
 app.use('/api/expenses', require('./routes/expenses'));
+app.use('/api/reports', require('./routes/reports'));
+app.use('/api/reimbursements', require('./routes/reimbursements'));
 app.use('/api/approvals', require('./routes/approvals'));
 app.use('/api/approval-rules', require('./routes/approvalRules'));
 app.use('/api/ocr', require('./routes/ocr'));
@@ -43,6 +49,12 @@ app.use('/api/currency', require('./routes/currency'));
 app.use('/api/notifications', require('./routes/notifications'));
 app.use('/api/dashboard', require('./routes/dashboard'));
 app.use('/api/departments', require('./routes/departments'));
+app.use('/api/projects', require('./routes/projects'));
+app.use('/api/cost-centers', require('./routes/costCenters'));
+app.use('/api/budgets', require('./routes/budgets'));
+app.use('/api/delegations', require('./routes/delegations'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/storage', require('./routes/storage'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -56,9 +68,40 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
+// Background job scheduler (approval escalations)
+const JobScheduler = require('./utils/jobScheduler');
+const EscalationService = require('./utils/escalationService');
+const scheduler = new JobScheduler({
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 60 * 1000
+});
+scheduler.define('approval-escalation-scan', (payload, { now, io }) =>
+  EscalationService.processDueEscalations({ now, io })
+);
+app.set('scheduler', scheduler);
+
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/expense_management')
-.then(() => console.log('MongoDB connected successfully'))
+.then(async () => {
+  console.log('MongoDB connected successfully');
+
+  try {
+    const Expense = require('./models/Expense');
+    const migrated = await Expense.migrateLegacyReceipts();
+    if (migrated > 0) {
+      console.log(`Migrated receipts of ${migrated} expenses to attachments`);
+    }
+  } catch (error) {
+    console.error('Receipt migration error:', error);
+  }
+
+  try {
+    const escalationScanMinutes = parseInt(process.env.ESCALATION_SCAN_INTERVAL_MINUTES) || 15;
+    await scheduler.every('approval-escalation-scan', escalationScanMinutes * 60 * 1000);
+    scheduler.start({ io });
+  } catch (error) {
+    console.error('Job scheduler startup error:', error);
+  }
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Initialize email service
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const AuditContext = require('../utils/auditContext');
 
 const auth = async (req, res, next) => {
   try {
@@ -17,6 +18,7 @@ const auth = async (req, res, next) => {
     }
 
     req.user = user;
+    AuditContext.setActor(user);
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
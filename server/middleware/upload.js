@@ -1,36 +1,10 @@
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs').promises;
+const AuditContext = require('../utils/auditContext');
+const StorageService = require('../utils/storageService');
 
-// Ensure uploads directory exists
-const ensureUploadDir = async () => {
-  const uploadDir = path.join(__dirname, '../uploads/receipts');
-  try {
-    await fs.access(uploadDir);
-  } catch (error) {
-    await fs.mkdir(uploadDir, { recursive: true });
-  }
-  return uploadDir;
-};
-
-// Configure storage
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    try {
-      const uploadDir = await ensureUploadDir();
-      cb(null, uploadDir);
-    } catch (error) {
-      cb(error);
-    }
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    const filename = `receipt-${uniqueSuffix}${ext}`;
-    cb(null, filename);
-  }
-});
+// Receipts go to the configured storage driver (local disk or S3)
+const storage = StorageService.multerStorage('receipts');
 
 // File filter
 const fileFilter = (req, file, cb) => {
@@ -55,42 +29,83 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
-// Middleware for single file upload
-const uploadReceipt = upload.single('receipt');
+// Multer calls back from request stream events, outside the audit context of the request
+const keepAuditContext = (middleware) => (req, res, next) => middleware(req, res, AuditContext.bind(next));
+
+// Most files one expense can hold
+const MAX_ATTACHMENTS = 10;
+
+// Middleware for expense attachments; the legacy single `receipt` field is still accepted
+const uploadAttachments = keepAuditContext(upload.fields([
+  { name: 'attachments', maxCount: MAX_ATTACHMENTS },
+  { name: 'receipt', maxCount: 1 }
+]));
+
+// Files shared in expense comments are kept apart from receipts
+const commentUpload = multer({
+  storage: StorageService.multerStorage('comments'),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: fileFilter
+});
+
+// Middleware for comment attachments
+const uploadCommentAttachments = keepAuditContext(commentUpload.fields([
+  { name: 'attachments', maxCount: MAX_ATTACHMENTS }
+]));
+
+// Flatten the files of uploadAttachments (or uploadCommentAttachments) into one list
+const getUploadedFiles = (req) => [
+  ...(req.files?.receipt || []),
+  ...(req.files?.attachments || [])
+];
+
+// CSV imports are parsed in memory and never written to disk
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const isCsv = path.extname(file.originalname).toLowerCase() === '.csv';
+    if (isCsv) {
+      return cb(null, true);
+    }
+    cb(new Error('Only CSV files are allowed'));
+  }
+});
+
+// Middleware for single CSV file upload
+const uploadCsv = keepAuditContext(csvUpload.single('file'));
 
 // Error handling middleware
 const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ message: 'File too large. Maximum size is 5MB.' });
+      const maxSize = err.field === 'file' ? '2MB' : '5MB';
+      return res.status(400).json({ message: `File too large. Maximum size is ${maxSize}.` });
+    }
+    if (err.code === 'LIMIT_FILE_COUNT' || (err.code === 'LIMIT_UNEXPECTED_FILE' && err.field === 'attachments')) {
+      return res.status(400).json({ message: `Too many files. At most ${MAX_ATTACHMENTS} attachments can be uploaded at once.` });
     }
     if (err.code === 'LIMIT_UNEXPECTED_FILE') {
       return res.status(400).json({ message: 'Unexpected field name for file upload.' });
     }
   }
   
-  if (err.message === 'Only JPEG, PNG, GIF and PDF files are allowed') {
+  if (err.message === 'Only JPEG, PNG, GIF and PDF files are allowed' || err.message === 'Only CSV files are allowed') {
     return res.status(400).json({ message: err.message });
   }
   
   next(err);
 };
 
-// Utility function to delete file
-const deleteFile = async (filePath) => {
-  try {
-    if (filePath) {
-      const fullPath = path.resolve(filePath);
-      await fs.unlink(fullPath);
-    }
-  } catch (error) {
-    console.error('Error deleting file:', error);
-  }
-};
-
 module.exports = {
-  uploadReceipt,
-  handleUploadError,
-  deleteFile,
-  ensureUploadDir
+  uploadAttachments,
+  uploadCommentAttachments,
+  getUploadedFiles,
+  MAX_ATTACHMENTS,
+  uploadCsv,
+  handleUploadError
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
 
 const approvalFlowSchema = new mongoose.Schema({
   company: {
@@ -9,7 +10,14 @@ const approvalFlowSchema = new mongoose.Schema({
   expense: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Expense',
-    required: true
+    required: function() {
+      return !this.report;
+    }
+  },
+  // Set instead of expense when the flow approves a whole expense report
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExpenseReport'
   },
   rule: {
     type: mongoose.Schema.Types.ObjectId,
@@ -48,6 +56,12 @@ const approvalFlowSchema = new mongoose.Schema({
       approvedAt: Date,
       rejectedAt: Date,
       comments: String,
+      // Substitute who decided for this approver while they were away (see Delegation)
+      actedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      },
       isRequired: {
         type: Boolean,
         default: true
@@ -99,6 +113,7 @@ const approvalFlowSchema = new mongoose.Schema({
 
 // Index for better query performance
 approvalFlowSchema.index({ expense: 1 });
+approvalFlowSchema.index({ report: 1 });
 approvalFlowSchema.index({ status: 1 });
 approvalFlowSchema.index({ 'steps.approvers.user': 1, 'steps.approvers.status': 1 });
 
@@ -110,4 +125,7 @@ approvalFlowSchema.set('toJSON', {
   }
 });
 
+// Record every change in the audit log
+approvalFlowSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('ApprovalFlow', approvalFlowSchema);
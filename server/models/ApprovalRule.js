@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
 
 const approvalRuleSchema = new mongoose.Schema({
   company: {
@@ -21,6 +22,11 @@ const approvalRuleSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  priority: {
+    type: Number,
+    default: 1, // 1 = highest; used to pick a rule when several match an expense
+    min: [1, 'Priority must be at least 1']
+  },
   conditions: {
     amountThreshold: {
       type: Number,
@@ -37,6 +43,11 @@ const approvalRuleSchema = new mongoose.Schema({
     employeeIds: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
+    }],
+    // Matches expenses charged to any of these projects, directly or by allocation
+    projects: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project'
     }]
   },
   approvalSteps: [{
@@ -44,10 +55,32 @@ const approvalRuleSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
+    // Who approves the step: the fixed `approvers`, or approvers resolved from the
+    // submitter's position in the org tree when the flow is created
+    approverType: {
+      type: String,
+      enum: ['users', 'direct_manager', 'manager_level', 'department_head', 'manager_chain'],
+      default: 'users'
+    },
     approvers: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     }],
+    // manager_level: how far above the submitter (default 1 = direct manager);
+    // manager_chain: the most managers walked before falling back (default 10)
+    levels: {
+      type: Number,
+      min: [1, 'Levels must be at least 1'],
+      max: [10, 'Levels cannot exceed 10'],
+      default: null
+    },
+    // Approves when nobody can be resolved (no manager, a cycle in the org tree,
+    // no department head or no approver with enough authority); defaults to an admin
+    fallbackApprover: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
     isRequired: {
       type: Boolean,
       default: true
@@ -105,7 +138,7 @@ const approvalRuleSchema = new mongoose.Schema({
     conditionalRules: [{
       ruleType: {
         type: String,
-        enum: ['percentage', 'specific_approver', 'amount_threshold', 'category', 'department'],
+        enum: ['percentage', 'specific_approver', 'amount_threshold', 'category', 'department', 'budget_exceeded'],
         required: true
       },
       condition: {
@@ -134,6 +167,12 @@ const approvalRuleSchema = new mongoose.Schema({
         department: {
           type: String,
           trim: true
+        },
+        // For budget exceeded rule: share of a budget (in percent, default 100) the expense must push usage past
+        budgetThreshold: {
+          type: Number,
+          min: 1,
+          max: 1000
         }
       },
       action: {
@@ -193,4 +232,7 @@ approvalRuleSchema.set('toJSON', {
   }
 });
 
+// Record every change in the audit log
+approvalRuleSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('ApprovalRule', approvalRuleSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null
+  },
+  entityType: {
+    type: String,
+    enum: ['Expense', 'ApprovalRule', 'ApprovalFlow', 'User', 'Company', 'Department', 'Project', 'CostCenter', 'Budget', 'Delegation', 'ExpenseComment'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true
+  },
+  // Null for changes made by background jobs
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Kept so entries stay readable after the user is renamed or removed
+  actorName: {
+    type: String,
+    default: 'System'
+  },
+  actorRole: String,
+  ip: String,
+  userAgent: String,
+  changes: [{
+    _id: false,
+    path: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+auditLogSchema.index({ company: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ company: 1, actor: 1, createdAt: -1 });
+
+// Entries are append-only
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  rejectChange
+);
+
+// Transform output
+auditLogSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
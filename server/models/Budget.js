@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+const budgetSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  // A budget belongs to either a department or a project
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  // The amount is available again in every period (calendar month, quarter or year, UTC)
+  period: {
+    type: String,
+    enum: ['monthly', 'quarterly', 'yearly'],
+    default: 'monthly'
+  },
+  // Amount per period in the company currency
+  amount: {
+    type: Number,
+    required: [true, 'Budget amount is required'],
+    min: [0, 'Budget amount cannot be negative']
+  },
+  // Percentages of the amount at which the department head or project lead is notified
+  alertThresholds: {
+    type: [{
+      type: Number,
+      min: [1, 'Alert threshold must be at least 1%'],
+      max: [1000, 'Alert threshold cannot exceed 1000%']
+    }],
+    default: [80, 100]
+  },
+  // Thresholds already notified, so that every threshold is announced once per period
+  alerts: [{
+    periodStart: {
+      type: Date,
+      required: true
+    },
+    threshold: {
+      type: Number,
+      required: true
+    },
+    percentUsed: Number,
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+budgetSchema.index({ company: 1, department: 1, project: 1, period: 1 }, { unique: true });
+budgetSchema.index({ company: 1, isActive: 1 });
+
+budgetSchema.pre('validate', function(next) {
+  if (!this.department === !this.project) {
+    this.invalidate('department', 'A budget needs either a department or a project');
+  }
+  next();
+});
+
+// Transform output
+budgetSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Record every change in the audit log; sent alerts are bookkeeping
+budgetSchema.plugin(auditPlugin, {
+  ignore: ['alerts']
+});
+
+module.exports = mongoose.model('Budget', budgetSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
 
 const companySchema = new mongoose.Schema({
   name: {
@@ -56,11 +57,240 @@ const companySchema = new mongoose.Schema({
       type: String,
       trim: true
     }],
+    // What to do when a submitted expense looks like a duplicate
+    duplicateHandling: {
+      type: String,
+      enum: ['warn', 'block'],
+      default: 'warn'
+    },
     approvalRules: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'ApprovalRule'
     }
   },
+  // Expense policy checked on submission (see utils/expensePolicyService.js)
+  // and the rates used to calculate mileage and per-diem claims.
+  // Amounts are in the company currency; 'flag' records a violation for the
+  // approvers, 'block' rejects the submission.
+  policy: {
+    categoryLimits: [{
+      _id: false,
+      category: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      perItemLimit: {
+        type: Number,
+        default: null
+      },
+      dailyLimit: {
+        type: Number,
+        default: null
+      },
+      action: {
+        type: String,
+        enum: ['flag', 'block'],
+        default: 'flag'
+      }
+    }],
+    // Daily allowance for the listed categories, by country and optionally city
+    perDiem: {
+      categories: [{
+        type: String,
+        trim: true
+      }],
+      rates: [{
+        _id: false,
+        country: {
+          type: String,
+          required: true,
+          trim: true,
+          uppercase: true
+        },
+        city: {
+          type: String,
+          trim: true
+        },
+        dailyRate: {
+          type: Number,
+          required: true,
+          min: [0, 'Daily rate cannot be negative']
+        },
+        effectiveFrom: {
+          type: Date,
+          default: null // Applies from the start when empty
+        }
+      }],
+      // Percent of the daily rate deducted per meal provided on a per-diem claim
+      mealDeductions: {
+        breakfast: {
+          type: Number,
+          default: 20
+        },
+        lunch: {
+          type: Number,
+          default: 40
+        },
+        dinner: {
+          type: Number,
+          default: 40
+        }
+      },
+      action: {
+        type: String,
+        enum: ['flag', 'block'],
+        default: 'flag'
+      }
+    },
+    // Rate per distance unit for mileage claims, by vehicle type
+    mileageRates: [{
+      _id: false,
+      vehicleType: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      rate: {
+        type: Number,
+        required: true,
+        min: [0, 'Rate cannot be negative']
+      },
+      unit: {
+        type: String,
+        enum: ['km', 'mi'],
+        default: 'km'
+      },
+      effectiveFrom: {
+        type: Date,
+        default: null
+      }
+    }],
+    weekend: {
+      action: {
+        type: String,
+        enum: ['allow', 'flag', 'block'],
+        default: 'allow'
+      }
+    },
+    holidays: {
+      dates: [{
+        _id: false,
+        date: {
+          type: Date,
+          required: true
+        },
+        name: {
+          type: String,
+          trim: true
+        }
+      }],
+      action: {
+        type: String,
+        enum: ['allow', 'flag', 'block'],
+        default: 'allow'
+      }
+    },
+    receiptThreshold: {
+      amount: {
+        type: Number,
+        default: null // Receipts required above this amount
+      },
+      action: {
+        type: String,
+        enum: ['flag', 'block'],
+        default: 'block'
+      }
+    },
+    submissionDeadline: {
+      days: {
+        type: Number,
+        default: null // Days after the expense date
+      },
+      action: {
+        type: String,
+        enum: ['flag', 'block'],
+        default: 'flag'
+      }
+    },
+    // VAT rates by country; tax entered on an expense must match one of the
+    // rates of the country it was incurred in (or the company's country)
+    vat: {
+      rates: [{
+        _id: false,
+        country: {
+          type: String,
+          required: true,
+          trim: true,
+          uppercase: true
+        },
+        code: {
+          type: String,
+          required: true,
+          trim: true,
+          uppercase: true // e.g. STANDARD, REDUCED, ZERO
+        },
+        name: {
+          type: String,
+          trim: true
+        },
+        rate: {
+          type: Number,
+          required: true,
+          min: [0, 'VAT rate cannot be negative'],
+          max: [100, 'VAT rate cannot exceed 100']
+        },
+        effectiveFrom: {
+          type: Date,
+          default: null
+        }
+      }],
+      action: {
+        type: String,
+        enum: ['flag', 'block'],
+        default: 'flag'
+      }
+    }
+  },
+  // Payer account used for reimbursement payment files (SEPA / NACHA).
+  // The IBAN is encrypted at rest and never selected by default.
+  paymentSettings: {
+    debtorName: {
+      type: String,
+      trim: true,
+      maxlength: [70, 'Debtor name cannot exceed 70 characters']
+    },
+    iban: {
+      type: String,
+      select: false
+    },
+    bic: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    maskedAccount: String,
+    achImmediateDestination: {
+      type: String,
+      trim: true // Routing number of the originating bank
+    },
+    achImmediateDestinationName: {
+      type: String,
+      trim: true
+    },
+    achImmediateOrigin: {
+      type: String,
+      trim: true
+    },
+    achCompanyId: {
+      type: String,
+      trim: true
+    },
+    achCompanyName: {
+      type: String,
+      trim: true
+    }
+  },
   departments: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Department'
@@ -92,8 +322,17 @@ companySchema.index({ country: 1 });
 companySchema.set('toJSON', {
   transform: function(doc, ret) {
     delete ret.__v;
+    if (ret.paymentSettings) {
+      delete ret.paymentSettings.iban;
+    }
     return ret;
   }
 });
 
+// Record every change in the audit log
+companySchema.plugin(auditPlugin, {
+  companyPath: '_id',
+  redact: ['paymentSettings.iban']
+});
+
 module.exports = mongoose.model('Company', companySchema);
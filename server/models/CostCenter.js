@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+const costCenterSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  // Code from the chart of accounts, e.g. 4100
+  code: {
+    type: String,
+    required: [true, 'Cost center code is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Cost center code cannot exceed 30 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Cost center name is required'],
+    trim: true,
+    maxlength: [100, 'Cost center name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Employees who may charge expenses to the cost center; everyone when empty
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Total budget in the company currency
+  budget: {
+    type: Number,
+    min: [0, 'Budget cannot be negative'],
+    default: null
+  },
+  // Expenses can only be charged to the cost center within these dates
+  startDate: Date,
+  endDate: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+costCenterSchema.index({ company: 1, code: 1 }, { unique: true });
+costCenterSchema.index({ company: 1, isActive: 1 });
+costCenterSchema.index({ members: 1 });
+
+/**
+ * Whether expenses dated on a day can be charged to the cost center
+ * @param {Date} date - Expense date
+ * @returns {Boolean} True when the cost center is active and the date is in its range
+ */
+costCenterSchema.methods.isOpenOn = function(date) {
+  const time = new Date(date || Date.now()).getTime();
+  return this.isActive &&
+    (!this.startDate || this.startDate.getTime() <= time) &&
+    (!this.endDate || this.endDate.getTime() >= time);
+};
+
+/**
+ * Whether a user may charge expenses to the cost center
+ * @param {String|ObjectId} userId - User id
+ * @returns {Boolean} True for the owner and members, or anyone when there are no members
+ */
+costCenterSchema.methods.hasMember = function(userId) {
+  const id = userId.toString();
+  return this.members.length === 0 ||
+    (this.owner && (this.owner._id || this.owner).toString() === id) ||
+    this.members.some(member => (member._id || member).toString() === id);
+};
+
+// Transform output
+costCenterSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Record every change in the audit log
+costCenterSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('CostCenter', costCenterSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+const delegationSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  // The approver who is away
+  delegator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The substitute who approves on the delegator's behalf
+  delegate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // Empty means every category
+  categories: [{
+    type: String,
+    trim: true
+  }],
+  // Highest expense amount in the company currency the delegate may decide on; null means no cap
+  maxAmount: {
+    type: Number,
+    min: [0, 'Maximum amount cannot be negative'],
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+delegationSchema.index({ delegate: 1, isActive: 1, startDate: 1, endDate: 1 });
+delegationSchema.index({ delegator: 1, isActive: 1 });
+delegationSchema.index({ company: 1, endDate: 1 });
+
+delegationSchema.pre('validate', function(next) {
+  if (this.delegator && this.delegate && this.delegator.toString() === this.delegate.toString()) {
+    this.invalidate('delegate', 'You cannot delegate approvals to yourself');
+  }
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be on or after the start date');
+  }
+  next();
+});
+
+// Transform output
+delegationSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Record every change in the audit log
+delegationSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Delegation', delegationSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
 
 const departmentSchema = new mongoose.Schema({
   name: {
@@ -17,6 +18,12 @@ const departmentSchema = new mongoose.Schema({
     ref: 'Company',
     required: true
   },
+  // Head of the department, notified when its budget runs low
+  head: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -109,4 +116,7 @@ departmentSchema.statics.createDefaultDepartments = async function(companyId, cr
   return departments;
 };
 
+// Record every change in the audit log
+departmentSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Department', departmentSchema);
@@ -1,4 +1,14 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+// Drafts may be saved half-filled; everything else needs the full set of fields
+function isSubmitted() {
+  return this.status !== 'draft';
+}
+
+function isLineSubmitted() {
+  return this.ownerDocument().status !== 'draft';
+}
 
 const expenseSchema = new mongoose.Schema({
   employee: {
@@ -11,14 +21,20 @@ const expenseSchema = new mongoose.Schema({
     ref: 'Company',
     required: true
   },
+  // Mileage and per-diem amounts are calculated from the company rates
+  type: {
+    type: String,
+    enum: ['standard', 'mileage', 'per_diem'],
+    default: 'standard'
+  },
   category: {
     type: String,
-    required: [true, 'Expense category is required'],
+    required: [isSubmitted, 'Expense category is required'],
     trim: true
   },
   amount: {
     type: Number,
-    required: [true, 'Expense amount is required'],
+    required: [isSubmitted, 'Expense amount is required'],
     min: [0.01, 'Amount must be greater than 0']
   },
   currency: {
@@ -29,21 +45,154 @@ const expenseSchema = new mongoose.Schema({
   },
   amountInCompanyCurrency: {
     type: Number,
-    required: true
+    required: isSubmitted
   },
   exchangeRate: {
     type: Number,
     default: 1
   },
+  // VAT / sales tax included in the amount: net + tax = amount. Itemized
+  // expenses carry the tax per line and these are the totals of the lines.
+  tax: {
+    netAmount: Number,
+    amount: {
+      type: Number,
+      min: [0, 'Tax cannot be negative']
+    },
+    // Percent of the net amount; empty when the lines have different rates
+    rate: {
+      type: Number,
+      min: [0, 'Tax rate cannot be negative'],
+      max: [100, 'Tax rate cannot exceed 100']
+    },
+    code: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    amountInCompanyCurrency: Number
+  },
+  // Optional split of the amount across categories, e.g. a hotel bill into
+  // Accommodation and Meals; line amounts add up to the expense amount
+  lineItems: [{
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Line description cannot exceed 200 characters']
+    },
+    category: {
+      type: String,
+      required: [isLineSubmitted, 'Line category is required'],
+      trim: true
+    },
+    amount: {
+      type: Number,
+      required: [isLineSubmitted, 'Line amount is required'],
+      min: [0.01, 'Line amount must be greater than 0']
+    },
+    taxAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tax cannot be negative']
+    },
+    taxRate: {
+      type: Number,
+      min: [0, 'Tax rate cannot be negative'],
+      max: [100, 'Tax rate cannot exceed 100']
+    },
+    taxCode: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    amountInCompanyCurrency: Number
+  }],
+  // Optional split of the cost across departments or projects, e.g. a team
+  // dinner charged 50/50 to Engineering and Sales; shares add up to the amount
+  allocations: [{
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department'
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project'
+    },
+    // Share as a percentage of the amount, or a fixed amount when not set
+    percent: {
+      type: Number,
+      min: [0, 'Percent cannot be negative'],
+      max: [100, 'Percent cannot exceed 100']
+    },
+    amount: Number,
+    amountInCompanyCurrency: Number
+  }],
+  // Client project and cost center the expense is billed back to
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  costCenter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CostCenter',
+    default: null
+  },
   description: {
     type: String,
-    required: [true, 'Expense description is required'],
+    required: [isSubmitted, 'Expense description is required'],
     trim: true,
     maxlength: [500, 'Description cannot exceed 500 characters']
   },
+  merchant: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Merchant cannot exceed 200 characters']
+  },
+  mileage: {
+    vehicleType: String,
+    startLocation: {
+      type: String,
+      trim: true
+    },
+    endLocation: {
+      type: String,
+      trim: true
+    },
+    distance: Number,
+    unit: {
+      type: String,
+      enum: ['km', 'mi']
+    },
+    rate: Number
+  },
+  perDiem: {
+    startDate: Date,
+    endDate: Date,
+    days: Number,
+    dailyRate: Number,
+    mealsProvided: {
+      breakfast: Number,
+      lunch: Number,
+      dinner: Number
+    },
+    deduction: Number
+  },
+  // Where the expense was incurred; used for per-diem rates
+  location: {
+    country: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    city: {
+      type: String,
+      trim: true
+    }
+  },
   expenseDate: {
     type: Date,
-    required: [true, 'Expense date is required'],
+    required: [isSubmitted, 'Expense date is required'],
     default: Date.now
   },
   submissionDate: {
@@ -52,24 +201,45 @@ const expenseSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    // needs_info: returned to the submitter with a question; answering puts it back to pending
+    enum: ['draft', 'pending', 'needs_info', 'approved', 'rejected', 'cancelled'],
     default: 'pending'
   },
-  receipt: {
+  // Receipts and supporting documents (hotel folio, card slip, ...)
+  attachments: [{
     filename: String,
     originalName: String,
+    // Storage driver and key of the file (see utils/storageService.js)
+    storage: {
+      type: String,
+      enum: ['local', 's3'],
+      default: 'local'
+    },
+    storageKey: String,
+    // Disk path of files uploaded before storage drivers existed
     path: String,
     mimetype: String,
     size: Number,
+    // SHA-256 of the file contents, used to spot the same receipt submitted twice
+    contentHash: String,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     uploadDate: {
       type: Date,
       default: Date.now
     }
-  },
+  }],
   approvalFlow: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'ApprovalFlow'
   },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExpenseReport',
+    default: null
+  },
   approvals: [{
     approver: {
       type: mongoose.Schema.Types.ObjectId,
@@ -90,8 +260,49 @@ const expenseSchema = new mongoose.Schema({
     step: {
       type: Number,
       required: true
+    },
+    // Set when the approver decided as substitute for this user (see Delegation)
+    onBehalfOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
     }
   }],
+  // Questions approvers sent back to the submitter, with their answers
+  infoRequests: [{
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Set when the approver asked as substitute for this user (see Delegation)
+    onBehalfOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    question: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [1000, 'Question cannot exceed 1000 characters']
+    },
+    step: Number,
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    response: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Response cannot exceed 1000 characters']
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date
+  }],
   rejectionReason: {
     type: String,
     trim: true,
@@ -120,6 +331,81 @@ const expenseSchema = new mongoose.Schema({
     type: String,
     enum: ['bank_transfer', 'cash', 'check', 'other'],
     default: 'bank_transfer'
+  },
+  reimbursementReference: {
+    type: String,
+    trim: true
+  },
+  reimbursementBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReimbursementBatch',
+    default: null
+  },
+  // Company policy rules broken at submission (see utils/expensePolicyService.js)
+  policyViolations: [{
+    _id: false,
+    rule: {
+      type: String,
+      enum: [
+        'category_item_limit',
+        'category_daily_limit',
+        'per_diem',
+        'weekend',
+        'holiday',
+        'receipt_required',
+        'submission_deadline',
+        'vat_rate'
+      ],
+      required: true
+    },
+    message: {
+      type: String,
+      required: true
+    },
+    action: {
+      type: String,
+      enum: ['flag', 'block'],
+      default: 'flag'
+    },
+    limit: Number,
+    actual: Number
+  }],
+  // Result of the duplicate check run on submission (see utils/duplicateDetectionService.js)
+  duplicateCheck: {
+    status: {
+      type: String,
+      enum: ['none', 'possible'],
+      default: 'none'
+    },
+    fingerprint: String,
+    matches: [{
+      _id: false,
+      expense: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Expense'
+      },
+      reasons: [{
+        type: String,
+        enum: ['same_receipt', 'similar_details']
+      }]
+    }],
+    checkedAt: Date
+  },
+  // Where the expense came from; imported rows keep a trace of their file and row
+  source: {
+    channel: {
+      type: String,
+      enum: ['app', 'import'],
+      default: 'app'
+    },
+    importId: String,
+    fileName: String,
+    rowNumber: Number,
+    importedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    importedAt: Date
   }
 }, {
   timestamps: true
@@ -131,6 +417,60 @@ expenseSchema.index({ company: 1, status: 1 });
 expenseSchema.index({ expenseDate: -1 });
 expenseSchema.index({ submissionDate: -1 });
 expenseSchema.index({ 'approvals.approver': 1, 'approvals.status': 1 });
+expenseSchema.index({ report: 1 });
+expenseSchema.index({ company: 1, status: 1, isReimbursed: 1 });
+expenseSchema.index({ 'source.importId': 1 }, { sparse: true });
+expenseSchema.index({ company: 1, 'attachments.contentHash': 1 });
+expenseSchema.index({ employee: 1, currency: 1, expenseDate: 1 });
+expenseSchema.index({ 'duplicateCheck.fingerprint': 1 }, { sparse: true });
+expenseSchema.index({ 'allocations.department': 1 });
+expenseSchema.index({ project: 1, status: 1 });
+expenseSchema.index({ 'allocations.project': 1 });
+expenseSchema.index({ costCenter: 1, status: 1 });
+expenseSchema.index({ company: 1, status: 1, expenseDate: 1 });
+
+// Move the single `receipt` subdocument of older expenses into `attachments`.
+// Runs on the raw collection because `receipt` is no longer part of the schema.
+expenseSchema.statics.migrateLegacyReceipts = async function() {
+  const cursor = this.collection.find(
+    { receipt: { $exists: true } },
+    { projection: { receipt: 1, employee: 1 } }
+  );
+
+  let operations = [];
+  let migrated = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await this.collection.bulkWrite(operations);
+    migrated += operations.length;
+    operations = [];
+  };
+
+  for await (const expense of cursor) {
+    const update = { $unset: { receipt: '' } };
+    if (expense.receipt && expense.receipt.path) {
+      update.$push = {
+        attachments: {
+          $each: [{
+            _id: new mongoose.Types.ObjectId(),
+            ...expense.receipt,
+            uploadedBy: expense.employee
+          }],
+          $position: 0
+        }
+      };
+    }
+
+    operations.push({ updateOne: { filter: { _id: expense._id }, update } });
+    if (operations.length === 500) {
+      await flush();
+    }
+  }
+
+  await flush();
+  return migrated;
+};
 
 // Transform output
 expenseSchema.set('toJSON', {
@@ -140,4 +480,7 @@ expenseSchema.set('toJSON', {
   }
 });
 
+// Record every change in the audit log
+expenseSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Expense', expenseSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+const expenseCommentSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  expense: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Top-level comment this one replies to; threads are one level deep
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExpenseComment',
+    default: null
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  // Company users @mentioned in the body (see utils/expenseCommentService.js)
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Files shared in the discussion; same shape as expense attachments
+  attachments: [{
+    filename: String,
+    originalName: String,
+    storage: {
+      type: String,
+      enum: ['local', 's3'],
+      default: 'local'
+    },
+    storageKey: String,
+    mimetype: String,
+    size: Number,
+    contentHash: String,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    uploadDate: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Previous versions of the body, oldest first
+  editHistory: [{
+    body: String,
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  editedAt: Date,
+  // Deleted comments keep their place so that their replies still make sense
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+expenseCommentSchema.index({ expense: 1, createdAt: 1 });
+expenseCommentSchema.index({ parent: 1 });
+expenseCommentSchema.index({ company: 1, mentions: 1 });
+
+// Transform output
+expenseCommentSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Record every change in the audit log
+expenseCommentSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('ExpenseComment', expenseCommentSchema);
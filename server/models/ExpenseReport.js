@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const expenseReportSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Report title is required'],
+    trim: true,
+    maxlength: [100, 'Report title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  expenses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  }],
+  status: {
+    type: String,
+    enum: ['draft', 'pending', 'approved', 'rejected', 'cancelled'],
+    default: 'draft'
+  },
+  // Sum of the non-rejected lines, in the company currency
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  submissionDate: Date,
+  approvalFlow: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApprovalFlow'
+  },
+  // Without a flow: higher authority the report waits for after exceeding an approver's limit
+  routedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectedAt: Date,
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+expenseReportSchema.index({ employee: 1, status: 1 });
+expenseReportSchema.index({ company: 1, status: 1 });
+expenseReportSchema.index({ submissionDate: -1 });
+
+// Transform output
+expenseReportSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ExpenseReport', expenseReportSchema);
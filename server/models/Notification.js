@@ -22,10 +22,20 @@ const notificationSchema = new mongoose.Schema({
       'expense_submitted',
       'expense_approved',
       'expense_rejected',
+      'expense_info_requested',
+      'expense_info_provided',
+      'expense_comment_mention',
       'expense_auto_approved',
       'expense_deleted',
+      'expense_reimbursed',
       'expense_requires_approval',
       'approval_request',
+      'approval_escalated',
+      'approval_delegated',
+      'report_submitted',
+      'report_approved',
+      'report_rejected',
+      'budget_threshold',
       'system_announcement'
     ],
     required: true
@@ -45,6 +55,26 @@ const notificationSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Expense'
     },
+    reportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExpenseReport'
+    },
+    reimbursementBatchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReimbursementBatch'
+    },
+    budgetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Budget'
+    },
+    delegationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Delegation'
+    },
+    commentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExpenseComment'
+    },
     amount: Number,
     currency: String,
     employeeName: String,
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+const projectSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    maxlength: [100, 'Project name cannot exceed 100 characters']
+  },
+  // Short code used on invoices and exports, e.g. ACME-2024
+  code: {
+    type: String,
+    required: [true, 'Project code is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Project code cannot exceed 30 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Client the project's expenses are billed back to
+  client: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Client cannot exceed 200 characters']
+  },
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Employees who may charge expenses to the project; everyone when empty
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Total budget in the company currency
+  budget: {
+    type: Number,
+    min: [0, 'Budget cannot be negative'],
+    default: null
+  },
+  // Expenses can only be charged to the project within these dates
+  startDate: Date,
+  endDate: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+projectSchema.index({ company: 1, code: 1 }, { unique: true });
+projectSchema.index({ company: 1, isActive: 1 });
+projectSchema.index({ members: 1 });
+
+/**
+ * Whether expenses dated on a day can be charged to the project
+ * @param {Date} date - Expense date
+ * @returns {Boolean} True when the project is active and the date is in its range
+ */
+projectSchema.methods.isOpenOn = function(date) {
+  const time = new Date(date || Date.now()).getTime();
+  return this.isActive &&
+    (!this.startDate || this.startDate.getTime() <= time) &&
+    (!this.endDate || this.endDate.getTime() >= time);
+};
+
+/**
+ * Whether a user may charge expenses to the project
+ * @param {String|ObjectId} userId - User id
+ * @returns {Boolean} True for the lead and members, or anyone when there are no members
+ */
+projectSchema.methods.hasMember = function(userId) {
+  const id = userId.toString();
+  return this.members.length === 0 ||
+    (this.lead && (this.lead._id || this.lead).toString() === id) ||
+    this.members.some(member => (member._id || member).toString() === id);
+};
+
+// Transform output
+projectSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Record every change in the audit log
+projectSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Project', projectSchema);
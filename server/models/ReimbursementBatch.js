@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const reimbursementBatchSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  batchNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'paid', 'cancelled'],
+    default: 'open'
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // One payout per employee, in the company currency
+  payouts: [{
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    expenses: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Expense'
+    }],
+    amount: {
+      type: Number,
+      required: true
+    }
+  }],
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  expenseCount: {
+    type: Number,
+    default: 0
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['bank_transfer', 'cash', 'check', 'other']
+  },
+  paymentReference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Payment reference cannot exceed 100 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  paidAt: Date,
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  // Bank payment files generated for this batch
+  paymentFiles: [{
+    format: {
+      type: String,
+      enum: ['sepa', 'nacha']
+    },
+    generatedAt: {
+      type: Date,
+      default: Date.now
+    },
+    generatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+reimbursementBatchSchema.index({ company: 1, batchNumber: 1 }, { unique: true });
+reimbursementBatchSchema.index({ company: 1, status: 1 });
+reimbursementBatchSchema.index({ 'payouts.employee': 1 });
+
+// Transform output
+reimbursementBatchSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ReimbursementBatch', reimbursementBatchSchema);
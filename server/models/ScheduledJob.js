@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    trim: true
+  },
+  // Unique key for jobs that must only exist once (e.g. recurring jobs)
+  key: {
+    type: String,
+    trim: true,
+    unique: true,
+    sparse: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  repeatIntervalMs: {
+    type: Number,
+    default: null // One-off job if null
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'running', 'completed', 'failed'],
+    default: 'scheduled'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  lockedAt: Date,
+  lockedBy: String,
+  lastRunAt: Date,
+  lastError: String,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+scheduledJobSchema.index({ status: 1, lockedAt: 1 });
+
+// Transform output
+scheduledJobSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
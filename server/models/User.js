@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const EncryptionService = require('../utils/encryptionService');
+const auditPlugin = require('../utils/auditPlugin');
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -47,6 +49,25 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Highest expense amount in the company currency the user can approve; null means no limit
+  approvalLimit: {
+    type: Number,
+    min: [0, 'Approval limit cannot be negative'],
+    default: null
+  },
+  // Category-specific limits that replace approvalLimit for expenses of that category
+  categoryApprovalLimits: [{
+    category: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    limit: {
+      type: Number,
+      required: true,
+      min: [0, 'Approval limit cannot be negative']
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -77,6 +98,39 @@ const userSchema = new mongoose.Schema({
     unique: true,
     sparse: true
   },
+  // Payout account used for reimbursement payment files.
+  // IBAN and account number are encrypted at rest and never selected by default.
+  bankDetails: {
+    accountHolderName: {
+      type: String,
+      trim: true,
+      maxlength: [70, 'Account holder name cannot exceed 70 characters']
+    },
+    iban: {
+      type: String,
+      select: false
+    },
+    bic: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    routingNumber: {
+      type: String,
+      trim: true
+    },
+    accountNumber: {
+      type: String,
+      select: false
+    },
+    accountType: {
+      type: String,
+      enum: ['checking', 'savings'],
+      default: 'checking'
+    },
+    maskedAccount: String,
+    updatedAt: Date
+  },
   lastLogin: {
     type: Date,
     default: null
@@ -133,6 +187,39 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Store payout bank details, encrypting the account identifiers
+userSchema.methods.setBankDetails = function(details) {
+  const iban = details.iban ? details.iban.replace(/\s+/g, '').toUpperCase() : null;
+  const accountNumber = details.accountNumber ? details.accountNumber.replace(/\s+/g, '') : null;
+
+  this.bankDetails = {
+    accountHolderName: details.accountHolderName,
+    iban: EncryptionService.encrypt(iban),
+    bic: details.bic || null,
+    routingNumber: details.routingNumber || null,
+    accountNumber: EncryptionService.encrypt(accountNumber),
+    accountType: details.accountType || 'checking',
+    maskedAccount: EncryptionService.mask(iban || accountNumber),
+    updatedAt: new Date()
+  };
+};
+
+// Decrypt payout bank details (requires +bankDetails.iban +bankDetails.accountNumber)
+userSchema.methods.getBankDetails = function() {
+  if (!this.bankDetails || !this.bankDetails.maskedAccount) {
+    return null;
+  }
+
+  return {
+    accountHolderName: this.bankDetails.accountHolderName || `${this.firstName} ${this.lastName}`,
+    iban: EncryptionService.decrypt(this.bankDetails.iban),
+    bic: this.bankDetails.bic,
+    routingNumber: this.bankDetails.routingNumber,
+    accountNumber: EncryptionService.decrypt(this.bankDetails.accountNumber),
+    accountType: this.bankDetails.accountType
+  };
+};
+
 // Get full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
@@ -144,8 +231,18 @@ userSchema.set('toJSON', {
   transform: function(doc, ret) {
     delete ret.password;
     delete ret.__v;
+    if (ret.bankDetails) {
+      delete ret.bankDetails.iban;
+      delete ret.bankDetails.accountNumber;
+    }
     return ret;
   }
 });
 
+// Record every change in the audit log
+userSchema.plugin(auditPlugin, {
+  ignore: ['lastLogin'],
+  redact: ['password', 'passwordResetToken', 'bankDetails.iban', 'bankDetails.accountNumber']
+});
+
 module.exports = mongoose.model('User', userSchema);
@@ -2,10 +2,47 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const ApprovalRule = require('../models/ApprovalRule');
 const User = require('../models/User');
+const Project = require('../models/Project');
 const { auth, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
+const APPROVER_TYPES = ['users', 'direct_manager', 'manager_level', 'department_head', 'manager_chain'];
+
+// Steps with fixed approvers need at least one; the others are resolved from the org tree
+const stepValidators = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('approvalSteps.*.stepNumber').isInt({ min: 1 }).withMessage('Step number must be a positive integer'),
+    body('approvalSteps.*.approverType').optional().isIn(APPROVER_TYPES).withMessage('Invalid approver type'),
+    body('approvalSteps.*.approvers').optional().isArray().withMessage('Approvers must be an array'),
+    body('approvalSteps.*').custom(step => (step.approverType && step.approverType !== 'users') || step.approvers?.length > 0)
+      .withMessage('Each step must have at least one approver'),
+    body('approvalSteps.*.levels').optional({ values: 'null' }).isInt({ min: 1, max: 10 }).withMessage('Levels must be between 1 and 10'),
+    body('approvalSteps.*.fallbackApprover').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid fallback approver'),
+    body('approvalSteps.*.isRequired').optional().isBoolean()
+  ];
+};
+
+/**
+ * Check that the fixed and fallback approvers of the steps are managers or admins of the company
+ * @returns {Boolean} Whether every approver is valid
+ */
+const approversAreValid = async (approvalSteps, company) => {
+  const approverIds = [...new Set(approvalSteps.flatMap(step => [
+    ...(!step.approverType || step.approverType === 'users' ? step.approvers : []),
+    ...(step.fallbackApprover ? [step.fallbackApprover] : [])
+  ]).map(String))];
+
+  const approverCount = await User.countDocuments({
+    _id: { $in: approverIds },
+    company,
+    role: { $in: ['manager', 'admin'] }
+  });
+
+  return approverCount === approverIds.length;
+};
+
 // @route   GET /api/approval-rules
 // @desc    Get all approval rules for company
 // @access  Private (Admin, Manager)
@@ -21,7 +58,9 @@ router.get('/', auth, authorize('admin', 'manager'), async (req, res) => {
 
     const rules = await ApprovalRule.find(query)
       .populate('approvalSteps.approvers', 'firstName lastName email role')
+      .populate('approvalSteps.fallbackApprover', 'firstName lastName email role')
       .populate('conditions.employeeIds', 'firstName lastName email')
+      .populate('conditions.projects', 'name code lead')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -72,7 +111,9 @@ router.get('/:id', auth, authorize('admin', 'manager'), async (req, res) => {
       company: req.user.company
     })
     .populate('approvalSteps.approvers', 'firstName lastName email role')
-    .populate('conditions.employeeIds', 'firstName lastName email');
+    .populate('approvalSteps.fallbackApprover', 'firstName lastName email role')
+    .populate('conditions.employeeIds', 'firstName lastName email')
+    .populate('conditions.projects', 'name code lead');
 
     if (!rule) {
       return res.status(404).json({ message: 'Approval rule not found' });
@@ -95,9 +136,9 @@ router.post('/', [
   body('description').optional().trim(),
   body('conditions.amountThreshold').optional().isNumeric().withMessage('Amount threshold must be a number'),
   body('approvalSteps').isArray({ min: 1 }).withMessage('At least one approval step is required'),
-  body('approvalSteps.*.stepNumber').isInt({ min: 1 }).withMessage('Step number must be a positive integer'),
-  body('approvalSteps.*.approvers').isArray({ min: 1 }).withMessage('Each step must have at least one approver'),
-  body('approvalSteps.*.isRequired').optional().isBoolean()
+  ...stepValidators(),
+  body('conditions.projects').optional().isArray().withMessage('Projects must be an array'),
+  body('conditions.projects.*').isMongoId().withMessage('Invalid project')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -116,14 +157,7 @@ router.post('/', [
     } = req.body;
 
     // Validate approvers exist and are managers/admins
-    const allApproverIds = approvalSteps.flatMap(step => step.approvers);
-    const approvers = await User.find({
-      _id: { $in: allApproverIds },
-      company: req.user.company,
-      role: { $in: ['manager', 'admin'] }
-    });
-
-    if (approvers.length !== allApproverIds.length) {
+    if (!(await approversAreValid(approvalSteps, req.user.company))) {
       return res.status(400).json({ 
         message: 'All approvers must be valid managers or admins from your company' 
       });
@@ -143,11 +177,25 @@ router.post('/', [
       }
     }
 
+    // Validate project IDs if provided
+    if (conditions?.projects?.length > 0) {
+      const projectCount = await Project.countDocuments({
+        _id: { $in: conditions.projects },
+        company: req.user.company
+      });
+
+      if (projectCount !== conditions.projects.length) {
+        return res.status(400).json({ 
+          message: 'All specified projects must be valid projects from your company' 
+        });
+      }
+    }
+
     // Validate conditional rules if provided
     if (approvalLogic?.conditionalRules?.length > 0) {
       for (const rule of approvalLogic.conditionalRules) {
         // Validate rule type
-        const validRuleTypes = ['percentage', 'specific_approver', 'amount_threshold', 'category', 'department'];
+        const validRuleTypes = ['percentage', 'specific_approver', 'amount_threshold', 'category', 'department', 'budget_exceeded'];
         if (!validRuleTypes.includes(rule.ruleType)) {
           return res.status(400).json({ 
             message: `Invalid rule type: ${rule.ruleType}` 
@@ -198,6 +246,15 @@ router.post('/', [
             });
           }
         }
+
+        // Validate budget exceeded rule
+        if (rule.ruleType === 'budget_exceeded' && rule.condition?.budgetThreshold) {
+          if (rule.condition.budgetThreshold < 1 || rule.condition.budgetThreshold > 1000) {
+            return res.status(400).json({ 
+              message: 'Budget threshold must be between 1 and 1000 percent' 
+            });
+          }
+        }
       }
     }
 
@@ -217,7 +274,9 @@ router.post('/', [
 
     const createdRule = await ApprovalRule.findById(rule._id)
       .populate('approvalSteps.approvers', 'firstName lastName email role')
-      .populate('conditions.employeeIds', 'firstName lastName email');
+      .populate('approvalSteps.fallbackApprover', 'firstName lastName email role')
+      .populate('conditions.employeeIds', 'firstName lastName email')
+      .populate('conditions.projects', 'name code lead');
 
     res.status(201).json(createdRule);
   } catch (error) {
@@ -239,8 +298,9 @@ router.put('/:id', [
   body('description').optional().trim(),
   body('conditions.amountThreshold').optional().isNumeric().withMessage('Amount threshold must be a number'),
   body('approvalSteps').optional().isArray({ min: 1 }).withMessage('At least one approval step is required'),
-  body('approvalSteps.*.stepNumber').optional().isInt({ min: 1 }).withMessage('Step number must be a positive integer'),
-  body('approvalSteps.*.approvers').optional().isArray({ min: 1 }).withMessage('Each step must have at least one approver')
+  ...stepValidators(true),
+  body('conditions.projects').optional().isArray().withMessage('Projects must be an array'),
+  body('conditions.projects.*').isMongoId().withMessage('Invalid project')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -267,17 +327,22 @@ router.put('/:id', [
     } = req.body;
 
     // Validate approvers if provided
-    if (approvalSteps) {
-      const allApproverIds = approvalSteps.flatMap(step => step.approvers);
-      const approvers = await User.find({
-        _id: { $in: allApproverIds },
-        company: req.user.company,
-        role: { $in: ['manager', 'admin'] }
+    if (approvalSteps && !(await approversAreValid(approvalSteps, req.user.company))) {
+      return res.status(400).json({ 
+        message: 'All approvers must be valid managers or admins from your company' 
+      });
+    }
+
+    // Validate project IDs if provided
+    if (conditions?.projects?.length > 0) {
+      const projectCount = await Project.countDocuments({
+        _id: { $in: conditions.projects },
+        company: req.user.company
       });
 
-      if (approvers.length !== allApproverIds.length) {
+      if (projectCount !== conditions.projects.length) {
         return res.status(400).json({ 
-          message: 'All approvers must be valid managers or admins from your company' 
+          message: 'All specified projects must be valid projects from your company' 
         });
       }
     }
@@ -296,7 +361,9 @@ router.put('/:id', [
 
     const updatedRule = await ApprovalRule.findById(rule._id)
       .populate('approvalSteps.approvers', 'firstName lastName email role')
-      .populate('conditions.employeeIds', 'firstName lastName email');
+      .populate('approvalSteps.fallbackApprover', 'firstName lastName email role')
+      .populate('conditions.employeeIds', 'firstName lastName email')
+      .populate('conditions.projects', 'name code lead');
 
     res.json(updatedRule);
   } catch (error) {
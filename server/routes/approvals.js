@@ -8,11 +8,15 @@ const { auth, authorize } = require('../middleware/auth');
 const NotificationService = require('../utils/notificationService');
 const ConditionalApprovalEngine = require('../utils/conditionalApprovalEngine');
 const HierarchicalApprovalEngine = require('../utils/hierarchicalApprovalEngine');
+const ApprovalFlowService = require('../utils/approvalFlowService');
+const DelegationService = require('../utils/delegationService');
+const ApprovalChainService = require('../utils/approvalChainService');
 
 const router = express.Router();
 
 // @route   GET /api/approvals/pending
-// @desc    Get pending approvals for current user
+// @desc    Get pending approvals for current user; items the user would decide on as
+//          substitute for an approver who delegated to them carry `onBehalfOf`
 // @access  Private (Manager, Admin)
 router.get('/pending', auth, authorize('manager', 'admin'), async (req, res) => {
   try {
@@ -21,23 +25,46 @@ router.get('/pending', auth, authorize('manager', 'admin'), async (req, res) =>
 
     // For now, get all pending expenses in the company for managers/admins to approve
     // This is a simplified approach - in a real app, you'd match against approval flows
+    // Expenses that belong to a report are approved through the report
     const expenses = await Expense.find({
       company: req.user.company,
-      status: 'pending'
+      status: 'pending',
+      report: null
     })
-    .populate('employee', 'firstName lastName email department')
+    .populate('employee', 'firstName lastName email department manager')
     .populate('approvalFlow')
+    .populate({
+      path: 'duplicateCheck.matches.expense',
+      select: 'employee description merchant amount currency expenseDate status',
+      populate: { path: 'employee', select: 'firstName lastName' }
+    })
     .sort({ submissionDate: -1 })
     .skip(skip)
     .limit(parseInt(limit));
 
     const total = await Expense.countDocuments({
       company: req.user.company,
-      status: 'pending'
+      status: 'pending',
+      report: null
     });
 
+    const delegations = await DelegationService.findActiveFor(req.user);
+    const delegators = new Map(delegations.map(delegation => [
+      delegation.delegator._id.toString(),
+      delegation.delegator
+    ]));
+
     res.json({
-      expenses,
+      expenses: expenses.map(expense => {
+        const delegatorId = DelegationService.delegatorFor(expense, req.user, delegations);
+        const delegator = delegatorId && delegators.get(delegatorId.toString());
+        return {
+          ...expense.toJSON(),
+          onBehalfOf: delegator
+            ? { _id: delegator._id, firstName: delegator.firstName, lastName: delegator.lastName }
+            : null
+        };
+      }),
       pagination: {
         current: parseInt(page),
         pages: Math.ceil(total / limit),
@@ -79,7 +106,9 @@ router.post('/:expenseId/approve', [
       _id: expenseId,
       company: req.user.company,
       status: 'pending'
-    }).populate('approvalFlow');
+    })
+    .populate('approvalFlow')
+    .populate('employee', 'firstName lastName email manager');
 
     console.log('Found expense:', expense ? 'YES' : 'NO');
     if (expense) {
@@ -93,9 +122,72 @@ router.post('/:expenseId/approve', [
       return res.status(404).json({ message: 'Expense not found or not pending' });
     }
 
+    if (expense.report) {
+      return res.status(400).json({ message: 'This expense is part of an expense report. Approve the report instead.' });
+    }
+
+    // Substitutes approve on behalf of an approver who delegated to them
+    const delegations = await DelegationService.findActiveFor(req.user);
+
     // Temporary: Allow direct approval when no approval flow exists
     if (!expense.approvalFlow) {
       console.log('No approval flow found, using direct approval');
+      const onBehalfOf = DelegationService.delegatorFor(expense, req.user, delegations);
+
+      // An approver whose limit was exceeded has already recorded their approval
+      const alreadyApproved = expense.approvals.some(approval =>
+        approval.step === 1 && approval.approver.toString() === req.user._id.toString()
+      );
+      if (alreadyApproved) {
+        return res.status(400).json({ message: 'You have already processed this approval step' });
+      }
+
+      // Above the approver's signing authority the approval is recorded and the expense
+      // stays pending for someone whose limit covers it; nobody covering it refuses the approval
+      const { withinLimit, authority: higherAuthority } = await ApprovalChainService.findAuthorityAbove(onBehalfOf || req.user._id, expense);
+      if (!withinLimit && !higherAuthority) {
+        return res.status(403).json({ message: 'This expense exceeds your approval limit and nobody in the company has the authority to approve it' });
+      }
+
+      if (higherAuthority) {
+        expense.approvals.push({
+          approver: req.user._id,
+          status: 'approved',
+          comments: comments || '',
+          approvedAt: new Date(),
+          step: 1,
+          onBehalfOf
+        });
+        await expense.save();
+
+        const io = req.app.get('io');
+        if (io) {
+          try {
+            await NotificationService.createApprovalRequestNotification(expense, higherAuthority, io);
+          } catch (notificationError) {
+            console.error('Error sending approval request notification:', notificationError);
+            // Don't fail the approval if notification fails
+          }
+        }
+
+        const updatedExpense = await Expense.findById(expenseId)
+          .populate('employee', 'firstName lastName email')
+          .populate('approvals.approver', 'firstName lastName email')
+          .populate('approvals.onBehalfOf', 'firstName lastName');
+
+        return res.json({
+          ...updatedExpense.toObject(),
+          approvalResult: {
+            success: true,
+            status: 'pending',
+            message: `Approval limit exceeded, forwarded to ${higherAuthority.firstName} ${higherAuthority.lastName}`,
+            nextStep: null,
+            isComplete: false,
+            routedTo: { _id: higherAuthority._id, firstName: higherAuthority.firstName, lastName: higherAuthority.lastName }
+          }
+        });
+      }
+
       // Direct approval without flow
       expense.status = 'approved';
       expense.approvedBy = req.user._id;
@@ -107,7 +199,8 @@ router.post('/:expenseId/approve', [
         status: 'approved',
         comments: comments || '',
         approvedAt: new Date(),
-        step: 1
+        step: 1,
+        onBehalfOf
       });
       
       console.log('Saving expense with direct approval...');
@@ -116,7 +209,8 @@ router.post('/:expenseId/approve', [
       console.log('Expense saved, fetching updated expense...');
       const updatedExpense = await Expense.findById(expenseId)
         .populate('employee', 'firstName lastName email')
-        .populate('approvals.approver', 'firstName lastName email');
+        .populate('approvals.approver', 'firstName lastName email')
+        .populate('approvals.onBehalfOf', 'firstName lastName');
 
       // Send notification to employee about approval
       const io = req.app.get('io');
@@ -172,14 +266,15 @@ router.post('/:expenseId/approve', [
         if (result.success) {
           const updatedExpense = await Expense.findById(expenseId)
             .populate('employee', 'firstName lastName email')
-            .populate('approvals.approver', 'firstName lastName email');
+            .populate('approvals.approver', 'firstName lastName email')
+            .populate('approvals.onBehalfOf', 'firstName lastName');
           
           return res.json({
             ...updatedExpense.toObject(),
             approvalResult: result
           });
         } else {
-          return res.status(400).json({ message: result.message || 'Approval failed' });
+          return res.status(result.statusCode || 400).json({ message: result.message || 'Approval failed' });
         }
       }
       console.log('Total steps:', approvalFlow.totalSteps);
@@ -206,9 +301,12 @@ router.post('/:expenseId/approve', [
       return res.status(400).json({ message: 'No active approval step found' });
     }
 
-    // Check if current user is authorized to approve this step
-    const userApprover = currentStep.approvers.find(
-      approver => approver.user._id.toString() === req.user._id.toString()
+    // Check if current user is authorized to approve this step, in their own name or as substitute
+    const { approverEntry: userApprover, onBehalfOf } = DelegationService.resolveApprover(
+      currentStep,
+      req.user,
+      expense,
+      delegations
     );
 
     if (!userApprover) {
@@ -225,6 +323,13 @@ router.post('/:expenseId/approve', [
     userApprover.status = 'approved';
     userApprover.approvedAt = new Date();
     userApprover.comments = comments;
+    userApprover.actedBy = onBehalfOf ? req.user._id : null;
+
+    // Above the approver's signing authority a step for someone whose limit covers it follows
+    const { routedTo, blocked, withinLimit } = await ApprovalChainService.routeAboveLimit(approvalFlow, currentStep, onBehalfOf || req.user._id, expense);
+    if (blocked) {
+      return res.status(403).json({ message: 'This expense exceeds your approval limit and nobody in the company has the authority to approve it' });
+    }
 
     // Check if all required approvers for this step have approved
     const requiredApprovers = currentStep.approvers.filter(a => a.isRequired);
@@ -239,7 +344,8 @@ router.post('/:expenseId/approve', [
     if (stepCompleted) {
       // Check for conditional approval rules
       const rule = await ApprovalRule.findById(approvalFlow.rule);
-      if (rule && rule.approvalLogic.type === 'conditional') {
+      // Conditional shortcuts cannot bypass the approvers whose authority covers an amount above the approver's
+      if (rule && rule.approvalLogic.type === 'conditional' && withinLimit) {
         const io = req.app.get('io');
         const conditionalResult = await ConditionalApprovalEngine.processConditionalApproval(
           expense, 
@@ -251,7 +357,8 @@ router.post('/:expenseId/approve', [
         if (conditionalResult.success) {
           const updatedExpense = await Expense.findById(expenseId)
             .populate('employee', 'firstName lastName email')
-            .populate('approvals.approver', 'firstName lastName email');
+            .populate('approvals.approver', 'firstName lastName email')
+            .populate('approvals.onBehalfOf', 'firstName lastName');
           
           return res.json({
             message: conditionalResult.reason,
@@ -273,13 +380,26 @@ router.post('/:expenseId/approve', [
           status: 'approved',
           comments: comments || '',
           approvedAt: new Date(),
-          step: approvalFlow.currentStep - 1
+          step: approvalFlow.currentStep - 1,
+          onBehalfOf
         });
         
         await expense.save();
+
+        const io = req.app.get('io');
+        if (routedTo && io) {
+          try {
+            await NotificationService.createApprovalRequestNotification(expense, routedTo, io);
+          } catch (notificationError) {
+            console.error('Error sending approval request notification:', notificationError);
+            // Don't fail the approval if notification fails
+          }
+        }
         
         return res.json({
-          message: `Step ${approvalFlow.currentStep - 1} approved. Moved to step ${approvalFlow.currentStep}.`,
+          message: routedTo
+            ? `Approval limit exceeded, forwarded to ${routedTo.firstName} ${routedTo.lastName}.`
+            : `Step ${approvalFlow.currentStep - 1} approved. Moved to step ${approvalFlow.currentStep}.`,
           expense: await Expense.findById(expenseId).populate('employee', 'firstName lastName email'),
           nextStep: approvalFlow.currentStep
         });
@@ -304,7 +424,8 @@ router.post('/:expenseId/approve', [
           status: 'approved',
           comments: comments || '',
           approvedAt: new Date(),
-          step: approvalFlow.currentStep
+          step: approvalFlow.currentStep,
+          onBehalfOf
         });
       }
     } else {
@@ -314,7 +435,8 @@ router.post('/:expenseId/approve', [
         status: 'approved',
         comments: comments || '',
         approvedAt: new Date(),
-        step: approvalFlow.currentStep
+        step: approvalFlow.currentStep,
+        onBehalfOf
       });
     }
 
@@ -323,7 +445,8 @@ router.post('/:expenseId/approve', [
 
     const updatedExpense = await Expense.findById(expenseId)
       .populate('employee', 'firstName lastName email')
-      .populate('approvals.approver', 'firstName lastName email');
+      .populate('approvals.approver', 'firstName lastName email')
+      .populate('approvals.onBehalfOf', 'firstName lastName');
 
     // Send notification to employee about approval
     const io = req.app.get('io');
@@ -374,12 +497,21 @@ router.post('/:expenseId/reject', [
       _id: expenseId,
       company: req.user.company,
       status: 'pending'
-    }).populate('approvalFlow');
+    })
+    .populate('approvalFlow')
+    .populate('employee', 'firstName lastName email manager');
 
     if (!expense) {
       return res.status(404).json({ message: 'Expense not found or not pending' });
     }
 
+    if (expense.report) {
+      return res.status(400).json({ message: 'This expense is part of an expense report. Reject the report instead.' });
+    }
+
+    // Substitutes reject on behalf of an approver who delegated to them
+    const delegations = await DelegationService.findActiveFor(req.user);
+
     // Temporary: Allow direct rejection when no approval flow exists
     if (!expense.approvalFlow) {
       // Direct rejection without flow
@@ -394,14 +526,16 @@ router.post('/:expenseId/reject', [
         status: 'rejected',
         comments: comments || '',
         rejectedAt: new Date(),
-        step: 1
+        step: 1,
+        onBehalfOf: DelegationService.delegatorFor(expense, req.user, delegations)
       });
       
       await expense.save();
       
       const updatedExpense = await Expense.findById(expenseId)
         .populate('employee', 'firstName lastName email')
-        .populate('approvals.approver', 'firstName lastName email');
+        .populate('approvals.approver', 'firstName lastName email')
+        .populate('approvals.onBehalfOf', 'firstName lastName');
 
       // Send notification to employee about rejection
       const io = req.app.get('io');
@@ -432,9 +566,12 @@ router.post('/:expenseId/reject', [
       return res.status(400).json({ message: 'No active approval step found' });
     }
 
-    // Check if current user is authorized to reject this step
-    const userApprover = currentStep.approvers.find(
-      approver => approver.user._id.toString() === req.user._id.toString()
+    // Check if current user is authorized to reject this step, in their own name or as substitute
+    const { approverEntry: userApprover, onBehalfOf } = DelegationService.resolveApprover(
+      currentStep,
+      req.user,
+      expense,
+      delegations
     );
 
     if (!userApprover) {
@@ -451,6 +588,7 @@ router.post('/:expenseId/reject', [
     userApprover.status = 'rejected';
     userApprover.rejectedAt = new Date();
     userApprover.comments = comments;
+    userApprover.actedBy = onBehalfOf ? req.user._id : null;
 
     // Reject the entire flow and expense
     approvalFlow.status = 'rejected';
@@ -473,7 +611,8 @@ router.post('/:expenseId/reject', [
       status: 'rejected',
       comments: comments || '',
       rejectedAt: new Date(),
-      step: approvalFlow.currentStep
+      step: approvalFlow.currentStep,
+      onBehalfOf
     });
 
     await approvalFlow.save();
@@ -481,7 +620,8 @@ router.post('/:expenseId/reject', [
 
     const updatedExpense = await Expense.findById(expenseId)
       .populate('employee', 'firstName lastName email')
-      .populate('approvals.approver', 'firstName lastName email');
+      .populate('approvals.approver', 'firstName lastName email')
+      .populate('approvals.onBehalfOf', 'firstName lastName');
 
     // Send notification to employee about rejection
     const io = req.app.get('io');
@@ -501,6 +641,102 @@ router.post('/:expenseId/reject', [
   }
 });
 
+// @route   POST /api/approvals/:expenseId/request-info
+// @desc    Send a pending expense back to the submitter with a question. The expense waits in
+//          `needs_info` until they answer through PUT /api/expenses/:id, then its approval flow
+//          continues at the same step with earlier approvals kept, unless the answer changed the
+//          amount or category.
+// @access  Private (Manager, Admin)
+router.post('/:expenseId/request-info', [
+  auth,
+  authorize('manager', 'admin'),
+  body('question').trim().notEmpty().withMessage('Question is required')
+    .isLength({ max: 1000 }).withMessage('Question cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { question } = req.body;
+    const expenseId = req.params.expenseId;
+
+    const expense = await Expense.findOne({
+      _id: expenseId,
+      company: req.user.company,
+      status: 'pending'
+    })
+    .populate('approvalFlow')
+    .populate('employee', 'firstName lastName email manager');
+
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found or not pending' });
+    }
+
+    if (expense.report) {
+      return res.status(400).json({ message: 'This expense is part of an expense report. Review the report instead.' });
+    }
+
+    // Substitutes ask on behalf of an approver who delegated to them
+    const delegations = await DelegationService.findActiveFor(req.user);
+
+    let onBehalfOf;
+    let step = 1;
+    if (expense.approvalFlow) {
+      const approvalFlow = expense.approvalFlow;
+      const currentStep = approvalFlow.steps.find(flowStep => flowStep.stepNumber === approvalFlow.currentStep);
+      if (approvalFlow.status !== 'active' || !currentStep) {
+        return res.status(400).json({ message: 'No active approval step found' });
+      }
+
+      const resolved = DelegationService.resolveApprover(currentStep, req.user, expense, delegations);
+      if (!resolved.approverEntry) {
+        return res.status(403).json({ message: 'You are not an approver of the current step' });
+      }
+      if (resolved.approverEntry.status !== 'pending') {
+        return res.status(400).json({ message: 'You have already processed this approval step' });
+      }
+
+      onBehalfOf = resolved.onBehalfOf;
+      step = approvalFlow.currentStep;
+    } else {
+      onBehalfOf = DelegationService.delegatorFor(expense, req.user, delegations);
+    }
+
+    // The flow is left as it is, so answering resumes it at the same step
+    expense.status = 'needs_info';
+    expense.infoRequests.push({
+      requestedBy: req.user._id,
+      onBehalfOf,
+      question,
+      step,
+      requestedAt: new Date()
+    });
+    await expense.save();
+
+    const io = req.app.get('io');
+    if (io) {
+      try {
+        await NotificationService.createInfoRequestedNotification(expense, req.user, question, io);
+      } catch (notificationError) {
+        console.error('Error sending info requested notification:', notificationError);
+        // Don't fail the request if notification fails
+      }
+    }
+
+    const updatedExpense = await Expense.findById(expenseId)
+      .populate('employee', 'firstName lastName email')
+      .populate('infoRequests.requestedBy', 'firstName lastName')
+      .populate('infoRequests.onBehalfOf', 'firstName lastName');
+
+    res.json(updatedExpense);
+  } catch (error) {
+    console.error('Request expense info error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/approvals/rules
 // @desc    Get approval rules for company
 // @access  Private (Admin)
@@ -626,6 +862,7 @@ router.get('/flows', auth, authorize('manager', 'admin'), async (req, res) => {
           select: 'firstName lastName email'
         }
       })
+      .populate('report', 'title totalAmount currency status')
       .populate('rule', 'name description')
       .populate('steps.approvers.user', 'firstName lastName email')
       .sort({ createdAt: -1 })
@@ -693,20 +930,35 @@ router.post('/flows/:id/approve', [
     const flow = await ApprovalFlow.findOne({
       _id: flowId,
       company: req.user.company
-    }).populate('expense');
+    }).populate({
+      path: 'expense',
+      populate: { path: 'employee', select: 'firstName lastName email' }
+    });
 
     if (!flow) {
       return res.status(404).json({ message: 'Approval flow not found' });
     }
 
+    if (flow.report) {
+      return res.status(400).json({ message: 'This flow belongs to an expense report. Use the report approve endpoint instead.' });
+    }
+
+    if (flow.expense && flow.expense.status === 'needs_info') {
+      return res.status(400).json({ message: 'The expense is waiting for the submitter to answer a question' });
+    }
+
     // Find the current step and check if user is authorized
     const currentStep = flow.steps.find(step => step.stepNumber === flow.currentStep);
     if (!currentStep) {
       return res.status(400).json({ message: 'No active step found' });
     }
 
-    const userApprover = currentStep.approvers.find(
-      approver => approver.user.toString() === req.user._id.toString()
+    const delegations = await DelegationService.findActiveFor(req.user);
+    const { approverEntry: userApprover, onBehalfOf } = DelegationService.resolveApprover(
+      currentStep,
+      req.user,
+      flow.expense,
+      delegations
     );
 
     if (!userApprover) {
@@ -721,6 +973,13 @@ router.post('/flows/:id/approve', [
     userApprover.status = 'approved';
     userApprover.approvedAt = new Date();
     userApprover.comments = comment;
+    userApprover.actedBy = onBehalfOf ? req.user._id : null;
+
+    // Above the approver's signing authority a step for someone whose limit covers it follows
+    const { routedTo, blocked } = await ApprovalChainService.routeAboveLimit(flow, currentStep, onBehalfOf || req.user._id, flow.expense);
+    if (blocked) {
+      return res.status(403).json({ message: 'This expense exceeds your approval limit and nobody in the company has the authority to approve it' });
+    }
 
     // Check if step is complete
     const allRequired = currentStep.approvers.filter(a => a.isRequired);
@@ -730,6 +989,16 @@ router.post('/flows/:id/approve', [
       // Step is complete, move to next step or complete flow
       if (flow.currentStep < flow.totalSteps) {
         flow.currentStep += 1;
+
+        const io = req.app.get('io');
+        if (routedTo && io) {
+          try {
+            await NotificationService.createApprovalRequestNotification(flow.expense, routedTo, io);
+          } catch (notificationError) {
+            console.error('Error sending approval request notification:', notificationError);
+            // Don't fail the approval if notification fails
+          }
+        }
       } else {
         // Flow is complete
         flow.status = 'completed';
@@ -760,7 +1029,10 @@ router.post('/flows/:id/approve', [
     await flow.save();
 
     res.json({ 
-      message: 'Approval submitted successfully',
+      message: routedTo
+        ? `Approval limit exceeded, forwarded to ${routedTo.firstName} ${routedTo.lastName}`
+        : 'Approval submitted successfully',
+      routedTo: routedTo && { _id: routedTo._id, firstName: routedTo.firstName, lastName: routedTo.lastName },
       flow: await ApprovalFlow.findById(flowId)
         .populate('expense')
         .populate('steps.approvers.user', 'firstName lastName email')
@@ -792,14 +1064,26 @@ router.post('/flows/:id/reject', [
       return res.status(404).json({ message: 'Approval flow not found' });
     }
 
+    if (flow.report) {
+      return res.status(400).json({ message: 'This flow belongs to an expense report. Use the report reject endpoint instead.' });
+    }
+
+    if (flow.expense && flow.expense.status === 'needs_info') {
+      return res.status(400).json({ message: 'The expense is waiting for the submitter to answer a question' });
+    }
+
     // Find the current step and check if user is authorized
     const currentStep = flow.steps.find(step => step.stepNumber === flow.currentStep);
     if (!currentStep) {
       return res.status(400).json({ message: 'No active step found' });
     }
 
-    const userApprover = currentStep.approvers.find(
-      approver => approver.user.toString() === req.user._id.toString()
+    const delegations = await DelegationService.findActiveFor(req.user);
+    const { approverEntry: userApprover, onBehalfOf } = DelegationService.resolveApprover(
+      currentStep,
+      req.user,
+      flow.expense,
+      delegations
     );
 
     if (!userApprover) {
@@ -814,6 +1098,7 @@ router.post('/flows/:id/reject', [
     userApprover.status = 'rejected';
     userApprover.rejectedAt = new Date();
     userApprover.comments = comment;
+    userApprover.actedBy = onBehalfOf ? req.user._id : null;
 
     // Reject the entire flow
     flow.status = 'rejected';
@@ -881,6 +1166,10 @@ router.post('/flows', [
       return res.status(404).json({ message: 'Expense not found' });
     }
 
+    if (expense.report) {
+      return res.status(400).json({ message: 'Expenses in a report are approved through the report' });
+    }
+
     // Check if expense already has an approval flow
     if (expense.approvalFlow) {
       return res.status(400).json({ message: 'Expense already has an approval flow' });
@@ -897,28 +1186,8 @@ router.post('/flows', [
       return res.status(404).json({ message: 'Approval rule not found or inactive' });
     }
 
-    // Create approval flow
-    const approvalFlow = new ApprovalFlow({
-      company: req.user.company,
-      expense: expenseId,
-      rule: ruleId,
-      totalSteps: rule.approvalSteps.length,
-      currentStep: 1,
-      steps: rule.approvalSteps.map(step => ({
-        stepNumber: step.stepNumber,
-        approvers: step.approvers.map(approver => ({
-          user: approver._id,
-          status: 'pending',
-          isRequired: step.isRequired
-        }))
-      }))
-    });
-
-    await approvalFlow.save();
-
-    // Update expense with approval flow reference
-    expense.approvalFlow = approvalFlow._id;
-    await expense.save();
+    // Create approval flow and link it to the expense
+    const approvalFlow = await ApprovalFlowService.createFlowForExpense(expense, rule);
 
     const populatedFlow = await ApprovalFlow.findById(approvalFlow._id)
       .populate({
@@ -0,0 +1,68 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { auth, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const ENTITY_TYPES = ['Expense', 'ApprovalRule', 'ApprovalFlow', 'User', 'Company', 'Department', 'Project', 'CostCenter', 'Budget', 'Delegation', 'ExpenseComment'];
+const ACTIONS = ['create', 'update', 'delete'];
+
+// @route   GET /api/audit
+// @desc    Get audit log entries (?entityType=&entityId=&actor=&action=&path=&startDate=&endDate=)
+// @access  Private (Admin only)
+router.get('/', [
+  auth,
+  authorize('admin'),
+  query('entityType').optional().isIn(ENTITY_TYPES).withMessage('Invalid entity type'),
+  query('entityId').optional().isMongoId().withMessage('Invalid entity ID'),
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('action').optional().isIn(ACTIONS).withMessage('Action must be create, update or delete'),
+  query('startDate').optional().isISO8601().withMessage('Invalid date format'),
+  query('endDate').optional().isISO8601().withMessage('Invalid date format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { entityType, entityId, actor, action, path, startDate, endDate, page = 1, limit = 50 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = { company: req.user.company };
+    if (entityType) filter.entityType = entityType;
+    if (entityId) filter.entityId = entityId;
+    if (actor) filter.actor = actor;
+    if (action) filter.action = action;
+    if (path) filter['changes.path'] = path;
+
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    const entries = await AuditLog.find(filter)
+      .populate('actor', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.json({
+      entries,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
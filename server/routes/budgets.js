@@ -0,0 +1,314 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Budget = require('../models/Budget');
+const Company = require('../models/Company');
+const Department = require('../models/Department');
+const Expense = require('../models/Expense');
+const Project = require('../models/Project');
+const { auth, authorize } = require('../middleware/auth');
+const currencyConverter = require('../utils/currencyConverter');
+const BudgetService = require('../utils/budgetService');
+const ExpenseAllocationService = require('../utils/expenseAllocationService');
+
+const router = express.Router();
+
+// Validators shared by create and update; `optional` makes the required fields optional for updates
+const budgetValidators = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    body('period').optional().isIn(['monthly', 'quarterly', 'yearly']).withMessage('Period must be monthly, quarterly or yearly'),
+    field('amount').isFloat({ min: 0 }).withMessage('Budget amount must be a positive number'),
+    body('alertThresholds').optional().isArray({ max: 10 }).withMessage('Alert thresholds must be an array of at most 10 percentages'),
+    body('alertThresholds.*').isFloat({ min: 1, max: 1000 }).withMessage('Alert thresholds must be between 1 and 1000 percent'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+const populateBudget = (query) => query
+  .populate('department', 'name head')
+  .populate('project', 'name code lead');
+
+// Budget with its consumption, without the budget repeated inside the status
+const withStatus = (status) => {
+  const { budget, ...consumption } = status;
+  return { ...budget.toJSON(), status: consumption };
+};
+
+const sortThresholds = (thresholds) => [...new Set(thresholds.map(Number))].sort((a, b) => a - b);
+
+// @route   GET /api/budgets
+// @desc    Get budgets with their consumption in the period containing `date` (default today)
+// @access  Private (Manager/Admin)
+router.get('/', [
+  auth,
+  authorize('manager', 'admin'),
+  query('date').optional().isISO8601().withMessage('Valid date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { includeInactive, date } = req.query;
+
+    const filter = { company: req.user.company };
+    if (includeInactive !== 'true') {
+      filter.isActive = true;
+    }
+
+    const budgets = await populateBudget(Budget.find(filter)).sort({ createdAt: 1 });
+    const day = date ? new Date(date) : new Date();
+    const statuses = await Promise.all(budgets.map(budget => BudgetService.getStatus(budget, day)));
+
+    res.json(statuses.map(withStatus));
+  } catch (error) {
+    console.error('Get budgets error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/budgets/check
+// @desc    Preview what an expense being entered would do to its department and project budgets
+// @access  Private
+router.post('/check', [
+  auth,
+  body('amount').isFloat({ min: 0 }).withMessage('Amount must be a number'),
+  body('currency').optional({ values: 'falsy' }).isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters'),
+  body('expenseDate').optional({ values: 'falsy' }).isISO8601().withMessage('Valid expense date is required'),
+  body('project').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid project'),
+  body('expenseId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid expense')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { amount, currency, expenseDate, project, expenseId } = req.body;
+
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const allocations = ExpenseAllocationService.parse(req.body.allocations || []);
+    if (!allocations) {
+      return res.status(400).json({ message: 'Invalid allocations' });
+    }
+
+    // When an existing expense is edited, it replaces its own share instead of adding to it
+    let existing = null;
+    if (expenseId) {
+      existing = await Expense.findOne({ _id: expenseId, company: req.user.company, employee: req.user._id });
+      if (!existing) {
+        return res.status(404).json({ message: 'Expense not found' });
+      }
+    }
+
+    const conversion = await currencyConverter.convertAmount(
+      Number(amount),
+      (currency || company.currency).toUpperCase(),
+      company.currency
+    );
+
+    const expense = new Expense({
+      employee: req.user._id,
+      company: req.user.company,
+      amount: Number(amount),
+      currency: (currency || company.currency).toUpperCase(),
+      exchangeRate: conversion.exchangeRate,
+      amountInCompanyCurrency: conversion.convertedAmount,
+      expenseDate: expenseDate ? new Date(expenseDate) : new Date(),
+      project: project || null
+    });
+    if (existing) {
+      expense._id = existing._id;
+    }
+    ExpenseAllocationService.assign(expense, allocations);
+
+    const impacts = await BudgetService.getImpact(expense);
+
+    res.json({
+      currency: company.currency,
+      budgets: impacts.map(impact => ({
+        _id: impact.budget._id,
+        targetName: impact.targetName,
+        period: impact.period,
+        periodLabel: impact.periodLabel,
+        amount: impact.amount,
+        spent: impact.spent,
+        committed: impact.committed,
+        used: impact.used,
+        share: impact.share,
+        projected: impact.projected,
+        projectedPercent: impact.projectedPercent,
+        alertThresholds: impact.budget.alertThresholds,
+        exceeds: impact.exceeds
+      }))
+    });
+  } catch (error) {
+    console.error('Check budgets error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/budgets/:id
+// @desc    Get a budget with its consumption in the period containing `date` (default today)
+// @access  Private (Manager/Admin)
+router.get('/:id', [
+  auth,
+  authorize('manager', 'admin'),
+  query('date').optional().isISO8601().withMessage('Valid date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const budget = await populateBudget(Budget.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    }));
+
+    if (!budget) {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
+
+    const status = await BudgetService.getStatus(budget, req.query.date ? new Date(req.query.date) : new Date());
+
+    res.json(withStatus(status));
+  } catch (error) {
+    console.error('Get budget error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/budgets
+// @desc    Create a department or project budget
+// @access  Private (Admin only)
+router.post('/', [
+  auth,
+  authorize('admin'),
+  body('department').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid department'),
+  body('project').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid project'),
+  ...budgetValidators()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { department, project, period, amount, alertThresholds, notes, isActive } = req.body;
+
+    if (!department === !project) {
+      return res.status(400).json({ message: 'A budget needs either a department or a project' });
+    }
+
+    const target = department
+      ? await Department.exists({ _id: department, company: req.user.company })
+      : await Project.exists({ _id: project, company: req.user.company });
+    if (!target) {
+      return res.status(400).json({
+        message: department ? 'Department must belong to your company' : 'Project must belong to your company'
+      });
+    }
+
+    const budget = new Budget({
+      company: req.user.company,
+      department: department || null,
+      project: project || null,
+      period: period || 'monthly',
+      amount,
+      alertThresholds: alertThresholds ? sortThresholds(alertThresholds) : undefined,
+      notes,
+      isActive: isActive !== false,
+      createdBy: req.user._id
+    });
+
+    await budget.save();
+
+    const status = await BudgetService.getStatus(await populateBudget(Budget.findById(budget._id)));
+
+    res.status(201).json(withStatus(status));
+  } catch (error) {
+    console.error('Create budget error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'This department or project already has a budget for this period' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/budgets/:id
+// @desc    Update a budget's period, amount, alert thresholds or status
+// @access  Private (Admin only)
+router.put('/:id', [auth, authorize('admin'), ...budgetValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const budget = await Budget.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!budget) {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
+
+    const { period, amount, alertThresholds, notes, isActive } = req.body;
+
+    if (period) budget.period = period;
+    if (amount !== undefined) budget.amount = amount;
+    if (alertThresholds) budget.alertThresholds = sortThresholds(alertThresholds);
+    if (notes !== undefined) budget.notes = notes;
+    if (isActive !== undefined) budget.isActive = isActive;
+
+    await budget.save();
+
+    const status = await BudgetService.getStatus(await populateBudget(Budget.findById(budget._id)));
+
+    res.json(withStatus(status));
+  } catch (error) {
+    console.error('Update budget error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'This department or project already has a budget for this period' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/budgets/:id
+// @desc    Delete a budget
+// @access  Private (Admin only)
+router.delete('/:id', [auth, authorize('admin')], async (req, res) => {
+  try {
+    const budget = await Budget.findOneAndDelete({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!budget) {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
+
+    res.json({ message: 'Budget deleted successfully' });
+  } catch (error) {
+    console.error('Delete budget error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Company = require('../models/Company');
 const { auth, authorize } = require('../middleware/auth');
+const EncryptionService = require('../utils/encryptionService');
+const PaymentFileService = require('../utils/paymentFileService');
 
 const router = express.Router();
 
@@ -77,7 +79,8 @@ router.put('/settings', [
   body('expenseCategories').optional().isArray().withMessage('Expense categories must be an array'),
   body('autoApproveLimit').optional().isNumeric().withMessage('Auto approve limit must be a number'),
   body('maxExpenseAmount').optional().isNumeric().withMessage('Max expense amount must be a number'),
-  body('requireReceipts').optional().isBoolean().withMessage('Require receipts must be boolean')
+  body('requireReceipts').optional().isBoolean().withMessage('Require receipts must be boolean'),
+  body('duplicateHandling').optional().isIn(['warn', 'block']).withMessage('Duplicate handling must be warn or block')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -94,13 +97,15 @@ router.put('/settings', [
       expenseCategories, 
       autoApproveLimit, 
       maxExpenseAmount, 
-      requireReceipts 
+      requireReceipts,
+      duplicateHandling
     } = req.body;
 
     if (expenseCategories !== undefined) company.settings.expenseCategories = expenseCategories;
     if (autoApproveLimit !== undefined) company.settings.autoApproveLimit = autoApproveLimit;
     if (maxExpenseAmount !== undefined) company.settings.maxExpenseAmount = maxExpenseAmount;
     if (requireReceipts !== undefined) company.settings.requireReceipts = requireReceipts;
+    if (duplicateHandling !== undefined) company.settings.duplicateHandling = duplicateHandling;
 
     await company.save();
     res.json(company.settings);
@@ -110,4 +115,129 @@ router.put('/settings', [
   }
 });
 
+// @route   PUT /api/companies/payment-settings
+// @desc    Update payer account used for reimbursement payment files
+// @access  Private (Admin)
+router.put('/payment-settings', [
+  auth,
+  authorize('admin'),
+  body('debtorName').optional().trim().isLength({ max: 70 }).withMessage('Debtor name cannot exceed 70 characters'),
+  body('iban').optional({ values: 'falsy' }).customSanitizer(value => String(value).replace(/\s+/g, '').toUpperCase())
+    .custom(value => PaymentFileService.isValidIban(value)).withMessage('Invalid IBAN'),
+  body('bic').optional({ values: 'falsy' }).trim().toUpperCase()
+    .custom(value => PaymentFileService.isValidBic(value)).withMessage('Invalid BIC'),
+  body('achImmediateDestination').optional({ values: 'falsy' }).trim()
+    .custom(value => PaymentFileService.isValidRoutingNumber(value)).withMessage('Invalid routing number'),
+  body('achImmediateOrigin').optional().trim().isLength({ max: 10 }).withMessage('Immediate origin cannot exceed 10 characters'),
+  body('achCompanyId').optional().trim().isLength({ max: 10 }).withMessage('Company identification cannot exceed 10 characters'),
+  body('achCompanyName').optional().trim().isLength({ max: 16 }).withMessage('Company name cannot exceed 16 characters'),
+  body('achImmediateDestinationName').optional().trim().isLength({ max: 23 }).withMessage('Bank name cannot exceed 23 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const { iban } = req.body;
+    const fields = [
+      'debtorName',
+      'bic',
+      'achImmediateDestination',
+      'achImmediateDestinationName',
+      'achImmediateOrigin',
+      'achCompanyId',
+      'achCompanyName'
+    ];
+
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) company.paymentSettings[field] = req.body[field];
+    });
+
+    if (iban) {
+      company.paymentSettings.iban = EncryptionService.encrypt(iban);
+      company.paymentSettings.maskedAccount = EncryptionService.mask(iban);
+    }
+
+    await company.save();
+    res.json(company.toJSON().paymentSettings);
+  } catch (error) {
+    console.error('Update payment settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Policy sections that can be replaced through PUT /api/companies/policy
+const POLICY_SECTIONS = ['categoryLimits', 'perDiem', 'mileageRates', 'weekend', 'holidays', 'receiptThreshold', 'submissionDeadline', 'vat'];
+const POLICY_ACTIONS = ['flag', 'block'];
+const DAY_POLICY_ACTIONS = ['allow', 'flag', 'block'];
+
+// @route   PUT /api/companies/policy
+// @desc    Update the expense policy (category limits, per-diem and mileage rates, weekend/holiday rules, receipt threshold, submission deadline, VAT rates)
+// @access  Private (Admin)
+router.put('/policy', [
+  auth,
+  authorize('admin'),
+  body('categoryLimits').optional().isArray().withMessage('Category limits must be an array'),
+  body('categoryLimits.*.category').trim().notEmpty().withMessage('Category is required'),
+  body('categoryLimits.*.perItemLimit').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Per item limit must be a positive number'),
+  body('categoryLimits.*.dailyLimit').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Daily limit must be a positive number'),
+  body('categoryLimits.*.action').optional().isIn(POLICY_ACTIONS).withMessage('Action must be flag or block'),
+  body('perDiem.categories').optional().isArray().withMessage('Per-diem categories must be an array'),
+  body('perDiem.rates').optional().isArray().withMessage('Per-diem rates must be an array'),
+  body('perDiem.rates.*.country').isISO31661Alpha2().withMessage('Country must be a 2-letter ISO code'),
+  body('perDiem.rates.*.dailyRate').isFloat({ min: 0 }).withMessage('Daily rate must be a positive number'),
+  body('perDiem.rates.*.effectiveFrom').optional({ values: 'falsy' }).isISO8601().withMessage('Valid effective date is required'),
+  body('perDiem.mealDeductions.*').optional().isFloat({ min: 0, max: 100 }).withMessage('Meal deductions must be a percentage between 0 and 100'),
+  body('mileageRates').optional().isArray().withMessage('Mileage rates must be an array'),
+  body('mileageRates.*.vehicleType').trim().notEmpty().withMessage('Vehicle type is required'),
+  body('mileageRates.*.rate').isFloat({ min: 0 }).withMessage('Mileage rate must be a positive number'),
+  body('mileageRates.*.unit').optional().isIn(['km', 'mi']).withMessage('Unit must be km or mi'),
+  body('mileageRates.*.effectiveFrom').optional({ values: 'falsy' }).isISO8601().withMessage('Valid effective date is required'),
+  body('perDiem.action').optional().isIn(POLICY_ACTIONS).withMessage('Action must be flag or block'),
+  body('weekend.action').optional().isIn(DAY_POLICY_ACTIONS).withMessage('Action must be allow, flag or block'),
+  body('holidays.dates').optional().isArray().withMessage('Holidays must be an array'),
+  body('holidays.dates.*.date').isISO8601().withMessage('Valid holiday date is required'),
+  body('holidays.action').optional().isIn(DAY_POLICY_ACTIONS).withMessage('Action must be allow, flag or block'),
+  body('receiptThreshold.amount').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Receipt threshold must be a positive number'),
+  body('receiptThreshold.action').optional().isIn(POLICY_ACTIONS).withMessage('Action must be flag or block'),
+  body('submissionDeadline.days').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Submission deadline must be a whole number of days'),
+  body('submissionDeadline.action').optional().isIn(POLICY_ACTIONS).withMessage('Action must be flag or block'),
+  body('vat.rates').optional().isArray().withMessage('VAT rates must be an array'),
+  body('vat.rates.*.country').isISO31661Alpha2().withMessage('Country must be a 2-letter ISO code'),
+  body('vat.rates.*.code').trim().notEmpty().isLength({ max: 20 }).withMessage('Tax code is required (at most 20 characters)'),
+  body('vat.rates.*.name').optional().trim().isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+  body('vat.rates.*.rate').isFloat({ min: 0, max: 100 }).withMessage('VAT rate must be a percentage between 0 and 100'),
+  body('vat.rates.*.effectiveFrom').optional({ values: 'falsy' }).isISO8601().withMessage('Valid effective date is required'),
+  body('vat.action').optional().isIn(POLICY_ACTIONS).withMessage('Action must be flag or block')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    // Each section is replaced as a whole
+    POLICY_SECTIONS.forEach(section => {
+      if (req.body[section] !== undefined) company.set(`policy.${section}`, req.body[section]);
+    });
+
+    await company.save();
+    res.json(company.policy);
+  } catch (error) {
+    console.error('Update expense policy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,210 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const CostCenter = require('../models/CostCenter');
+const Expense = require('../models/Expense');
+const { auth, authorize } = require('../middleware/auth');
+const CostAssignmentService = require('../utils/costAssignmentService');
+
+const router = express.Router();
+
+// Validators shared by create and update; `optional` makes the required fields optional for updates
+const costCenterValidators = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('code').trim().isLength({ min: 1, max: 30 }).withMessage('Cost center code must be between 1 and 30 characters'),
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Cost center name must be between 1 and 100 characters'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+    body('owner').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid cost center owner'),
+    body('members').optional().isArray().withMessage('Members must be an array'),
+    body('members.*').isMongoId().withMessage('Invalid member'),
+    body('budget').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Budget must be a positive number'),
+    body('startDate').optional({ values: 'falsy' }).isISO8601().withMessage('Valid start date is required'),
+    body('endDate').optional({ values: 'falsy' }).isISO8601().withMessage('Valid end date is required'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+const populateCostCenter = (query) => query
+  .populate('owner', 'firstName lastName email')
+  .populate('members', 'firstName lastName email');
+
+// @route   GET /api/cost-centers
+// @desc    Get cost centers of the company (`available=true`: only those the user can charge today)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { includeInactive, available } = req.query;
+
+    const query = { company: req.user.company };
+    if (includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    let costCenters = await populateCostCenter(CostCenter.find(query)).sort({ code: 1 });
+
+    if (available === 'true') {
+      costCenters = costCenters.filter(costCenter => costCenter.isOpenOn(new Date()) && costCenter.hasMember(req.user._id));
+    }
+
+    res.json(costCenters);
+  } catch (error) {
+    console.error('Get cost centers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/cost-centers/:id
+// @desc    Get cost center by ID
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const costCenter = await populateCostCenter(CostCenter.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    }));
+
+    if (!costCenter) {
+      return res.status(404).json({ message: 'Cost center not found' });
+    }
+
+    res.json(costCenter);
+  } catch (error) {
+    console.error('Get cost center error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/cost-centers
+// @desc    Create a cost center
+// @access  Private (Admin only)
+router.post('/', [auth, authorize('admin'), ...costCenterValidators()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, code, description, owner, members, budget, startDate, endDate, isActive } = req.body;
+
+    if (startDate && endDate && new Date(endDate) < new Date(startDate)) {
+      return res.status(400).json({ message: 'End date cannot be before the start date' });
+    }
+
+    if (!await CostAssignmentService.usersBelongToCompany(req.user.company, [owner, ...(members || [])])) {
+      return res.status(400).json({ message: 'The owner and members must be users of your company' });
+    }
+
+    const costCenter = new CostCenter({
+      company: req.user.company,
+      name,
+      code,
+      description,
+      owner: owner || undefined,
+      members: members || [],
+      budget: budget ?? null,
+      startDate: startDate || undefined,
+      endDate: endDate || undefined,
+      isActive: isActive !== false,
+      createdBy: req.user._id
+    });
+
+    await costCenter.save();
+
+    res.status(201).json(await populateCostCenter(CostCenter.findById(costCenter._id)));
+  } catch (error) {
+    console.error('Create cost center error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A cost center with this code already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/cost-centers/:id
+// @desc    Update a cost center
+// @access  Private (Admin only)
+router.put('/:id', [auth, authorize('admin'), ...costCenterValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const costCenter = await CostCenter.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!costCenter) {
+      return res.status(404).json({ message: 'Cost center not found' });
+    }
+
+    const { name, code, description, owner, members, budget, startDate, endDate, isActive } = req.body;
+
+    if (!await CostAssignmentService.usersBelongToCompany(req.user.company, [owner, ...(members || [])])) {
+      return res.status(400).json({ message: 'The owner and members must be users of your company' });
+    }
+
+    if (name) costCenter.name = name;
+    if (code) costCenter.code = code;
+    if (description !== undefined) costCenter.description = description;
+    if (owner !== undefined) costCenter.owner = owner || undefined;
+    if (members) costCenter.members = members;
+    if (budget !== undefined) costCenter.budget = budget;
+    if (startDate !== undefined) costCenter.startDate = startDate || undefined;
+    if (endDate !== undefined) costCenter.endDate = endDate || undefined;
+    if (isActive !== undefined) costCenter.isActive = isActive;
+
+    if (costCenter.startDate && costCenter.endDate && costCenter.endDate < costCenter.startDate) {
+      return res.status(400).json({ message: 'End date cannot be before the start date' });
+    }
+
+    await costCenter.save();
+
+    res.json(await populateCostCenter(CostCenter.findById(costCenter._id)));
+  } catch (error) {
+    console.error('Update cost center error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A cost center with this code already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/cost-centers/:id
+// @desc    Delete a cost center that no expense is charged to
+// @access  Private (Admin only)
+router.delete('/:id', [auth, authorize('admin')], async (req, res) => {
+  try {
+    const costCenter = await CostCenter.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!costCenter) {
+      return res.status(404).json({ message: 'Cost center not found' });
+    }
+
+    const hasExpenses = await Expense.exists({ costCenter: costCenter._id });
+    if (hasExpenses) {
+      return res.status(400).json({
+        message: 'Cannot delete a cost center with expenses. Deactivate it instead.'
+      });
+    }
+
+    await CostCenter.findByIdAndDelete(costCenter._id);
+
+    res.json({ message: 'Cost center deleted successfully' });
+  } catch (error) {
+    console.error('Delete cost center error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
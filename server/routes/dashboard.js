@@ -2,6 +2,7 @@ const express = require('express');
 const Expense = require('../models/Expense');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const ExpenseAllocationService = require('../utils/expenseAllocationService');
 
 const router = express.Router();
 
@@ -35,6 +36,7 @@ router.get('/stats', auth, async (req, res) => {
     // Build query based on user role
     let query = { 
       company: req.user.company,
+      status: { $ne: 'draft' },
       expenseDate: { $gte: startDate }
     };
 
@@ -65,14 +67,56 @@ router.get('/stats', auth, async (req, res) => {
       }
     ]);
 
-    // Get expenses by category
+    // Get expenses by category; itemized expenses count under each line's category
     const categoryStats = await Expense.aggregate([
       { $match: query },
+      {
+        $project: {
+          lines: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$lineItems', []] } }, 0] },
+              '$lineItems',
+              [{ category: '$category', amountInCompanyCurrency: '$amountInCompanyCurrency' }]
+            ]
+          }
+        }
+      },
+      { $unwind: '$lines' },
       {
         $group: {
-          _id: '$category',
-          total: { $sum: '$amountInCompanyCurrency' },
-          count: { $sum: 1 }
+          _id: '$lines.category',
+          total: { $sum: '$lines.amountInCompanyCurrency' },
+          expenses: { $addToSet: '$_id' }
+        }
+      },
+      { $project: { total: 1, count: { $size: '$expenses' } } },
+      { $sort: { total: -1 } }
+    ]);
+
+    // Get expenses by department; allocated expenses are split across their departments
+    const departmentStats = await Expense.aggregate([
+      { $match: query },
+      ...ExpenseAllocationService.departmentSharesStages(),
+      {
+        $group: {
+          _id: '$shares.department',
+          total: { $sum: '$shares.amount' },
+          expenses: { $addToSet: '$_id' }
+        }
+      },
+      {
+        $lookup: {
+          from: 'departments',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'department'
+        }
+      },
+      {
+        $project: {
+          name: { $arrayElemAt: ['$department.name', 0] },
+          total: 1,
+          count: { $size: '$expenses' }
         }
       },
       { $sort: { total: -1 } }
@@ -123,6 +167,12 @@ router.get('/stats', auth, async (req, res) => {
         total: cat.total,
         count: cat.count
       })),
+      departmentStats: departmentStats.map(dept => ({
+        departmentId: dept._id,
+        department: dept.name || 'No department',
+        total: dept.total,
+        count: dept.count
+      })),
       statusStats: statusStats.map(stat => ({
         status: stat._id,
         total: stat.total,
@@ -169,6 +219,7 @@ router.get('/expense-trends', auth, async (req, res) => {
     // Build query
     let query = { 
       company: req.user.company,
+      status: { $ne: 'draft' },
       expenseDate: { $gte: startDate }
     };
 
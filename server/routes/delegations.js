@@ -0,0 +1,267 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Delegation = require('../models/Delegation');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const NotificationService = require('../utils/notificationService');
+
+const router = express.Router();
+
+// Only these roles can use the approval endpoints, so only they can substitute
+const SUBSTITUTE_ROLES = ['manager', 'admin'];
+
+// Validators shared by create and update; `optional` makes the required fields optional for updates
+const delegationValidators = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('delegate').isMongoId().withMessage('Valid substitute is required'),
+    field('startDate').isISO8601().withMessage('Valid start date is required'),
+    field('endDate').isISO8601().withMessage('Valid end date is required'),
+    body('categories').optional().isArray({ max: 50 }).withMessage('Categories must be an array'),
+    body('categories.*').isString().trim().notEmpty().withMessage('Categories must be names'),
+    body('maxAmount').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Maximum amount must be a positive number'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+// Delegations cover whole days: from the start of the first to the end of the last (UTC)
+const startOfDay = (value) => {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+const endOfDay = (value) => new Date(startOfDay(value).getTime() + 24 * 60 * 60 * 1000 - 1);
+
+const populateDelegation = (query) => query
+  .populate('delegator', 'firstName lastName email role')
+  .populate('delegate', 'firstName lastName email role');
+
+/**
+ * Check that the substitute is an active manager or admin of the company
+ * @returns {String|null} Error message
+ */
+const checkDelegate = async (delegateId, company) => {
+  const delegate = await User.findOne({ _id: delegateId, company, isActive: true }).select('role');
+  if (!delegate) {
+    return 'Substitute must be an active user of your company';
+  }
+  if (!SUBSTITUTE_ROLES.includes(delegate.role)) {
+    return 'Substitute must be a manager or admin';
+  }
+  return null;
+};
+
+const notifyDelegate = async (delegation, io) => {
+  if (!io || !delegation.isActive || delegation.endDate < new Date()) return;
+  try {
+    await NotificationService.createDelegationNotification(delegation, io);
+  } catch (notificationError) {
+    console.error('Error sending delegation notification:', notificationError);
+    // Don't fail the delegation if notification fails
+  }
+};
+
+// @route   GET /api/delegations
+// @desc    Get delegations the current user gave or received (?current=true for those in effect now);
+//          admins get every delegation of the company
+// @access  Private
+router.get('/', [
+  auth,
+  query('current').optional().isBoolean().withMessage('current must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { company: req.user.company };
+    if (req.user.role !== 'admin') {
+      filter.$or = [{ delegator: req.user._id }, { delegate: req.user._id }];
+    }
+    if (req.query.current === 'true') {
+      const now = new Date();
+      filter.isActive = true;
+      filter.startDate = { $lte: now };
+      filter.endDate = { $gte: now };
+    }
+
+    const delegations = await populateDelegation(Delegation.find(filter)).sort({ startDate: -1 });
+
+    res.json(delegations);
+  } catch (error) {
+    console.error('Get delegations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/delegations/substitutes
+// @desc    Get the users approvals can be delegated to
+// @access  Private
+router.get('/substitutes', auth, async (req, res) => {
+  try {
+    const users = await User.find({
+      company: req.user.company,
+      role: { $in: SUBSTITUTE_ROLES },
+      isActive: true,
+      _id: { $ne: req.user._id }
+    })
+    .select('firstName lastName email role')
+    .sort({ firstName: 1, lastName: 1 });
+
+    res.json(users);
+  } catch (error) {
+    console.error('Get substitutes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/delegations
+// @desc    Nominate a substitute who approves on the delegator's behalf for a date range;
+//          admins can set `delegator` to delegate for someone else
+// @access  Private
+router.post('/', [
+  auth,
+  body('delegator').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid delegator'),
+  ...delegationValidators()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { delegate, startDate, endDate, categories, maxAmount, reason, isActive } = req.body;
+
+    let delegator = req.user._id;
+    if (req.body.delegator && req.body.delegator !== req.user._id.toString()) {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Only admins can delegate on behalf of other users' });
+      }
+      const delegatorUser = await User.exists({ _id: req.body.delegator, company: req.user.company });
+      if (!delegatorUser) {
+        return res.status(400).json({ message: 'Delegator must belong to your company' });
+      }
+      delegator = req.body.delegator;
+    }
+
+    const delegateError = await checkDelegate(delegate, req.user.company);
+    if (delegateError) {
+      return res.status(400).json({ message: delegateError });
+    }
+
+    const delegation = new Delegation({
+      company: req.user.company,
+      delegator,
+      delegate,
+      startDate: startOfDay(startDate),
+      endDate: endOfDay(endDate),
+      categories: categories || [],
+      maxAmount: maxAmount ?? null,
+      reason,
+      isActive: isActive !== false,
+      createdBy: req.user._id
+    });
+
+    await delegation.save();
+
+    const populatedDelegation = await populateDelegation(Delegation.findById(delegation._id));
+    await notifyDelegate(populatedDelegation, req.app.get('io'));
+
+    res.status(201).json(populatedDelegation);
+  } catch (error) {
+    console.error('Create delegation error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/delegations/:id
+// @desc    Update a delegation's substitute, dates, limits or status
+// @access  Private (Delegator or Admin)
+router.put('/:id', [auth, ...delegationValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const delegation = await Delegation.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!delegation) {
+      return res.status(404).json({ message: 'Delegation not found' });
+    }
+
+    if (req.user.role !== 'admin' && delegation.delegator.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { delegate, startDate, endDate, categories, maxAmount, reason, isActive } = req.body;
+
+    const delegateChanged = delegate && delegate !== delegation.delegate.toString();
+    if (delegateChanged) {
+      const delegateError = await checkDelegate(delegate, req.user.company);
+      if (delegateError) {
+        return res.status(400).json({ message: delegateError });
+      }
+      delegation.delegate = delegate;
+    }
+
+    if (startDate) delegation.startDate = startOfDay(startDate);
+    if (endDate) delegation.endDate = endOfDay(endDate);
+    if (categories) delegation.categories = categories;
+    if (maxAmount !== undefined) delegation.maxAmount = maxAmount;
+    if (reason !== undefined) delegation.reason = reason;
+    if (isActive !== undefined) delegation.isActive = isActive;
+
+    await delegation.save();
+
+    const populatedDelegation = await populateDelegation(Delegation.findById(delegation._id));
+    if (delegateChanged) {
+      await notifyDelegate(populatedDelegation, req.app.get('io'));
+    }
+
+    res.json(populatedDelegation);
+  } catch (error) {
+    console.error('Update delegation error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/delegations/:id
+// @desc    Delete a delegation
+// @access  Private (Delegator or Admin)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const delegation = await Delegation.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!delegation) {
+      return res.status(404).json({ message: 'Delegation not found' });
+    }
+
+    if (req.user.role !== 'admin' && delegation.delegator.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await Delegation.deleteOne({ _id: delegation._id });
+
+    res.json({ message: 'Delegation deleted successfully' });
+  } catch (error) {
+    console.error('Delete delegation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
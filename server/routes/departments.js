@@ -3,7 +3,11 @@ const { body, validationResult } = require('express-validator');
 const Department = require('../models/Department');
 const Company = require('../models/Company');
 const User = require('../models/User');
+const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
 const { auth, authorize } = require('../middleware/auth');
+const ExpenseAllocationService = require('../utils/expenseAllocationService');
+const CostAssignmentService = require('../utils/costAssignmentService');
 
 const router = express.Router();
 
@@ -17,7 +21,8 @@ router.get('/', auth, async (req, res) => {
     const departments = await Department.getByCompany(
       req.user.company, 
       includeInactive === 'true'
-    ).populate('createdBy', 'firstName lastName');
+    ).populate('createdBy', 'firstName lastName')
+      .populate('head', 'firstName lastName email');
 
     // Update employee counts for each department
     for (const dept of departments) {
@@ -31,6 +36,63 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/departments/stats
+// @desc    Get department statistics; spending follows expense allocations
+// @access  Private
+router.get('/stats', auth, async (req, res) => {
+  try {
+    const departments = await Department.find({
+      company: req.user.company,
+      isActive: true
+    });
+
+    // Allocated expenses count towards each allocated department, the rest
+    // towards the submitter's department
+    const spending = await Expense.aggregate([
+      {
+        $match: {
+          company: req.user.company,
+          status: { $in: ['pending', 'needs_info', 'approved'] }
+        }
+      },
+      ...ExpenseAllocationService.departmentSharesStages(),
+      {
+        $group: {
+          _id: '$shares.department',
+          approvedAmount: { $sum: { $cond: [{ $eq: ['$status', 'approved'] }, '$shares.amount', 0] } },
+          pendingAmount: { $sum: { $cond: [{ $in: ['$status', ['pending', 'needs_info']] }, '$shares.amount', 0] } },
+          expenses: { $addToSet: '$_id' }
+        }
+      }
+    ]);
+    const spendingByDepartment = new Map(spending.map(entry => [String(entry._id), entry]));
+
+    const stats = await Promise.all(
+      departments.map(async (dept) => {
+        const employeeCount = await User.countDocuments({
+          department: dept._id,
+          isActive: true
+        });
+        const deptSpending = spendingByDepartment.get(dept._id.toString());
+
+        return {
+          department: dept.name,
+          employeeCount,
+          approvedAmount: deptSpending ? deptSpending.approvedAmount : 0,
+          pendingAmount: deptSpending ? deptSpending.pendingAmount : 0,
+          expenseCount: deptSpending ? deptSpending.expenses.length : 0,
+          id: dept._id
+        };
+      })
+    );
+
+    res.json(stats);
+  } catch (error) {
+    console.error('Get department stats error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/departments/:id
 // @desc    Get department by ID
 // @access  Private
@@ -39,7 +101,8 @@ router.get('/:id', auth, async (req, res) => {
     const department = await Department.findOne({
       _id: req.params.id,
       company: req.user.company
-    }).populate('createdBy', 'firstName lastName');
+    }).populate('createdBy', 'firstName lastName')
+      .populate('head', 'firstName lastName email');
 
     if (!department) {
       return res.status(404).json({ message: 'Department not found' });
@@ -75,7 +138,11 @@ router.post('/', [
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Description cannot exceed 500 characters')
+    .withMessage('Description cannot exceed 500 characters'),
+  body('head')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid department head')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -83,7 +150,11 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, description } = req.body;
+    const { name, description, head } = req.body;
+
+    if (!await CostAssignmentService.usersBelongToCompany(req.user.company, [head])) {
+      return res.status(400).json({ message: 'The department head must be a user of your company' });
+    }
 
     // Check if department name already exists in the company
     const existingDepartment = await Department.findOne({
@@ -100,6 +171,7 @@ router.post('/', [
     const department = new Department({
       name,
       description,
+      head: head || null,
       company: req.user.company,
       createdBy: req.user._id
     });
@@ -113,6 +185,7 @@ router.post('/', [
 
     // Populate the createdBy field for response
     await department.populate('createdBy', 'firstName lastName');
+    await department.populate('head', 'firstName lastName email');
 
     res.status(201).json(department);
   } catch (error) {
@@ -140,6 +213,10 @@ router.put('/:id', [
     .trim()
     .isLength({ max: 500 })
     .withMessage('Description cannot exceed 500 characters'),
+  body('head')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid department head'),
   body('isActive')
     .optional()
     .isBoolean()
@@ -151,7 +228,7 @@ router.put('/:id', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, description, isActive } = req.body;
+    const { name, description, head, isActive } = req.body;
 
     const department = await Department.findOne({
       _id: req.params.id,
@@ -162,6 +239,10 @@ router.put('/:id', [
       return res.status(404).json({ message: 'Department not found' });
     }
 
+    if (!await CostAssignmentService.usersBelongToCompany(req.user.company, [head])) {
+      return res.status(400).json({ message: 'The department head must be a user of your company' });
+    }
+
     // Check if new name conflicts with existing departments
     if (name && name !== department.name) {
       const existingDepartment = await Department.findOne({
@@ -180,10 +261,12 @@ router.put('/:id', [
     // Update fields
     if (name) department.name = name;
     if (description !== undefined) department.description = description;
+    if (head !== undefined) department.head = head || null;
     if (isActive !== undefined) department.isActive = isActive;
 
     await department.save();
     await department.populate('createdBy', 'firstName lastName');
+    await department.populate('head', 'firstName lastName email');
 
     res.json(department);
   } catch (error) {
@@ -226,7 +309,8 @@ router.delete('/:id', [auth, authorize('admin')], async (req, res) => {
       $pull: { departments: department._id }
     });
 
-    // Delete the department
+    // Delete the department and its budgets
+    await Budget.deleteMany({ company: req.user.company, department: department._id });
     await Department.findByIdAndDelete(req.params.id);
 
     res.json({ message: 'Department deleted successfully' });
@@ -299,36 +383,4 @@ router.post('/bulk-create', [
   }
 });
 
-// @route   GET /api/departments/stats
-// @desc    Get department statistics
-// @access  Private
-router.get('/stats', auth, async (req, res) => {
-  try {
-    const departments = await Department.find({
-      company: req.user.company,
-      isActive: true
-    });
-
-    const stats = await Promise.all(
-      departments.map(async (dept) => {
-        const employeeCount = await User.countDocuments({
-          department: dept._id,
-          isActive: true
-        });
-
-        return {
-          department: dept.name,
-          employeeCount,
-          id: dept._id
-        };
-      })
-    );
-
-    res.json(stats);
-  } catch (error) {
-    console.error('Get department stats error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
 module.exports = router;
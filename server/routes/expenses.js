@@ -1,55 +1,258 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Expense = require('../models/Expense');
+const ExpenseReport = require('../models/ExpenseReport');
 const User = require('../models/User');
 const Company = require('../models/Company');
 const ApprovalRule = require('../models/ApprovalRule');
 const ApprovalFlow = require('../models/ApprovalFlow');
+const AuditLog = require('../models/AuditLog');
+const ExpenseComment = require('../models/ExpenseComment');
 const { auth, authorize } = require('../middleware/auth');
-const { uploadReceipt, handleUploadError, deleteFile } = require('../middleware/upload');
+const { uploadAttachments, uploadCommentAttachments, getUploadedFiles, MAX_ATTACHMENTS, uploadCsv, handleUploadError } = require('../middleware/upload');
 const currencyConverter = require('../utils/currencyConverter');
 const path = require('path');
 const NotificationService = require('../utils/notificationService');
+const ExpenseReportService = require('../utils/expenseReportService');
+const ExpenseSubmissionService = require('../utils/expenseSubmissionService');
+const ExpenseExportService = require('../utils/expenseExportService');
+const ExpenseImportService = require('../utils/expenseImportService');
+const StorageService = require('../utils/storageService');
+const DuplicateDetectionService = require('../utils/duplicateDetectionService');
+const ExpensePolicyService = require('../utils/expensePolicyService');
+const ExpenseRateService = require('../utils/expenseRateService');
+const ExpenseLineItemService = require('../utils/expenseLineItemService');
+const ExpenseAllocationService = require('../utils/expenseAllocationService');
+const ExpenseTaxService = require('../utils/expenseTaxService');
+const CostAssignmentService = require('../utils/costAssignmentService');
+const BudgetService = require('../utils/budgetService');
+const ApprovalFlowService = require('../utils/approvalFlowService');
+const ExpenseCommentService = require('../utils/expenseCommentService');
 
 const router = express.Router();
 
+/**
+ * Whether a create request only saves a draft instead of submitting the expense
+ * @param {Object} req - Express request
+ * @returns {Boolean} True when saveAsDraft is set
+ */
+const isDraftRequest = (req) => String(req.body.saveAsDraft) === 'true';
+
+// express-validator conditions for the two kinds of create requests
+const whenSubmitting = (value, { req }) => !isDraftRequest(req);
+const whenDrafting = (value, { req }) => isDraftRequest(req);
+
+// Mileage and per-diem amounts are calculated, so only standard expenses need one
+const isStandardType = (req) => !ExpenseRateService.isCalculated({ type: req.body.type });
+const whenSubmittingAmount = (value, { req }) => whenSubmitting(value, { req }) && isStandardType(req);
+
+const EXPENSE_TYPES = ['standard', 'mileage', 'per_diem'];
+
+// Validators for the mileage and per-diem inputs, line items, tax and allocations of create and update requests
+const expenseDetailValidators = [
+  body('type').optional().isIn(EXPENSE_TYPES).withMessage('Type must be standard, mileage or per_diem'),
+  body('mileage.distance').optional({ values: 'falsy' }).isFloat({ gt: 0 }).withMessage('Distance must be greater than 0'),
+  body('mileage.vehicleType').optional().isLength({ max: 50 }).withMessage('Vehicle type cannot exceed 50 characters'),
+  body('mileage.startLocation').optional().isLength({ max: 200 }).withMessage('Start location cannot exceed 200 characters'),
+  body('mileage.endLocation').optional().isLength({ max: 200 }).withMessage('End location cannot exceed 200 characters'),
+  body('perDiem.startDate').optional({ values: 'falsy' }).isISO8601().withMessage('Valid per-diem start date is required'),
+  body('perDiem.endDate').optional({ values: 'falsy' }).isISO8601().withMessage('Valid per-diem end date is required'),
+  body('perDiem.mealsProvided.*').optional({ values: 'falsy' }).isInt({ min: 0 }).withMessage('Provided meals must be a whole number'),
+  body('lineItems').optional().custom(value => ExpenseLineItemService.parse(value) !== null)
+    .withMessage('Line items must be a list of { description, category, amount, taxAmount, taxRate, taxCode }'),
+  body('tax').optional().custom(value => ExpenseTaxService.parse(value) !== null)
+    .withMessage('Tax must be { amount, rate, code, netAmount }'),
+  body('allocations').optional().custom(value => ExpenseAllocationService.parse(value) !== null)
+    .withMessage('Allocations must be a list of { department, project, percent or amount }'),
+  body('project').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid project'),
+  body('costCenter').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid cost center')
+];
+
 // Fixed populate paths for approval flows
 
+/**
+ * Build attachment metadata for an uploaded file
+ * @param {Object} file - Multer file
+ * @param {Object} user - Uploading user
+ * @returns {Object} Attachment subdocument
+ */
+const toAttachment = (file, user) => ({
+  filename: path.basename(file.storageKey),
+  originalName: file.originalname,
+  storage: file.storage,
+  storageKey: file.storageKey,
+  mimetype: file.mimetype,
+  size: file.size,
+  contentHash: file.contentHash,
+  uploadedBy: user._id,
+  uploadDate: new Date()
+});
+
+/**
+ * Remove uploaded files that were not stored on an expense
+ * @param {Array} files - Multer files
+ */
+const discardUploads = (files) => Promise.all(files.map(file => StorageService.remove(file)));
+
+/**
+ * Serialize attachments with short-lived preview and download URLs
+ * @param {Array} attachments - Attachment subdocuments
+ * @returns {Array} Attachments with previewUrl, downloadUrl and urlExpiresAt
+ */
+const withSignedUrls = (attachments) => Promise.all(attachments.map(async (attachment) => {
+  const [preview, download] = await Promise.all([
+    StorageService.getSignedUrl(attachment, { inline: true }),
+    StorageService.getSignedUrl(attachment)
+  ]);
+
+  return {
+    ...attachment.toObject(),
+    previewUrl: preview?.url || null,
+    downloadUrl: download?.url || null,
+    urlExpiresAt: download?.expiresAt || null
+  };
+}));
+
+/**
+ * Check whether the current user may change an expense and its attachments
+ * @param {Object} expense - Expense object
+ * @param {Object} user - Current user
+ * @returns {Object} { error: { status, message } } or { report } (the expense's report, if any)
+ */
+const checkExpenseEditable = async (expense, user) => {
+  if (user.role === 'employee' && expense.employee.toString() !== user._id.toString()) {
+    return { error: { status: 403, message: 'Access denied' } };
+  }
+
+  // Only allow editing if expense is a draft, pending or sent back with a question
+  if (!['draft', 'pending', 'needs_info'].includes(expense.status)) {
+    return { error: { status: 400, message: 'Cannot edit approved or rejected expenses' } };
+  }
+
+  // Drafts are private to the employee working on them
+  if (expense.status === 'draft' && expense.employee.toString() !== user._id.toString()) {
+    return { error: { status: 403, message: 'Access denied' } };
+  }
+
+  // Lines of a submitted report are frozen while the report is reviewed
+  const report = expense.report ? await ExpenseReport.findById(expense.report) : null;
+  if (report && report.status !== 'draft') {
+    return { error: { status: 400, message: 'Cannot edit an expense that belongs to a submitted report' } };
+  }
+
+  return { report };
+};
+
+/**
+ * Check whether the current user may view an expense
+ * @param {Object} expense - Expense object
+ * @param {Object} user - Current user
+ * @returns {Boolean} True when the expense is visible
+ */
+const canViewExpense = (expense, user) => {
+  const employeeId = (expense.employee._id || expense.employee).toString();
+  const isOwner = employeeId === user._id.toString();
+  return isOwner || (user.role !== 'employee' && expense.status !== 'draft');
+};
+
+/**
+ * Load an expense of the current user's company that they may view
+ * @param {Object} req - Express request (id param)
+ * @returns {Object} { error: { status, message } } or { expense }
+ */
+const findViewableExpense = async (req) => {
+  const expense = await Expense.findOne({
+    _id: req.params.id,
+    company: req.user.company
+  });
+
+  if (!expense) {
+    return { error: { status: 404, message: 'Expense not found' } };
+  }
+
+  if (!canViewExpense(expense, req.user)) {
+    return { error: { status: 403, message: 'Access denied' } };
+  }
+
+  return { expense };
+};
+
+const populateComment = (query) => query
+  .populate('author', 'firstName lastName role')
+  .populate('mentions', 'firstName lastName');
+
+/**
+ * Serialize a comment; deleted comments keep only their place in the thread
+ * @param {Object} comment - ExpenseComment object
+ * @returns {Object} Comment with signed attachment URLs
+ */
+const serializeComment = async (comment) => {
+  if (comment.isDeleted) {
+    return { ...comment.toJSON(), body: '', mentions: [], attachments: [], editHistory: [] };
+  }
+
+  return {
+    ...comment.toJSON(),
+    attachments: await withSignedUrls(comment.attachments)
+  };
+};
+
+/**
+ * Build the expense list query for the current user's role and the list filters
+ * @param {Object} req - Express request (status, category, startDate, endDate query params)
+ * @returns {Object} Mongo query
+ */
+const buildExpenseListQuery = async (req) => {
+  const { status, category, startDate, endDate } = req.query;
+
+  let query = { company: req.user.company };
+
+  // Role-based filtering
+  if (req.user.role === 'employee') {
+    query.employee = req.user._id;
+  } else if (req.user.role === 'manager') {
+    // Manager can see their team's expenses
+    const teamEmployees = await User.find({ 
+      $or: [
+        { manager: req.user._id },
+        { _id: req.user._id }
+      ],
+      company: req.user.company
+    }).select('_id');
+    
+    query.employee = { $in: teamEmployees.map(emp => emp._id) };
+  }
+  // Admin can see all expenses (no additional filter)
+
+  // Drafts are private to the employee working on them
+  if (req.user.role !== 'employee') {
+    query.$or = [
+      { status: { $ne: 'draft' } },
+      { employee: req.user._id }
+    ];
+  }
+
+  // Additional filters (status accepts a comma-separated list)
+  if (status) query.status = status.includes(',') ? { $in: status.split(',') } : status;
+  if (category) query.category = category;
+  if (startDate || endDate) {
+    query.expenseDate = {};
+    if (startDate) query.expenseDate.$gte = new Date(startDate);
+    if (endDate) query.expenseDate.$lte = new Date(endDate);
+  }
+
+  return query;
+};
+
 // @route   GET /api/expenses
 // @desc    Get expenses based on user role
 // @access  Private
 router.get('/', auth, async (req, res) => {
   try {
-    const { status, category, startDate, endDate, page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10 } = req.query;
     const skip = (page - 1) * limit;
 
-    let query = { company: req.user.company };
-
-    // Role-based filtering
-    if (req.user.role === 'employee') {
-      query.employee = req.user._id;
-    } else if (req.user.role === 'manager') {
-      // Manager can see their team's expenses
-      const teamEmployees = await User.find({ 
-        $or: [
-          { manager: req.user._id },
-          { _id: req.user._id }
-        ],
-        company: req.user.company
-      }).select('_id');
-      
-      query.employee = { $in: teamEmployees.map(emp => emp._id) };
-    }
-    // Admin can see all expenses (no additional filter)
-
-    // Additional filters
-    if (status) query.status = status;
-    if (category) query.category = category;
-    if (startDate || endDate) {
-      query.expenseDate = {};
-      if (startDate) query.expenseDate.$gte = new Date(startDate);
-      if (endDate) query.expenseDate.$lte = new Date(endDate);
-    }
+    const query = await buildExpenseListQuery(req);
 
     const expenses = await Expense.find(query)
       .populate('employee', 'firstName lastName email department')
@@ -75,6 +278,154 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/expenses/import
+// @desc    Import historical expenses from CSV; validates only unless dryRun=false
+// @access  Private (Admin only)
+router.post('/import', [
+  auth,
+  authorize('admin'),
+  uploadCsv,
+  handleUploadError
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'CSV file is required' });
+    }
+
+    const dryRun = String(req.body.dryRun) !== 'false';
+    const skipInvalid = String(req.body.skipInvalid) === 'true';
+
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const { rows, ...report } = await ExpenseImportService.validate(req.file.buffer, company);
+    const summary = {
+      ...report,
+      preview: rows.slice(0, 20)
+    };
+
+    if (dryRun) {
+      return res.json({ dryRun: true, report: summary });
+    }
+
+    if (report.errors.length > 0 && !skipInvalid) {
+      return res.status(400).json({
+        message: 'The file has errors; fix them or set skipInvalid=true to import only the valid rows',
+        dryRun: false,
+        report: summary
+      });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ message: 'No valid rows to import', dryRun: false, report: summary });
+    }
+
+    const result = await ExpenseImportService.importRows(rows, req.user, req.file.originalname);
+
+    res.status(201).json({
+      message: `${result.imported} expenses imported successfully`,
+      dryRun: false,
+      importId: result.importId,
+      imported: result.imported,
+      report: summary
+    });
+  } catch (error) {
+    console.error('Import expenses error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/expenses/export
+// @desc    Export expenses with the list filters as CSV or XLSX (?format=csv|xlsx)
+// @access  Private
+router.get('/export', auth, async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be csv or xlsx' });
+    }
+
+    const query = await buildExpenseListQuery(req);
+    const company = await Company.findById(req.user.company).select('currency');
+
+    const cursor = Expense.find(query)
+      .populate('employee', 'firstName lastName email')
+      .populate('approvedBy', 'firstName lastName')
+      .populate('rejectedBy', 'firstName lastName')
+      .populate('approvals.approver', 'firstName lastName')
+      .populate('approvals.onBehalfOf', 'firstName lastName')
+      .sort({ submissionDate: -1 })
+      .cursor();
+
+    const fileName = `expenses-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      await ExpenseExportService.streamXlsx(cursor, res, { companyCurrency: company.currency });
+    } else {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      await ExpenseExportService.streamCsv(cursor, res, { companyCurrency: company.currency });
+    }
+  } catch (error) {
+    console.error('Export expenses error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/expenses/vat-report
+// @desc    Reclaimable VAT of approved expenses in a period by country, rate and tax code (?format=json|csv)
+// @access  Private (Admin only)
+router.get('/vat-report', [
+  auth,
+  authorize('admin'),
+  query('startDate').isISO8601().withMessage('Valid start date is required'),
+  query('endDate').isISO8601().withMessage('Valid end date is required'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { startDate, endDate, format = 'json' } = req.query;
+
+    const company = await Company.findById(req.user.company).select('country currency policy.vat');
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const cursor = Expense.find({
+      company: req.user.company,
+      status: 'approved',
+      expenseDate: { $gte: new Date(startDate), $lte: new Date(endDate) },
+      $or: [{ 'tax.amount': { $gt: 0 } }, { 'lineItems.taxAmount': { $gt: 0 } }]
+    })
+      .select('amount currency exchangeRate amountInCompanyCurrency tax lineItems location expenseDate')
+      .cursor();
+
+    const report = await ExpenseTaxService.buildVatReport(cursor, company);
+    const result = { startDate, endDate, companyCurrency: company.currency, ...report };
+
+    if (format === 'csv') {
+      res.setHeader('Content-Disposition', `attachment; filename="vat-report-${startDate.slice(0, 10)}-${endDate.slice(0, 10)}.csv"`);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(ExpenseExportService.vatReportCsv(result));
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('VAT report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/expenses/:id
 // @desc    Get expense by ID
 // @access  Private
@@ -87,7 +438,16 @@ router.get('/:id', auth, async (req, res) => {
     .populate('employee', 'firstName lastName email department')
     .populate('approvedBy', 'firstName lastName')
     .populate('rejectedBy', 'firstName lastName')
-    .populate('approvals.approver', 'firstName lastName email');
+    .populate('approvals.approver', 'firstName lastName email')
+    .populate('approvals.onBehalfOf', 'firstName lastName')
+    .populate('infoRequests.requestedBy', 'firstName lastName')
+    .populate('infoRequests.onBehalfOf', 'firstName lastName')
+    .populate('infoRequests.respondedBy', 'firstName lastName')
+    .populate('reimbursementBatch', 'batchNumber status paidAt')
+    .populate('allocations.department', 'name')
+    .populate('allocations.project', 'name code')
+    .populate('project', 'name code client')
+    .populate('costCenter', 'name code');
 
     if (!expense) {
       return res.status(404).json({ message: 'Expense not found' });
@@ -98,26 +458,121 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    res.json(expense);
+    if (expense.status === 'draft' && expense.employee._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json({
+      ...expense.toJSON(),
+      attachments: await withSignedUrls(expense.attachments)
+    });
   } catch (error) {
     console.error('Get expense error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   GET /api/expenses/:id/activity
+// @desc    Get the audit trail of an expense and its approval flows
+// @access  Private
+router.get('/:id/activity', auth, async (req, res) => {
+  try {
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    }).select('employee status');
+
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    if (!canViewExpense(expense, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const flowIds = await ApprovalFlow.find({ expense: expense._id }).distinct('_id');
+
+    const entries = await AuditLog.find({
+      company: req.user.company,
+      $or: [
+        { entityType: 'Expense', entityId: expense._id },
+        { entityType: 'ApprovalFlow', entityId: { $in: flowIds } }
+      ]
+    })
+      // Network details are only shown in the admin audit log
+      .select('-ip -userAgent')
+      .sort({ createdAt: 1 });
+
+    res.json(entries);
+  } catch (error) {
+    console.error('Get expense activity error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/expenses/calculate
+// @desc    Preview the amount of a mileage or per-diem expense from the company rates
+// @access  Private
+router.post('/calculate', [
+  auth,
+  body('type').isIn(['mileage', 'per_diem']).withMessage('Type must be mileage or per_diem'),
+  body('expenseDate').optional({ values: 'falsy' }).isISO8601().withMessage('Valid expense date is required'),
+  ...expenseDetailValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const { type, mileage, perDiem, location, expenseDate } = req.body;
+    const result = ExpenseRateService.calculate(company, type, {
+      mileage,
+      perDiem,
+      location,
+      expenseDate: expenseDate ? new Date(expenseDate) : new Date()
+    });
+
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+
+    res.json({
+      amount: result.amount,
+      currency: company.currency,
+      details: result.details
+    });
+  } catch (error) {
+    console.error('Calculate expense amount error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/expenses
-// @desc    Create new expense
+// @desc    Create new expense, either as a draft or submitted for approval
 // @access  Private (Employee)
 router.post('/', [
   auth,
   authorize('employee', 'manager', 'admin'),
-  uploadReceipt,
+  uploadAttachments,
   handleUploadError,
-  body('category').notEmpty().withMessage('Category is required'),
-  body('amount').isNumeric().withMessage('Amount must be a number'),
-  body('currency').isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters'),
-  body('description').notEmpty().withMessage('Description is required'),
-  body('expenseDate').isISO8601().withMessage('Valid expense date is required')
+  // Drafts may be saved half-filled; the full checks run when they are submitted
+  body('category').if(whenSubmitting).notEmpty().withMessage('Category is required'),
+  body('amount').if(whenSubmittingAmount).isNumeric().withMessage('Amount must be a number'),
+  body('amount').if(whenDrafting).optional({ values: 'falsy' }).isNumeric().withMessage('Amount must be a number'),
+  body('currency').if(whenSubmitting).isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters'),
+  body('currency').if(whenDrafting).optional({ values: 'falsy' }).isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters'),
+  body('description').if(whenSubmitting).notEmpty().withMessage('Description is required'),
+  body('merchant').optional().isLength({ max: 200 }).withMessage('Merchant cannot exceed 200 characters'),
+  body('location.country').optional({ values: 'falsy' }).isISO31661Alpha2().withMessage('Location country must be a 2-letter ISO code'),
+  body('expenseDate').if(whenSubmitting).isISO8601().withMessage('Valid expense date is required'),
+  body('expenseDate').if(whenDrafting).optional({ values: 'falsy' }).isISO8601().withMessage('Valid expense date is required'),
+  ...expenseDetailValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -125,7 +580,8 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { category, amount, currency, description, expenseDate, tags } = req.body;
+    const { type, category, amount, currency, description, merchant, location, expenseDate, project, costCenter, tags } = req.body;
+    const saveAsDraft = isDraftRequest(req);
 
     // Get company information for currency conversion
     const company = await Company.findById(req.user.company);
@@ -133,123 +589,222 @@ router.post('/', [
       return res.status(404).json({ message: 'Company not found' });
     }
 
-    // Currency conversion using real exchange rates
-    const conversion = await currencyConverter.convertAmount(
-      amount, 
-      currency.toUpperCase(), 
-      company.currency
-    );
-    const exchangeRate = conversion.exchangeRate;
-    const amountInCompanyCurrency = conversion.convertedAmount;
-
-    // Check max expense limit
-    if (company.settings.maxExpenseAmount && amountInCompanyCurrency > company.settings.maxExpenseAmount) {
-      return res.status(400).json({ 
-        message: `Expense amount exceeds maximum allowed limit of ${company.currency} ${company.settings.maxExpenseAmount}` 
-      });
-    }
-
     const expenseData = {
       employee: req.user._id,
       company: req.user.company,
+      type: type || 'standard',
       category,
-      amount,
-      currency: currency.toUpperCase(),
-      amountInCompanyCurrency,
-      exchangeRate,
+      currency: (currency || company.currency).toUpperCase(),
       description,
-      expenseDate: new Date(expenseDate),
-      tags: tags || []
+      merchant,
+      location,
+      expenseDate: expenseDate ? new Date(expenseDate) : undefined,
+      project: project || null,
+      costCenter: costCenter || null,
+      tags: tags || [],
+      status: saveAsDraft ? 'draft' : 'pending'
     };
 
-    // Add receipt information if file was uploaded
-    if (req.file) {
-      expenseData.receipt = {
-        filename: req.file.filename,
-        originalName: req.file.originalname,
-        path: req.file.path,
-        mimetype: req.file.mimetype,
-        size: req.file.size,
-        uploadDate: new Date()
-      };
+    // Currency conversion using real exchange rates
+    if (amount && !ExpenseRateService.isCalculated(expenseData)) {
+      const conversion = await currencyConverter.convertAmount(
+        amount, 
+        expenseData.currency, 
+        company.currency
+      );
+      expenseData.amount = amount;
+      expenseData.exchangeRate = conversion.exchangeRate;
+      expenseData.amountInCompanyCurrency = conversion.convertedAmount;
     }
 
+    // Add the uploaded receipts and supporting documents
+    const files = getUploadedFiles(req);
+    expenseData.attachments = files.map(file => toAttachment(file, req.user));
+
     const expense = new Expense(expenseData);
-    await expense.save();
 
-    // Check for auto-approval based on company settings
-    let isAutoApproved = false;
-    if (company.settings.autoApproveLimit && amountInCompanyCurrency <= company.settings.autoApproveLimit) {
-      // Auto-approve the expense
-      expense.status = 'approved';
-      expense.approvedBy = null; // System approval
-      expense.approvedAt = new Date();
-      expense.approvals.push({
-        approver: null, // System approval
-        status: 'approved',
-        comments: `Auto-approved: Amount (${company.currency} ${amountInCompanyCurrency}) is within auto-approve limit (${company.currency} ${company.settings.autoApproveLimit})`,
-        approvedAt: new Date(),
-        step: 0
-      });
+    // Mileage and per-diem amounts come from the company rates; drafts may still be incomplete
+    if (ExpenseRateService.isCalculated(expense)) {
+      const { error: calculationError } = ExpenseRateService.applyToExpense(expense, company, req.body);
+      if (calculationError && !saveAsDraft) {
+        await discardUploads(files);
+        return res.status(400).json({ message: calculationError });
+      }
+    } else if (req.body.lineItems !== undefined) {
+      ExpenseLineItemService.assign(expense, ExpenseLineItemService.parse(req.body.lineItems));
+    }
+
+    // Itemized expenses take their tax from the lines
+    if (req.body.tax !== undefined) {
+      ExpenseTaxService.assign(expense, ExpenseTaxService.parse(req.body.tax));
+    } else {
+      ExpenseTaxService.applyAmounts(expense);
+    }
+
+    if (req.body.allocations !== undefined) {
+      ExpenseAllocationService.assign(expense, ExpenseAllocationService.parse(req.body.allocations));
+    }
+
+    const assignmentErrors = await CostAssignmentService.validate(expense);
+    if (assignmentErrors.length > 0) {
+      await discardUploads(files);
+      return res.status(400).json({ message: assignmentErrors.join('. ') });
+    }
+
+    if (saveAsDraft) {
       await expense.save();
-      isAutoApproved = true;
+
+      const draftExpense = await Expense.findById(expense._id)
+        .populate('employee', 'firstName lastName email');
+
+      return res.status(201).json(draftExpense);
     }
 
-    // TODO: Add approval flow creation after fixing schema populate issues
-    // const user = await User.findById(req.user._id).populate('company');
-    // const approvalRule = await ApprovalRule.findOne({
-    //   company: user.company._id,
-    //   isActive: true,
-    // }).populate('approvalSteps.approvers');
-    // 
-    // if (approvalRule) {
-    //   // Create approval flow logic here
-    // }
+    const submissionErrors = ExpenseSubmissionService.validateForSubmission(expense, company);
+    if (submissionErrors.length > 0) {
+      await discardUploads(files);
+      return res.status(400).json({ message: submissionErrors.join('. '), submissionErrors });
+    }
 
-    const createdExpense = await Expense.findById(expense._id)
-      .populate('employee', 'firstName lastName email');
+    const { violations, blocking } = await ExpensePolicyService.apply(expense, company);
+    if (blocking.length > 0) {
+      await discardUploads(files);
+      return res.status(400).json({
+        message: blocking.map(violation => violation.message).join('. '),
+        submissionErrors: blocking.map(violation => violation.message),
+        policyViolations: violations
+      });
+    }
 
-    // Send notifications based on approval status
-    const io = req.app.get('io');
-    if (io) {
-      try {
-        if (isAutoApproved) {
-          // Send auto-approval notification to employee
-          await NotificationService.createExpenseApprovedNotification(
-            createdExpense, 
-            { firstName: 'System', lastName: 'Auto-Approval' }, 
-            io
-          );
-          // Also notify managers/admins about the auto-approval
-          await NotificationService.createAutoApprovalNotification(createdExpense, io);
-        } else {
-          // Send submission notification to managers and admins
-          await NotificationService.createExpenseSubmittedNotification(createdExpense, io);
-        }
-      } catch (notificationError) {
-        console.error('Error sending notification:', notificationError);
-        // Don't fail the expense creation if notification fails
-      }
+    const duplicateCheck = await DuplicateDetectionService.check(expense, company);
+    const duplicates = DuplicateDetectionService.summarize(duplicateCheck.matches, req.user);
+    if (duplicateCheck.blocked) {
+      await discardUploads(files);
+      return res.status(409).json({
+        message: 'This expense looks like a duplicate of an expense that was already submitted',
+        duplicates
+      });
     }
 
-    res.status(201).json(createdExpense);
+    const { expense: createdExpense, appliedRule } = await ExpenseSubmissionService.submitExpense(
+      expense,
+      company,
+      req.app.get('io')
+    );
+
+    res.status(201).json({
+      ...createdExpense.toObject(),
+      appliedRule,
+      duplicates
+    });
   } catch (error) {
     console.error('Create expense error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   POST /api/expenses/:id/submit
+// @desc    Submit a draft expense for approval
+// @access  Private (Employee - own expenses only)
+router.post('/:id/submit', auth, async (req, res) => {
+  try {
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    if (expense.employee.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'You can only submit your own expenses' });
+    }
+
+    if (expense.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft expenses can be submitted' });
+    }
+
+    if (expense.report) {
+      return res.status(400).json({ message: 'This expense is submitted together with its report' });
+    }
+
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    // Calculated amounts use the rates in effect when the draft is submitted
+    if (ExpenseRateService.isCalculated(expense)) {
+      const { error: calculationError } = ExpenseRateService.applyToExpense(expense, company);
+      if (calculationError) {
+        return res.status(400).json({ message: calculationError });
+      }
+      ExpenseAllocationService.applyAmounts(expense);
+    }
+
+    // Departments and projects may have been closed since the draft was saved
+    const submissionErrors = [
+      ...ExpenseSubmissionService.validateForSubmission(expense, company),
+      ...await CostAssignmentService.validate(expense)
+    ];
+    if (submissionErrors.length > 0) {
+      return res.status(400).json({ message: submissionErrors.join('. '), submissionErrors });
+    }
+
+    const { violations, blocking } = await ExpensePolicyService.apply(expense, company);
+    if (blocking.length > 0) {
+      return res.status(400).json({
+        message: blocking.map(violation => violation.message).join('. '),
+        submissionErrors: blocking.map(violation => violation.message),
+        policyViolations: violations
+      });
+    }
+
+    const duplicateCheck = await DuplicateDetectionService.check(expense, company);
+    const duplicates = DuplicateDetectionService.summarize(duplicateCheck.matches, req.user);
+    if (duplicateCheck.blocked) {
+      return res.status(409).json({
+        message: 'This expense looks like a duplicate of an expense that was already submitted',
+        duplicates
+      });
+    }
+
+    const { expense: submittedExpense, appliedRule } = await ExpenseSubmissionService.submitExpense(
+      expense,
+      company,
+      req.app.get('io')
+    );
+
+    res.json({
+      ...submittedExpense.toObject(),
+      appliedRule,
+      duplicates
+    });
+  } catch (error) {
+    console.error('Submit expense error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   PUT /api/expenses/:id
-// @desc    Update expense
+// @desc    Update expense; on an expense sent back with a question, `infoResponse` answers it
+//          and puts the expense back into its approval flow at the step that asked
 // @access  Private (Employee - own expenses only)
 router.put('/:id', [
   auth,
   authorize('employee', 'manager', 'admin'),
-  uploadReceipt,
+  uploadAttachments,
   handleUploadError,
   body('category').optional().notEmpty().withMessage('Category cannot be empty'),
   body('amount').optional().isNumeric().withMessage('Amount must be a number'),
-  body('description').optional().notEmpty().withMessage('Description cannot be empty')
+  body('currency').optional({ values: 'falsy' }).isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters'),
+  body('description').optional().notEmpty().withMessage('Description cannot be empty'),
+  body('merchant').optional().isLength({ max: 200 }).withMessage('Merchant cannot exceed 200 characters'),
+  body('location.country').optional({ values: 'falsy' }).isISO31661Alpha2().withMessage('Location country must be a 2-letter ISO code'),
+  body('expenseDate').optional({ values: 'falsy' }).isISO8601().withMessage('Valid expense date is required'),
+  body('infoResponse').optional().isString().trim().isLength({ min: 1, max: 1000 }).withMessage('Response must be 1 to 1000 characters'),
+  ...expenseDetailValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -266,50 +821,217 @@ router.put('/:id', [
       return res.status(404).json({ message: 'Expense not found' });
     }
 
-    // Check permissions
-    if (req.user.role === 'employee' && expense.employee.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Access denied' });
+    const files = getUploadedFiles(req);
+
+    const { error: editError, report } = await checkExpenseEditable(expense, req.user);
+    if (editError) {
+      await discardUploads(files);
+      return res.status(editError.status).json({ message: editError.message });
     }
 
-    // Only allow editing if expense is pending
-    if (expense.status !== 'pending') {
-      return res.status(400).json({ message: 'Cannot edit approved or rejected expenses' });
+    if (expense.attachments.length + files.length > MAX_ATTACHMENTS) {
+      await discardUploads(files);
+      return res.status(400).json({ message: `An expense can have at most ${MAX_ATTACHMENTS} attachments` });
     }
 
-    const { category, amount, description, tags } = req.body;
+    // Only the submitter answers the question an approver sent the expense back with
+    const { infoResponse } = req.body;
+    const openInfoRequest = infoResponse !== undefined
+      ? expense.infoRequests.find(request => !request.respondedAt)
+      : null;
+    if (infoResponse !== undefined) {
+      if (expense.status !== 'needs_info' || !openInfoRequest) {
+        await discardUploads(files);
+        return res.status(400).json({ message: 'This expense has no open question to answer' });
+      }
+      if (expense.employee.toString() !== req.user._id.toString()) {
+        await discardUploads(files);
+        return res.status(403).json({ message: 'Only the submitter can answer this question' });
+      }
+    }
+
+    const { type, category, amount, currency, description, merchant, location, expenseDate, project, costCenter, tags } = req.body;
+
+    // What approvers saw when they asked; changes to it are checked again before the expense goes back
+    const askedAbout = expense.status === 'needs_info'
+      ? { amount: expense.amountInCompanyCurrency, category: expense.category, expenseDate: expense.expenseDate?.getTime() }
+      : null;
+
+    // Only drafts can switch type; details of the previous type are dropped
+    if (type && type !== expense.type && expense.status === 'draft') {
+      expense.type = type;
+      expense.mileage = undefined;
+      expense.perDiem = undefined;
+    }
 
     if (category) expense.category = category;
-    if (amount) {
+    if (location !== undefined) expense.location = location;
+    if (project !== undefined) expense.project = project || null;
+    if (costCenter !== undefined) expense.costCenter = costCenter || null;
+    if (ExpenseRateService.isCalculated(expense)) {
+      // Entered amounts and currencies are ignored, the amount is calculated again
+      if (expenseDate && expense.status === 'draft') expense.expenseDate = new Date(expenseDate);
+
+      const company = await Company.findById(req.user.company);
+      const { error: calculationError } = ExpenseRateService.applyToExpense(expense, company, req.body);
+      if (calculationError && expense.status !== 'draft') {
+        await discardUploads(files);
+        return res.status(400).json({ message: calculationError });
+      }
+    } else if (expense.status === 'draft') {
+      // Drafts can still change currency and date, so convert again
+      if (currency) expense.currency = currency.toUpperCase();
+      if (expenseDate) expense.expenseDate = new Date(expenseDate);
+      if (amount) expense.amount = amount;
+
+      if (expense.amount && (amount || currency)) {
+        const company = await Company.findById(req.user.company);
+        const conversion = await currencyConverter.convertAmount(
+          expense.amount,
+          expense.currency,
+          company.currency
+        );
+        expense.exchangeRate = conversion.exchangeRate;
+        expense.amountInCompanyCurrency = conversion.convertedAmount;
+      }
+    } else if (amount) {
       expense.amount = amount;
       expense.amountInCompanyCurrency = amount * expense.exchangeRate;
     }
+
+    // Calculated expenses are not split; other lines follow the expense's exchange rate
+    if (ExpenseRateService.isCalculated(expense)) {
+      expense.lineItems = [];
+    } else if (req.body.lineItems !== undefined) {
+      ExpenseLineItemService.assign(expense, ExpenseLineItemService.parse(req.body.lineItems));
+    } else {
+      ExpenseLineItemService.applyConversion(expense);
+    }
+
+    // Net amount and converted tax follow the amount; itemized expenses take their tax from the lines
+    if (req.body.tax !== undefined) {
+      ExpenseTaxService.assign(expense, ExpenseTaxService.parse(req.body.tax));
+    } else {
+      ExpenseTaxService.applyAmounts(expense);
+    }
+
+    // Percentage allocations follow the amount
+    if (req.body.allocations !== undefined) {
+      ExpenseAllocationService.assign(expense, ExpenseAllocationService.parse(req.body.allocations));
+    } else {
+      ExpenseAllocationService.applyAmounts(expense);
+    }
+
+    // Submitted expenses must stay consistent; drafts are checked when submitted
+    const detailErrors = expense.status === 'draft' ? [] : [
+      ...ExpenseLineItemService.validate(expense),
+      ...ExpenseTaxService.validate(expense),
+      ...ExpenseAllocationService.validate(expense)
+    ];
+    if ([project, costCenter, req.body.allocations].some(value => value !== undefined)) {
+      detailErrors.push(...await CostAssignmentService.validate(expense));
+    }
+    if (detailErrors.length > 0) {
+      await discardUploads(files);
+      return res.status(400).json({ message: detailErrors.join('. ') });
+    }
     if (description) expense.description = description;
+    if (merchant !== undefined) expense.merchant = merchant;
     if (tags) expense.tags = tags;
 
-    // Handle receipt update
-    if (req.file) {
-      // Delete old receipt file if it exists
-      if (expense.receipt && expense.receipt.path) {
-        await deleteFile(expense.receipt.path);
+    // New files are added next to the existing attachments
+    files.forEach(file => expense.attachments.push(toAttachment(file, req.user)));
+
+    // A changed amount, category, date or receipt must pass the submission checks again
+    const recheck = Boolean(askedAbout) && (
+      expense.amountInCompanyCurrency !== askedAbout.amount ||
+      expense.category !== askedAbout.category ||
+      expense.expenseDate?.getTime() !== askedAbout.expenseDate ||
+      req.body.lineItems !== undefined ||
+      files.length > 0
+    );
+    let duplicates = [];
+    if (recheck) {
+      const company = await Company.findById(req.user.company);
+
+      const submissionErrors = ExpenseSubmissionService.validateForSubmission(expense, company);
+      if (submissionErrors.length > 0) {
+        await discardUploads(files);
+        return res.status(400).json({ message: submissionErrors.join('. '), submissionErrors });
+      }
+
+      const { violations, blocking } = await ExpensePolicyService.apply(expense, company);
+      if (blocking.length > 0) {
+        await discardUploads(files);
+        return res.status(400).json({
+          message: blocking.map(violation => violation.message).join('. '),
+          submissionErrors: blocking.map(violation => violation.message),
+          policyViolations: violations
+        });
       }
-      
-      // Update with new receipt
-      expense.receipt = {
-        filename: req.file.filename,
-        originalName: req.file.originalname,
-        path: req.file.path,
-        mimetype: req.file.mimetype,
-        size: req.file.size,
-        uploadDate: new Date()
-      };
+
+      const duplicateCheck = await DuplicateDetectionService.check(expense, company);
+      duplicates = DuplicateDetectionService.summarize(duplicateCheck.matches, req.user);
+      if (duplicateCheck.blocked) {
+        await discardUploads(files);
+        return res.status(409).json({
+          message: 'This expense looks like a duplicate of an expense that was already submitted',
+          duplicates
+        });
+      }
+    }
+
+    // Answering the question returns the expense to its approvers
+    if (openInfoRequest) {
+      openInfoRequest.response = infoResponse;
+      openInfoRequest.respondedBy = req.user._id;
+      openInfoRequest.respondedAt = new Date();
+      expense.status = 'pending';
     }
 
     await expense.save();
 
+    if (report) {
+      await ExpenseReportService.refreshTotal(report);
+      await report.save();
+    }
+
+    // Approvals given for the earlier amount or category do not carry over as they were
+    if (askedAbout && (expense.amountInCompanyCurrency !== askedAbout.amount || expense.category !== askedAbout.category)) {
+      await ApprovalFlowService.rematchFlowForExpense(expense);
+    }
+
     const updatedExpense = await Expense.findById(expense._id)
       .populate('employee', 'firstName lastName email');
 
-    res.json(updatedExpense);
+    // Warn budget owners when the changed amount pushed a budget past an alert threshold
+    if (recheck) {
+      try {
+        await BudgetService.checkThresholds(updatedExpense, req.app.get('io'));
+      } catch (budgetError) {
+        console.error('Error checking budget thresholds:', budgetError);
+        // Don't fail the update if the budget check fails
+      }
+    }
+
+    if (openInfoRequest) {
+      await ApprovalFlowService.resumeFlowForExpense(expense);
+
+      const io = req.app.get('io');
+      if (io) {
+        try {
+          await NotificationService.createInfoProvidedNotification(updatedExpense, openInfoRequest, io);
+        } catch (notificationError) {
+          console.error('Error sending info provided notification:', notificationError);
+          // Don't fail the update if notification fails
+        }
+      }
+    }
+
+    res.json({
+      ...updatedExpense.toObject(),
+      duplicates
+    });
   } catch (error) {
     console.error('Update expense error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -335,16 +1057,18 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Only allow cancelling if expense is pending
-    if (expense.status !== 'pending') {
+    // Only allow cancelling if expense is a draft, pending or sent back with a question
+    if (!['draft', 'pending', 'needs_info'].includes(expense.status)) {
       return res.status(400).json({ message: 'Cannot cancel approved or rejected expenses' });
     }
 
-    // Delete receipt file if exists
-    if (expense.receipt && expense.receipt.path) {
-      await deleteFile(expense.receipt.path);
+    if (expense.report) {
+      return res.status(400).json({ message: 'Remove the expense from its report before cancelling it' });
     }
 
+    // Delete attachment files
+    await Promise.all(expense.attachments.map(attachment => StorageService.remove(attachment)));
+
     expense.status = 'cancelled';
     await expense.save();
 
@@ -355,8 +1079,22 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+/**
+ * Redirect to a signed download URL of an attachment
+ * @param {Object} res - Express response
+ * @param {Object} attachment - Attachment subdocument
+ * @param {Boolean} inline - Display in the browser instead of downloading
+ */
+const redirectToAttachment = async (res, attachment, inline) => {
+  const signed = await StorageService.getSignedUrl(attachment, { inline });
+  if (!signed) {
+    return res.status(404).json({ message: 'Attachment file not found' });
+  }
+  res.redirect(signed.url);
+};
+
 // @route   GET /api/expenses/:id/receipt
-// @desc    Download expense receipt
+// @desc    Redirect to the first attachment of an expense (kept for older clients)
 // @access  Private
 router.get('/:id/receipt', auth, async (req, res) => {
   try {
@@ -369,31 +1107,416 @@ router.get('/:id/receipt', auth, async (req, res) => {
       return res.status(404).json({ message: 'Expense not found' });
     }
 
-    // Check permissions
-    if (req.user.role === 'employee' && expense.employee.toString() !== req.user._id.toString()) {
+    if (!canViewExpense(expense, req.user)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    if (!expense.receipt || !expense.receipt.path) {
+    if (expense.attachments.length === 0) {
       return res.status(404).json({ message: 'Receipt not found' });
     }
 
-    const filePath = path.resolve(expense.receipt.path);
-    
-    // Check if file exists
-    const fs = require('fs');
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({ message: 'Receipt file not found' });
+    await redirectToAttachment(res, expense.attachments[0], false);
+  } catch (error) {
+    console.error('Download receipt error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/expenses/:id/attachments/:attachmentId
+// @desc    Redirect to a signed download URL of an attachment (?inline=true to display it)
+// @access  Private
+router.get('/:id/attachments/:attachmentId', auth, async (req, res) => {
+  try {
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
     }
 
-    // Set appropriate headers
-    res.setHeader('Content-Disposition', `attachment; filename="${expense.receipt.originalName}"`);
-    res.setHeader('Content-Type', expense.receipt.mimetype);
-    
-    // Send file
-    res.sendFile(filePath);
+    if (!canViewExpense(expense, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const attachment = expense.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    await redirectToAttachment(res, attachment, req.query.inline === 'true');
   } catch (error) {
-    console.error('Download receipt error:', error);
+    console.error('Download attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/expenses/:id/attachments/:attachmentId/url
+// @desc    Get a short-lived signed URL of an attachment (?inline=true to display it)
+// @access  Private
+router.get('/:id/attachments/:attachmentId/url', auth, async (req, res) => {
+  try {
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    if (!canViewExpense(expense, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const attachment = expense.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const signed = await StorageService.getSignedUrl(attachment, { inline: req.query.inline === 'true' });
+    if (!signed) {
+      return res.status(404).json({ message: 'Attachment file not found' });
+    }
+
+    res.json(signed);
+  } catch (error) {
+    console.error('Get attachment URL error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/expenses/:id/attachments
+// @desc    Add receipts or supporting documents to an expense
+// @access  Private (Employee - own expenses only)
+router.post('/:id/attachments', [
+  auth,
+  uploadAttachments,
+  handleUploadError
+], async (req, res) => {
+  const files = getUploadedFiles(req);
+
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'At least one file is required' });
+    }
+
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!expense) {
+      await discardUploads(files);
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    const { error: editError } = await checkExpenseEditable(expense, req.user);
+    if (editError) {
+      await discardUploads(files);
+      return res.status(editError.status).json({ message: editError.message });
+    }
+
+    if (expense.attachments.length + files.length > MAX_ATTACHMENTS) {
+      await discardUploads(files);
+      return res.status(400).json({ message: `An expense can have at most ${MAX_ATTACHMENTS} attachments` });
+    }
+
+    files.forEach(file => expense.attachments.push(toAttachment(file, req.user)));
+    await expense.save();
+
+    res.status(201).json(await withSignedUrls(expense.attachments));
+  } catch (error) {
+    console.error('Add attachments error:', error);
+    await discardUploads(files);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/expenses/:id/attachments/:attachmentId
+// @desc    Remove an attachment from an expense
+// @access  Private (Employee - own expenses only)
+router.delete('/:id/attachments/:attachmentId', auth, async (req, res) => {
+  try {
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    const { error: editError } = await checkExpenseEditable(expense, req.user);
+    if (editError) {
+      return res.status(editError.status).json({ message: editError.message });
+    }
+
+    const attachment = expense.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    // Submitted expenses must keep a receipt when the company requires one
+    if (expense.status !== 'draft' && expense.attachments.length === 1 && !ExpenseRateService.isCalculated(expense)) {
+      const company = await Company.findById(req.user.company).select('settings.requireReceipts');
+      if (company?.settings?.requireReceipts) {
+        return res.status(400).json({ message: 'A receipt is required; add another file before removing this one' });
+      }
+    }
+
+    const removed = attachment.toObject();
+    attachment.deleteOne();
+    await expense.save();
+    await StorageService.remove(removed);
+
+    res.json(await withSignedUrls(expense.attachments));
+  } catch (error) {
+    console.error('Remove attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/expenses/:id/comments
+// @desc    Get the comment threads of an expense
+// @access  Private
+router.get('/:id/comments', auth, async (req, res) => {
+  try {
+    const { error: viewError, expense } = await findViewableExpense(req);
+    if (viewError) {
+      return res.status(viewError.status).json({ message: viewError.message });
+    }
+
+    const comments = await populateComment(ExpenseComment.find({ expense: expense._id }))
+      .sort({ createdAt: 1 });
+
+    const serialized = await Promise.all(comments.map(serializeComment));
+    res.json(ExpenseCommentService.buildThreads(serialized));
+  } catch (error) {
+    console.error('Get expense comments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/expenses/:id/comments/mentionable
+// @desc    Get the users who can be @mentioned in comments on an expense
+// @access  Private
+router.get('/:id/comments/mentionable', auth, async (req, res) => {
+  try {
+    const { error: viewError, expense } = await findViewableExpense(req);
+    if (viewError) {
+      return res.status(viewError.status).json({ message: viewError.message });
+    }
+
+    res.json(await ExpenseCommentService.getMentionableUsers(expense));
+  } catch (error) {
+    console.error('Get mentionable users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/expenses/:id/comments
+// @desc    Comment on an expense or reply to a comment (`parent`), with optional attachments;
+//          users @mentioned as @[Name](userId) are notified
+// @access  Private
+router.post('/:id/comments', [
+  auth,
+  uploadCommentAttachments,
+  handleUploadError,
+  body('body').trim().notEmpty().withMessage('Comment is required')
+    .isLength({ max: 2000 }).withMessage('Comment cannot exceed 2000 characters'),
+  body('parent').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid parent comment')
+], async (req, res) => {
+  const files = getUploadedFiles(req);
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await discardUploads(files);
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { error: viewError, expense } = await findViewableExpense(req);
+    if (viewError) {
+      await discardUploads(files);
+      return res.status(viewError.status).json({ message: viewError.message });
+    }
+
+    // Threads are one level deep, so a reply to a reply joins its thread
+    let parent = null;
+    if (req.body.parent) {
+      const parentComment = await ExpenseComment.findOne({ _id: req.body.parent, expense: expense._id });
+      if (!parentComment) {
+        await discardUploads(files);
+        return res.status(404).json({ message: 'Parent comment not found' });
+      }
+      if (parentComment.isDeleted) {
+        await discardUploads(files);
+        return res.status(400).json({ message: 'Cannot reply to a deleted comment' });
+      }
+      parent = parentComment.parent || parentComment._id;
+    }
+
+    const { error: mentionError, mentions } = await ExpenseCommentService.resolveMentions(req.body.body, expense);
+    if (mentionError) {
+      await discardUploads(files);
+      return res.status(400).json({ message: mentionError });
+    }
+
+    const comment = new ExpenseComment({
+      company: req.user.company,
+      expense: expense._id,
+      author: req.user._id,
+      parent,
+      body: req.body.body,
+      mentions,
+      attachments: files.map(file => toAttachment(file, req.user))
+    });
+
+    await comment.save();
+
+    const io = req.app.get('io');
+    await ExpenseCommentService.notifyMentions(comment, expense, req.user, mentions, io);
+    ExpenseCommentService.emitCommentEvent(io, comment, 'created');
+
+    const populatedComment = await populateComment(ExpenseComment.findById(comment._id));
+    res.status(201).json(await serializeComment(populatedComment));
+  } catch (error) {
+    console.error('Create expense comment error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/expenses/:id/comments/:commentId
+// @desc    Edit a comment; the previous text is kept in its edit history and newly
+//          @mentioned users are notified
+// @access  Private (Author only)
+router.put('/:id/comments/:commentId', [
+  auth,
+  body('body').trim().notEmpty().withMessage('Comment is required')
+    .isLength({ max: 2000 }).withMessage('Comment cannot exceed 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { error: viewError, expense } = await findViewableExpense(req);
+    if (viewError) {
+      return res.status(viewError.status).json({ message: viewError.message });
+    }
+
+    const comment = await ExpenseComment.findOne({ _id: req.params.commentId, expense: expense._id });
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (comment.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'You can only edit your own comments' });
+    }
+
+    let newMentions = [];
+    if (req.body.body !== comment.body) {
+      const { error: mentionError, mentions } = await ExpenseCommentService.resolveMentions(req.body.body, expense);
+      if (mentionError) {
+        return res.status(400).json({ message: mentionError });
+      }
+
+      const previousMentions = comment.mentions.map(id => id.toString());
+      newMentions = mentions.filter(id => !previousMentions.includes(id));
+
+      comment.editHistory.push({ body: comment.body, editedAt: new Date() });
+      comment.body = req.body.body;
+      comment.mentions = mentions;
+      comment.editedAt = new Date();
+      await comment.save();
+
+      const io = req.app.get('io');
+      await ExpenseCommentService.notifyMentions(comment, expense, req.user, newMentions, io);
+      ExpenseCommentService.emitCommentEvent(io, comment, 'updated');
+    }
+
+    const populatedComment = await populateComment(ExpenseComment.findById(comment._id));
+    res.json(await serializeComment(populatedComment));
+  } catch (error) {
+    console.error('Update expense comment error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/expenses/:id/comments/:commentId
+// @desc    Delete a comment; its replies stay in the thread
+// @access  Private (Author or Admin)
+router.delete('/:id/comments/:commentId', auth, async (req, res) => {
+  try {
+    const { error: viewError, expense } = await findViewableExpense(req);
+    if (viewError) {
+      return res.status(viewError.status).json({ message: viewError.message });
+    }
+
+    const comment = await ExpenseComment.findOne({ _id: req.params.commentId, expense: expense._id });
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (req.user.role !== 'admin' && comment.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'You can only delete your own comments' });
+    }
+
+    const removed = comment.attachments.map(attachment => attachment.toObject());
+    comment.isDeleted = true;
+    comment.deletedAt = new Date();
+    comment.attachments = [];
+    await comment.save();
+
+    try {
+      await Promise.all(removed.map(attachment => StorageService.remove(attachment)));
+    } catch (fileError) {
+      console.error('Error deleting comment attachment files:', fileError);
+      // The comment is deleted even if file deletion fails
+    }
+
+    ExpenseCommentService.emitCommentEvent(req.app.get('io'), comment, 'deleted');
+
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error('Delete expense comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/expenses/:id/comments/:commentId/attachments/:attachmentId/url
+// @desc    Get a short-lived signed URL of a comment attachment (?inline=true to display it)
+// @access  Private
+router.get('/:id/comments/:commentId/attachments/:attachmentId/url', auth, async (req, res) => {
+  try {
+    const { error: viewError, expense } = await findViewableExpense(req);
+    if (viewError) {
+      return res.status(viewError.status).json({ message: viewError.message });
+    }
+
+    const comment = await ExpenseComment.findOne({ _id: req.params.commentId, expense: expense._id });
+    const attachment = comment && !comment.isDeleted ? comment.attachments.id(req.params.attachmentId) : null;
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const signed = await StorageService.getSignedUrl(attachment, { inline: req.query.inline === 'true' });
+    if (!signed) {
+      return res.status(404).json({ message: 'Attachment file not found' });
+    }
+
+    res.json(signed);
+  } catch (error) {
+    console.error('Get comment attachment URL error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -424,14 +1547,12 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    // Delete receipt file if it exists
-    if (expense.receipt && expense.receipt.path) {
-      try {
-        await deleteFile(expense.receipt.path);
-      } catch (fileError) {
-        console.error('Error deleting receipt file:', fileError);
-        // Continue with expense deletion even if file deletion fails
-      }
+    // Delete attachment files
+    try {
+      await Promise.all(expense.attachments.map(attachment => StorageService.remove(attachment)));
+    } catch (fileError) {
+      console.error('Error deleting attachment files:', fileError);
+      // Continue with expense deletion even if file deletion fails
     }
 
     // Delete the expense
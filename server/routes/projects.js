@@ -0,0 +1,222 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Project = require('../models/Project');
+const Expense = require('../models/Expense');
+const ApprovalRule = require('../models/ApprovalRule');
+const Budget = require('../models/Budget');
+const { auth, authorize } = require('../middleware/auth');
+const CostAssignmentService = require('../utils/costAssignmentService');
+
+const router = express.Router();
+
+// Validators shared by create and update; `optional` makes the required fields optional for updates
+const projectValidators = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Project name must be between 1 and 100 characters'),
+    field('code').trim().isLength({ min: 1, max: 30 }).withMessage('Project code must be between 1 and 30 characters'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+    body('client').optional().trim().isLength({ max: 200 }).withMessage('Client cannot exceed 200 characters'),
+    body('lead').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid project lead'),
+    body('members').optional().isArray().withMessage('Members must be an array'),
+    body('members.*').isMongoId().withMessage('Invalid member'),
+    body('budget').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Budget must be a positive number'),
+    body('startDate').optional({ values: 'falsy' }).isISO8601().withMessage('Valid start date is required'),
+    body('endDate').optional({ values: 'falsy' }).isISO8601().withMessage('Valid end date is required'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+const populateProject = (query) => query
+  .populate('lead', 'firstName lastName email')
+  .populate('members', 'firstName lastName email');
+
+// @route   GET /api/projects
+// @desc    Get projects of the company (`available=true`: only those the user can charge today)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { includeInactive, available } = req.query;
+
+    const query = { company: req.user.company };
+    if (includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    let projects = await populateProject(Project.find(query)).sort({ name: 1 });
+
+    if (available === 'true') {
+      projects = projects.filter(project => project.isOpenOn(new Date()) && project.hasMember(req.user._id));
+    }
+
+    res.json(projects);
+  } catch (error) {
+    console.error('Get projects error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/projects/:id
+// @desc    Get project by ID
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const project = await populateProject(Project.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    }));
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    res.json(project);
+  } catch (error) {
+    console.error('Get project error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/projects
+// @desc    Create a project
+// @access  Private (Admin only)
+router.post('/', [auth, authorize('admin'), ...projectValidators()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, code, description, client, lead, members, budget, startDate, endDate, isActive } = req.body;
+
+    if (startDate && endDate && new Date(endDate) < new Date(startDate)) {
+      return res.status(400).json({ message: 'End date cannot be before the start date' });
+    }
+
+    if (!await CostAssignmentService.usersBelongToCompany(req.user.company, [lead, ...(members || [])])) {
+      return res.status(400).json({ message: 'The lead and members must be users of your company' });
+    }
+
+    const project = new Project({
+      company: req.user.company,
+      name,
+      code,
+      description,
+      client,
+      lead: lead || undefined,
+      members: members || [],
+      budget: budget ?? null,
+      startDate: startDate || undefined,
+      endDate: endDate || undefined,
+      isActive: isActive !== false,
+      createdBy: req.user._id
+    });
+
+    await project.save();
+
+    res.status(201).json(await populateProject(Project.findById(project._id)));
+  } catch (error) {
+    console.error('Create project error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A project with this code already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/projects/:id
+// @desc    Update a project
+// @access  Private (Admin only)
+router.put('/:id', [auth, authorize('admin'), ...projectValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = await Project.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const { name, code, description, client, lead, members, budget, startDate, endDate, isActive } = req.body;
+
+    if (!await CostAssignmentService.usersBelongToCompany(req.user.company, [lead, ...(members || [])])) {
+      return res.status(400).json({ message: 'The lead and members must be users of your company' });
+    }
+
+    if (name) project.name = name;
+    if (code) project.code = code;
+    if (description !== undefined) project.description = description;
+    if (client !== undefined) project.client = client;
+    if (lead !== undefined) project.lead = lead || undefined;
+    if (members) project.members = members;
+    if (budget !== undefined) project.budget = budget;
+    if (startDate !== undefined) project.startDate = startDate || undefined;
+    if (endDate !== undefined) project.endDate = endDate || undefined;
+    if (isActive !== undefined) project.isActive = isActive;
+
+    if (project.startDate && project.endDate && project.endDate < project.startDate) {
+      return res.status(400).json({ message: 'End date cannot be before the start date' });
+    }
+
+    await project.save();
+
+    res.json(await populateProject(Project.findById(project._id)));
+  } catch (error) {
+    console.error('Update project error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A project with this code already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/projects/:id
+// @desc    Delete a project that no expense is charged to
+// @access  Private (Admin only)
+router.delete('/:id', [auth, authorize('admin')], async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const hasExpenses = await Expense.exists({
+      $or: [{ project: project._id }, { 'allocations.project': project._id }]
+    });
+    if (hasExpenses) {
+      return res.status(400).json({
+        message: 'Cannot delete a project with expenses. Deactivate it instead.'
+      });
+    }
+
+    await ApprovalRule.updateMany(
+      { company: req.user.company, 'conditions.projects': project._id },
+      { $pull: { 'conditions.projects': project._id } }
+    );
+    await Budget.deleteMany({ company: req.user.company, project: project._id });
+    await Project.findByIdAndDelete(project._id);
+
+    res.json({ message: 'Project deleted successfully' });
+  } catch (error) {
+    console.error('Delete project error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
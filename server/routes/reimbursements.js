@@ -0,0 +1,302 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const ReimbursementBatch = require('../models/ReimbursementBatch');
+const Expense = require('../models/Expense');
+const { auth, authorize } = require('../middleware/auth');
+const ReimbursementService = require('../utils/reimbursementService');
+const PaymentFileService = require('../utils/paymentFileService');
+
+const router = express.Router();
+
+const PAYMENT_FILE_FORMATS = ['sepa', 'nacha'];
+
+/**
+ * Load a batch with its payouts for API responses
+ * @param {String} batchId - ReimbursementBatch ID
+ * @returns {Object} Populated ReimbursementBatch
+ */
+const getPopulatedBatch = (batchId) => ReimbursementBatch.findById(batchId)
+  .populate('payouts.employee', 'firstName lastName email department')
+  .populate('payouts.expenses', 'description category amount currency amountInCompanyCurrency expenseDate approvedAt')
+  .populate('createdBy', 'firstName lastName')
+  .populate('paidBy', 'firstName lastName');
+
+// @route   GET /api/reimbursements/eligible
+// @desc    Get approved expenses awaiting payout, grouped by employee
+// @access  Private (Admin only)
+router.get('/eligible', auth, authorize('admin'), async (req, res) => {
+  try {
+    const { employeeId, approvedBefore } = req.query;
+
+    const expenses = await Expense.find(ReimbursementService.getEligibleQuery(req.user.company, {
+      employeeIds: employeeId ? [employeeId] : [],
+      approvedBefore
+    }))
+      .populate('employee', 'firstName lastName email department')
+      .select('description category amount currency amountInCompanyCurrency expenseDate approvedAt employee')
+      .sort({ approvedAt: 1 });
+
+    const payouts = ReimbursementService.groupByEmployee(expenses);
+
+    res.json({
+      payouts,
+      totalAmount: Math.round(payouts.reduce((sum, payout) => sum + payout.amount, 0) * 100) / 100,
+      expenseCount: expenses.length
+    });
+  } catch (error) {
+    console.error('Get eligible reimbursements error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/reimbursements
+// @desc    Get reimbursement batches
+// @access  Private (Admin only)
+router.get('/', auth, authorize('admin'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = { company: req.user.company };
+    if (status) query.status = status;
+
+    const batches = await ReimbursementBatch.find(query)
+      .populate('payouts.employee', 'firstName lastName email')
+      .populate('createdBy', 'firstName lastName')
+      .populate('paidBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ReimbursementBatch.countDocuments(query);
+
+    res.json({
+      batches,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get reimbursement batches error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/reimbursements/:id
+// @desc    Get reimbursement batch by ID
+// @access  Private (Admin only)
+router.get('/:id', auth, authorize('admin'), async (req, res) => {
+  try {
+    const batch = await ReimbursementBatch.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Reimbursement batch not found' });
+    }
+
+    res.json(await getPopulatedBatch(batch._id));
+  } catch (error) {
+    console.error('Get reimbursement batch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/reimbursements
+// @desc    Create a payout batch from approved, unreimbursed expenses
+// @access  Private (Admin only)
+router.post('/', [
+  auth,
+  authorize('admin'),
+  body('expenseIds').optional().isArray().withMessage('Expense IDs must be an array'),
+  body('expenseIds.*').optional().isMongoId().withMessage('Invalid expense ID'),
+  body('employeeIds').optional().isArray().withMessage('Employee IDs must be an array'),
+  body('employeeIds.*').optional().isMongoId().withMessage('Invalid employee ID'),
+  body('approvedBefore').optional().isISO8601().withMessage('Invalid date format'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { expenseIds, employeeIds, approvedBefore, notes } = req.body;
+
+    const batch = await ReimbursementService.createBatch(req.user, {
+      expenseIds,
+      employeeIds,
+      approvedBefore
+    }, notes);
+
+    if (!batch) {
+      return res.status(400).json({ message: 'No approved expenses are awaiting reimbursement' });
+    }
+
+    res.status(201).json({
+      message: 'Reimbursement batch created successfully',
+      batch: await getPopulatedBatch(batch._id)
+    });
+  } catch (error) {
+    console.error('Create reimbursement batch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/reimbursements/:id/payment-file/preview
+// @desc    Preview totals and blocking issues of a bank payment file (?format=sepa|nacha)
+// @access  Private (Admin only)
+router.get('/:id/payment-file/preview', [
+  auth,
+  authorize('admin'),
+  query('format').isIn(PAYMENT_FILE_FORMATS).withMessage('Format must be sepa or nacha')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const batch = await ReimbursementBatch.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Reimbursement batch not found' });
+    }
+
+    res.json(await PaymentFileService.buildPreview(batch, req.query.format));
+  } catch (error) {
+    console.error('Preview payment file error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/reimbursements/:id/payment-file
+// @desc    Download a bank payment file for an open batch (?format=sepa|nacha&executionDate=)
+// @access  Private (Admin only)
+router.get('/:id/payment-file', [
+  auth,
+  authorize('admin'),
+  query('format').isIn(PAYMENT_FILE_FORMATS).withMessage('Format must be sepa or nacha'),
+  query('executionDate').optional().isISO8601().withMessage('Invalid date format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const batch = await ReimbursementBatch.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Reimbursement batch not found' });
+    }
+
+    if (batch.status !== 'open') {
+      return res.status(400).json({ message: 'Payment files can only be generated for open batches' });
+    }
+
+    const file = await PaymentFileService.generateFile(batch, req.query.format, {
+      executionDate: req.query.executionDate
+    });
+
+    if (file.errors) {
+      return res.status(400).json({
+        message: 'Payment file cannot be generated',
+        exportErrors: file.errors
+      });
+    }
+
+    batch.paymentFiles.push({ format: req.query.format, generatedBy: req.user._id });
+    await batch.save();
+
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.setHeader('Content-Type', file.contentType);
+    res.send(file.content);
+  } catch (error) {
+    console.error('Generate payment file error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/reimbursements/:id/pay
+// @desc    Mark a batch as paid and its expenses as reimbursed
+// @access  Private (Admin only)
+router.post('/:id/pay', [
+  auth,
+  authorize('admin'),
+  body('method').isIn(['bank_transfer', 'cash', 'check', 'other']).withMessage('Invalid payment method'),
+  body('reference').optional().trim().isLength({ max: 100 }).withMessage('Payment reference cannot exceed 100 characters'),
+  body('paidAt').optional().isISO8601().withMessage('Invalid date format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const batch = await ReimbursementBatch.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Reimbursement batch not found' });
+    }
+
+    if (batch.status !== 'open') {
+      return res.status(400).json({ message: 'Only open batches can be marked as paid' });
+    }
+
+    const { method, reference, paidAt } = req.body;
+    await ReimbursementService.markBatchPaid(batch, req.user, { method, reference, paidAt }, req.app.get('io'));
+
+    res.json({
+      message: 'Reimbursement batch marked as paid',
+      batch: await getPopulatedBatch(batch._id)
+    });
+  } catch (error) {
+    console.error('Pay reimbursement batch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/reimbursements/:id/cancel
+// @desc    Cancel an open batch and release its expenses
+// @access  Private (Admin only)
+router.post('/:id/cancel', auth, authorize('admin'), async (req, res) => {
+  try {
+    const batch = await ReimbursementBatch.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Reimbursement batch not found' });
+    }
+
+    if (batch.status !== 'open') {
+      return res.status(400).json({ message: 'Only open batches can be cancelled' });
+    }
+
+    await ReimbursementService.cancelBatch(batch);
+
+    res.json({
+      message: 'Reimbursement batch cancelled',
+      batch: await getPopulatedBatch(batch._id)
+    });
+  } catch (error) {
+    console.error('Cancel reimbursement batch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,475 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ExpenseReport = require('../models/ExpenseReport');
+const Expense = require('../models/Expense');
+const Company = require('../models/Company');
+const User = require('../models/User');
+const { auth, authorize } = require('../middleware/auth');
+const ExpenseReportService = require('../utils/expenseReportService');
+
+const router = express.Router();
+
+/**
+ * Load a report of the current user's company and check the user may see it
+ * @param {Object} req - Express request
+ * @returns {Object} { report, error: { status, message } }
+ */
+const findAccessibleReport = async (req) => {
+  const report = await ExpenseReport.findOne({
+    _id: req.params.id,
+    company: req.user.company
+  });
+
+  if (!report) {
+    return { error: { status: 404, message: 'Expense report not found' } };
+  }
+
+  if (req.user.role === 'employee' && report.employee.toString() !== req.user._id.toString()) {
+    return { error: { status: 403, message: 'Access denied' } };
+  }
+
+  return { report };
+};
+
+/**
+ * Check the current user may decide on a report that has no approval flow. Nobody decides on
+ * their own report, and managers only on their team's reports, as listed by GET /api/reports.
+ * A report forwarded above an approver's limit waits for that higher authority or an admin.
+ * Reports with a flow are decided by the approvers of its current step.
+ * @param {Object} report - ExpenseReport object
+ * @param {Object} user - Current user
+ * @returns {Object|null} Error { status, message }
+ */
+const checkDirectDecider = async (report, user) => {
+  if (report.approvalFlow) {
+    return null;
+  }
+
+  if (report.employee.toString() === user._id.toString()) {
+    return { status: 403, message: 'You cannot approve or reject your own report' };
+  }
+
+  if (report.routedTo) {
+    if (report.routedTo.toString() === user._id.toString() || user.role === 'admin') {
+      return null;
+    }
+    return { status: 403, message: 'This report was forwarded to a higher authority for approval' };
+  }
+
+  if (user.role === 'manager') {
+    const isTeamMember = await User.exists({ _id: report.employee, manager: user._id, company: user.company });
+    if (!isTeamMember) {
+      return { status: 403, message: 'You can only approve or reject reports of your team' };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Load a report with its lines and people for API responses
+ * @param {String} reportId - ExpenseReport ID
+ * @returns {Object} Populated ExpenseReport
+ */
+const getPopulatedReport = (reportId) => ExpenseReport.findById(reportId)
+  .populate('employee', 'firstName lastName email department')
+  .populate('expenses', 'description category amount currency amountInCompanyCurrency expenseDate status rejectionReason attachments')
+  .populate('approvedBy', 'firstName lastName')
+  .populate('rejectedBy', 'firstName lastName')
+  .populate({
+    path: 'approvalFlow',
+    populate: [
+      { path: 'rule', select: 'name approvalLogic.type' },
+      { path: 'steps.approvers.user', select: 'firstName lastName email' }
+    ]
+  });
+
+// @route   GET /api/reports
+// @desc    Get expense reports based on user role
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+    const skip = (page - 1) * limit;
+
+    let query = { company: req.user.company };
+
+    // Role-based filtering
+    if (req.user.role === 'employee') {
+      query.employee = req.user._id;
+    } else if (req.user.role === 'manager') {
+      // Manager can see their team's reports
+      const teamEmployees = await User.find({
+        $or: [
+          { manager: req.user._id },
+          { _id: req.user._id }
+        ],
+        company: req.user.company
+      }).select('_id');
+
+      // ...and the reports forwarded to them above another approver's limit
+      query.$or = [
+        { employee: { $in: teamEmployees.map(emp => emp._id) } },
+        { routedTo: req.user._id }
+      ];
+    }
+
+    if (status) query.status = status;
+
+    const reports = await ExpenseReport.find(query)
+      .populate('employee', 'firstName lastName email')
+      .populate('expenses', 'description category amount currency amountInCompanyCurrency status')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ExpenseReport.countDocuments(query);
+
+    res.json({
+      reports,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get expense reports error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/reports/:id
+// @desc    Get expense report by ID
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const { report, error } = await findAccessibleReport(req);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    res.json(await getPopulatedReport(report._id));
+  } catch (error) {
+    console.error('Get expense report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/reports
+// @desc    Create draft expense report
+// @access  Private
+router.post('/', [
+  auth,
+  body('title').trim().notEmpty().withMessage('Report title is required'),
+  body('description').optional().isString().withMessage('Description must be a string'),
+  body('expenseIds').optional().isArray().withMessage('Expense IDs must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { title, description, expenseIds = [] } = req.body;
+
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const report = new ExpenseReport({
+      employee: req.user._id,
+      company: req.user.company,
+      title,
+      description,
+      currency: company.currency
+    });
+    await report.save();
+
+    if (expenseIds.length > 0) {
+      const result = await ExpenseReportService.attachExpenses(report, expenseIds);
+      if (!result.success) {
+        await report.deleteOne();
+        return res.status(400).json({ message: result.message, unavailable: result.unavailable });
+      }
+    }
+
+    res.status(201).json(await getPopulatedReport(report._id));
+  } catch (error) {
+    console.error('Create expense report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/reports/:id
+// @desc    Update draft expense report details
+// @access  Private (Report owner)
+router.put('/:id', [
+  auth,
+  body('title').optional().trim().notEmpty().withMessage('Report title cannot be empty'),
+  body('description').optional().isString().withMessage('Description must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { report, error } = await findAccessibleReport(req);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    if (report.employee.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'You can only edit your own reports' });
+    }
+
+    if (report.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft reports can be edited' });
+    }
+
+    const { title, description } = req.body;
+    if (title) report.title = title;
+    if (description !== undefined) report.description = description;
+
+    await report.save();
+
+    res.json(await getPopulatedReport(report._id));
+  } catch (error) {
+    console.error('Update expense report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/reports/:id/expenses
+// @desc    Add expenses to a draft report
+// @access  Private (Report owner)
+router.post('/:id/expenses', [
+  auth,
+  body('expenseIds').isArray({ min: 1 }).withMessage('At least one expense ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { report, error } = await findAccessibleReport(req);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    if (report.employee.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'You can only change your own reports' });
+    }
+
+    if (report.status !== 'draft') {
+      return res.status(400).json({ message: 'Expenses can only be added to draft reports' });
+    }
+
+    const result = await ExpenseReportService.attachExpenses(report, req.body.expenseIds);
+    if (!result.success) {
+      return res.status(400).json({ message: result.message, unavailable: result.unavailable });
+    }
+
+    res.json(await getPopulatedReport(report._id));
+  } catch (error) {
+    console.error('Add report expenses error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/reports/:id/expenses/:expenseId
+// @desc    Remove an expense from a draft report
+// @access  Private (Report owner)
+router.delete('/:id/expenses/:expenseId', auth, async (req, res) => {
+  try {
+    const { report, error } = await findAccessibleReport(req);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    if (report.employee.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'You can only change your own reports' });
+    }
+
+    if (report.status !== 'draft') {
+      return res.status(400).json({ message: 'Expenses can only be removed from draft reports' });
+    }
+
+    const released = await ExpenseReportService.releaseExpenses(report, [req.params.expenseId]);
+    if (released === 0) {
+      return res.status(404).json({ message: 'Expense not found in this report' });
+    }
+
+    res.json(await getPopulatedReport(report._id));
+  } catch (error) {
+    console.error('Remove report expense error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/reports/:id/submit
+// @desc    Submit a draft report for approval
+// @access  Private (Report owner)
+router.post('/:id/submit', auth, async (req, res) => {
+  try {
+    const { report, error } = await findAccessibleReport(req);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    if (report.employee.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'You can only submit your own reports' });
+    }
+
+    const result = await ExpenseReportService.submitReport(report, req.app.get('io'));
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+
+    const appliedRule = result.rule
+      ? {
+          _id: result.rule._id,
+          name: result.rule.name,
+          approvalType: result.rule.approvalLogic?.type,
+          priority: result.rule.priority
+        }
+      : null;
+
+    res.json({
+      ...(await getPopulatedReport(report._id)).toObject(),
+      appliedRule
+    });
+  } catch (error) {
+    console.error('Submit expense report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/reports/:id/approve
+// @desc    Approve expense report, optionally rejecting individual expenses
+// @access  Private (Manager, Admin)
+router.post('/:id/approve', [
+  auth,
+  authorize('manager', 'admin'),
+  body('comments').optional().isString().withMessage('Comments must be a string'),
+  body('rejectedExpenses').optional().isArray().withMessage('Rejected expenses must be an array'),
+  body('rejectedExpenses.*.expenseId').optional().isMongoId().withMessage('Invalid expense ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { report, error } = await findAccessibleReport(req);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const deciderError = await checkDirectDecider(report, req.user);
+    if (deciderError) {
+      return res.status(deciderError.status).json({ message: deciderError.message });
+    }
+
+    const { comments, rejectedExpenses = [] } = req.body;
+
+    const result = await ExpenseReportService.processDecision(
+      report,
+      req.user,
+      'approved',
+      { comments, rejectedExpenses },
+      req.app.get('io')
+    );
+
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({ message: result.message });
+    }
+
+    res.json({
+      ...(await getPopulatedReport(report._id)).toObject(),
+      approvalResult: result
+    });
+  } catch (error) {
+    console.error('Approve expense report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/reports/:id/reject
+// @desc    Reject expense report
+// @access  Private (Manager, Admin)
+router.post('/:id/reject', [
+  auth,
+  authorize('manager', 'admin'),
+  body('reason').notEmpty().withMessage('Rejection reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { report, error } = await findAccessibleReport(req);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const deciderError = await checkDirectDecider(report, req.user);
+    if (deciderError) {
+      return res.status(deciderError.status).json({ message: deciderError.message });
+    }
+
+    const result = await ExpenseReportService.processDecision(
+      report,
+      req.user,
+      'rejected',
+      { comments: req.body.reason },
+      req.app.get('io')
+    );
+
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({ message: result.message });
+    }
+
+    res.json({
+      ...(await getPopulatedReport(report._id)).toObject(),
+      approvalResult: result
+    });
+  } catch (error) {
+    console.error('Reject expense report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/reports/:id
+// @desc    Delete draft expense report (its expenses are kept)
+// @access  Private (Report owner)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const { report, error } = await findAccessibleReport(req);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    if (report.employee.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'You can only delete your own reports' });
+    }
+
+    if (report.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft reports can be deleted' });
+    }
+
+    await ExpenseReportService.releaseExpenses(report, report.expenses);
+    await report.deleteOne();
+
+    res.json({ message: 'Expense report deleted successfully' });
+  } catch (error) {
+    console.error('Delete expense report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
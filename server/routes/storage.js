@@ -0,0 +1,38 @@
+const express = require('express');
+const StorageService = require('../utils/storageService');
+
+const router = express.Router();
+
+// @route   GET /api/storage/files/*
+// @desc    Serve a locally stored file through a signed URL (see StorageService.getSignedUrl)
+// @access  Public (requires a valid, unexpired signature)
+router.get('/files/*', async (req, res) => {
+  try {
+    const key = req.params[0];
+    const driver = StorageService.getDriver('local');
+
+    if (!driver.verifySignedUrl(key, req.query)) {
+      return res.status(403).json({ message: 'Invalid or expired link' });
+    }
+
+    const stream = driver.createReadStream(key);
+    stream.on('error', (error) => {
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({ message: 'File not found' });
+      }
+      console.error('Serve stored file error:', error);
+      res.status(500).json({ message: 'Server error' });
+    });
+    stream.once('open', () => {
+      res.setHeader('Content-Type', req.query.type);
+      res.setHeader('Content-Disposition', req.query.disposition);
+      res.setHeader('Cache-Control', 'private, max-age=60');
+      stream.pipe(res);
+    });
+  } catch (error) {
+    console.error('Serve stored file error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
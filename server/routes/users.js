@@ -3,28 +3,20 @@ const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { auth, authorize } = require('../middleware/auth');
 const emailService = require('../utils/emailService');
+const PaymentFileService = require('../utils/paymentFileService');
+const UserImportService = require('../utils/userImportService');
+const { generateTempPassword } = require('../utils/passwordUtils');
+const { uploadCsv, handleUploadError } = require('../middleware/upload');
 
 const router = express.Router();
 
-// Utility function to generate temporary password
-const generateTempPassword = () => {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%';
-  let password = '';
-  
-  // Ensure at least one of each character type
-  password += 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'[Math.floor(Math.random() * 26)]; // uppercase
-  password += 'abcdefghijklmnopqrstuvwxyz'[Math.floor(Math.random() * 26)]; // lowercase
-  password += '0123456789'[Math.floor(Math.random() * 10)]; // number
-  password += '!@#$%'[Math.floor(Math.random() * 5)]; // special char
-  
-  // Fill remaining characters
-  for (let i = 4; i < 12; i++) {
-    password += chars[Math.floor(Math.random() * chars.length)];
-  }
-  
-  // Shuffle the password
-  return password.split('').sort(() => Math.random() - 0.5).join('');
-};
+// Signing authority in the company currency; null clears the limit
+const approvalLimitValidators = [
+  body('approvalLimit').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Approval limit must be a positive number'),
+  body('categoryApprovalLimits').optional().isArray({ max: 50 }).withMessage('Category approval limits must be an array'),
+  body('categoryApprovalLimits.*.category').isString().trim().notEmpty().withMessage('Category is required'),
+  body('categoryApprovalLimits.*.limit').isFloat({ min: 0 }).withMessage('Category approval limit must be a positive number')
+];
 
 // @route   GET /api/users
 // @desc    Get all users in company
@@ -85,7 +77,8 @@ router.post('/', [
   body('firstName').notEmpty().withMessage('First name is required'),
   body('lastName').notEmpty().withMessage('Last name is required'),
   body('email').isEmail().withMessage('Please enter a valid email'),
-  body('role').isIn(['employee', 'manager', 'admin']).withMessage('Invalid role')
+  body('role').isIn(['employee', 'manager', 'admin']).withMessage('Invalid role'),
+  ...approvalLimitValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -93,7 +86,7 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { firstName, lastName, email, role, manager, department, employeeId, phone } = req.body;
+    const { firstName, lastName, email, role, manager, department, employeeId, phone, approvalLimit, categoryApprovalLimits } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -127,7 +120,9 @@ router.post('/', [
       department: department || null,
       employeeId,
       phone,
-      isManagerApprover: role === 'manager' || role === 'admin'
+      isManagerApprover: role === 'manager' || role === 'admin',
+      approvalLimit: approvalLimit ?? null,
+      categoryApprovalLimits: categoryApprovalLimits || []
     });
 
     await user.save();
@@ -168,6 +163,59 @@ router.post('/', [
   }
 });
 
+// @route   POST /api/users/import
+// @desc    Onboard users from CSV; validates only unless dryRun=false
+// @access  Private (Admin)
+router.post('/import', [
+  auth,
+  authorize('admin'),
+  uploadCsv,
+  handleUploadError
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'CSV file is required' });
+    }
+
+    const dryRun = String(req.body.dryRun) !== 'false';
+    const skipInvalid = String(req.body.skipInvalid) === 'true';
+
+    const report = await UserImportService.validate(req.file.buffer, req.user.company);
+
+    if (dryRun) {
+      return res.json({ dryRun: true, report });
+    }
+
+    if (report.errors.length > 0 && !skipInvalid) {
+      return res.status(400).json({
+        message: 'The file has errors; fix them or set skipInvalid=true to import only the valid rows',
+        dryRun: false,
+        report
+      });
+    }
+
+    if (report.validRows === 0) {
+      return res.status(400).json({ message: 'No valid rows to import', dryRun: false, report });
+    }
+
+    const results = await UserImportService.importUsers(report.rows, req.user);
+    const created = results.filter(result => result.status === 'created').length;
+
+    res.status(201).json({
+      message: `${created} users created successfully`,
+      dryRun: false,
+      created,
+      skipped: results.filter(result => result.status === 'skipped').length,
+      failed: results.filter(result => result.status === 'failed').length,
+      results,
+      report
+    });
+  } catch (error) {
+    console.error('Import users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   PUT /api/users/:id
 // @desc    Update user
 // @access  Private (Admin, Self)
@@ -176,7 +224,8 @@ router.put('/:id', [
   body('firstName').optional().notEmpty().withMessage('First name cannot be empty'),
   body('lastName').optional().notEmpty().withMessage('Last name cannot be empty'),
   body('email').optional().isEmail().withMessage('Please enter a valid email'),
-  body('role').optional().isIn(['employee', 'manager', 'admin']).withMessage('Invalid role')
+  body('role').optional().isIn(['employee', 'manager', 'admin']).withMessage('Invalid role'),
+  ...approvalLimitValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -203,7 +252,12 @@ router.put('/:id', [
       return res.status(403).json({ message: 'Only admin can change user roles' });
     }
 
-    const { firstName, lastName, email, role, manager, department, employeeId, phone, isManagerApprover } = req.body;
+    const { firstName, lastName, email, role, manager, department, employeeId, phone, approvalLimit, categoryApprovalLimits } = req.body;
+
+    // Only admin can change signing authority
+    if ((approvalLimit !== undefined || categoryApprovalLimits !== undefined) && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Only admin can change approval limits' });
+    }
 
     // Check if email is already taken
     if (email && email !== user.email) {
@@ -238,6 +292,8 @@ router.put('/:id', [
     if (department !== undefined) user.department = department;
     if (employeeId !== undefined) user.employeeId = employeeId;
     if (phone !== undefined) user.phone = phone;
+    if (approvalLimit !== undefined) user.approvalLimit = approvalLimit;
+    if (categoryApprovalLimits !== undefined) user.categoryApprovalLimits = categoryApprovalLimits;
 
     await user.save();
 
@@ -253,6 +309,62 @@ router.put('/:id', [
   }
 });
 
+// @route   PUT /api/users/:id/bank-details
+// @desc    Set payout bank details (IBAN/BIC or US routing/account number)
+// @access  Private (Admin, Self)
+router.put('/:id/bank-details', [
+  auth,
+  body('accountHolderName').trim().notEmpty().withMessage('Account holder name is required')
+    .isLength({ max: 70 }).withMessage('Account holder name cannot exceed 70 characters'),
+  body('iban').optional({ values: 'falsy' }).customSanitizer(value => String(value).replace(/\s+/g, '').toUpperCase())
+    .custom(value => PaymentFileService.isValidIban(value)).withMessage('Invalid IBAN'),
+  body('bic').optional({ values: 'falsy' }).trim().toUpperCase()
+    .custom(value => PaymentFileService.isValidBic(value)).withMessage('Invalid BIC'),
+  body('routingNumber').optional({ values: 'falsy' }).trim()
+    .custom(value => PaymentFileService.isValidRoutingNumber(value)).withMessage('Invalid routing number'),
+  body('accountNumber').optional({ values: 'falsy' }).trim()
+    .matches(/^[0-9A-Za-z-]{1,17}$/).withMessage('Invalid account number'),
+  body('accountType').optional().isIn(['checking', 'savings']).withMessage('Invalid account type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && req.user._id.toString() !== req.params.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { accountHolderName, iban, bic, routingNumber, accountNumber, accountType } = req.body;
+
+    if (!iban && !(routingNumber && accountNumber)) {
+      return res.status(400).json({ message: 'Provide either an IBAN or a routing and account number' });
+    }
+
+    const user = await User.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.setBankDetails({ accountHolderName, iban, bic, routingNumber, accountNumber, accountType });
+    await user.save();
+
+    res.json({
+      message: 'Bank details updated successfully',
+      bankDetails: user.toJSON().bankDetails
+    });
+  } catch (error) {
+    console.error('Update bank details error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/users/:id
 // @desc    Deactivate user
 // @access  Private (Admin)
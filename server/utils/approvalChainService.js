@@ -0,0 +1,364 @@
+const Department = require('../models/Department');
+const User = require('../models/User');
+
+// Most managers walked above the submitter
+const MAX_LEVELS = 10;
+
+const APPROVER_FIELDS = 'firstName lastName role company manager isActive isManagerApprover approvalLimit categoryApprovalLimits';
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+// How flows without hierarchical settings complete a step: every required approver approves
+const REQUIRED_APPROVERS = { requireAllSelected: false, allowPartialApproval: false };
+
+// Amount an approver signs for: an expense in the company currency, or a report total
+const amountOf = (item) => item.amountInCompanyCurrency ?? item.amount ?? item.totalAmount ?? 0;
+
+class ApprovalChainService {
+  /**
+   * Managers above a user, nearest first. Inactive users and users who cannot approve
+   * are passed over; the walk stops at the top of the tree or when a manager repeats.
+   * @param {Object} employee - Submitting user
+   * @param {Number} maxLevels - Most approvers returned
+   * @returns {Array} Users who can approve
+   */
+  static async getManagerChain(employee, maxLevels = MAX_LEVELS) {
+    const chain = [];
+    const visited = new Set([employee._id.toString()]);
+    let managerId = toId(employee.manager);
+
+    while (managerId && chain.length < maxLevels) {
+      // A manager seen before means the org tree has a cycle
+      if (visited.has(managerId.toString())) {
+        break;
+      }
+      visited.add(managerId.toString());
+
+      const manager = await User.findOne({ _id: managerId, company: employee.company }).select(APPROVER_FIELDS);
+      if (!manager) {
+        break;
+      }
+
+      if (manager.isActive && manager.isManagerApprover) {
+        chain.push(manager);
+      }
+      managerId = toId(manager.manager);
+    }
+
+    return chain;
+  }
+
+  /**
+   * Manager exactly a number of org levels above a user, whether or not they can approve
+   * @param {Object} employee - Submitting user
+   * @param {Number} levels - Levels up (1 is the direct manager)
+   * @returns {Object|null} Manager, or null when the tree ends (or loops) before that level
+   */
+  static async getManagerAtLevel(employee, levels) {
+    const visited = new Set([employee._id.toString()]);
+    let managerId = toId(employee.manager);
+    let manager = null;
+
+    for (let level = 1; level <= levels; level++) {
+      if (!managerId || visited.has(managerId.toString())) {
+        return null;
+      }
+      visited.add(managerId.toString());
+
+      manager = await User.findOne({ _id: managerId, company: employee.company }).select(APPROVER_FIELDS);
+      if (!manager) {
+        return null;
+      }
+      managerId = toId(manager.manager);
+    }
+
+    return manager;
+  }
+
+  /**
+   * Approval limit of a user for a category: the category's own limit when set, else the general one
+   * @param {Object} user - Approver
+   * @param {String} category - Expense category (none for reports)
+   * @returns {Number|null} Limit in the company currency; null means no limit
+   */
+  static getApprovalLimit(user, category) {
+    const categoryLimit = category && (user.categoryApprovalLimits || []).find(entry => entry.category === category);
+    if (categoryLimit) {
+      return categoryLimit.limit;
+    }
+    return user.approvalLimit ?? null;
+  }
+
+  /**
+   * Whether an approver's authority covers an amount
+   * @param {Object} user - Approver
+   * @param {Number} amount - Amount in the company currency
+   * @param {String} category - Expense category (none for reports)
+   * @returns {Boolean} True when the user has no limit or the amount is within it
+   */
+  static hasSufficientLimit(user, amount, category) {
+    const limit = this.getApprovalLimit(user, category);
+    return limit === null || amount <= limit;
+  }
+
+  /**
+   * Nearest user whose authority covers an amount the approver cannot approve alone: the first
+   * manager above the approver with a sufficient limit, or else an admin with one
+   * @param {Object} approver - Approver whose limit is exceeded
+   * @param {Number} amount - Amount in the company currency
+   * @param {String} category - Expense category (none for reports)
+   * @param {ObjectId} employeeId - Submitter, who never approves their own expense
+   * @returns {Object|null} User with sufficient authority
+   */
+  static async findHigherAuthority(approver, amount, category, employeeId) {
+    const excluded = [approver._id.toString(), toId(employeeId).toString()];
+    const eligible = (user) => !excluded.includes(user._id.toString()) && this.hasSufficientLimit(user, amount, category);
+
+    const chain = await this.getManagerChain(approver);
+    const manager = chain.find(eligible);
+    if (manager) {
+      return manager;
+    }
+
+    const admins = await User.find({ company: approver.company, role: 'admin', isActive: true })
+      .select(APPROVER_FIELDS)
+      .sort({ createdAt: 1 });
+    return admins.find(eligible) || null;
+  }
+
+  /**
+   * User an expense or report goes to when it exceeds an approver's signing authority
+   * @param {ObjectId} approverId - Approver of record (the delegator when a substitute decides)
+   * @param {Object} expense - Expense or ExpenseReport object
+   * @returns {Object} { withinLimit, authority } - authority is the higher authority when the limit
+   *   is exceeded, or null when nobody in the company has enough authority
+   */
+  static async findAuthorityAbove(approverId, expense) {
+    const amount = amountOf(expense);
+    const approver = await User.findById(toId(approverId)).select(APPROVER_FIELDS);
+    if (!approver) {
+      return { withinLimit: false, authority: null };
+    }
+    if (this.hasSufficientLimit(approver, amount, expense.category)) {
+      return { withinLimit: true, authority: null };
+    }
+
+    const authority = await this.findHigherAuthority(approver, amount, expense.category, expense.employee);
+    return { withinLimit: false, authority };
+  }
+
+  /**
+   * Whether a step cannot be approved without an approver's approval, under the step completion
+   * rules of HierarchicalApprovalEngine.evaluateStepCompletion
+   * @param {Object} step - Flow step
+   * @param {Object} entry - Approver entry of the step
+   * @param {Object} settings - { requireAllSelected, allowPartialApproval }
+   * @returns {Boolean} True when the approver is certain to decide before the step completes
+   */
+  static mustApprove(step, entry, settings = REQUIRED_APPROVERS) {
+    const approvers = step.approvers.filter(approver => approver.status !== 'skipped');
+    if (settings.requireAllSelected) {
+      return true;
+    }
+    if (settings.allowPartialApproval) {
+      // A majority the others can still reach completes the step without this approver
+      const others = approvers.filter(approver => approver !== entry && approver.status !== 'rejected');
+      return others.length < Math.ceil(approvers.length / 2);
+    }
+    return Boolean(entry.isRequired);
+  }
+
+  /**
+   * Route a flow past an approver whose limit the expense or report exceeds: unless the current or
+   * a later step still waits on someone with sufficient authority who must approve before the flow
+   * completes, a step for the nearest such user is inserted after the current one. The approver's
+   * own approval still counts for their step. Call it once the approver's entry is no longer pending.
+   * @param {Object} flow - ApprovalFlow object (saved by the caller)
+   * @param {Object} step - Current flow step
+   * @param {ObjectId} approverId - Approver of record (the delegator when a substitute decides)
+   * @param {Object} expense - Expense or ExpenseReport object
+   * @param {Object} settings - How the flow's steps complete (hierarchical settings); by default
+   *   every required approver approves
+   * @returns {Object} { routedTo, blocked, withinLimit } - routedTo is the user a step was added for;
+   *   blocked is true when the limit is exceeded and nobody can approve the amount, so the approval
+   *   must be refused; withinLimit is false whenever the approval relies on someone else's authority
+   */
+  static async routeAboveLimit(flow, step, approverId, expense, settings = REQUIRED_APPROVERS) {
+    try {
+      const { withinLimit, authority: higherAuthority } = await this.findAuthorityAbove(approverId, expense);
+      if (withinLimit) {
+        return { routedTo: null, blocked: false, withinLimit };
+      }
+
+      // Only approvers the flow cannot complete without are certain to sign off on the amount
+      const amount = amountOf(expense);
+      const waitingIds = flow.steps
+        .filter(flowStep => flowStep.stepNumber >= step.stepNumber)
+        .flatMap(flowStep => flowStep.approvers
+          .filter(entry => entry.status === 'pending' && this.mustApprove(flowStep, entry, settings))
+          .map(entry => toId(entry.user)));
+      if (waitingIds.length > 0) {
+        const waitingApprovers = await User.find({ _id: { $in: waitingIds } }).select(APPROVER_FIELDS);
+        if (waitingApprovers.some(user => this.hasSufficientLimit(user, amount, expense.category))) {
+          return { routedTo: null, blocked: false, withinLimit };
+        }
+      }
+
+      if (!higherAuthority) {
+        return { routedTo: null, blocked: true, withinLimit };
+      }
+
+      flow.steps.forEach(flowStep => {
+        if (flowStep.stepNumber > step.stepNumber) {
+          flowStep.stepNumber += 1;
+        }
+      });
+      const index = flow.steps.findIndex(flowStep => flowStep.stepNumber === step.stepNumber);
+      flow.steps.splice(index + 1, 0, {
+        stepNumber: step.stepNumber + 1,
+        approvers: [{ user: higherAuthority._id, status: 'pending', isRequired: true }]
+      });
+      flow.totalSteps = flow.steps.length;
+
+      return { routedTo: higherAuthority, blocked: false, withinLimit };
+    } catch (error) {
+      console.error('Error routing approval above limit:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approver used when a step cannot be resolved: the step's fallback approver, or else
+   * the longest-standing active admin, preferring someone other than the submitter
+   * @param {Object} step - ApprovalRule step
+   * @param {Object} employee - Submitting user
+   * @returns {ObjectId|null} Approver id
+   */
+  static async getFallbackApprover(step, employee) {
+    const employeeId = employee._id.toString();
+
+    if (step.fallbackApprover) {
+      const fallback = await User.findOne({
+        _id: toId(step.fallbackApprover),
+        company: employee.company,
+        isActive: true
+      }).select('_id');
+      if (fallback && fallback._id.toString() !== employeeId) {
+        return fallback._id;
+      }
+    }
+
+    const admins = await User.find({ company: employee.company, role: 'admin', isActive: true })
+      .select('_id')
+      .sort({ createdAt: 1 });
+    const admin = admins.find(user => user._id.toString() !== employeeId) || admins[0];
+
+    return admin ? admin._id : null;
+  }
+
+  /**
+   * Resolve a rule step into the approvers of one or more flow steps
+   * @param {Object} step - ApprovalRule step
+   * @param {Object} employee - Submitting user
+   * @param {Number} amount - Amount to approve in the company currency
+   * @param {String} category - Expense category (none for reports)
+   * @returns {Array} One array of approver ids per flow step
+   */
+  static async resolveStep(step, employee, amount, category) {
+    const approverType = step.approverType || 'users';
+
+    if (approverType === 'users') {
+      return [step.approvers.map(toId)];
+    }
+
+    let approvers = [];
+
+    if (approverType === 'direct_manager' || approverType === 'manager_level') {
+      // Levels are counted in the org tree; a manager there who cannot approve gets the fallback
+      const levels = approverType === 'direct_manager' ? 1 : (step.levels || 1);
+      const manager = await this.getManagerAtLevel(employee, levels);
+      if (manager && manager.isActive && manager.isManagerApprover) {
+        approvers = [manager._id];
+      }
+    } else if (approverType === 'department_head') {
+      const department = employee.department
+        ? await Department.findOne({ _id: toId(employee.department), company: employee.company }).select('head')
+        : null;
+      const head = department && department.head
+        ? await User.findOne({ _id: department.head, isActive: true }).select('_id')
+        : null;
+      if (head && head._id.toString() !== employee._id.toString()) {
+        approvers = [head._id];
+      }
+    } else if (approverType === 'manager_chain') {
+      // Every manager up to the first one whose authority covers the amount approves in turn
+      const chain = await this.getManagerChain(employee, step.levels || MAX_LEVELS);
+      const groups = [];
+      for (const manager of chain) {
+        groups.push([manager._id]);
+        if (this.hasSufficientLimit(manager, amount, category)) {
+          return groups;
+        }
+      }
+
+      const fallback = await this.getFallbackApprover(step, employee);
+      if (fallback && !chain.some(manager => manager._id.equals(fallback))) {
+        groups.push([fallback]);
+      }
+      return groups;
+    }
+
+    if (approvers.length === 0) {
+      const fallback = await this.getFallbackApprover(step, employee);
+      approvers = fallback ? [fallback] : [];
+    }
+
+    return [approvers];
+  }
+
+  /**
+   * Build the approval flow steps of a rule for an expense or report. Steps resolved
+   * from the org tree can expand into several flow steps, so flow steps are renumbered.
+   * @param {Object} rule - ApprovalRule object
+   * @param {Object} subject - Expense or ExpenseReport object
+   * @returns {Array} ApprovalFlow steps
+   */
+  static async resolveSteps(rule, subject) {
+    try {
+      const ruleSteps = [...rule.approvalSteps].sort((a, b) => a.stepNumber - b.stepNumber);
+      const needsEmployee = ruleSteps.some(step => (step.approverType || 'users') !== 'users');
+
+      // A submitter who no longer exists has nobody above them, so their steps fall back
+      const employee = needsEmployee
+        ? (await User.findById(toId(subject.employee)).select('company manager department'))
+          || { _id: toId(subject.employee), company: subject.company, manager: null, department: null }
+        : null;
+      const amount = subject.amountInCompanyCurrency ?? subject.totalAmount ?? 0;
+
+      const steps = [];
+      for (const step of ruleSteps) {
+        const groups = employee
+          ? await this.resolveStep(step, employee, amount, subject.category)
+          : [step.approvers.map(toId)];
+
+        for (const approvers of groups) {
+          steps.push({
+            stepNumber: steps.length + 1,
+            approvers: approvers.map(approver => ({
+              user: approver,
+              status: 'pending',
+              isRequired: step.isRequired
+            }))
+          });
+        }
+      }
+
+      return steps;
+    } catch (error) {
+      console.error('Error resolving approval steps:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ApprovalChainService;
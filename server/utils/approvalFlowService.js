@@ -0,0 +1,362 @@
+const ApprovalFlow = require('../models/ApprovalFlow');
+const ApprovalRule = require('../models/ApprovalRule');
+const User = require('../models/User');
+const HierarchicalApprovalEngine = require('./hierarchicalApprovalEngine');
+const ApprovalChainService = require('./approvalChainService');
+const EscalationService = require('./escalationService');
+const CostAssignmentService = require('./costAssignmentService');
+
+class ApprovalFlowService {
+  /**
+   * Find the best matching active approval rule for an expense
+   * @param {Object} expense - Expense object
+   * @returns {Object|null} Matching ApprovalRule or null when no rule applies
+   */
+  static async findMatchingRule(expense) {
+    try {
+      const rules = await ApprovalRule.find({
+        company: expense.company,
+        isActive: true
+      });
+
+      if (rules.length === 0) {
+        return null;
+      }
+
+      const employee = await User.findById(expense.employee).populate('department', 'name');
+
+      const matchingRules = rules.filter(rule =>
+        rule.approvalSteps.length > 0 && this.ruleMatchesExpense(rule, expense, employee)
+      );
+
+      if (matchingRules.length === 0) {
+        return null;
+      }
+
+      return this.sortRulesByPrecedence(matchingRules)[0];
+    } catch (error) {
+      console.error('Error finding matching approval rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether every condition configured on a rule is satisfied by the expense.
+   * Empty conditions are treated as "match anything".
+   * @param {Object} rule - ApprovalRule object
+   * @param {Object} expense - Expense object
+   * @param {Object} employee - Submitting user, with department populated
+   * @returns {boolean} Whether the rule applies
+   */
+  static ruleMatchesExpense(rule, expense, employee) {
+    const conditions = rule.conditions || {};
+
+    if (conditions.amountThreshold !== null && conditions.amountThreshold !== undefined) {
+      if (expense.amountInCompanyCurrency < conditions.amountThreshold) {
+        return false;
+      }
+    }
+
+    if (conditions.categories && conditions.categories.length > 0) {
+      // Expense reports carry the categories of all their lines
+      const categories = (expense.categories || [expense.category]).map(c => (c || '').toLowerCase());
+      if (!conditions.categories.some(c => categories.includes(c.toLowerCase()))) {
+        return false;
+      }
+    }
+
+    if (conditions.departments && conditions.departments.length > 0) {
+      const department = employee && employee.department;
+      if (!department) {
+        return false;
+      }
+
+      // Departments may be stored either by name or by id
+      const departmentId = department._id.toString();
+      const departmentName = (department.name || '').toLowerCase();
+      const matchesDepartment = conditions.departments.some(d =>
+        d === departmentId || d.toLowerCase() === departmentName
+      );
+
+      if (!matchesDepartment) {
+        return false;
+      }
+    }
+
+    if (conditions.projects && conditions.projects.length > 0) {
+      // Expense reports carry the projects of all their lines
+      const projects = expense.projects || CostAssignmentService.projectsOf(expense);
+      if (!conditions.projects.some(id => projects.includes(id.toString()))) {
+        return false;
+      }
+    }
+
+    if (conditions.employeeIds && conditions.employeeIds.length > 0) {
+      const employeeId = expense.employee._id
+        ? expense.employee._id.toString()
+        : expense.employee.toString();
+      if (!conditions.employeeIds.some(id => id.toString() === employeeId)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Score how specific a rule's conditions are (higher is more specific)
+   * @param {Object} rule - ApprovalRule object
+   * @returns {Number} Specificity score
+   */
+  static getRuleSpecificity(rule) {
+    const conditions = rule.conditions || {};
+    let score = 0;
+
+    if (conditions.employeeIds && conditions.employeeIds.length > 0) score += 8;
+    if (conditions.departments && conditions.departments.length > 0) score += 4;
+    if (conditions.projects && conditions.projects.length > 0) score += 4;
+    if (conditions.categories && conditions.categories.length > 0) score += 2;
+    if (conditions.amountThreshold !== null && conditions.amountThreshold !== undefined) score += 1;
+
+    return score;
+  }
+
+  /**
+   * Sort rules deterministically: priority (1 = highest) first, then specificity,
+   * then the higher amount threshold, then the oldest rule, then id.
+   * @param {Array} rules - ApprovalRule objects
+   * @returns {Array} Sorted copy of the rules
+   */
+  static sortRulesByPrecedence(rules) {
+    return [...rules].sort((a, b) => {
+      const priorityDiff = (a.priority || 1) - (b.priority || 1);
+      if (priorityDiff !== 0) return priorityDiff;
+
+      const specificityDiff = this.getRuleSpecificity(b) - this.getRuleSpecificity(a);
+      if (specificityDiff !== 0) return specificityDiff;
+
+      const thresholdDiff = (b.conditions?.amountThreshold || 0) - (a.conditions?.amountThreshold || 0);
+      if (thresholdDiff !== 0) return thresholdDiff;
+
+      const createdDiff = new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+      if (createdDiff !== 0) return createdDiff;
+
+      return a._id.toString().localeCompare(b._id.toString());
+    });
+  }
+
+  /**
+   * Create an approval flow for an expense from a rule and link it to the expense
+   * @param {Object} expense - Expense object (document)
+   * @param {Object} rule - ApprovalRule object
+   * @returns {Object} Created approval flow
+   */
+  static async createFlowForExpense(expense, rule) {
+    try {
+      let approvalFlow;
+
+      if (rule.approvalLogic && rule.approvalLogic.type === 'hierarchical') {
+        approvalFlow = await HierarchicalApprovalEngine.createHierarchicalApprovalFlow(expense, rule);
+      } else {
+        const steps = await this.buildFlowSteps(rule, expense);
+        approvalFlow = new ApprovalFlow({
+          company: expense.company,
+          expense: expense._id,
+          rule: rule._id,
+          totalSteps: steps.length,
+          currentStep: 1,
+          steps
+        });
+
+        await approvalFlow.save();
+      }
+
+      // Arm the escalation timer unless the hierarchical engine already did
+      if (!approvalFlow.escalatedAt) {
+        const escalationDeadline = EscalationService.getEscalationDeadline(rule, approvalFlow.startedAt);
+        if (escalationDeadline) {
+          approvalFlow.escalatedAt = escalationDeadline;
+          approvalFlow.escalatedTo = EscalationService.getEscalationSettings(rule).escalateTo;
+          await approvalFlow.save();
+        }
+      }
+
+      expense.approvalFlow = approvalFlow._id;
+      await expense.save();
+
+      return approvalFlow;
+    } catch (error) {
+      console.error('Error creating approval flow for expense:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an approval flow for a whole expense report and link it to the report
+   * @param {Object} report - ExpenseReport object (document)
+   * @param {Object} rule - ApprovalRule object
+   * @returns {Object} Created approval flow
+   */
+  static async createFlowForReport(report, rule) {
+    try {
+      const escalationSettings = EscalationService.getEscalationSettings(rule);
+      const steps = await this.buildFlowSteps(rule, report);
+      const approvalFlow = new ApprovalFlow({
+        company: report.company,
+        report: report._id,
+        rule: rule._id,
+        totalSteps: steps.length,
+        currentStep: 1,
+        steps,
+        escalatedAt: EscalationService.getEscalationDeadline(rule),
+        escalatedTo: escalationSettings.enabled ? escalationSettings.escalateTo : undefined
+      });
+
+      await approvalFlow.save();
+
+      report.approvalFlow = approvalFlow._id;
+      await report.save();
+
+      return approvalFlow;
+    } catch (error) {
+      console.error('Error creating approval flow for report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the approval flow steps for a rule, resolving manager and department head
+   * steps from the submitter's position in the org tree
+   * @param {Object} rule - ApprovalRule object
+   * @param {Object} subject - Expense or ExpenseReport object
+   * @returns {Array} ApprovalFlow steps
+   */
+  static async buildFlowSteps(rule, subject) {
+    return ApprovalChainService.resolveSteps(rule, subject);
+  }
+
+  /**
+   * Resume an expense's approval flow after the submitter answered an approver's question.
+   * The flow is still at the step that asked, with earlier approvals kept unless a changed
+   * amount or category matched it again (see rematchFlowForExpense); the step's escalation
+   * timer starts over.
+   * @param {Object} expense - Expense object (document)
+   * @returns {Object|null} Approval flow, or null when the expense has none
+   */
+  static async resumeFlowForExpense(expense) {
+    try {
+      if (!expense.approvalFlow) {
+        return null;
+      }
+
+      const approvalFlow = await ApprovalFlow.findById(expense.approvalFlow).populate('rule');
+      if (!approvalFlow || approvalFlow.status !== 'active') {
+        return approvalFlow;
+      }
+
+      const escalationDeadline = EscalationService.getEscalationDeadline(approvalFlow.rule);
+      if (escalationDeadline) {
+        approvalFlow.escalatedAt = escalationDeadline;
+        await approvalFlow.save();
+      }
+
+      return approvalFlow;
+    } catch (error) {
+      console.error('Error resuming approval flow for expense:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Match an expense against the rules again after its amount or category changed while it waited
+   * for an answer. A different rule, or an amount above the limit of someone who already approved,
+   * replaces the flow with a new one (or none when no rule matches anymore); otherwise the flow
+   * keeps its steps but its approvals start over from the first step.
+   * @param {Object} expense - Expense object (document)
+   * @returns {Object|null} Approval flow, or null when the expense has none
+   */
+  static async rematchFlowForExpense(expense) {
+    try {
+      const rule = await this.findMatchingRule(expense);
+      const approvalFlow = expense.approvalFlow
+        ? await ApprovalFlow.findById(expense.approvalFlow).populate('rule')
+        : null;
+      const activeFlow = approvalFlow && approvalFlow.status === 'active' ? approvalFlow : null;
+      const sameRule = Boolean(activeFlow && rule && activeFlow.rule && activeFlow.rule._id.equals(rule._id));
+
+      if (sameRule && !(await this.hasApprovalAboveLimit(activeFlow, expense))) {
+        activeFlow.steps.forEach(step => {
+          step.isCompleted = false;
+          step.completedAt = undefined;
+          step.approvers.forEach(entry => {
+            // Approvers skipped by escalation stay out of the decision
+            if (entry.status === 'skipped') return;
+            entry.status = 'pending';
+            entry.approvedAt = undefined;
+            entry.rejectedAt = undefined;
+            entry.comments = undefined;
+            entry.actedBy = null;
+          });
+        });
+        activeFlow.currentStep = 1;
+        await activeFlow.save();
+        return activeFlow;
+      }
+
+      if (activeFlow) {
+        activeFlow.status = 'cancelled';
+        activeFlow.completedAt = new Date();
+        activeFlow.escalatedAt = undefined;
+        await activeFlow.save();
+      }
+
+      if (!rule) {
+        expense.approvalFlow = undefined;
+        await expense.save();
+        return null;
+      }
+
+      return await this.createFlowForExpense(expense, rule);
+    } catch (error) {
+      console.error('Error matching approval flow for changed expense:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether someone who already approved in a flow has a limit below the expense's current amount
+   * @param {Object} approvalFlow - ApprovalFlow object
+   * @param {Object} expense - Expense object
+   * @returns {Boolean} True when an earlier approval no longer covers the amount
+   */
+  static async hasApprovalAboveLimit(approvalFlow, expense) {
+    const approverIds = approvalFlow.steps.flatMap(step => step.approvers
+      .filter(entry => entry.status === 'approved')
+      .map(entry => entry.user));
+    if (approverIds.length === 0) {
+      return false;
+    }
+
+    const approvers = await User.find({ _id: { $in: approverIds } }).select('approvalLimit categoryApprovalLimits');
+    return approvers.some(approver =>
+      !ApprovalChainService.hasSufficientLimit(approver, expense.amountInCompanyCurrency, expense.category)
+    );
+  }
+
+  /**
+   * Match an expense against the company's rules and create its approval flow
+   * @param {Object} expense - Expense object (document)
+   * @returns {Object} { rule, approvalFlow } - both null when no rule matched
+   */
+  static async routeExpense(expense) {
+    const rule = await this.findMatchingRule(expense);
+    if (!rule) {
+      return { rule: null, approvalFlow: null };
+    }
+
+    const approvalFlow = await this.createFlowForExpense(expense, rule);
+    return { rule, approvalFlow };
+  }
+}
+
+module.exports = ApprovalFlowService;
@@ -0,0 +1,49 @@
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+class AuditContext {
+  /**
+   * Express middleware that opens a request context for the audit log
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Function} next - Next middleware
+   */
+  static middleware(req, res, next) {
+    storage.run({
+      actor: null,
+      ip: req.ip || req.socket?.remoteAddress || null,
+      userAgent: req.get('user-agent') || null
+    }, next);
+  }
+
+  /**
+   * Record the authenticated user as the actor of the current request
+   * @param {Object} user - User document
+   */
+  static setActor(user) {
+    const context = storage.getStore();
+    if (context) {
+      context.actor = user;
+    }
+  }
+
+  /**
+   * Get the current context; writes outside a request (jobs, scripts) have no actor
+   * @returns {Object} { actor, ip, userAgent }
+   */
+  static get() {
+    return storage.getStore() || { actor: null, ip: null, userAgent: null };
+  }
+
+  /**
+   * Bind a callback to the current context, for libraries that call back from stream events
+   * @param {Function} fn - Callback
+   * @returns {Function} Bound callback
+   */
+  static bind(fn) {
+    return AsyncResource.bind(fn);
+  }
+}
+
+module.exports = AuditContext;
@@ -0,0 +1,168 @@
+const AuditLog = require('../models/AuditLog');
+const AuditContext = require('./auditContext');
+
+// Bookkeeping paths that never appear in a diff
+const IGNORED_PATHS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const SNAPSHOT_OPTIONS = { depopulate: true, transform: false, virtuals: false, getters: false, versionKey: false };
+
+const UPDATE_OPERATIONS = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+const DELETE_OPERATIONS = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+const MULTI_OPERATIONS = ['updateMany', 'deleteMany'];
+
+// Documents matched by a query before it runs, keyed by the query
+const pendingQueries = new WeakMap();
+
+const isPlainObject = (value) => value !== null
+  && typeof value === 'object'
+  && Object.getPrototypeOf(value) === Object.prototype;
+
+const normalize = (value) => (value === undefined ? null : value);
+
+const isEmpty = (value) => value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Diff two snapshots into dotted-path changes; arrays are compared as a whole
+ * @param {Object} before - Previous snapshot
+ * @param {Object} after - New snapshot
+ * @param {String} prefix - Path prefix for nested objects
+ * @returns {Array} Changes [{ path, before, after }]
+ */
+const diff = (before, after, prefix = '') => {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach(key => {
+    if (!prefix && IGNORED_PATHS.includes(key)) return;
+
+    const path = prefix ? `${prefix}.${key}` : key;
+    const previous = normalize(before?.[key]);
+    const current = normalize(after?.[key]);
+
+    if ((isPlainObject(previous) || previous === null) && (isPlainObject(current) || current === null)
+      && (isPlainObject(previous) || isPlainObject(current))) {
+      changes.push(...diff(previous, current, path));
+    } else if (JSON.stringify(previous) !== JSON.stringify(current)) {
+      changes.push({ path, before: previous, after: current });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Mongoose plugin that writes an AuditLog entry for every create, update and delete
+ * of a model, including query-level updates (updateMany, findByIdAndUpdate, ...).
+ * The actor, IP and user agent come from AuditContext.
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - { companyPath: path holding the company id, redact: paths never stored, ignore: paths never diffed }
+ */
+const auditPlugin = (schema, options = {}) => {
+  const companyPath = options.companyPath || 'company';
+  const redact = options.redact || [];
+  const ignore = options.ignore || [];
+
+  const matchesPath = (paths, path) => paths.some(candidate => path === candidate || path.startsWith(`${candidate}.`));
+  const track = (changes) => changes.filter(change => !matchesPath(ignore, change.path));
+
+  const redactChange = (change) => {
+    if (!matchesPath(redact, change.path)) return change;
+    return {
+      path: change.path,
+      before: change.before === null ? null : '[redacted]',
+      after: change.after === null ? null : '[redacted]'
+    };
+  };
+
+  const write = async (modelName, entries) => {
+    if (entries.length === 0) return;
+
+    const { actor, ip, userAgent } = AuditContext.get();
+    try {
+      await AuditLog.insertMany(entries.map(({ action, snapshot, changes }) => ({
+        company: snapshot[companyPath] || null,
+        entityType: modelName,
+        entityId: snapshot._id,
+        action,
+        actor: actor ? actor._id : null,
+        actorName: actor ? `${actor.firstName} ${actor.lastName}` : 'System',
+        actorRole: actor ? actor.role : undefined,
+        ip,
+        userAgent,
+        changes: changes.map(redactChange)
+      })));
+    } catch (error) {
+      // The change itself is already stored; never fail the request over its audit entry
+      console.error('Audit log error:', error);
+    }
+  };
+
+  // Remember loaded values so saves can be diffed against them
+  schema.post('init', function() {
+    this.$locals.auditSnapshot = this.toObject(SNAPSHOT_OPTIONS);
+  });
+
+  schema.pre('save', function(next) {
+    this.$locals.auditIsNew = this.isNew;
+    next();
+  });
+
+  schema.post('save', async function(doc) {
+    const snapshot = doc.toObject(SNAPSHOT_OPTIONS);
+    const isNew = doc.$locals.auditIsNew;
+    const changes = isNew
+      ? diff({}, snapshot).filter(change => !isEmpty(change.after))
+      : track(diff(doc.$locals.auditSnapshot, snapshot));
+
+    doc.$locals.auditSnapshot = snapshot;
+
+    if (isNew || changes.length > 0) {
+      await write(doc.constructor.modelName, [{ action: isNew ? 'create' : 'update', snapshot, changes }]);
+    }
+  });
+
+  schema.post('insertMany', async function(docs) {
+    await write(this.modelName, docs.map(doc => {
+      const snapshot = doc.toObject(SNAPSHOT_OPTIONS);
+      return { action: 'create', snapshot, changes: diff({}, snapshot).filter(change => !isEmpty(change.after)) };
+    }));
+  });
+
+  // Query writes: load the matched documents first, then diff them afterwards
+  schema.pre([...UPDATE_OPERATIONS, ...DELETE_OPERATIONS], { document: false, query: true }, async function() {
+    const query = this.model.find(this.getFilter()).lean();
+    if (!MULTI_OPERATIONS.includes(this.op)) {
+      query.limit(1);
+    }
+    pendingQueries.set(this, await query);
+  });
+
+  schema.post(UPDATE_OPERATIONS, { document: false, query: true }, async function() {
+    const before = pendingQueries.get(this) || [];
+    pendingQueries.delete(this);
+    if (before.length === 0) return;
+
+    const after = await this.model.find({ _id: { $in: before.map(doc => doc._id) } }).lean();
+    const afterById = new Map(after.map(doc => [doc._id.toString(), doc]));
+
+    const entries = before.map(previous => {
+      const snapshot = afterById.get(previous._id.toString());
+      return snapshot && { action: 'update', snapshot, changes: track(diff(previous, snapshot)) };
+    }).filter(entry => entry && entry.changes.length > 0);
+
+    await write(this.model.modelName, entries);
+  });
+
+  schema.post(DELETE_OPERATIONS, { document: false, query: true }, async function() {
+    const before = pendingQueries.get(this) || [];
+    pendingQueries.delete(this);
+
+    await write(this.model.modelName, before.map(snapshot => ({
+      action: 'delete',
+      snapshot,
+      changes: diff(snapshot, {}).filter(change => !isEmpty(change.before))
+    })));
+  });
+};
+
+module.exports = auditPlugin;
@@ -0,0 +1,288 @@
+const mongoose = require('mongoose');
+const Budget = require('../models/Budget');
+const Company = require('../models/Company');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const ExpenseAllocationService = require('./expenseAllocationService');
+const NotificationService = require('./notificationService');
+
+// Pending expenses (including those sent back with a question) commit budget, approved ones spend it
+const CONSUMING_STATUSES = ['pending', 'needs_info', 'approved'];
+
+const PERIOD_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
+
+/**
+ * Round to cents
+ * @param {Number} value - Amount
+ * @returns {Number} Rounded amount
+ */
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+class BudgetService {
+  /**
+   * Period of a budget that contains a date (calendar periods in UTC)
+   * @param {String} period - 'monthly', 'quarterly' or 'yearly'
+   * @param {Date} date - Any date in the period
+   * @returns {Object} { start, end } - end is exclusive
+   */
+  static periodRange(period, date = new Date()) {
+    const day = new Date(date || Date.now());
+    const months = PERIOD_MONTHS[period] || 1;
+    const startMonth = Math.floor(day.getUTCMonth() / months) * months;
+
+    return {
+      start: new Date(Date.UTC(day.getUTCFullYear(), startMonth, 1)),
+      end: new Date(Date.UTC(day.getUTCFullYear(), startMonth + months, 1))
+    };
+  }
+
+  /**
+   * Human readable name of a budget period, e.g. "March 2026", "Q1 2026" or "2026"
+   * @param {String} period - 'monthly', 'quarterly' or 'yearly'
+   * @param {Date} start - Start of the period
+   * @returns {String} Period label
+   */
+  static periodLabel(period, start) {
+    const year = start.getUTCFullYear();
+    if (period === 'yearly') return `${year}`;
+    if (period === 'quarterly') return `Q${Math.floor(start.getUTCMonth() / 3) + 1} ${year}`;
+    return start.toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  }
+
+  /**
+   * Name of what a budget is for; expects department and project to be populated
+   * @param {Object} budget - Budget object
+   * @returns {String} Department name or project code and name
+   */
+  static targetName(budget) {
+    if (budget.department) {
+      return budget.department.name || 'Department';
+    }
+    return budget.project && budget.project.code
+      ? `${budget.project.code} · ${budget.project.name}`
+      : 'Project';
+  }
+
+  /**
+   * Split an expense into the department and project shares budgets are charged with.
+   * Follows the same rules as the department statistics: allocations first, then the
+   * submitter's department; allocations without a project belong to the expense's project.
+   * @param {Object} expense - Expense object with allocation amounts applied
+   * @param {String|ObjectId} submitterDepartment - Department of the submitter
+   * @returns {Object} { departments, projects } - maps of id => amount in the company currency
+   */
+  static sharesOf(expense, submitterDepartment) {
+    const departments = {};
+    const projects = {};
+    const add = (shares, id, amount) => {
+      if (!id || !amount) return;
+      const key = toId(id).toString();
+      shares[key] = roundAmount((shares[key] || 0) + amount);
+    };
+
+    const allocations = expense.allocations || [];
+    if (allocations.length > 0) {
+      allocations.forEach(allocation => {
+        add(departments, allocation.department || submitterDepartment, allocation.amountInCompanyCurrency);
+        add(projects, allocation.project || expense.project, allocation.amountInCompanyCurrency);
+      });
+    } else {
+      add(departments, submitterDepartment, expense.amountInCompanyCurrency);
+      add(projects, expense.project, expense.amountInCompanyCurrency);
+    }
+
+    return { departments, projects };
+  }
+
+  /**
+   * Find the active budgets an expense is charged to, with its share of each
+   * @param {Object} expense - Expense object
+   * @returns {Array} [{ budget, share }] with department and project populated
+   */
+  static async findBudgetsFor(expense) {
+    const employee = await User.findById(toId(expense.employee)).select('department');
+    const shares = this.sharesOf(expense, employee && employee.department);
+
+    const departmentIds = Object.keys(shares.departments);
+    const projectIds = Object.keys(shares.projects);
+    if (departmentIds.length === 0 && projectIds.length === 0) {
+      return [];
+    }
+
+    const budgets = await Budget.find({
+      company: toId(expense.company),
+      isActive: true,
+      $or: [
+        { department: { $in: departmentIds } },
+        { project: { $in: projectIds } }
+      ]
+    })
+      .populate('department', 'name head')
+      .populate('project', 'name code lead');
+
+    return budgets.filter(budget => budget.department || budget.project).map(budget => ({
+      budget,
+      share: budget.department
+        ? shares.departments[budget.department._id.toString()] || 0
+        : shares.projects[budget.project._id.toString()] || 0
+    }));
+  }
+
+  /**
+   * Work out how much of a budget is used in the period containing a date
+   * @param {Object} budget - Budget object, department and project populated
+   * @param {Date} date - Any date in the period
+   * @param {Object} options - { excludeExpense: id of an expense to leave out }
+   * @returns {Object} Consumption: amount, spent (approved), committed (pending), used, remaining, percentUsed
+   */
+  static async getStatus(budget, date = new Date(), options = {}) {
+    const { start, end } = this.periodRange(budget.period, date);
+
+    const match = {
+      company: toId(budget.company),
+      expenseDate: { $gte: start, $lt: end },
+      status: { $in: CONSUMING_STATUSES }
+    };
+    if (options.excludeExpense) {
+      match._id = { $ne: new mongoose.Types.ObjectId(toId(options.excludeExpense).toString()) };
+    }
+
+    const stages = budget.department
+      ? [...ExpenseAllocationService.departmentSharesStages(), { $match: { 'shares.department': toId(budget.department) } }]
+      : [...ExpenseAllocationService.projectSharesStages(), { $match: { 'shares.project': toId(budget.project) } }];
+
+    const totals = await Expense.aggregate([
+      { $match: match },
+      ...stages,
+      { $group: { _id: '$status', total: { $sum: '$shares.amount' } } }
+    ]);
+
+    const totalOf = (status) => roundAmount((totals.find(total => total._id === status) || {}).total || 0);
+    const spent = totalOf('approved');
+    const committed = roundAmount(totalOf('pending') + totalOf('needs_info'));
+    const used = roundAmount(spent + committed);
+
+    return {
+      budget,
+      targetName: this.targetName(budget),
+      period: budget.period,
+      periodStart: start,
+      periodEnd: end,
+      periodLabel: this.periodLabel(budget.period, start),
+      amount: budget.amount,
+      spent,
+      committed,
+      used,
+      remaining: roundAmount(budget.amount - used),
+      percentUsed: this.percentOf(used, budget.amount)
+    };
+  }
+
+  /**
+   * Share of a budget amount in percent, to one decimal
+   * @param {Number} value - Used amount
+   * @param {Number} amount - Budget amount
+   * @returns {Number} Percentage (100 for anything spent from a zero budget)
+   */
+  static percentOf(value, amount) {
+    if (!amount) return value > 0 ? 100 : 0;
+    return Math.round((value / amount) * 1000) / 10;
+  }
+
+  /**
+   * Work out what an expense would do to the budgets it is charged to.
+   * The expense itself is left out of the current consumption and added as its share.
+   * @param {Object} expense - Expense object (saved or not) with allocation amounts applied
+   * @returns {Array} Budget statuses with share, projected, projectedPercent and exceeds
+   */
+  static async getImpact(expense) {
+    const budgets = await this.findBudgetsFor(expense);
+
+    const impacts = await Promise.all(budgets.map(async ({ budget, share }) => {
+      const status = await this.getStatus(budget, expense.expenseDate, { excludeExpense: expense._id });
+      const projected = roundAmount(status.used + share);
+
+      return {
+        ...status,
+        share,
+        projected,
+        projectedPercent: this.percentOf(projected, budget.amount),
+        exceeds: projected > budget.amount
+      };
+    }));
+
+    return impacts.sort((a, b) => b.projectedPercent - a.projectedPercent);
+  }
+
+  /**
+   * Users to notify about a budget: the department head or project lead, else the company admins
+   * @param {Object} budget - Budget object, department and project populated
+   * @returns {Array} User ids
+   */
+  static async getRecipients(budget) {
+    const owner = budget.department ? budget.department.head : budget.project && budget.project.lead;
+    if (owner) {
+      return [toId(owner)];
+    }
+
+    const admins = await User.find({ company: toId(budget.company), role: 'admin', isActive: true }).select('_id');
+    return admins.map(admin => admin._id);
+  }
+
+  /**
+   * After an expense was submitted, notify the people responsible for every budget
+   * it pushed over one of its alert thresholds. Each threshold is announced once per period.
+   * @param {Object} expense - Submitted expense
+   * @param {Object} io - Socket.IO instance
+   * @returns {Array} Alerts sent [{ budget, threshold, percentUsed }]
+   */
+  static async checkThresholds(expense, io = null) {
+    try {
+      if (!CONSUMING_STATUSES.includes(expense.status)) {
+        return [];
+      }
+
+      const budgets = await this.findBudgetsFor(expense);
+      const alerts = [];
+      let company = null;
+
+      for (const { budget } of budgets) {
+        const status = await this.getStatus(budget, expense.expenseDate);
+        const crossed = (budget.alertThresholds || []).filter(threshold => status.percentUsed >= threshold);
+
+        // Record the thresholds first so that concurrent submissions announce each one only once
+        const recorded = [];
+        for (const threshold of crossed) {
+          const result = await Budget.updateOne(
+            {
+              _id: budget._id,
+              alerts: { $not: { $elemMatch: { periodStart: status.periodStart, threshold } } }
+            },
+            { $push: { alerts: { periodStart: status.periodStart, threshold, percentUsed: status.percentUsed } } }
+          );
+          if (result.modifiedCount > 0) recorded.push(threshold);
+        }
+
+        if (recorded.length === 0) continue;
+
+        const threshold = Math.max(...recorded);
+        company = company || await Company.findById(toId(expense.company)).select('currency');
+        const recipients = await this.getRecipients(budget);
+        await NotificationService.createBudgetThresholdNotification(
+          status, threshold, recipients, expense, company ? company.currency : 'USD', io
+        );
+
+        alerts.push({ budget: budget._id, threshold, percentUsed: status.percentUsed });
+      }
+
+      return alerts;
+    } catch (error) {
+      console.error('Error checking budget thresholds:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = BudgetService;
@@ -2,6 +2,7 @@ const ApprovalFlow = require('../models/ApprovalFlow');
 const Expense = require('../models/Expense');
 const User = require('../models/User');
 const NotificationService = require('./notificationService');
+const BudgetService = require('./budgetService');
 
 class ConditionalApprovalEngine {
   /**
@@ -119,6 +120,10 @@ class ConditionalApprovalEngine {
         case 'department':
           result.triggered = await this.evaluateDepartmentRule(expense, rule);
           break;
+
+        case 'budget_exceeded':
+          result.triggered = await this.evaluateBudgetExceededRule(expense, rule);
+          break;
         
         default:
           console.warn(`Unknown rule type: ${rule.ruleType}`);
@@ -207,6 +212,20 @@ class ConditionalApprovalEngine {
     return employee.department.toLowerCase() === rule.condition.department.toLowerCase();
   }
 
+  /**
+   * Evaluate budget exceeded rule: the expense takes a department or project budget
+   * it is charged to past the threshold (100% of the budget unless configured)
+   * @param {Object} expense - Expense object
+   * @param {Object} rule - Budget exceeded rule
+   * @returns {boolean} Whether rule is triggered
+   */
+  static async evaluateBudgetExceededRule(expense, rule) {
+    const threshold = rule.condition.budgetThreshold || 100;
+    const impacts = await BudgetService.getImpact(expense);
+
+    return impacts.some(impact => impact.projected > impact.amount * threshold / 100);
+  }
+
   /**
    * Process conditional approval for an expense
    * @param {Object} expense - Expense object
@@ -288,10 +307,11 @@ class ConditionalApprovalEngine {
             company: expense.company
           });
           
+          let addedCount = 0;
           for (const approver of additionalApprovers) {
             // Check if approver is not already in the step
             const existingApprover = currentStep.approvers.find(
-              a => a.user.toString() === approver._id.toString()
+              a => (a.user._id || a.user).toString() === approver._id.toString()
             );
             
             if (!existingApprover) {
@@ -300,17 +320,21 @@ class ConditionalApprovalEngine {
                 status: 'pending',
                 assignedAt: new Date()
               });
+              addedCount += 1;
             }
           }
           
-          await approvalFlow.save();
-          
-          return { 
-            success: true, 
-            action: 'additional_approvers_added', 
-            reason: `Added ${additionalApprovers.length} additional approvers`,
-            additionalApprovers: additionalApprovers.length
-          };
+          // Once the additional approvers have decided, the step completes normally
+          if (addedCount > 0) {
+            await approvalFlow.save();
+            
+            return { 
+              success: true, 
+              action: 'additional_approvers_added', 
+              reason: `Added ${addedCount} additional approvers`,
+              additionalApprovers: addedCount
+            };
+          }
         }
       }
       
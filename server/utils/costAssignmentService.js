@@ -0,0 +1,82 @@
+const User = require('../models/User');
+const Project = require('../models/Project');
+const CostCenter = require('../models/CostCenter');
+const ExpenseAllocationService = require('./expenseAllocationService');
+
+class CostAssignmentService {
+  /**
+   * Projects an expense is charged to, directly or through its allocations
+   * @param {Object} expense - Expense object
+   * @returns {Array} Distinct project ids as strings
+   */
+  static projectsOf(expense) {
+    const projects = [expense.project, ...(expense.allocations || []).map(allocation => allocation.project)];
+    return [...new Set(projects.filter(Boolean).map(project => (project._id || project).toString()))];
+  }
+
+  /**
+   * Check that users belong to a company, e.g. the members of a project
+   * @param {String|ObjectId} companyId - Company id
+   * @param {Array} userIds - User ids
+   * @returns {Boolean} True when every user is a user of the company
+   */
+  static async usersBelongToCompany(companyId, userIds) {
+    const ids = [...new Set(userIds.filter(Boolean).map(String))];
+    if (ids.length === 0) return true;
+
+    const count = await User.countDocuments({ _id: { $in: ids }, company: companyId });
+    return count === ids.length;
+  }
+
+  /**
+   * Check a project or cost center an expense is charged to
+   * @param {Object} target - Project or CostCenter document, or null when not found
+   * @param {String} label - e.g. 'Project', used in the messages
+   * @param {Object} expense - Expense object
+   * @returns {String} Error message, or null when the expense can be charged to it
+   */
+  static checkTarget(target, label, expense) {
+    if (!target) {
+      return `${label} not found`;
+    }
+    if (!target.isOpenOn(expense.expenseDate)) {
+      return `${label} ${target.code} is not open for expenses on this date`;
+    }
+    if (!target.hasMember(expense.employee._id || expense.employee)) {
+      return `You are not a member of ${label.toLowerCase()} ${target.code}`;
+    }
+    return null;
+  }
+
+  /**
+   * Check everything an expense is charged to: its project and cost center,
+   * and the departments and projects of its allocations
+   * @param {Object} expense - Expense object
+   * @returns {Array} Error messages (empty when the expense can be charged as entered)
+   */
+  static async validate(expense) {
+    const errors = await ExpenseAllocationService.validateDepartments(expense);
+
+    const projectIds = this.projectsOf(expense);
+    if (projectIds.length > 0) {
+      const projects = await Project.find({ _id: { $in: projectIds }, company: expense.company });
+      projectIds.forEach(id => {
+        const error = this.checkTarget(projects.find(project => project._id.toString() === id), 'Project', expense);
+        if (error) errors.push(error);
+      });
+    }
+
+    if (expense.costCenter) {
+      const costCenter = await CostCenter.findOne({
+        _id: expense.costCenter._id || expense.costCenter,
+        company: expense.company
+      });
+      const error = this.checkTarget(costCenter, 'Cost center', expense);
+      if (error) errors.push(error);
+    }
+
+    return errors;
+  }
+}
+
+module.exports = CostAssignmentService;
@@ -0,0 +1,65 @@
+const { parse } = require('csv-parse/sync');
+
+class CsvImport {
+  /**
+   * Parse a CSV file into header and data rows
+   * @param {Buffer} buffer - CSV file contents
+   * @returns {Object} { headers, rows }
+   */
+  static parse(buffer) {
+    const records = parse(buffer, {
+      bom: true,
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true
+    });
+
+    const [headers = [], ...rows] = records;
+    return { headers, rows };
+  }
+
+  /**
+   * Normalize a header for matching: lowercase without spaces or punctuation
+   * @param {String} header - Header text
+   * @returns {String} Normalized header
+   */
+  static normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Map CSV headers to fields using accepted aliases per field
+   * @param {Array} headers - Header row
+   * @param {Object} aliases - { field: [normalized header names] }
+   * @returns {Object} { mapping: { field: columnIndex }, ignored: [header] }
+   */
+  static mapColumns(headers, aliases) {
+    const mapping = {};
+    const ignored = [];
+
+    headers.forEach((header, index) => {
+      const normalized = this.normalizeHeader(header);
+      const field = Object.keys(aliases).find(key => aliases[key].includes(normalized));
+
+      if (field && mapping[field] === undefined) {
+        mapping[field] = index;
+      } else {
+        ignored.push(header);
+      }
+    });
+
+    return { mapping, ignored };
+  }
+
+  /**
+   * Create a reader for trimmed cell values of a row
+   * @param {Array} row - CSV row
+   * @param {Object} mapping - Column mapping
+   * @returns {Function} field => value ('' when missing)
+   */
+  static reader(row, mapping) {
+    return (field) => (mapping[field] !== undefined ? (row[mapping[field]] || '').trim() : '');
+  }
+}
+
+module.exports = CsvImport;
@@ -0,0 +1,119 @@
+const Delegation = require('../models/Delegation');
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+const sameUser = (a, b) => Boolean(a && b) && toId(a).toString() === toId(b).toString();
+
+class DelegationService {
+  /**
+   * Delegations a user can currently act on as substitute
+   * @param {Object} user - Delegate (User or id)
+   * @param {Date} date - Moment to check (default now)
+   * @returns {Array} Active delegations, delegator populated
+   */
+  static async findActiveFor(user, date = new Date()) {
+    try {
+      return await Delegation.find({
+        delegate: toId(user),
+        isActive: true,
+        startDate: { $lte: date },
+        endDate: { $gte: date }
+      }).populate('delegator', 'firstName lastName email role isActive');
+    } catch (error) {
+      console.error('Error finding active delegations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a delegation's category and amount limits cover an expense or report
+   * @param {Object} delegation - Delegation object
+   * @param {Object} expense - Expense object, or for a report { categories, totalAmount }
+   *   where categories are those of its open lines
+   * @returns {Boolean} True when the delegate may decide on the expense
+   */
+  static covers(delegation, expense) {
+    const categories = expense.categories || [expense.category];
+    if (delegation.categories && delegation.categories.length > 0
+      && !categories.every(category => delegation.categories.includes(category))) {
+      return false;
+    }
+
+    if (delegation.maxAmount !== null && delegation.maxAmount !== undefined) {
+      const amount = expense.amountInCompanyCurrency ?? expense.amount ?? expense.totalAmount;
+      if (amount > delegation.maxAmount) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Delegation through which a delegate may act for an approver on an expense
+   * @param {Array} delegations - Active delegations of the delegate
+   * @param {Object} approver - Approver being substituted (User or id)
+   * @param {Object} expense - Expense object
+   * @returns {Object|null} Matching delegation
+   */
+  static findCovering(delegations, approver, expense) {
+    return delegations.find(delegation =>
+      sameUser(delegation.delegator, approver) && this.covers(delegation, expense)
+    ) || null;
+  }
+
+  /**
+   * Approver entry of a flow step the user decides on: their own pending entry first,
+   * then the pending entry of someone who delegated to them, then their own decided
+   * entry so that callers can report it was already processed.
+   * @param {Object} step - ApprovalFlow step object
+   * @param {Object} user - User deciding
+   * @param {Object} expense - Expense object
+   * @param {Array} delegations - Active delegations of the user (see findActiveFor)
+   * @returns {Object} { approverEntry, onBehalfOf } - onBehalfOf is the delegator's id or null
+   */
+  static resolveApprover(step, user, expense, delegations = []) {
+    const ownEntry = step.approvers.find(approver => sameUser(approver.user, user));
+    if (ownEntry && ownEntry.status === 'pending') {
+      return { approverEntry: ownEntry, onBehalfOf: null };
+    }
+
+    const delegatedEntry = step.approvers.find(approver =>
+      approver.status === 'pending' && this.findCovering(delegations, approver.user, expense)
+    );
+    if (delegatedEntry) {
+      return { approverEntry: delegatedEntry, onBehalfOf: toId(delegatedEntry.user) };
+    }
+
+    return { approverEntry: ownEntry || null, onBehalfOf: null };
+  }
+
+  /**
+   * Approver a user would substitute for when deciding on a pending expense: a pending
+   * approver of the current flow step or, without a flow, the employee's manager
+   * @param {Object} expense - Expense object (approvalFlow and employee.manager populated)
+   * @param {Object} user - User deciding
+   * @param {Array} delegations - Active delegations of the user (see findActiveFor)
+   * @returns {ObjectId|null} The delegator's id, or null when the user acts in their own name
+   */
+  static delegatorFor(expense, user, delegations = []) {
+    if (delegations.length === 0) {
+      return null;
+    }
+
+    const flow = expense.approvalFlow;
+    if (flow && flow.steps) {
+      const currentStep = flow.steps.find(step => step.stepNumber === flow.currentStep);
+      return currentStep ? this.resolveApprover(currentStep, user, expense, delegations).onBehalfOf : null;
+    }
+
+    const manager = expense.employee && expense.employee.manager;
+    if (!manager || sameUser(manager, user)) {
+      return null;
+    }
+
+    return this.findCovering(delegations, manager, expense) ? toId(manager) : null;
+  }
+}
+
+module.exports = DelegationService;
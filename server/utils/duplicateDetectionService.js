@@ -0,0 +1,196 @@
+const Expense = require('../models/Expense');
+
+// Only expenses that are in flight or already paid out count as originals;
+// a rejected expense may legitimately be submitted again.
+const CANDIDATE_STATUSES = ['pending', 'needs_info', 'approved'];
+
+// Tolerances for the fuzzy match on expense details
+const AMOUNT_TOLERANCE = 0.01; // 1% of the amount
+const DATE_TOLERANCE_DAYS = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DuplicateDetectionService {
+  /**
+   * Normalize free text (merchant, description) for comparison
+   * @param {String} text - Text to normalize
+   * @returns {String} Lowercase alphanumeric words separated by single spaces
+   */
+  static normalizeText(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Build the fingerprint of an expense's details:
+   * employee, amount, currency, expense day and merchant
+   * @param {Object} expense - Expense object
+   * @returns {String} Fingerprint, e.g. 64a...|42.50|EUR|2024-05-14|city taxi
+   */
+  static buildFingerprint(expense) {
+    const day = expense.expenseDate ? new Date(expense.expenseDate).toISOString().slice(0, 10) : '';
+    return [
+      String(expense.employee && expense.employee._id ? expense.employee._id : expense.employee),
+      Number(expense.amount || 0).toFixed(2),
+      expense.currency,
+      day,
+      this.normalizeText(expense.merchant)
+    ].join('|');
+  }
+
+  /**
+   * Whether two merchant or description strings plausibly name the same thing
+   * @param {String} a - First text
+   * @param {String} b - Second text
+   * @returns {Boolean} True when one normalized text contains the other
+   */
+  static textsMatch(a, b) {
+    const left = this.normalizeText(a);
+    const right = this.normalizeText(b);
+    if (!left || !right) return false;
+    return left.includes(right) || right.includes(left);
+  }
+
+  /**
+   * Whether a candidate has the same details as the expense. Amount and date
+   * must be close; the merchant must match when both expenses have one,
+   * otherwise the descriptions must.
+   * @param {Object} expense - Expense being checked
+   * @param {Object} candidate - Earlier expense of the same employee
+   * @returns {Boolean} True when the details match
+   */
+  static detailsMatch(expense, candidate) {
+    if (expense.merchant && candidate.merchant) {
+      return this.textsMatch(expense.merchant, candidate.merchant);
+    }
+    return this.textsMatch(expense.description, candidate.description);
+  }
+
+  /**
+   * Find earlier expenses that look like the same spend
+   * @param {Object} expense - Expense object (saved or not)
+   * @returns {Array} [{ expense, reasons }] with reasons 'same_receipt' and/or 'similar_details'
+   */
+  static async findDuplicates(expense) {
+    const matches = new Map();
+    const addMatch = (candidate, reason) => {
+      const id = candidate._id.toString();
+      if (!matches.has(id)) {
+        matches.set(id, { expense: candidate, reasons: [] });
+      }
+      if (!matches.get(id).reasons.includes(reason)) {
+        matches.get(id).reasons.push(reason);
+      }
+    };
+
+    const baseFilter = {
+      _id: { $ne: expense._id },
+      company: expense.company,
+      status: { $in: CANDIDATE_STATUSES }
+    };
+
+    // Same receipt file anywhere in the company, whoever submitted it
+    const hashes = (expense.attachments || []).map(attachment => attachment.contentHash).filter(Boolean);
+    if (hashes.length > 0) {
+      const sameReceipt = await Expense.find({
+        ...baseFilter,
+        'attachments.contentHash': { $in: hashes }
+      }).select('employee amount currency description merchant expenseDate status');
+
+      sameReceipt.forEach(candidate => addMatch(candidate, 'same_receipt'));
+    }
+
+    // Exactly the same details, found through the fingerprint recorded when earlier expenses were
+    // checked. Without a merchant the fingerprint says too little; the fuzzy pass compares descriptions.
+    if (expense.amount && expense.currency && expense.expenseDate && this.normalizeText(expense.merchant)) {
+      const fingerprint = this.buildFingerprint(expense);
+      const sameFingerprint = await Expense.find({
+        ...baseFilter,
+        'duplicateCheck.fingerprint': fingerprint
+      }).select('employee amount currency description merchant expenseDate status');
+
+      // A pending expense edited since its check keeps the fingerprint of its earlier details
+      sameFingerprint
+        .filter(candidate => this.buildFingerprint(candidate) === fingerprint)
+        .forEach(candidate => addMatch(candidate, 'similar_details'));
+    }
+
+    // Close amount and date, same employee, currency and merchant (or description)
+    if (expense.amount && expense.currency && expense.expenseDate) {
+      const expenseDate = new Date(expense.expenseDate);
+      const amountTolerance = Math.max(expense.amount * AMOUNT_TOLERANCE, 0.01);
+
+      const similar = await Expense.find({
+        ...baseFilter,
+        employee: expense.employee,
+        currency: expense.currency,
+        amount: { $gte: expense.amount - amountTolerance, $lte: expense.amount + amountTolerance },
+        expenseDate: {
+          $gte: new Date(expenseDate.getTime() - DATE_TOLERANCE_DAYS * DAY_MS),
+          $lte: new Date(expenseDate.getTime() + DATE_TOLERANCE_DAYS * DAY_MS)
+        }
+      }).select('employee amount currency description merchant expenseDate status');
+
+      similar
+        .filter(candidate => this.detailsMatch(expense, candidate))
+        .forEach(candidate => addMatch(candidate, 'similar_details'));
+    }
+
+    return Array.from(matches.values());
+  }
+
+  /**
+   * Run the duplicate check and record the result on the expense (not saved)
+   * @param {Object} expense - Expense document
+   * @param {Object} company - Company object
+   * @returns {Object} { matches, blocked } - blocked when the company blocks duplicates
+   */
+  static async check(expense, company) {
+    const matches = await this.findDuplicates(expense);
+
+    expense.duplicateCheck = {
+      status: matches.length > 0 ? 'possible' : 'none',
+      fingerprint: this.buildFingerprint(expense),
+      matches: matches.map(match => ({ expense: match.expense._id, reasons: match.reasons })),
+      checkedAt: new Date()
+    };
+
+    const handling = (company.settings && company.settings.duplicateHandling) || 'warn';
+
+    return {
+      matches,
+      blocked: matches.length > 0 && handling === 'block'
+    };
+  }
+
+  /**
+   * Describe duplicate matches for the submitting employee. Receipts shared
+   * with a colleague's expense are reported without that expense's details.
+   * @param {Array} matches - Result of findDuplicates
+   * @param {Object} user - Submitting user
+   * @returns {Array} [{ expense: { _id, description, merchant, amount, currency, expenseDate, status, isOwn }, reasons }]
+   */
+  static summarize(matches, user) {
+    return matches.map(({ expense, reasons }) => {
+      const isOwn = expense.employee.toString() === user._id.toString();
+      return {
+        expense: {
+          _id: expense._id,
+          description: isOwn ? expense.description : undefined,
+          merchant: isOwn ? expense.merchant : undefined,
+          amount: expense.amount,
+          currency: expense.currency,
+          expenseDate: expense.expenseDate,
+          status: expense.status,
+          isOwn
+        },
+        reasons
+      };
+    });
+  }
+}
+
+module.exports = DuplicateDetectionService;
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+class EncryptionService {
+  /**
+   * Derive the 256-bit key used for field encryption
+   * @returns {Buffer} Encryption key
+   */
+  static getKey() {
+    const secret = process.env.FIELD_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error('FIELD_ENCRYPTION_KEY is not configured');
+    }
+    return crypto.createHash('sha256').update(secret).digest();
+  }
+
+  /**
+   * Encrypt a value for storage
+   * @param {String} value - Plain text value
+   * @returns {String|null} "iv:authTag:cipherText", base64 encoded parts
+   */
+  static encrypt(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+  }
+
+  /**
+   * Decrypt a value produced by encrypt()
+   * @param {String} payload - Encrypted value
+   * @returns {String|null} Plain text value
+   */
+  static decrypt(payload) {
+    if (!payload) {
+      return null;
+    }
+
+    const [iv, authTag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.getKey(), iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Mask an account identifier for display, keeping the last four characters
+   * @param {String} value - Account identifier
+   * @returns {String|null} Masked value, e.g. ****1234
+   */
+  static mask(value) {
+    if (!value) {
+      return null;
+    }
+    return `****${String(value).slice(-4)}`;
+  }
+}
+
+module.exports = EncryptionService;
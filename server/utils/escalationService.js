@@ -0,0 +1,200 @@
+const ApprovalFlow = require('../models/ApprovalFlow');
+const User = require('../models/User');
+const HierarchicalApprovalEngine = require('./hierarchicalApprovalEngine');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class EscalationService {
+  /**
+   * Resolve the escalation settings of a rule. Hierarchical rules use
+   * approvalLogic.hierarchicalSettings, every other rule uses rule.escalation.
+   * @param {Object} rule - ApprovalRule object
+   * @returns {Object} { enabled, timeoutHours, escalateTo }
+   */
+  static getEscalationSettings(rule) {
+    if (!rule) {
+      return { enabled: false, timeoutHours: null, escalateTo: null };
+    }
+
+    const hierarchicalSettings = rule.approvalLogic?.hierarchicalSettings;
+    if (rule.approvalLogic?.type === 'hierarchical' && hierarchicalSettings?.escalationEnabled) {
+      return {
+        enabled: true,
+        timeoutHours: hierarchicalSettings.escalationTimeoutHours,
+        escalateTo: hierarchicalSettings.escalationTo || rule.escalation?.escalateTo || null
+      };
+    }
+
+    if (rule.escalation?.enabled) {
+      return {
+        enabled: true,
+        timeoutHours: rule.escalation.timeoutHours,
+        escalateTo: rule.escalation.escalateTo || null
+      };
+    }
+
+    return { enabled: false, timeoutHours: null, escalateTo: null };
+  }
+
+  /**
+   * Calculate when a flow started at `from` should be escalated
+   * @param {Object} rule - ApprovalRule object
+   * @param {Date} from - Start of the waiting period
+   * @returns {Date|null} Escalation deadline, or null when escalation is disabled
+   */
+  static getEscalationDeadline(rule, from = new Date()) {
+    const settings = this.getEscalationSettings(rule);
+    if (!settings.enabled || !settings.timeoutHours) {
+      return null;
+    }
+    return new Date(from.getTime() + settings.timeoutHours * HOUR_MS);
+  }
+
+  /**
+   * Work out when the current step of a flow started waiting for approvers
+   * @param {Object} approvalFlow - ApprovalFlow object
+   * @returns {Date} Step start time
+   */
+  static getCurrentStepStartedAt(approvalFlow) {
+    const previousStep = approvalFlow.steps.find(step => step.stepNumber === approvalFlow.currentStep - 1);
+    const candidates = [approvalFlow.startedAt || approvalFlow.createdAt];
+
+    if (previousStep) {
+      if (previousStep.completedAt) candidates.push(previousStep.completedAt);
+      previousStep.approvers.forEach(approver => {
+        if (approver.approvedAt) candidates.push(approver.approvedAt);
+      });
+    }
+
+    // Time the expense spent with the submitter answering a question does not count
+    (approvalFlow.expense?.infoRequests || []).forEach(request => {
+      if (request.respondedAt) candidates.push(request.respondedAt);
+    });
+
+    return new Date(Math.max(...candidates.filter(Boolean).map(date => new Date(date).getTime())));
+  }
+
+  /**
+   * Find the user an approval flow should be escalated to. Falls back to a
+   * company admin when the rule does not name anyone.
+   * @param {Object} approvalFlow - ApprovalFlow object
+   * @param {Object} rule - ApprovalRule object
+   * @returns {Object|null} User to escalate to
+   */
+  static async resolveEscalationTarget(approvalFlow, rule) {
+    const settings = this.getEscalationSettings(rule);
+    const candidateIds = [approvalFlow.escalatedTo, settings.escalateTo].filter(Boolean);
+
+    for (const candidateId of candidateIds) {
+      const user = await User.findOne({
+        _id: candidateId._id || candidateId,
+        company: approvalFlow.company,
+        isActive: true
+      });
+      if (user) return user;
+    }
+
+    return User.findOne({
+      company: approvalFlow.company,
+      role: 'admin',
+      isActive: true
+    }).sort({ createdAt: 1 });
+  }
+
+  /**
+   * Escalate every active approval flow whose escalation deadline has passed
+   * @param {Object} options
+   * @param {Date} options.now - Current time (injectable for tests)
+   * @param {Object} options.io - Socket.IO instance for notifications
+   * @param {Number} options.limit - Maximum number of flows handled per run
+   * @returns {Object} Summary of the run
+   */
+  static async processDueEscalations({ now = new Date(), io = null, limit = 100 } = {}) {
+    const dueFlows = await ApprovalFlow.find({
+      status: 'active',
+      escalatedAt: { $ne: null, $lte: now }
+    })
+    .populate('rule')
+    .populate({
+      path: 'expense',
+      populate: {
+        path: 'employee',
+        select: 'firstName lastName email'
+      }
+    })
+    .populate({
+      path: 'report',
+      populate: {
+        path: 'employee',
+        select: 'firstName lastName email'
+      }
+    })
+    .sort({ escalatedAt: 1 })
+    .limit(limit);
+
+    const summary = { checked: dueFlows.length, escalated: 0, deferred: 0, cleared: 0, failed: 0 };
+
+    for (const approvalFlow of dueFlows) {
+      try {
+        const result = await this.escalateFlow(approvalFlow, { now, io });
+        summary[result.outcome] += 1;
+      } catch (error) {
+        console.error(`Error escalating approval flow ${approvalFlow._id}:`, error);
+        summary.failed += 1;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Escalate a single due approval flow
+   * @param {Object} approvalFlow - ApprovalFlow object (rule and expense or report populated)
+   * @param {Object} options - { now, io }
+   * @returns {Object} { outcome: 'escalated' | 'deferred' | 'cleared', reason }
+   */
+  static async escalateFlow(approvalFlow, { now = new Date(), io = null } = {}) {
+    const rule = approvalFlow.rule;
+    const subject = approvalFlow.expense || approvalFlow.report;
+
+    // Nothing to escalate anymore - stop checking this flow
+    if (!this.getEscalationSettings(rule).enabled || !subject || subject.status !== 'pending') {
+      approvalFlow.escalatedAt = undefined;
+      await approvalFlow.save();
+      return { outcome: 'cleared', reason: 'Escalation no longer applies' };
+    }
+
+    const currentStep = approvalFlow.steps.find(step => step.stepNumber === approvalFlow.currentStep);
+    if (!currentStep) {
+      approvalFlow.escalatedAt = undefined;
+      await approvalFlow.save();
+      return { outcome: 'cleared', reason: 'Current approval step not found' };
+    }
+
+    // The deadline is per step: a step that only just started gets the full timeout
+    const stepDeadline = this.getEscalationDeadline(rule, this.getCurrentStepStartedAt(approvalFlow));
+    if (currentStep.isEscalated || stepDeadline > now) {
+      approvalFlow.escalatedAt = currentStep.isEscalated
+        ? this.getEscalationDeadline(rule, now)
+        : stepDeadline;
+      await approvalFlow.save();
+      return { outcome: 'deferred', reason: currentStep.isEscalated ? 'Step already escalated' : 'Step not yet overdue' };
+    }
+
+    const escalatedTo = await this.resolveEscalationTarget(approvalFlow, rule);
+    if (!escalatedTo) {
+      approvalFlow.escalatedAt = this.getEscalationDeadline(rule, now);
+      await approvalFlow.save();
+      return { outcome: 'deferred', reason: 'No escalation approver available' };
+    }
+
+    // Check again after the timeout in case the flow moves on to a later step
+    approvalFlow.escalatedAt = this.getEscalationDeadline(rule, now);
+
+    await HierarchicalApprovalEngine.handleHierarchicalEscalation(approvalFlow, escalatedTo, io, now);
+
+    return { outcome: 'escalated', reason: `Escalated to ${escalatedTo.firstName} ${escalatedTo.lastName}` };
+  }
+}
+
+module.exports = EscalationService;
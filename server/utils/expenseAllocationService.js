@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const Department = require('../models/Department');
+
+// Allocated amounts may differ from the expense amount by rounding only
+const AMOUNT_TOLERANCE = 0.01;
+
+/**
+ * Round to cents
+ * @param {Number} value - Amount
+ * @returns {Number} Rounded amount
+ */
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+class ExpenseAllocationService {
+  /**
+   * Read allocation lines from a request body. Multipart forms send them as a JSON string.
+   * @param {Array|String} value - Allocations or their JSON
+   * @returns {Array} Allocations ({ department, project, percent, amount }), or null when malformed
+   */
+  static parse(value) {
+    let allocations = value;
+    if (typeof value === 'string') {
+      try {
+        allocations = value.trim() ? JSON.parse(value) : [];
+      } catch (error) {
+        return null;
+      }
+    }
+
+    const isBlank = (value) => value === undefined || value === null || value === '';
+    if (!Array.isArray(allocations) || allocations.some(allocation => !allocation || typeof allocation !== 'object' ||
+        (!isBlank(allocation.department) && !mongoose.isValidObjectId(allocation.department)) ||
+        (!isBlank(allocation.project) && !mongoose.isValidObjectId(allocation.project)) ||
+        (!isBlank(allocation.percent) && isNaN(Number(allocation.percent))) ||
+        (!isBlank(allocation.amount) && isNaN(Number(allocation.amount))))) {
+      return null;
+    }
+
+    return allocations.map(allocation => ({
+      department: isBlank(allocation.department) ? undefined : allocation.department,
+      project: isBlank(allocation.project) ? undefined : allocation.project,
+      percent: isBlank(allocation.percent) ? undefined : Number(allocation.percent),
+      amount: isBlank(allocation.percent) && !isBlank(allocation.amount) ? Number(allocation.amount) : undefined
+    }));
+  }
+
+  /**
+   * Replace the allocations of an expense and work out their amounts
+   * @param {Object} expense - Expense document (modified in place)
+   * @param {Array} allocations - Parsed allocations
+   */
+  static assign(expense, allocations) {
+    expense.allocations = allocations;
+    this.applyAmounts(expense);
+  }
+
+  /**
+   * Work out the allocated amounts after the expense amount or exchange rate
+   * changed. Percentage shares follow the amount; when the shares cover the
+   * whole expense, the last one takes the rounding difference so that the
+   * allocations add up to the expense exactly.
+   * @param {Object} expense - Expense document (modified in place)
+   */
+  static applyAmounts(expense) {
+    const allocations = expense.allocations || [];
+    if (allocations.length === 0) return;
+
+    allocations.forEach(allocation => {
+      if (allocation.percent !== undefined && allocation.percent !== null) {
+        allocation.amount = roundAmount((expense.amount || 0) * allocation.percent / 100);
+      }
+      allocation.amountInCompanyCurrency = roundAmount((allocation.amount || 0) * (expense.exchangeRate || 1));
+    });
+
+    const last = allocations[allocations.length - 1];
+    const others = allocations.slice(0, -1);
+    const sum = (field) => others.reduce((total, allocation) => total + (allocation[field] || 0), 0);
+    const total = sum('amount') + (last.amount || 0);
+    if (expense.amount && Math.abs(roundAmount(total - expense.amount)) <= AMOUNT_TOLERANCE) {
+      last.amount = roundAmount(expense.amount - sum('amount'));
+      if (expense.amountInCompanyCurrency) {
+        last.amountInCompanyCurrency = roundAmount(expense.amountInCompanyCurrency - sum('amountInCompanyCurrency'));
+      }
+    }
+  }
+
+  /**
+   * Check the allocations of an expense
+   * @param {Object} expense - Expense object
+   * @returns {Array} Error messages (empty when the allocations are valid)
+   */
+  static validate(expense) {
+    const allocations = expense.allocations || [];
+    if (allocations.length === 0) {
+      return [];
+    }
+
+    const errors = [];
+    const targets = new Set();
+    allocations.forEach((allocation, index) => {
+      if (!allocation.department && !allocation.project) {
+        errors.push(`Allocation ${index + 1}: department or project is required`);
+      }
+      if (allocation.percent !== undefined && allocation.percent !== null &&
+          !(allocation.percent > 0 && allocation.percent <= 100)) {
+        errors.push(`Allocation ${index + 1}: percent must be between 0 and 100`);
+      } else if (!(allocation.amount > 0)) {
+        errors.push(`Allocation ${index + 1}: percent or amount must be greater than 0`);
+      }
+
+      const target = `${allocation.department || ''}|${allocation.project || ''}`;
+      if (targets.has(target)) {
+        errors.push(`Allocation ${index + 1}: the same department and project is allocated twice`);
+      }
+      targets.add(target);
+    });
+
+    const total = roundAmount(allocations.reduce((sum, allocation) => sum + (allocation.amount || 0), 0));
+    if (expense.amount && Math.abs(roundAmount(total - expense.amount)) > AMOUNT_TOLERANCE) {
+      errors.push(`Allocations add up to ${total} but the expense amount is ${expense.amount}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check that the allocated departments are active departments of the company
+   * @param {Object} expense - Expense object
+   * @returns {Array} Error messages (empty when all departments are known)
+   */
+  static async validateDepartments(expense) {
+    const ids = [...new Set((expense.allocations || [])
+      .map(allocation => allocation.department)
+      .filter(Boolean)
+      .map(id => id.toString()))];
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const count = await Department.countDocuments({
+      _id: { $in: ids },
+      company: expense.company,
+      isActive: true
+    });
+
+    return count === ids.length ? [] : ['Allocations can only use active departments of the company'];
+  }
+
+  /**
+   * Aggregation stages that turn each expense into department shares
+   * ({ shares: { department, amount } }, one document per share). Allocated
+   * expenses are split by their allocations; the rest, and allocations to a
+   * project only, belong to the submitter's department.
+   * @returns {Array} Aggregation pipeline stages
+   */
+  static departmentSharesStages() {
+    const submitterDepartment = { $arrayElemAt: ['$submitter.department', 0] };
+
+    return [
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'employee',
+          foreignField: '_id',
+          as: 'submitter'
+        }
+      },
+      {
+        $project: {
+          status: 1,
+          shares: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$allocations', []] } }, 0] },
+              {
+                $map: {
+                  input: '$allocations',
+                  as: 'allocation',
+                  in: {
+                    department: { $ifNull: ['$$allocation.department', submitterDepartment] },
+                    amount: '$$allocation.amountInCompanyCurrency'
+                  }
+                }
+              },
+              [{ department: submitterDepartment, amount: '$amountInCompanyCurrency' }]
+            ]
+          }
+        }
+      },
+      { $unwind: '$shares' }
+    ];
+  }
+
+  /**
+   * Aggregation stages that turn each expense into project shares
+   * ({ shares: { project, amount } }, one document per share). Allocations
+   * without a project belong to the project of the expense; shares without
+   * any project have a null project.
+   * @returns {Array} Aggregation pipeline stages
+   */
+  static projectSharesStages() {
+    return [
+      {
+        $project: {
+          status: 1,
+          shares: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$allocations', []] } }, 0] },
+              {
+                $map: {
+                  input: '$allocations',
+                  as: 'allocation',
+                  in: {
+                    project: { $ifNull: ['$$allocation.project', '$project'] },
+                    amount: '$$allocation.amountInCompanyCurrency'
+                  }
+                }
+              },
+              [{ project: '$project', amount: '$amountInCompanyCurrency' }]
+            ]
+          }
+        }
+      },
+      { $unwind: '$shares' }
+    ];
+  }
+}
+
+module.exports = ExpenseAllocationService;
@@ -0,0 +1,128 @@
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+
+// Mentions are written into the comment body as @[First Last](userId)
+const MENTION_PATTERN = /@\[([^\]]+)\]\(([a-f0-9]{24})\)/g;
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+class ExpenseCommentService {
+  /**
+   * Ids of the users mentioned in a comment body
+   * @param {String} body - Comment body
+   * @returns {Array} Unique user ids as strings, in order of appearance
+   */
+  static parseMentions(body) {
+    const ids = [...(body || '').matchAll(MENTION_PATTERN)].map(match => match[2]);
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Active company users who can see an expense and so can be mentioned on it:
+   * the submitter and, once submitted, managers and admins
+   * @param {Object} expense - Expense object
+   * @returns {Array} Users
+   */
+  static async getMentionableUsers(expense) {
+    try {
+      const employeeId = toId(expense.employee);
+      const filter = { company: expense.company, isActive: true };
+      if (expense.status === 'draft') {
+        filter._id = employeeId;
+      } else {
+        filter.$or = [{ _id: employeeId }, { role: { $in: ['manager', 'admin'] } }];
+      }
+
+      return await User.find(filter)
+        .select('firstName lastName email role')
+        .sort({ firstName: 1, lastName: 1 });
+    } catch (error) {
+      console.error('Error getting mentionable users:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the mentions of a comment body against the users who can see the expense
+   * @param {String} body - Comment body
+   * @param {Object} expense - Expense object
+   * @returns {Object} { mentions } - user ids - or { error } when someone cannot be mentioned
+   */
+  static async resolveMentions(body, expense) {
+    const ids = this.parseMentions(body);
+    if (ids.length === 0) {
+      return { mentions: [] };
+    }
+
+    const mentionable = await this.getMentionableUsers(expense);
+    const allowed = new Set(mentionable.map(user => user._id.toString()));
+    if (ids.some(id => !allowed.has(id))) {
+      return { error: 'Only active users who can see this expense can be mentioned' };
+    }
+
+    return { mentions: ids };
+  }
+
+  /**
+   * Notify mentioned users of a comment; the author is never notified of their own mention
+   * @param {Object} comment - ExpenseComment object
+   * @param {Object} expense - Expense object
+   * @param {Object} author - User who wrote the comment
+   * @param {Array} userIds - Users to notify (new mentions only when a comment is edited)
+   * @param {Object} io - Socket.IO instance
+   */
+  static async notifyMentions(comment, expense, author, userIds, io = null) {
+    const recipients = userIds.filter(id => id.toString() !== author._id.toString());
+
+    for (const recipientId of recipients) {
+      try {
+        await NotificationService.createCommentMentionNotification(comment, expense, author, recipientId, io);
+      } catch (notificationError) {
+        console.error('Error sending comment mention notification:', notificationError);
+        // Don't fail the comment if notification fails
+      }
+    }
+  }
+
+  /**
+   * Tell the company room that a comment thread changed. Only ids are sent, since the room
+   * also holds users who cannot see the expense; viewers reload the thread.
+   * @param {Object} io - Socket.IO instance
+   * @param {Object} comment - ExpenseComment object
+   * @param {String} action - created, updated or deleted
+   */
+  static emitCommentEvent(io, comment, action) {
+    if (!io) return;
+    io.to(comment.company.toString()).emit('expense-comment', {
+      expenseId: comment.expense,
+      commentId: comment._id,
+      parentId: comment.parent,
+      action
+    });
+  }
+
+  /**
+   * Group the comments of an expense into threads
+   * @param {Array} comments - Comments (serialized), oldest first
+   * @returns {Array} Top-level comments, each with its replies, oldest first
+   */
+  static buildThreads(comments) {
+    const threads = comments
+      .filter(comment => !comment.parent)
+      .map(comment => ({ ...comment, replies: [] }));
+    const byId = new Map(threads.map(thread => [thread._id.toString(), thread]));
+
+    comments
+      .filter(comment => comment.parent)
+      .forEach(reply => {
+        const thread = byId.get(toId(reply.parent).toString());
+        if (thread) {
+          thread.replies.push(reply);
+        }
+      });
+
+    return threads;
+  }
+}
+
+module.exports = ExpenseCommentService;
@@ -0,0 +1,160 @@
+const ExcelJS = require('exceljs');
+
+const fullName = (user) => (user ? `${user.firstName} ${user.lastName}` : '');
+
+// Export columns: header, width (XLSX) and value getter
+const COLUMNS = [
+  { header: 'Expense ID', width: 26, value: e => e._id.toString() },
+  { header: 'Employee', width: 24, value: e => fullName(e.employee) },
+  { header: 'Employee Email', width: 28, value: e => (e.employee ? e.employee.email : '') },
+  { header: 'Expense Date', width: 14, value: e => e.expenseDate, type: 'date' },
+  { header: 'Submission Date', width: 20, value: e => (e.status === 'draft' ? null : e.submissionDate), type: 'datetime' },
+  { header: 'Category', width: 18, value: e => e.category },
+  { header: 'Description', width: 40, value: e => e.description },
+  { header: 'Status', width: 12, value: e => e.status },
+  { header: 'Original Amount', width: 16, value: e => e.amount, type: 'number' },
+  { header: 'Original Currency', width: 10, value: e => e.currency },
+  { header: 'Net Amount', width: 14, value: e => (e.tax ? e.tax.netAmount : null), type: 'number' },
+  { header: 'Tax Amount', width: 14, value: e => (e.tax ? e.tax.amount : null), type: 'number' },
+  { header: 'Tax Rate', width: 10, value: e => (e.tax ? e.tax.rate : null), type: 'number' },
+  { header: 'Tax Code', width: 12, value: e => (e.tax ? e.tax.code : '') },
+  { header: 'Exchange Rate', width: 14, value: e => e.exchangeRate, type: 'rate' },
+  { header: 'Converted Amount', width: 16, value: e => e.amountInCompanyCurrency, type: 'number' },
+  { header: 'Company Currency', width: 10, value: (e, context) => context.companyCurrency },
+  {
+    header: 'Approvers',
+    width: 30,
+    value: e => (e.approvals || [])
+      .filter(approval => approval.status !== 'pending')
+      .map(approval => `${fullName(approval.approver)}${approval.onBehalfOf ? ` on behalf of ${fullName(approval.onBehalfOf)}` : ''} (${approval.status})`)
+      .join('; ')
+  },
+  {
+    header: 'Approval Timestamps',
+    width: 30,
+    value: e => (e.approvals || [])
+      .filter(approval => approval.approvedAt)
+      .map(approval => approval.approvedAt.toISOString())
+      .join('; ')
+  },
+  { header: 'Approved By', width: 24, value: e => fullName(e.approvedBy) },
+  { header: 'Approved At', width: 20, value: e => e.approvedAt, type: 'datetime' },
+  { header: 'Rejected By', width: 24, value: e => fullName(e.rejectedBy) },
+  { header: 'Rejected At', width: 20, value: e => e.rejectedAt, type: 'datetime' },
+  { header: 'Rejection Reason', width: 30, value: e => e.rejectionReason },
+  { header: 'Reimbursed', width: 12, value: e => (e.isReimbursed ? 'Yes' : 'No') },
+  { header: 'Reimbursement Date', width: 14, value: e => e.reimbursementDate, type: 'date' }
+];
+
+class ExpenseExportService {
+  /**
+   * Format a single cell for CSV output
+   * @param {*} value - Cell value
+   * @param {String} type - Column type
+   * @returns {String} Escaped CSV cell
+   */
+  static toCsvCell(value, type) {
+    if (value === undefined || value === null || value === '') {
+      return '';
+    }
+
+    let text;
+    if (value instanceof Date) {
+      text = type === 'date' ? value.toISOString().slice(0, 10) : value.toISOString();
+    } else {
+      text = String(value);
+    }
+
+    // Neutralise spreadsheet formulas in user-entered text
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Stream expenses as CSV
+   * @param {Object} cursor - Mongoose query cursor of populated expenses
+   * @param {Object} res - Express response
+   * @param {Object} context - { companyCurrency }
+   */
+  static async streamCsv(cursor, res, context) {
+    // BOM so Excel opens UTF-8 files correctly
+    res.write('\ufeff' + COLUMNS.map(column => this.toCsvCell(column.header)).join(',') + '\r\n');
+
+    for await (const expense of cursor) {
+      const row = COLUMNS.map(column => this.toCsvCell(column.value(expense, context), column.type));
+      if (!res.write(row.join(',') + '\r\n')) {
+        await new Promise(resolve => res.once('drain', resolve));
+      }
+    }
+
+    res.end();
+  }
+
+  /**
+   * Stream expenses as an XLSX workbook
+   * @param {Object} cursor - Mongoose query cursor of populated expenses
+   * @param {Object} res - Express response
+   * @param {Object} context - { companyCurrency }
+   */
+  static async streamXlsx(cursor, res, context) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const worksheet = workbook.addWorksheet('Expenses', {
+      views: [{ state: 'frozen', ySplit: 1 }]
+    });
+
+    const numberFormats = {
+      date: 'yyyy-mm-dd',
+      datetime: 'yyyy-mm-dd hh:mm',
+      number: '#,##0.00',
+      rate: '0.000000'
+    };
+
+    worksheet.columns = COLUMNS.map((column, index) => ({
+      header: column.header,
+      key: `c${index}`,
+      width: column.width,
+      style: numberFormats[column.type] ? { numFmt: numberFormats[column.type] } : {}
+    }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).commit();
+
+    for await (const expense of cursor) {
+      worksheet.addRow(COLUMNS.map(column => {
+        const value = column.value(expense, context);
+        return value === undefined || value === '' ? null : value;
+      })).commit();
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+  }
+
+  /**
+   * Format a VAT report (see ExpenseTaxService.buildVatReport) as CSV
+   * @param {Object} report - { companyCurrency, rows, totals }
+   * @returns {String} CSV document
+   */
+  static vatReportCsv(report) {
+    const currency = report.companyCurrency;
+    const header = [
+      'Country', 'Tax Code', 'Rate (%)', 'Currency', 'Expenses', 'Gross', 'Net', 'Tax',
+      `Gross (${currency})`, `Net (${currency})`, `Tax (${currency})`
+    ];
+
+    const lines = [header, ...report.rows.map(row => [
+      row.country, row.code, row.rate, row.currency, row.count, row.gross, row.net, row.tax,
+      row.grossInCompanyCurrency, row.netInCompanyCurrency, row.taxInCompanyCurrency
+    ]), [
+      'Total', '', '', '', '', '', '', '',
+      report.totals.grossInCompanyCurrency, report.totals.netInCompanyCurrency, report.totals.taxInCompanyCurrency
+    ]];
+
+    // BOM so Excel opens UTF-8 files correctly
+    return '\ufeff' + lines.map(line => line.map(value => this.toCsvCell(value)).join(',')).join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = ExpenseExportService;
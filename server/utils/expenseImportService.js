@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const currencyConverter = require('./currencyConverter');
+const CsvImport = require('./csvImport');
+
+const MAX_ROWS = 5000;
+const IMPORTABLE_STATUSES = ['approved', 'rejected'];
+
+// Accepted header names per Expense field, compared lowercase without spaces/punctuation
+const COLUMN_ALIASES = {
+  employeeEmail: ['email', 'employeeemail'],
+  employeeId: ['employeeid', 'employeenumber', 'employeeno'],
+  expenseDate: ['date', 'expensedate'],
+  category: ['category'],
+  description: ['description', 'memo'],
+  amount: ['amount'],
+  currency: ['currency'],
+  exchangeRate: ['exchangerate', 'rate'],
+  status: ['status'],
+  rejectionReason: ['rejectionreason'],
+  reimbursed: ['reimbursed'],
+  tags: ['tags']
+};
+
+const REQUIRED_COLUMNS = ['expenseDate', 'category', 'description', 'amount'];
+
+class ExpenseImportService {
+  /**
+   * Map CSV headers to Expense fields
+   * @param {Array} headers - Header row
+   * @returns {Object} { mapping: { field: columnIndex }, errors, ignored }
+   */
+  static mapColumns(headers) {
+    const { mapping, ignored } = CsvImport.mapColumns(headers, COLUMN_ALIASES);
+
+    const errors = REQUIRED_COLUMNS
+      .filter(field => mapping[field] === undefined)
+      .map(field => `Missing required column: ${field}`);
+
+    if (mapping.employeeEmail === undefined && mapping.employeeId === undefined) {
+      errors.push('Missing employee column: provide employeeEmail or employeeId');
+    }
+
+    return { mapping, errors, ignored };
+  }
+
+  /**
+   * Resolve the employees referenced by the rows in one query
+   * @param {Array} rows - Data rows
+   * @param {Object} mapping - Column mapping
+   * @param {String} companyId - Company ID
+   * @returns {Object} { byEmail: Map, byEmployeeId: Map }
+   */
+  static async resolveEmployees(rows, mapping, companyId) {
+    const emails = new Set();
+    const employeeIds = new Set();
+
+    rows.forEach(row => {
+      if (mapping.employeeEmail !== undefined && row[mapping.employeeEmail]) {
+        emails.add(row[mapping.employeeEmail].toLowerCase());
+      }
+      if (mapping.employeeId !== undefined && row[mapping.employeeId]) {
+        employeeIds.add(row[mapping.employeeId]);
+      }
+    });
+
+    const employees = await User.find({
+      company: companyId,
+      $or: [
+        { email: { $in: Array.from(emails) } },
+        { employeeId: { $in: Array.from(employeeIds) } }
+      ]
+    }).select('firstName lastName email employeeId');
+
+    return {
+      byEmail: new Map(employees.map(employee => [employee.email, employee])),
+      byEmployeeId: new Map(employees.filter(employee => employee.employeeId).map(employee => [employee.employeeId, employee]))
+    };
+  }
+
+  /**
+   * Validate and convert every row without writing anything
+   * @param {Buffer} buffer - CSV file contents
+   * @param {Object} company - Company object
+   * @returns {Object} Validation report { totalRows, validRows, invalidRows, columns, errors, rows }
+   */
+  static async validate(buffer, company) {
+    let parsed;
+    try {
+      parsed = CsvImport.parse(buffer);
+    } catch (error) {
+      return this.fileError(`Could not parse CSV: ${error.message}`);
+    }
+
+    if (parsed.rows.length === 0) {
+      return this.fileError('The file contains no data rows');
+    }
+    if (parsed.rows.length > MAX_ROWS) {
+      return this.fileError(`The file contains ${parsed.rows.length} rows; at most ${MAX_ROWS} can be imported at once`);
+    }
+
+    const { mapping, errors: columnErrors, ignored } = this.mapColumns(parsed.headers);
+    if (columnErrors.length > 0) {
+      return { ...this.fileError(columnErrors.join('; ')), columns: { mapped: mapping, ignored } };
+    }
+
+    const employees = await this.resolveEmployees(parsed.rows, mapping, company._id);
+    const rateCache = new Map();
+    const errors = [];
+    const rows = [];
+
+    for (let index = 0; index < parsed.rows.length; index++) {
+      // Row numbers match the spreadsheet: the header is row 1
+      const rowNumber = index + 2;
+      const result = await this.validateRow(parsed.rows[index], mapping, { company, employees, rateCache });
+
+      if (result.errors.length > 0) {
+        result.errors.forEach(({ field, message }) => errors.push({ row: rowNumber, field, message }));
+      } else {
+        rows.push({ row: rowNumber, ...result.expense });
+      }
+    }
+
+    return {
+      totalRows: parsed.rows.length,
+      validRows: rows.length,
+      invalidRows: new Set(errors.map(error => error.row)).size,
+      columns: { mapped: mapping, ignored },
+      errors,
+      rows
+    };
+  }
+
+  /**
+   * Validate a single row and build the expense values
+   * @param {Array} row - CSV row
+   * @param {Object} mapping - Column mapping
+   * @param {Object} context - { company, employees, rateCache }
+   * @returns {Object} { errors: [{ field, message }], expense }
+   */
+  static async validateRow(row, mapping, { company, employees, rateCache }) {
+    const value = CsvImport.reader(row, mapping);
+    const errors = [];
+    const addError = (field, message) => errors.push({ field, message });
+
+    // Employee
+    const email = value('employeeEmail').toLowerCase();
+    const employeeId = value('employeeId');
+    const employee = (email && employees.byEmail.get(email)) || (employeeId && employees.byEmployeeId.get(employeeId));
+    if (!email && !employeeId) {
+      addError('employee', 'Employee email or employee ID is required');
+    } else if (!employee) {
+      addError('employee', `No employee found for ${email || employeeId}`);
+    }
+
+    // Date (ISO only, to avoid day/month ambiguity)
+    const dateText = value('expenseDate');
+    const expenseDate = /^\d{4}-\d{2}-\d{2}/.test(dateText) ? new Date(dateText) : null;
+    if (!expenseDate || isNaN(expenseDate.getTime())) {
+      addError('expenseDate', 'Expense date must use the YYYY-MM-DD format');
+    } else if (expenseDate > new Date()) {
+      addError('expenseDate', 'Expense date cannot be in the future');
+    }
+
+    // Category
+    const category = value('category');
+    const categories = company.settings?.expenseCategories || [];
+    if (!category) {
+      addError('category', 'Category is required');
+    } else if (categories.length > 0 && !categories.some(c => c.toLowerCase() === category.toLowerCase())) {
+      addError('category', `Category "${category}" is not configured for the company`);
+    }
+
+    // Description
+    const description = value('description');
+    if (!description) {
+      addError('description', 'Description is required');
+    } else if (description.length > 500) {
+      addError('description', 'Description cannot exceed 500 characters');
+    }
+
+    // Amount and currency
+    const amount = Number(value('amount').replace(/,/g, ''));
+    if (!value('amount') || !Number.isFinite(amount) || amount <= 0) {
+      addError('amount', 'Amount must be a positive number');
+    }
+
+    const currency = (value('currency') || company.currency).toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      addError('currency', 'Currency must be a 3-letter ISO code');
+    }
+
+    let exchangeRate = null;
+    if (value('exchangeRate')) {
+      exchangeRate = Number(value('exchangeRate'));
+      if (!Number.isFinite(exchangeRate) || exchangeRate <= 0) {
+        addError('exchangeRate', 'Exchange rate must be a positive number');
+      }
+    }
+
+    // Status
+    const status = (value('status') || 'approved').toLowerCase();
+    if (!IMPORTABLE_STATUSES.includes(status)) {
+      addError('status', `Status must be one of: ${IMPORTABLE_STATUSES.join(', ')}`);
+    }
+
+    const reimbursedText = value('reimbursed').toLowerCase();
+    if (reimbursedText && !['yes', 'no', 'true', 'false', '1', '0'].includes(reimbursedText)) {
+      addError('reimbursed', 'Reimbursed must be yes or no');
+    }
+
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    // Historical rows may carry the rate used at the time; otherwise use the current rate
+    if (exchangeRate === null) {
+      if (!rateCache.has(currency)) {
+        rateCache.set(currency, await currencyConverter.getExchangeRate(currency, company.currency));
+      }
+      exchangeRate = rateCache.get(currency);
+    }
+
+    const isReimbursed = ['yes', 'true', '1'].includes(reimbursedText);
+
+    return {
+      errors,
+      expense: {
+        employee: employee._id,
+        employeeName: `${employee.firstName} ${employee.lastName}`,
+        category,
+        description,
+        amount,
+        currency,
+        exchangeRate,
+        amountInCompanyCurrency: Math.round(amount * exchangeRate * 100) / 100,
+        expenseDate,
+        status,
+        rejectionReason: status === 'rejected' ? value('rejectionReason') || undefined : undefined,
+        isReimbursed: status === 'approved' && isReimbursed,
+        tags: value('tags') ? value('tags').split(/[;|]/).map(tag => tag.trim()).filter(Boolean) : []
+      }
+    };
+  }
+
+  /**
+   * Write validated rows as expenses, tagged with their import source
+   * @param {Array} rows - Valid rows from validate()
+   * @param {Object} user - Admin running the import
+   * @param {String} fileName - Uploaded file name
+   * @returns {Object} { importId, imported }
+   */
+  static async importRows(rows, user, fileName) {
+    try {
+      const importId = crypto.randomUUID();
+      const importedAt = new Date();
+
+      const documents = rows.map(({ row, employeeName, ...expense }) => ({
+        ...expense,
+        company: user.company,
+        submissionDate: expense.expenseDate,
+        approvedAt: expense.status === 'approved' ? expense.expenseDate : undefined,
+        rejectedAt: expense.status === 'rejected' ? expense.expenseDate : undefined,
+        reimbursementDate: expense.isReimbursed ? expense.expenseDate : undefined,
+        source: {
+          channel: 'import',
+          importId,
+          fileName,
+          rowNumber: row,
+          importedBy: user._id,
+          importedAt
+        }
+      }));
+
+      const inserted = await Expense.insertMany(documents);
+      return { importId, imported: inserted.length };
+    } catch (error) {
+      console.error('Error importing expenses:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a report for a file that cannot be processed at all
+   * @param {String} message - Error message
+   * @returns {Object} Validation report
+   */
+  static fileError(message) {
+    return {
+      totalRows: 0,
+      validRows: 0,
+      invalidRows: 0,
+      errors: [{ row: null, field: null, message }],
+      rows: []
+    };
+  }
+}
+
+module.exports = ExpenseImportService;
@@ -0,0 +1,135 @@
+const ExpenseTaxService = require('./expenseTaxService');
+
+// Line totals may differ from the expense amount by rounding only
+const AMOUNT_TOLERANCE = 0.01;
+
+/**
+ * Round to cents
+ * @param {Number} value - Amount
+ * @returns {Number} Rounded amount
+ */
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+class ExpenseLineItemService {
+  /**
+   * Read line items from a request body. Multipart forms send them as a JSON string.
+   * A line with a tax rate but no tax amount gets the tax the rate gives on its amount.
+   * @param {Array|String} value - Line items or their JSON
+   * @returns {Array} Line items ({ description, category, amount, taxAmount, taxRate, taxCode }), or null when malformed
+   */
+  static parse(value) {
+    let lines = value;
+    if (typeof value === 'string') {
+      try {
+        lines = value.trim() ? JSON.parse(value) : [];
+      } catch (error) {
+        return null;
+      }
+    }
+
+    const isBlank = (value) => value === undefined || value === null || value === '';
+    if (!Array.isArray(lines) || lines.some(line => !line || typeof line !== 'object' ||
+        (!isBlank(line.amount) && isNaN(Number(line.amount))) ||
+        (!isBlank(line.taxAmount) && isNaN(Number(line.taxAmount))) ||
+        (!isBlank(line.taxRate) && isNaN(Number(line.taxRate))))) {
+      return null;
+    }
+
+    return lines.map(line => {
+      const amount = isBlank(line.amount) ? undefined : Number(line.amount);
+      const taxRate = isBlank(line.taxRate) ? undefined : Number(line.taxRate);
+      let taxAmount = isBlank(line.taxAmount) ? 0 : Number(line.taxAmount);
+      if (isBlank(line.taxAmount) && taxRate !== undefined && amount) {
+        taxAmount = ExpenseTaxService.taxFromGross(amount, taxRate);
+      }
+
+      return {
+        description: line.description ? String(line.description).trim() : undefined,
+        category: line.category ? String(line.category).trim() : '',
+        amount,
+        taxAmount,
+        taxRate,
+        taxCode: line.taxCode ? String(line.taxCode).trim().toUpperCase() : undefined
+      };
+    });
+  }
+
+  /**
+   * Replace the line items of an expense, convert them to the company currency
+   * and use the largest line's category when the expense has none
+   * @param {Object} expense - Expense document (modified in place)
+   * @param {Array} lines - Parsed line items
+   */
+  static assign(expense, lines) {
+    expense.lineItems = lines;
+    this.applyConversion(expense);
+
+    if (!expense.category && lines.length > 0) {
+      expense.category = lines.reduce((largest, line) => (line.amount > largest.amount ? line : largest)).category;
+    }
+  }
+
+  /**
+   * Check the line items of an expense
+   * @param {Object} expense - Expense object
+   * @returns {Array} Error messages (empty when the lines are valid)
+   */
+  static validate(expense) {
+    const lines = expense.lineItems || [];
+    if (lines.length === 0) {
+      return [];
+    }
+
+    const errors = [];
+    lines.forEach((line, index) => {
+      if (!line.category) errors.push(`Line ${index + 1}: category is required`);
+      if (!(line.amount > 0)) errors.push(`Line ${index + 1}: amount must be greater than 0`);
+      if (line.taxAmount < 0 || line.taxAmount > line.amount) {
+        errors.push(`Line ${index + 1}: tax must be between 0 and the line amount`);
+      }
+    });
+
+    const total = roundAmount(lines.reduce((sum, line) => sum + (line.amount || 0), 0));
+    if (expense.amount && Math.abs(total - expense.amount) > AMOUNT_TOLERANCE) {
+      errors.push(`Line items add up to ${total} but the expense amount is ${expense.amount}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Convert the line amounts to the company currency with the expense's exchange rate
+   * @param {Object} expense - Expense document (modified in place)
+   */
+  static applyConversion(expense) {
+    (expense.lineItems || []).forEach(line => {
+      line.amountInCompanyCurrency = roundAmount((line.amount || 0) * (expense.exchangeRate || 1));
+    });
+  }
+
+  /**
+   * Split an expense into category amounts: one entry per line item, or the
+   * whole expense under its own category when it has no lines
+   * @param {Object} expense - Expense object
+   * @returns {Array} [{ category, amount }] in the company currency
+   */
+  static categoryAmounts(expense) {
+    const lines = expense.lineItems || [];
+    if (lines.length === 0) {
+      return [{ category: expense.category, amount: expense.amountInCompanyCurrency || 0 }];
+    }
+
+    return lines.map(line => ({ category: line.category, amount: line.amountInCompanyCurrency || 0 }));
+  }
+
+  /**
+   * All categories an expense is booked under
+   * @param {Object} expense - Expense object
+   * @returns {Array} Distinct categories
+   */
+  static categoriesOf(expense) {
+    return [...new Set(this.categoryAmounts(expense).map(entry => entry.category).filter(Boolean))];
+  }
+}
+
+module.exports = ExpenseLineItemService;
@@ -0,0 +1,202 @@
+const Expense = require('../models/Expense');
+const ExpenseRateService = require('./expenseRateService');
+const ExpenseLineItemService = require('./expenseLineItemService');
+const ExpenseTaxService = require('./expenseTaxService');
+
+// Expenses that count towards daily limits besides the one being checked
+const COUNTED_STATUSES = ['pending', 'needs_info', 'approved'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ExpensePolicyService {
+  /**
+   * Day of an expense as YYYY-MM-DD (expense dates are stored as UTC midnight)
+   * @param {Date} date - Expense date
+   * @returns {String} ISO day
+   */
+  static toDay(date) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Whether two category names are the same, ignoring case
+   * @param {String} a - First category
+   * @param {String} b - Second category
+   * @returns {Boolean} True when they match
+   */
+  static sameCategory(a, b) {
+    return Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+  }
+
+  /**
+   * Total (company currency) of the employee's other expenses on the same day;
+   * itemized expenses count with their matching lines only
+   * @param {Object} expense - Expense being checked
+   * @param {Array} categories - Categories to include
+   * @returns {Number} Sum in the company currency
+   */
+  static async sumSameDay(expense, categories) {
+    const dayStart = new Date(`${this.toDay(expense.expenseDate)}T00:00:00.000Z`);
+
+    const others = await Expense.find({
+      _id: { $ne: expense._id },
+      employee: expense.employee,
+      status: { $in: COUNTED_STATUSES },
+      expenseDate: { $gte: dayStart, $lt: new Date(dayStart.getTime() + DAY_MS) }
+    }).select('category amountInCompanyCurrency lineItems');
+
+    return this.sumCategories(others.flatMap(other => ExpenseLineItemService.categoryAmounts(other)), categories);
+  }
+
+  /**
+   * Sum category amounts that belong to any of the given categories
+   * @param {Array} entries - [{ category, amount }]
+   * @param {Array} categories - Categories to include
+   * @returns {Number} Sum
+   */
+  static sumCategories(entries, categories) {
+    return entries
+      .filter(entry => categories.some(category => this.sameCategory(entry.category, category)))
+      .reduce((sum, entry) => sum + entry.amount, 0);
+  }
+
+  /**
+   * Check an expense against the company policy
+   * @param {Object} expense - Expense object (complete enough to submit)
+   * @param {Object} company - Company object
+   * @param {Date} submittedAt - Submission time
+   * @returns {Array} Violations [{ rule, message, action, limit, actual }]
+   */
+  static async evaluate(expense, company, submittedAt = new Date()) {
+    const policy = company.policy || {};
+    const currency = company.currency;
+    const amount = expense.amountInCompanyCurrency || 0;
+    const categoryAmounts = ExpenseLineItemService.categoryAmounts(expense);
+    const violations = [];
+
+    // Per-category caps; each line of an itemized expense is an item of its own category
+    for (const categoryLimit of policy.categoryLimits || []) {
+      const items = categoryAmounts.filter(entry => this.sameCategory(entry.category, categoryLimit.category));
+      if (items.length === 0) continue;
+
+      const largestItem = Math.max(...items.map(item => item.amount));
+      if (categoryLimit.perItemLimit && largestItem > categoryLimit.perItemLimit) {
+        violations.push({
+          rule: 'category_item_limit',
+          message: `${categoryLimit.category} expenses are limited to ${currency} ${categoryLimit.perItemLimit} per item`,
+          action: categoryLimit.action,
+          limit: categoryLimit.perItemLimit,
+          actual: largestItem
+        });
+      }
+
+      if (categoryLimit.dailyLimit) {
+        const dayTotal = this.sumCategories(items, [categoryLimit.category]) +
+          await this.sumSameDay(expense, [categoryLimit.category]);
+        if (dayTotal > categoryLimit.dailyLimit) {
+          violations.push({
+            rule: 'category_daily_limit',
+            message: `${categoryLimit.category} expenses are limited to ${currency} ${categoryLimit.dailyLimit} per day`,
+            action: categoryLimit.action,
+            limit: categoryLimit.dailyLimit,
+            actual: dayTotal
+          });
+        }
+      }
+    }
+
+    // Per-diem allowance for the expense location; per-diem claims are
+    // calculated from the same rates, so only actual spending is checked
+    const perDiem = policy.perDiem || {};
+    const perDiemCategories = perDiem.categories || [];
+    const perDiemAmount = this.sumCategories(categoryAmounts, perDiemCategories);
+    if (expense.type !== 'per_diem' && perDiemAmount > 0) {
+      const rate = ExpenseRateService.findPerDiemRate(perDiem.rates, expense.location, expense.expenseDate);
+      if (rate) {
+        const dayTotal = perDiemAmount + await this.sumSameDay(expense, perDiemCategories);
+        if (dayTotal > rate.dailyRate) {
+          const place = rate.city ? `${rate.city}, ${rate.country}` : rate.country;
+          violations.push({
+            rule: 'per_diem',
+            message: `Daily ${perDiemCategories.join('/')} spending exceeds the ${place} per-diem rate of ${currency} ${rate.dailyRate}`,
+            action: perDiem.action,
+            limit: rate.dailyRate,
+            actual: dayTotal
+          });
+        }
+      }
+    }
+
+    // Weekend and holiday spending
+    const day = this.toDay(expense.expenseDate);
+    const weekday = new Date(expense.expenseDate).getUTCDay();
+    const weekend = policy.weekend || {};
+    if (weekend.action && weekend.action !== 'allow' && (weekday === 0 || weekday === 6)) {
+      violations.push({
+        rule: 'weekend',
+        message: 'The expense was incurred on a weekend',
+        action: weekend.action
+      });
+    }
+
+    const holidays = policy.holidays || {};
+    const holiday = (holidays.dates || []).find(entry => this.toDay(entry.date) === day);
+    if (holidays.action && holidays.action !== 'allow' && holiday) {
+      violations.push({
+        rule: 'holiday',
+        message: `The expense was incurred on a holiday${holiday.name ? ` (${holiday.name})` : ''}`,
+        action: holidays.action
+      });
+    }
+
+    // Receipts above a threshold (calculated claims have no receipt)
+    const receiptThreshold = policy.receiptThreshold || {};
+    if (!ExpenseRateService.isCalculated(expense) && receiptThreshold.amount && amount > receiptThreshold.amount &&
+        !(expense.attachments && expense.attachments.length > 0)) {
+      violations.push({
+        rule: 'receipt_required',
+        message: `A receipt is required for expenses above ${currency} ${receiptThreshold.amount}`,
+        action: receiptThreshold.action,
+        limit: receiptThreshold.amount,
+        actual: amount
+      });
+    }
+
+    // Submission deadline
+    const deadline = policy.submissionDeadline || {};
+    if (deadline.days) {
+      const daysLate = Math.floor((submittedAt - new Date(expense.expenseDate)) / DAY_MS);
+      if (daysLate > deadline.days) {
+        violations.push({
+          rule: 'submission_deadline',
+          message: `Expenses must be submitted within ${deadline.days} days of the expense date`,
+          action: deadline.action,
+          limit: deadline.days,
+          actual: daysLate
+        });
+      }
+    }
+
+    // VAT rates of the country the expense was incurred in
+    violations.push(...ExpenseTaxService.checkRates(expense, company));
+
+    return violations;
+  }
+
+  /**
+   * Evaluate the policy and record the violations on the expense (not saved)
+   * @param {Object} expense - Expense document
+   * @param {Object} company - Company object
+   * @returns {Object} { violations, blocking } - blocking lists the violations that reject the submission
+   */
+  static async apply(expense, company) {
+    const violations = await this.evaluate(expense, company);
+    expense.policyViolations = violations;
+
+    return {
+      violations,
+      blocking: violations.filter(violation => violation.action === 'block')
+    };
+  }
+}
+
+module.exports = ExpensePolicyService;
@@ -0,0 +1,234 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Meal deductions (percent of the daily rate) when the company has not set its own
+const DEFAULT_MEAL_DEDUCTIONS = { breakfast: 20, lunch: 40, dinner: 40 };
+const MEALS = ['breakfast', 'lunch', 'dinner'];
+
+// Expense types whose amount comes from the company rates
+const CALCULATED_TYPES = ['mileage', 'per_diem'];
+
+/**
+ * Round to cents
+ * @param {Number} value - Amount
+ * @returns {Number} Rounded amount
+ */
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+class ExpenseRateService {
+  /**
+   * Whether an expense's amount is calculated from rates instead of entered
+   * @param {Object} expense - Expense object
+   * @returns {Boolean} True for mileage and per-diem expenses
+   */
+  static isCalculated(expense) {
+    return CALCULATED_TYPES.includes(expense.type);
+  }
+
+  /**
+   * Pick the rate in effect on a date: the matching rate with the latest
+   * `effectiveFrom` that is not after the date (rates without one always apply)
+   * @param {Array} rates - Rates with optional effectiveFrom
+   * @param {Date} date - Date the rate is needed for
+   * @returns {Object} Rate or null
+   */
+  static findEffectiveRate(rates, date) {
+    const time = new Date(date || Date.now()).getTime();
+
+    return (rates || [])
+      .filter(rate => !rate.effectiveFrom || new Date(rate.effectiveFrom).getTime() <= time)
+      .sort((a, b) => new Date(b.effectiveFrom || 0) - new Date(a.effectiveFrom || 0))[0] || null;
+  }
+
+  /**
+   * Find the per-diem rate for a location; a city rate wins over the country rate
+   * @param {Array} rates - Company per-diem rates
+   * @param {Object} location - { country, city }
+   * @param {Date} date - Date the rate is needed for
+   * @returns {Object} Matching rate or null
+   */
+  static findPerDiemRate(rates, location, date) {
+    if (!location || !location.country) return null;
+
+    const country = location.country.toUpperCase();
+    const city = (location.city || '').trim().toLowerCase();
+    const countryRates = (rates || []).filter(rate => rate.country === country);
+
+    const cityRate = city
+      ? this.findEffectiveRate(countryRates.filter(rate => rate.city && rate.city.trim().toLowerCase() === city), date)
+      : null;
+
+    return cityRate || this.findEffectiveRate(countryRates.filter(rate => !rate.city), date);
+  }
+
+  /**
+   * Find the mileage rate for a vehicle type
+   * @param {Array} rates - Company mileage rates
+   * @param {String} vehicleType - e.g. 'car', 'motorcycle'
+   * @param {Date} date - Trip date
+   * @returns {Object} Matching rate or null
+   */
+  static findMileageRate(rates, vehicleType, date) {
+    const type = String(vehicleType || '').trim().toLowerCase();
+    return this.findEffectiveRate(
+      (rates || []).filter(rate => rate.vehicleType.trim().toLowerCase() === type),
+      date
+    );
+  }
+
+  /**
+   * Calculate a mileage claim: distance × rate of the vehicle type
+   * @param {Object} company - Company object
+   * @param {Object} input - { vehicleType, distance, startLocation, endLocation }
+   * @param {Date} expenseDate - Trip date
+   * @returns {Object} { success, message } or { success, amount, details }
+   */
+  static calculateMileage(company, input = {}, expenseDate) {
+    const distance = Number(input.distance);
+    if (!input.vehicleType) {
+      return { success: false, message: 'Vehicle type is required' };
+    }
+    if (!distance || distance <= 0) {
+      return { success: false, message: 'Distance must be greater than 0' };
+    }
+
+    const rate = this.findMileageRate(company.policy && company.policy.mileageRates, input.vehicleType, expenseDate);
+    if (!rate) {
+      return { success: false, message: `No mileage rate is set for vehicle type "${input.vehicleType}"` };
+    }
+
+    return {
+      success: true,
+      amount: roundAmount(distance * rate.rate),
+      details: {
+        vehicleType: rate.vehicleType,
+        startLocation: input.startLocation,
+        endLocation: input.endLocation,
+        distance,
+        unit: rate.unit,
+        rate: rate.rate
+      }
+    };
+  }
+
+  /**
+   * Calculate a per-diem claim: days × location rate, minus provided meals
+   * @param {Object} company - Company object
+   * @param {Object} input - { startDate, endDate, mealsProvided: { breakfast, lunch, dinner } }
+   * @param {Object} location - { country, city }
+   * @returns {Object} { success, message } or { success, amount, details }
+   */
+  static calculatePerDiem(company, input = {}, location) {
+    const startDate = input.startDate ? new Date(input.startDate) : null;
+    const endDate = input.endDate ? new Date(input.endDate) : startDate;
+    if (!startDate || isNaN(startDate) || isNaN(endDate)) {
+      return { success: false, message: 'Valid per-diem start and end dates are required' };
+    }
+    if (endDate < startDate) {
+      return { success: false, message: 'Per-diem end date cannot be before the start date' };
+    }
+
+    const perDiem = (company.policy && company.policy.perDiem) || {};
+    const rate = this.findPerDiemRate(perDiem.rates, location, startDate);
+    if (!rate) {
+      return { success: false, message: 'No per-diem rate is set for this location' };
+    }
+
+    const days = Math.round((endDate - startDate) / DAY_MS) + 1;
+    const percentages = { ...DEFAULT_MEAL_DEDUCTIONS, ...this.toPlain(perDiem.mealDeductions) };
+
+    const mealsProvided = {};
+    let deduction = 0;
+    for (const meal of MEALS) {
+      const count = parseInt((input.mealsProvided || {})[meal]) || 0;
+      if (count < 0 || count > days) {
+        return { success: false, message: `Provided ${meal}s must be between 0 and ${days}` };
+      }
+      mealsProvided[meal] = count;
+      deduction += count * rate.dailyRate * (percentages[meal] || 0) / 100;
+    }
+
+    const amount = roundAmount(days * rate.dailyRate - deduction);
+    if (amount <= 0) {
+      return { success: false, message: 'Meal deductions leave nothing to claim' };
+    }
+
+    return {
+      success: true,
+      amount,
+      details: {
+        startDate,
+        endDate,
+        days,
+        dailyRate: rate.dailyRate,
+        mealsProvided,
+        deduction: roundAmount(deduction)
+      }
+    };
+  }
+
+  /**
+   * Calculate the amount of a mileage or per-diem expense
+   * @param {Object} company - Company object
+   * @param {String} type - 'mileage' or 'per_diem'
+   * @param {Object} input - { mileage, perDiem, location, expenseDate }
+   * @returns {Object} { success, message } or { success, amount, details }
+   */
+  static calculate(company, type, { mileage, perDiem, location, expenseDate } = {}) {
+    if (type === 'mileage') {
+      return this.calculateMileage(company, mileage, expenseDate);
+    }
+    if (type === 'per_diem') {
+      return this.calculatePerDiem(company, perDiem, location);
+    }
+    return { success: false, message: `Amounts of ${type} expenses are entered, not calculated` };
+  }
+
+  /**
+   * Set the amount of a mileage or per-diem expense from the company rates.
+   * The entered details are kept when the amount cannot be calculated yet.
+   * @param {Object} expense - Expense document of a calculated type (modified in place)
+   * @param {Object} company - Company object
+   * @param {Object} input - { mileage, perDiem } as entered
+   * @returns {Object} { error } with a message when the amount cannot be calculated
+   */
+  static applyToExpense(expense, company, input = {}) {
+    const details = expense.type === 'mileage' ? 'mileage' : 'perDiem';
+    if (input[details]) {
+      expense[details] = { ...this.toPlain(expense[details]), ...input[details] };
+    }
+
+    const result = this.calculate(company, expense.type, {
+      mileage: expense.mileage,
+      perDiem: expense.perDiem,
+      location: expense.location,
+      expenseDate: expense.expenseDate
+    });
+    if (!result.success) {
+      return { error: result.message };
+    }
+
+    expense[details] = result.details;
+    if (expense.type === 'per_diem') {
+      expense.expenseDate = result.details.startDate;
+    }
+
+    // Rates are in the company currency
+    expense.amount = result.amount;
+    expense.currency = company.currency;
+    expense.exchangeRate = 1;
+    expense.amountInCompanyCurrency = result.amount;
+    return {};
+  }
+
+  /**
+   * Turn a Mongoose subdocument (or plain object) into a plain object without empty values
+   * @param {Object} value - Subdocument or object
+   * @returns {Object} Plain object
+   */
+  static toPlain(value) {
+    const plain = value && typeof value.toObject === 'function' ? value.toObject() : (value || {});
+    return Object.fromEntries(Object.entries(plain).filter(([, v]) => v !== null && v !== undefined));
+  }
+}
+
+module.exports = ExpenseRateService;
@@ -0,0 +1,612 @@
+const Expense = require('../models/Expense');
+const ExpenseReport = require('../models/ExpenseReport');
+const ApprovalFlow = require('../models/ApprovalFlow');
+const Company = require('../models/Company');
+const ApprovalFlowService = require('./approvalFlowService');
+const ExpenseSubmissionService = require('./expenseSubmissionService');
+const ExpensePolicyService = require('./expensePolicyService');
+const DuplicateDetectionService = require('./duplicateDetectionService');
+const CostAssignmentService = require('./costAssignmentService');
+const ExpenseRateService = require('./expenseRateService');
+const ExpenseAllocationService = require('./expenseAllocationService');
+const HierarchicalApprovalEngine = require('./hierarchicalApprovalEngine');
+const NotificationService = require('./notificationService');
+const BudgetService = require('./budgetService');
+const DelegationService = require('./delegationService');
+const ApprovalChainService = require('./approvalChainService');
+
+// Expenses in these states can be added to a report
+const ATTACHABLE_STATUSES = ['draft', 'pending'];
+
+const NO_AUTHORITY_MESSAGE = 'This report exceeds your approval limit and nobody in the company has the authority to approve it';
+
+class ExpenseReportService {
+  /**
+   * Sum the lines of a report in the company currency, ignoring rejected and cancelled lines
+   * @param {Array} expenses - Expense objects
+   * @returns {Number} Report total
+   */
+  static calculateTotal(expenses) {
+    const total = expenses
+      .filter(expense => !['rejected', 'cancelled'].includes(expense.status))
+      .reduce((sum, expense) => sum + (expense.amountInCompanyCurrency || 0), 0);
+
+    return Math.round(total * 100) / 100;
+  }
+
+  /**
+   * Recalculate and store the total of a report
+   * @param {Object} report - ExpenseReport object (document)
+   * @returns {Number} Report total
+   */
+  static async refreshTotal(report) {
+    const expenses = await Expense.find({ _id: { $in: report.expenses } });
+    report.totalAmount = this.calculateTotal(expenses);
+    return report.totalAmount;
+  }
+
+  /**
+   * Add expenses to a draft report. Lines are approved through the report,
+   * so any approval flow they had on their own is cancelled.
+   * @param {Object} report - ExpenseReport object (document)
+   * @param {Array} expenseIds - IDs of the expenses to attach
+   * @returns {Object} { success, message, attached }
+   */
+  static async attachExpenses(report, expenseIds) {
+    const expenses = await Expense.find({
+      _id: { $in: expenseIds },
+      company: report.company,
+      employee: report.employee
+    });
+
+    const unavailable = expenseIds.filter(id => {
+      const expense = expenses.find(e => e._id.toString() === id.toString());
+      return !expense ||
+        !ATTACHABLE_STATUSES.includes(expense.status) ||
+        (expense.report && expense.report.toString() !== report._id.toString());
+    });
+
+    if (unavailable.length > 0) {
+      return {
+        success: false,
+        message: 'Only your own draft or pending expenses that are not already in a report can be added',
+        unavailable
+      };
+    }
+
+    const lineFlowIds = expenses.map(expense => expense.approvalFlow).filter(Boolean);
+    if (lineFlowIds.length > 0) {
+      await ApprovalFlow.updateMany(
+        { _id: { $in: lineFlowIds }, status: 'active' },
+        { $set: { status: 'cancelled', completedAt: new Date() }, $unset: { escalatedAt: 1 } }
+      );
+    }
+
+    for (const expense of expenses) {
+      expense.report = report._id;
+      expense.approvalFlow = undefined;
+      await expense.save();
+
+      if (!report.expenses.some(id => id.toString() === expense._id.toString())) {
+        report.expenses.push(expense._id);
+      }
+    }
+
+    await this.refreshTotal(report);
+    await report.save();
+
+    return { success: true, message: `${expenses.length} expense(s) added to the report`, attached: expenses.length };
+  }
+
+  /**
+   * Remove expenses from a draft report. Pending lines go back to being
+   * approved on their own and are routed through the approval rules again.
+   * @param {Object} report - ExpenseReport object (document)
+   * @param {Array} expenseIds - IDs of the expenses to release
+   * @returns {Number} Number of released expenses
+   */
+  static async releaseExpenses(report, expenseIds) {
+    const expenses = await Expense.find({
+      _id: { $in: expenseIds },
+      report: report._id
+    });
+
+    for (const expense of expenses) {
+      expense.report = null;
+      await expense.save();
+
+      if (expense.status === 'pending' && !expense.approvalFlow) {
+        try {
+          await ApprovalFlowService.routeExpense(expense);
+        } catch (routingError) {
+          console.error('Error re-routing released expense:', routingError);
+        }
+      }
+    }
+
+    const releasedIds = expenses.map(expense => expense._id.toString());
+    report.expenses = report.expenses.filter(id => !releasedIds.includes(id.toString()));
+    await this.refreshTotal(report);
+    await report.save();
+
+    return expenses.length;
+  }
+
+  /**
+   * Submit a draft report for approval and route it through the best matching approval rule
+   * @param {Object} report - ExpenseReport object (document)
+   * @param {Object} io - Socket.IO instance
+   * @returns {Object} { success, message, rule, approvalFlow }
+   */
+  static async submitReport(report, io = null) {
+    try {
+      if (report.status !== 'draft') {
+        return { success: false, message: 'Only draft reports can be submitted' };
+      }
+
+      const expenses = await Expense.find({ _id: { $in: report.expenses }, report: report._id });
+      if (expenses.length === 0) {
+        return { success: false, message: 'Add at least one expense before submitting the report' };
+      }
+
+      const invalidLines = expenses.filter(expense => !ATTACHABLE_STATUSES.includes(expense.status));
+      if (invalidLines.length > 0) {
+        return {
+          success: false,
+          message: `These expenses can no longer be submitted: ${invalidLines.map(e => e.description).join(', ')}`
+        };
+      }
+
+      // Draft lines have to pass the same checks as a single expense submission
+      const company = await Company.findById(report.company);
+      const lineErrors = [];
+      for (const expense of expenses.filter(line => line.status === 'draft')) {
+        // Calculated amounts use the rates in effect when the report is submitted
+        if (ExpenseRateService.isCalculated(expense)) {
+          const { error: calculationError } = ExpenseRateService.applyToExpense(expense, company);
+          if (calculationError) {
+            lineErrors.push({ expense, errors: [calculationError] });
+            continue;
+          }
+          ExpenseAllocationService.applyAmounts(expense);
+        }
+
+        const errors = [
+          ...ExpenseSubmissionService.validateForSubmission(expense, company),
+          ...await CostAssignmentService.validate(expense)
+        ];
+        if (errors.length > 0) {
+          lineErrors.push({ expense, errors });
+        }
+      }
+      if (lineErrors.length > 0) {
+        return {
+          success: false,
+          message: lineErrors.map(line => `${line.expense.description || 'Untitled expense'}: ${line.errors.join(', ')}`).join('; ')
+        };
+      }
+
+      // Flagged policy violations and possible duplicates are recorded on the lines;
+      // blocking violations, and duplicates when the company blocks them, stop the report
+      const blockedLines = [];
+      for (const expense of expenses.filter(line => line.status === 'draft')) {
+        const { blocking } = await ExpensePolicyService.apply(expense, company);
+        if (blocking.length > 0) {
+          blockedLines.push(`${expense.description || 'Untitled expense'}: ${blocking.map(violation => violation.message).join(', ')}`);
+        }
+
+        const duplicateCheck = await DuplicateDetectionService.check(expense, company);
+        if (duplicateCheck.blocked) {
+          blockedLines.push(`${expense.description || 'Untitled expense'}: looks like a duplicate of an expense that was already submitted`);
+        }
+      }
+      if (blockedLines.length > 0) {
+        return { success: false, message: blockedLines.join('; ') };
+      }
+
+      const now = new Date();
+      const submittedLines = [];
+      for (const expense of expenses) {
+        if (expense.status === 'draft') {
+          expense.status = 'pending';
+          expense.submissionDate = now;
+          await expense.save();
+          submittedLines.push(expense);
+        }
+      }
+
+      report.totalAmount = this.calculateTotal(expenses);
+      report.status = 'pending';
+      report.submissionDate = now;
+
+      // Match the rules against the report as a whole: its total and every line category and project
+      const rule = await ApprovalFlowService.findMatchingRule({
+        company: report.company,
+        employee: report.employee,
+        amountInCompanyCurrency: report.totalAmount,
+        categories: [...new Set(expenses.map(expense => expense.category))],
+        projects: [...new Set(expenses.flatMap(expense => CostAssignmentService.projectsOf(expense)))]
+      });
+
+      let approvalFlow = null;
+      if (rule) {
+        approvalFlow = await ApprovalFlowService.createFlowForReport(report, rule);
+      } else {
+        await report.save();
+      }
+
+      if (io) {
+        try {
+          const populatedReport = await ExpenseReport.findById(report._id)
+            .populate('employee', 'firstName lastName email');
+          const firstStep = approvalFlow && approvalFlow.steps.find(step => step.stepNumber === approvalFlow.currentStep);
+
+          if (firstStep) {
+            await NotificationService.createReportApprovalStepNotification(populatedReport, firstStep, io);
+          } else {
+            await NotificationService.createReportSubmittedNotification(populatedReport, io);
+          }
+        } catch (notificationError) {
+          console.error('Error sending report submission notification:', notificationError);
+        }
+      }
+
+      try {
+        for (const expense of submittedLines) {
+          await BudgetService.checkThresholds(expense, io);
+        }
+      } catch (budgetError) {
+        console.error('Error checking budget thresholds:', budgetError);
+      }
+
+      return { success: true, message: 'Expense report submitted for approval', rule, approvalFlow };
+    } catch (error) {
+      console.error('Error submitting expense report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record an approval decision on a pending report. When approving, individual
+   * lines can be rejected while the rest of the report moves on.
+   * @param {Object} report - ExpenseReport object (document)
+   * @param {Object} approver - User making the decision
+   * @param {String} action - 'approved' or 'rejected'
+   * @param {Object} options - { comments, rejectedExpenses: [{ expenseId, reason }] }
+   * @param {Object} io - Socket.IO instance
+   * @returns {Object} Processing result
+   */
+  static async processDecision(report, approver, action, options = {}, io = null) {
+    try {
+      const { comments, rejectedExpenses = [] } = options;
+
+      if (report.status !== 'pending') {
+        return { success: false, message: 'Only pending reports can be approved or rejected' };
+      }
+
+      let approvalFlow = null;
+      let stepNumber = 1;
+      let stepResult = { isCompleted: true, status: action };
+      let onBehalfOf = null;
+      let higherAuthority = null;
+
+      if (!report.approvalFlow && action === 'approved') {
+        // An approver whose limit was exceeded has already recorded their approval on the lines
+        const alreadyApproved = await Expense.exists({
+          _id: { $in: report.expenses },
+          report: report._id,
+          status: 'pending',
+          approvals: { $elemMatch: { approver: approver._id, status: 'approved', step: 1 } }
+        });
+        if (alreadyApproved) {
+          return { success: false, message: 'You have already processed this approval step' };
+        }
+
+        const { withinLimit, authority } = await ApprovalChainService.findAuthorityAbove(approver._id, report);
+        if (!withinLimit && !authority) {
+          return { success: false, statusCode: 403, message: NO_AUTHORITY_MESSAGE };
+        }
+        if (authority) {
+          return this.forwardReport(report, approver, authority, options, io);
+        }
+      }
+
+      if (report.approvalFlow) {
+        approvalFlow = await ApprovalFlow.findById(report.approvalFlow).populate('rule');
+        const currentStep = approvalFlow && approvalFlow.steps.find(step => step.stepNumber === approvalFlow.currentStep);
+        if (!currentStep) {
+          return { success: false, message: 'No active approval step found' };
+        }
+
+        // Substitutes decide on the pending entry of the approver who delegated to them,
+        // provided the delegation covers every open line and the report total
+        const delegations = await DelegationService.findActiveFor(approver);
+        const openCategories = delegations.length > 0
+          ? await Expense.distinct('category', { _id: { $in: report.expenses }, report: report._id, status: 'pending' })
+          : [];
+        const resolved = DelegationService.resolveApprover(
+          currentStep,
+          approver,
+          { categories: openCategories, totalAmount: report.totalAmount },
+          delegations
+        );
+        const approverInStep = resolved.approverEntry;
+        onBehalfOf = resolved.onBehalfOf;
+
+        if (!approverInStep) {
+          return { success: false, message: 'You are not an approver for the current step of this report' };
+        }
+
+        if (approverInStep.status !== 'pending') {
+          return { success: false, message: 'You have already processed this approval step' };
+        }
+
+        approverInStep.status = action;
+        approverInStep.comments = comments;
+        approverInStep.actedBy = onBehalfOf ? approver._id : null;
+        if (action === 'approved') {
+          approverInStep.approvedAt = new Date();
+        } else {
+          approverInStep.rejectedAt = new Date();
+        }
+
+        // Non-hierarchical rules need every required approver of the step
+        const settings = approvalFlow.rule.approvalLogic?.type === 'hierarchical'
+          ? approvalFlow.rule.approvalLogic.hierarchicalSettings
+          : { requireAllSelected: false, allowPartialApproval: false };
+
+        // Above the approver's signing authority a step for someone whose limit covers the total follows
+        if (action === 'approved') {
+          const { routedTo, blocked } = await ApprovalChainService.routeAboveLimit(approvalFlow, currentStep, onBehalfOf || approver._id, report, settings);
+          if (blocked) {
+            return { success: false, statusCode: 403, message: NO_AUTHORITY_MESSAGE };
+          }
+          higherAuthority = routedTo;
+        }
+
+        stepNumber = currentStep.stepNumber;
+        stepResult = HierarchicalApprovalEngine.evaluateStepCompletion(currentStep, settings);
+        if (stepResult.isCompleted) {
+          currentStep.isCompleted = true;
+          currentStep.completedAt = new Date();
+        }
+      }
+
+      const lineRejections = action === 'approved'
+        ? await this.rejectLines(report, rejectedExpenses, approver, stepNumber, onBehalfOf)
+        : 0;
+
+      const lines = await Expense.find({ _id: { $in: report.expenses }, report: report._id });
+      report.totalAmount = this.calculateTotal(lines);
+
+      const openLines = lines.filter(line => line.status === 'pending');
+      let outcome = 'pending';
+      if (openLines.length === 0 || (stepResult.isCompleted && stepResult.status === 'rejected')) {
+        outcome = 'rejected';
+      } else if (stepResult.isCompleted && (!approvalFlow || approvalFlow.currentStep >= approvalFlow.totalSteps)) {
+        outcome = 'approved';
+      }
+
+      if (outcome === 'pending') {
+        let message = 'Approval recorded, waiting for other approvers';
+        if (stepResult.isCompleted) {
+          approvalFlow.currentStep += 1;
+          message = `Step ${stepNumber} approved. Moved to step ${approvalFlow.currentStep}.`;
+        }
+        if (higherAuthority) {
+          message = `Approval limit exceeded, forwarded to ${higherAuthority.firstName} ${higherAuthority.lastName}.`;
+        }
+
+        await approvalFlow.save();
+        await report.save();
+
+        if (io && stepResult.isCompleted) {
+          try {
+            const populatedReport = await ExpenseReport.findById(report._id)
+              .populate('employee', 'firstName lastName email');
+            const nextStep = approvalFlow.steps.find(step => step.stepNumber === approvalFlow.currentStep);
+            if (nextStep) {
+              await NotificationService.createReportApprovalStepNotification(populatedReport, nextStep, io);
+            }
+          } catch (notificationError) {
+            console.error('Error sending next step notification:', notificationError);
+          }
+        }
+
+        return {
+          success: true,
+          status: 'pending',
+          message,
+          nextStep: approvalFlow.currentStep,
+          isComplete: false,
+          lineRejections,
+          routedTo: higherAuthority && { _id: higherAuthority._id, firstName: higherAuthority.firstName, lastName: higherAuthority.lastName }
+        };
+      }
+
+      const now = new Date();
+      const reason = outcome === 'rejected'
+        ? (comments || (openLines.length === 0 ? 'All expenses in the report were rejected' : 'Rejected in approval process'))
+        : comments;
+
+      for (const line of openLines) {
+        line.status = outcome;
+        line.approvals.push({
+          approver: approver._id,
+          status: outcome,
+          comments: reason || '',
+          approvedAt: now,
+          step: stepNumber,
+          onBehalfOf
+        });
+
+        if (outcome === 'approved') {
+          line.approvedBy = approver._id;
+          line.approvedAt = now;
+        } else {
+          line.rejectedBy = approver._id;
+          line.rejectedAt = now;
+          line.rejectionReason = reason;
+        }
+
+        await line.save();
+      }
+
+      report.status = outcome;
+      if (outcome === 'approved') {
+        report.approvedBy = approver._id;
+        report.approvedAt = now;
+      } else {
+        report.rejectedBy = approver._id;
+        report.rejectedAt = now;
+        report.rejectionReason = reason;
+      }
+      await report.save();
+
+      if (approvalFlow) {
+        approvalFlow.status = outcome === 'approved' ? 'completed' : 'rejected';
+        approvalFlow.completedAt = now;
+        approvalFlow.escalatedAt = undefined;
+        approvalFlow.finalDecision = {
+          status: outcome,
+          decidedBy: approver._id,
+          decidedAt: now,
+          reason: reason || 'Expense report approved after completing all approval steps'
+        };
+        await approvalFlow.save();
+      }
+
+      if (io) {
+        try {
+          const note = outcome === 'approved' && lineRejections > 0
+            ? `${lineRejections} expense(s) in the report were rejected.`
+            : reason;
+          await NotificationService.createReportDecisionNotification(report, approver, note, io);
+        } catch (notificationError) {
+          console.error('Error sending report decision notification:', notificationError);
+        }
+      }
+
+      return {
+        success: true,
+        status: outcome,
+        message: `Expense report ${outcome} successfully`,
+        nextStep: null,
+        isComplete: true,
+        lineRejections
+      };
+    } catch (error) {
+      console.error('Error processing expense report decision:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forward a report without an approval flow to a higher authority after it exceeded the
+   * approver's limit: the approval is recorded on the open lines, which stay pending for them
+   * @param {Object} report - ExpenseReport object
+   * @param {Object} approver - User whose limit the report exceeds
+   * @param {Object} authority - User whose limit covers the report
+   * @param {Object} options - { comments, rejectedExpenses }
+   * @param {Object} io - Socket.IO instance
+   * @returns {Object} Processing result
+   */
+  static async forwardReport(report, approver, authority, options = {}, io = null) {
+    const { comments, rejectedExpenses = [] } = options;
+
+    const lineRejections = await this.rejectLines(report, rejectedExpenses, approver, 1);
+
+    const lines = await Expense.find({ _id: { $in: report.expenses }, report: report._id });
+    report.totalAmount = this.calculateTotal(lines);
+
+    const openLines = lines.filter(line => line.status === 'pending');
+    if (openLines.length === 0) {
+      // Every line was rejected, so nothing is left for the higher authority
+      return this.processDecision(report, approver, 'rejected', { comments }, io);
+    }
+
+    const now = new Date();
+    for (const line of openLines) {
+      line.approvals.push({
+        approver: approver._id,
+        status: 'approved',
+        comments: comments || '',
+        approvedAt: now,
+        step: 1
+      });
+      await line.save();
+    }
+
+    report.routedTo = authority._id;
+    await report.save();
+
+    if (io) {
+      try {
+        const populatedReport = await ExpenseReport.findById(report._id)
+          .populate('employee', 'firstName lastName email');
+        await NotificationService.createReportApprovalStepNotification(
+          populatedReport,
+          { approvers: [{ user: authority._id, status: 'pending' }] },
+          io
+        );
+      } catch (notificationError) {
+        console.error('Error sending report approval request notification:', notificationError);
+      }
+    }
+
+    return {
+      success: true,
+      status: 'pending',
+      message: `Approval limit exceeded, forwarded to ${authority.firstName} ${authority.lastName}.`,
+      nextStep: null,
+      isComplete: false,
+      lineRejections,
+      routedTo: { _id: authority._id, firstName: authority.firstName, lastName: authority.lastName }
+    };
+  }
+
+  /**
+   * Reject individual lines of a report
+   * @param {Object} report - ExpenseReport object
+   * @param {Array} rejectedExpenses - [{ expenseId, reason }]
+   * @param {Object} approver - User rejecting the lines
+   * @param {Number} stepNumber - Approval step the rejection belongs to
+   * @param {ObjectId} onBehalfOf - Approver the user decides for as substitute, if any
+   * @returns {Number} Number of rejected lines
+   */
+  static async rejectLines(report, rejectedExpenses, approver, stepNumber, onBehalfOf = null) {
+    if (rejectedExpenses.length === 0) {
+      return 0;
+    }
+
+    const lines = await Expense.find({
+      _id: { $in: rejectedExpenses.map(line => line.expenseId) },
+      report: report._id,
+      status: 'pending'
+    });
+
+    const now = new Date();
+    for (const line of lines) {
+      const { reason } = rejectedExpenses.find(r => r.expenseId.toString() === line._id.toString());
+
+      line.status = 'rejected';
+      line.rejectedBy = approver._id;
+      line.rejectedAt = now;
+      line.rejectionReason = reason || 'Rejected as part of expense report review';
+      line.approvals.push({
+        approver: approver._id,
+        status: 'rejected',
+        comments: line.rejectionReason,
+        approvedAt: now,
+        step: stepNumber,
+        onBehalfOf
+      });
+
+      await line.save();
+    }
+
+    return lines.length;
+  }
+}
+
+module.exports = ExpenseReportService;
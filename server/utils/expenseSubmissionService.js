@@ -0,0 +1,158 @@
+const Expense = require('../models/Expense');
+const ApprovalFlowService = require('./approvalFlowService');
+const NotificationService = require('./notificationService');
+const ExpenseRateService = require('./expenseRateService');
+const ExpenseLineItemService = require('./expenseLineItemService');
+const ExpenseAllocationService = require('./expenseAllocationService');
+const ExpenseTaxService = require('./expenseTaxService');
+const BudgetService = require('./budgetService');
+
+class ExpenseSubmissionService {
+  /**
+   * Check an expense against the company's submission policy
+   * @param {Object} expense - Expense object
+   * @param {Object} company - Company object
+   * @returns {Array} Validation error messages (empty when the expense can be submitted)
+   */
+  static validateForSubmission(expense, company) {
+    const errors = [];
+    const settings = company.settings || {};
+
+    if (!expense.category) errors.push('Category is required');
+    if (!expense.amount || expense.amount <= 0) errors.push('Amount must be greater than 0');
+    if (!expense.description) errors.push('Description is required');
+    if (!expense.expenseDate) errors.push('Expense date is required');
+
+    // Mileage and per-diem claims are calculated from company rates and have no receipt
+    if (settings.requireReceipts && !ExpenseRateService.isCalculated(expense) &&
+        !(expense.attachments && expense.attachments.length > 0)) {
+      errors.push('A receipt is required before submitting this expense');
+    }
+
+    if (settings.maxExpenseAmount && expense.amountInCompanyCurrency > settings.maxExpenseAmount) {
+      errors.push(`Expense amount exceeds maximum allowed limit of ${company.currency} ${settings.maxExpenseAmount}`);
+    }
+
+    errors.push(...ExpenseLineItemService.validate(expense));
+    errors.push(...ExpenseAllocationService.validate(expense));
+    errors.push(...ExpenseTaxService.validate(expense));
+
+    const categories = settings.expenseCategories || [];
+    const bookedCategories = [expense.category, ...(expense.lineItems || []).map(line => line.category)];
+    [...new Set(bookedCategories.filter(Boolean))].forEach(bookedCategory => {
+      if (categories.length > 0 &&
+          !categories.some(category => category.toLowerCase() === bookedCategory.toLowerCase())) {
+        errors.push(`Category "${bookedCategory}" is not one of the company's expense categories`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Move a saved expense into approval: auto-approve it when it is within the
+   * company limit, otherwise route it through the approval rules, then notify.
+   * @param {Object} expense - Expense object (document, already validated)
+   * @param {Object} company - Company object
+   * @param {Object} io - Socket.IO instance
+   * @returns {Object} { expense, isAutoApproved, appliedRule }
+   */
+  static async submitExpense(expense, company, io = null) {
+    try {
+      const amountInCompanyCurrency = expense.amountInCompanyCurrency;
+
+      expense.status = 'pending';
+      expense.submissionDate = new Date();
+
+      // Check for auto-approval based on company settings; possible duplicates
+      // and policy violations always go to an approver
+      const needsReview = (expense.duplicateCheck && expense.duplicateCheck.status === 'possible') ||
+        (expense.policyViolations && expense.policyViolations.length > 0);
+      let isAutoApproved = false;
+      if (company.settings.autoApproveLimit && amountInCompanyCurrency <= company.settings.autoApproveLimit &&
+          !needsReview) {
+        // Auto-approve the expense
+        expense.status = 'approved';
+        expense.approvedBy = null; // System approval
+        expense.approvedAt = new Date();
+        expense.approvals.push({
+          approver: null, // System approval
+          status: 'approved',
+          comments: `Auto-approved: Amount (${company.currency} ${amountInCompanyCurrency}) is within auto-approve limit (${company.currency} ${company.settings.autoApproveLimit})`,
+          approvedAt: new Date(),
+          step: 0
+        });
+        isAutoApproved = true;
+      }
+
+      await expense.save();
+
+      // Route the expense through the best matching approval rule
+      let appliedRule = null;
+      let approvalFlow = null;
+      if (!isAutoApproved) {
+        try {
+          const routing = await ApprovalFlowService.routeExpense(expense);
+          approvalFlow = routing.approvalFlow;
+          if (routing.rule) {
+            appliedRule = {
+              _id: routing.rule._id,
+              name: routing.rule.name,
+              approvalType: routing.rule.approvalLogic?.type,
+              priority: routing.rule.priority
+            };
+          }
+        } catch (routingError) {
+          console.error('Error creating approval flow:', routingError);
+          // Fall back to direct approval if no flow could be created
+        }
+      }
+
+      const submittedExpense = await Expense.findById(expense._id)
+        .populate('employee', 'firstName lastName email');
+
+      // Warn department heads and project leads when the expense pushed a budget past an alert threshold
+      try {
+        await BudgetService.checkThresholds(submittedExpense, io);
+      } catch (budgetError) {
+        console.error('Error checking budget thresholds:', budgetError);
+        // Don't fail the submission if the budget check fails
+      }
+
+      // Send notifications based on approval status
+      if (io) {
+        try {
+          if (isAutoApproved) {
+            // Send auto-approval notification to employee
+            await NotificationService.createExpenseApprovedNotification(
+              submittedExpense,
+              { firstName: 'System', lastName: 'Auto-Approval' },
+              io
+            );
+            // Also notify managers/admins about the auto-approval
+            await NotificationService.createAutoApprovalNotification(submittedExpense, io);
+          } else if (approvalFlow) {
+            // Notify the approvers of the first step of the flow
+            const firstStep = approvalFlow.steps.find(step => step.stepNumber === approvalFlow.currentStep);
+            if (firstStep) {
+              await NotificationService.createApprovalStepNotification(submittedExpense, firstStep, io);
+            }
+          } else {
+            // Send submission notification to managers and admins
+            await NotificationService.createExpenseSubmittedNotification(submittedExpense, io);
+          }
+        } catch (notificationError) {
+          console.error('Error sending notification:', notificationError);
+          // Don't fail the submission if notification fails
+        }
+      }
+
+      return { expense: submittedExpense, isAutoApproved, appliedRule };
+    } catch (error) {
+      console.error('Error submitting expense:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ExpenseSubmissionService;
@@ -0,0 +1,360 @@
+const ExpenseRateService = require('./expenseRateService');
+
+// Receipts round the tax of every line, so allow a few cents against the rate
+const TAX_TOLERANCE = 0.02;
+
+/**
+ * Round to cents
+ * @param {Number} value - Amount
+ * @returns {Number} Rounded amount
+ */
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+class ExpenseTaxService {
+  /**
+   * Tax included in a gross amount at a rate
+   * @param {Number} gross - Amount including tax
+   * @param {Number} rate - Tax rate in percent of the net amount
+   * @returns {Number} Tax amount
+   */
+  static taxFromGross(gross, rate) {
+    return roundAmount((gross || 0) * rate / (100 + rate));
+  }
+
+  /**
+   * Whether a tax amount is what a rate gives on a gross amount, give or take rounding
+   * @param {Number} gross - Amount including tax
+   * @param {Number} taxAmount - Tax amount
+   * @param {Number} rate - Tax rate in percent
+   * @returns {Boolean} True when they match
+   */
+  static matchesRate(gross, taxAmount, rate) {
+    return Math.abs(this.taxFromGross(gross, rate) - (taxAmount || 0)) <= TAX_TOLERANCE;
+  }
+
+  /**
+   * Read the tax of an expense from a request body. Multipart forms send it in bracket
+   * notation (tax[amount]) or as a JSON string; null or an empty value removes the tax.
+   * @param {Object|String} value - { amount, rate, code, netAmount } or its JSON
+   * @returns {Object} Parsed tax ({} for none), or null when malformed
+   */
+  static parse(value) {
+    let tax = value;
+    if (typeof value === 'string') {
+      try {
+        tax = value.trim() ? JSON.parse(value) : {};
+      } catch (error) {
+        return null;
+      }
+    }
+    if (tax === null) {
+      return {};
+    }
+
+    const numbers = ['amount', 'rate', 'netAmount'];
+    if (typeof tax !== 'object' || Array.isArray(tax) ||
+        numbers.some(field => !isBlank(tax[field]) && isNaN(Number(tax[field])))) {
+      return null;
+    }
+
+    const parsed = {};
+    numbers.forEach(field => {
+      if (!isBlank(tax[field])) parsed[field] = Number(tax[field]);
+    });
+    if (!isBlank(tax.code)) parsed.code = String(tax.code).trim().toUpperCase();
+
+    return parsed;
+  }
+
+  /**
+   * Set the tax of an expense from parsed input. A missing tax amount is worked out
+   * from the rate or the net amount; itemized expenses take their tax from the lines.
+   * @param {Object} expense - Expense document with its amount set (modified in place)
+   * @param {Object} input - Parsed tax
+   */
+  static assign(expense, input) {
+    const tax = {};
+    if (input.rate !== undefined) tax.rate = input.rate;
+    if (input.code) tax.code = input.code;
+
+    if (input.amount !== undefined) {
+      tax.amount = input.amount;
+    } else if (input.rate !== undefined && expense.amount) {
+      tax.amount = this.taxFromGross(expense.amount, input.rate);
+    } else if (input.netAmount !== undefined && expense.amount) {
+      tax.amount = roundAmount(expense.amount - input.netAmount);
+    }
+
+    expense.tax = tax;
+    this.applyAmounts(expense);
+  }
+
+  /**
+   * Work out the net amount and the tax in the company currency after the amount,
+   * exchange rate or line items changed. Calculated expenses carry no tax.
+   * @param {Object} expense - Expense document (modified in place)
+   */
+  static applyAmounts(expense) {
+    if (ExpenseRateService.isCalculated(expense)) {
+      expense.tax = undefined;
+      return;
+    }
+
+    const lines = this.taxedLines(expense);
+    let tax = expense.tax ? { amount: expense.tax.amount, rate: expense.tax.rate, code: expense.tax.code } : {};
+
+    if (lines.length > 0) {
+      // One rate (or code) for the whole expense only when every taxed line has the same
+      const common = (field) => {
+        const values = [...new Set(lines.map(line => line[field]))];
+        return values.length === 1 && !isBlank(values[0]) ? values[0] : undefined;
+      };
+      tax = {
+        amount: roundAmount(lines.reduce((sum, line) => sum + (line.taxAmount || 0), 0)),
+        rate: common('taxRate'),
+        code: common('taxCode')
+      };
+    }
+
+    if (isBlank(tax.amount)) {
+      expense.tax = undefined;
+      return;
+    }
+
+    expense.tax = {
+      ...tax,
+      netAmount: roundAmount((expense.amount || 0) - tax.amount),
+      amountInCompanyCurrency: roundAmount(tax.amount * (expense.exchangeRate || 1))
+    };
+  }
+
+  /**
+   * Line items that have tax entered
+   * @param {Object} expense - Expense object
+   * @returns {Array} Line items with a tax amount or rate
+   */
+  static taxedLines(expense) {
+    return (expense.lineItems || []).filter(line => line.taxAmount > 0 || !isBlank(line.taxRate));
+  }
+
+  /**
+   * Check that tax amounts fit the amounts and rates they were entered with
+   * @param {Object} expense - Expense object
+   * @returns {Array} Error messages (empty when the tax is consistent)
+   */
+  static validate(expense) {
+    const errors = [];
+
+    (expense.lineItems || []).forEach((line, index) => {
+      if (isBlank(line.taxRate)) return;
+      if (line.taxRate < 0 || line.taxRate > 100) {
+        errors.push(`Line ${index + 1}: tax rate must be between 0 and 100`);
+      } else if (!this.matchesRate(line.amount, line.taxAmount, line.taxRate)) {
+        errors.push(`Line ${index + 1}: tax of ${line.taxAmount} does not match the ${line.taxRate}% rate`);
+      }
+    });
+
+    const tax = expense.tax;
+    if (!tax || isBlank(tax.amount) || this.taxedLines(expense).length > 0) {
+      return errors;
+    }
+
+    if (tax.amount < 0 || (expense.amount && tax.amount > expense.amount)) {
+      errors.push('Tax must be between 0 and the expense amount');
+    }
+    if (!isBlank(tax.rate)) {
+      if (tax.rate < 0 || tax.rate > 100) {
+        errors.push('Tax rate must be between 0 and 100');
+      } else if (!this.matchesRate(expense.amount, tax.amount, tax.rate)) {
+        errors.push(`Tax of ${tax.amount} does not match the ${tax.rate}% rate on an amount of ${expense.amount}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Split an expense into the taxed amounts VAT is reported on: one entry per
+   * taxed line item, or the whole expense when it has no taxed lines
+   * @param {Object} expense - Expense object
+   * @returns {Array} [{ label, gross, amount, rate, code, grossInCompanyCurrency }]
+   */
+  static taxEntries(expense) {
+    const lines = expense.lineItems || [];
+    const entries = [];
+
+    lines.forEach((line, index) => {
+      if (!(line.taxAmount > 0) && isBlank(line.taxRate)) return;
+      entries.push({
+        label: `Line ${index + 1}`,
+        gross: line.amount || 0,
+        amount: line.taxAmount || 0,
+        rate: isBlank(line.taxRate) ? null : line.taxRate,
+        code: line.taxCode || '',
+        grossInCompanyCurrency: line.amountInCompanyCurrency || 0
+      });
+    });
+
+    if (entries.length === 0 && expense.tax && !isBlank(expense.tax.amount)) {
+      entries.push({
+        label: null,
+        gross: expense.amount || 0,
+        amount: expense.tax.amount,
+        rate: isBlank(expense.tax.rate) ? null : expense.tax.rate,
+        code: expense.tax.code || '',
+        grossInCompanyCurrency: expense.amountInCompanyCurrency || 0
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Country whose VAT applies to an expense: where it was incurred, else the company's country
+   * @param {Object} expense - Expense object
+   * @param {Object} company - Company object
+   * @returns {String} 2-letter country code
+   */
+  static countryOf(expense, company) {
+    const country = (expense.location && expense.location.country) || company.country || '';
+    return country.toUpperCase();
+  }
+
+  /**
+   * VAT rates of a country in effect on a date, one per tax code
+   * @param {Array} rates - Company VAT rates
+   * @param {String} country - 2-letter country code
+   * @param {Date} date - Expense date
+   * @returns {Array} Rates
+   */
+  static findCountryRates(rates, country, date) {
+    const countryRates = (rates || []).filter(rate => rate.country === country);
+    const codes = [...new Set(countryRates.map(rate => rate.code))];
+
+    return codes
+      .map(code => ExpenseRateService.findEffectiveRate(countryRates.filter(rate => rate.code === code), date))
+      .filter(Boolean);
+  }
+
+  /**
+   * Find the configured rate a tax entry was charged at: the entered rate, or the
+   * rate its amounts work out to; limited to the entered tax code when there is one
+   * @param {Object} entry - Tax entry (see taxEntries)
+   * @param {Array} rates - Rates of the country
+   * @returns {Object} Rate or null
+   */
+  static matchRate(entry, rates) {
+    return rates
+      .filter(rate => !entry.code || rate.code === entry.code)
+      .find(rate => (entry.rate !== null
+        ? rate.rate === entry.rate
+        : this.matchesRate(entry.gross, entry.amount, rate.rate))) || null;
+  }
+
+  /**
+   * Check the tax of an expense against the VAT rates the company set up for its country
+   * @param {Object} expense - Expense object
+   * @param {Object} company - Company object
+   * @returns {Array} Policy violations [{ rule, message, action, actual }]
+   */
+  static checkRates(expense, company) {
+    const vat = (company.policy && company.policy.vat) || {};
+    const country = this.countryOf(expense, company);
+    const rates = this.findCountryRates(vat.rates, country, expense.expenseDate);
+    if (rates.length === 0) {
+      return [];
+    }
+
+    const allowed = rates.map(rate => `${rate.code} ${rate.rate}%`).join(', ');
+    return this.taxEntries(expense)
+      .filter(entry => !this.matchRate(entry, rates))
+      .map(entry => ({
+        rule: 'vat_rate',
+        message: `${entry.label ? `${entry.label}: tax` : 'Tax'} does not match a ${country} VAT rate (${allowed})`,
+        action: vat.action,
+        actual: entry.rate !== null ? entry.rate : undefined
+      }));
+  }
+
+  /**
+   * Total the reclaimable VAT of expenses by country, rate, tax code and currency
+   * @param {Object} expenses - Expenses or a Mongoose query cursor of expenses
+   * @param {Object} company - Company object with its VAT rates
+   * @returns {Object} { rows, totals } - company currency totals; rows also in the expense currency
+   */
+  static async buildVatReport(expenses, company) {
+    const vatRates = (company.policy && company.policy.vat && company.policy.vat.rates) || [];
+    const groups = new Map();
+
+    for await (const expense of expenses) {
+      const country = this.countryOf(expense, company);
+      const rates = this.findCountryRates(vatRates, country, expense.expenseDate);
+
+      for (const entry of this.taxEntries(expense)) {
+        if (!(entry.amount > 0)) continue;
+
+        // Entries without a rate are reported at the configured rate they match
+        const matched = this.matchRate(entry, rates);
+        const rate = entry.rate !== null ? entry.rate : (matched ? matched.rate : null);
+        const code = entry.code || (matched ? matched.code : '');
+        const key = [country, rate, code, expense.currency].join('|');
+
+        if (!groups.has(key)) {
+          groups.set(key, {
+            country,
+            rate,
+            code,
+            currency: expense.currency,
+            expenses: new Set(),
+            gross: 0,
+            net: 0,
+            tax: 0,
+            grossInCompanyCurrency: 0,
+            netInCompanyCurrency: 0,
+            taxInCompanyCurrency: 0
+          });
+        }
+
+        const group = groups.get(key);
+        const taxInCompanyCurrency = roundAmount(entry.amount * (expense.exchangeRate || 1));
+        group.expenses.add(expense._id.toString());
+        group.gross = roundAmount(group.gross + entry.gross);
+        group.net = roundAmount(group.net + entry.gross - entry.amount);
+        group.tax = roundAmount(group.tax + entry.amount);
+        group.grossInCompanyCurrency = roundAmount(group.grossInCompanyCurrency + entry.grossInCompanyCurrency);
+        group.netInCompanyCurrency = roundAmount(group.netInCompanyCurrency + entry.grossInCompanyCurrency - taxInCompanyCurrency);
+        group.taxInCompanyCurrency = roundAmount(group.taxInCompanyCurrency + taxInCompanyCurrency);
+      }
+    }
+
+    // Highest rate first, unknown rates last
+    const byRate = (a, b) => {
+      if (a.rate === b.rate) return 0;
+      if (a.rate === null) return 1;
+      if (b.rate === null) return -1;
+      return b.rate - a.rate;
+    };
+
+    const rows = [...groups.values()]
+      .map(({ expenses: ids, ...group }) => ({ ...group, count: ids.size }))
+      .sort((a, b) => a.country.localeCompare(b.country) ||
+        byRate(a, b) ||
+        a.code.localeCompare(b.code) ||
+        a.currency.localeCompare(b.currency));
+
+    const sum = (field) => roundAmount(rows.reduce((total, row) => total + row[field], 0));
+
+    return {
+      rows,
+      totals: {
+        grossInCompanyCurrency: sum('grossInCompanyCurrency'),
+        netInCompanyCurrency: sum('netInCompanyCurrency'),
+        taxInCompanyCurrency: sum('taxInCompanyCurrency')
+      }
+    };
+  }
+}
+
+module.exports = ExpenseTaxService;
@@ -2,6 +2,8 @@ const ApprovalFlow = require('../models/ApprovalFlow');
 const Expense = require('../models/Expense');
 const User = require('../models/User');
 const NotificationService = require('./notificationService');
+const DelegationService = require('./delegationService');
+const ApprovalChainService = require('./approvalChainService');
 
 class HierarchicalApprovalEngine {
   /**
@@ -14,9 +16,8 @@ class HierarchicalApprovalEngine {
     try {
       const { hierarchicalSettings } = rule.approvalLogic;
       
-      // Get all approvers from all steps
-      const allApprovers = rule.approvalSteps.flatMap(step => step.approvers);
-      const uniqueApprovers = [...new Set(allApprovers.map(String))];
+      // Manager and department head steps are resolved from the submitter's org tree
+      const steps = await ApprovalChainService.resolveSteps(rule, expense);
       
       // Create approval flow with hierarchical structure
       const approvalFlow = new ApprovalFlow({
@@ -24,16 +25,10 @@ class HierarchicalApprovalEngine {
         expense: expense._id,
         rule: rule._id,
         currentStep: 1,
-        totalSteps: rule.approvalSteps.length,
+        totalSteps: steps.length,
         status: 'active',
-        steps: rule.approvalSteps.map((step, index) => ({
-          stepNumber: step.stepNumber,
-          approvers: step.approvers.map(approverId => ({
-            user: approverId,
-            status: 'pending',
-            isRequired: step.isRequired,
-            canEscalate: step.canEscalate
-          })),
+        steps: steps.map(step => ({
+          ...step,
           isCompleted: false,
           isEscalated: false
         })),
@@ -76,8 +71,13 @@ class HierarchicalApprovalEngine {
         throw new Error('Current approval step not found');
       }
 
-      const approverInStep = currentStep.approvers.find(
-        approverObj => approverObj.user.toString() === approver._id.toString()
+      // Substitutes decide on the pending entry of the approver who delegated to them
+      const delegations = await DelegationService.findActiveFor(approver);
+      const { approverEntry: approverInStep, onBehalfOf } = DelegationService.resolveApprover(
+        currentStep,
+        approver,
+        expense,
+        delegations
       );
 
       if (!approverInStep) {
@@ -91,6 +91,7 @@ class HierarchicalApprovalEngine {
       // Update approver status
       approverInStep.status = action;
       approverInStep.comments = comments;
+      approverInStep.actedBy = onBehalfOf ? approver._id : null;
       
       if (action === 'approved') {
         approverInStep.approvedAt = new Date();
@@ -98,6 +99,35 @@ class HierarchicalApprovalEngine {
         approverInStep.rejectedAt = new Date();
       }
 
+      // Approval history on the expense
+      expense.approvals.push({
+        approver: approver._id,
+        status: action,
+        comments: comments || '',
+        approvedAt: new Date(),
+        step: currentStep.stepNumber,
+        onBehalfOf
+      });
+
+      // An approval above the approver's signing authority is routed on to someone with enough,
+      // and refused when nobody has enough. Nothing has been saved at this point.
+      const { routedTo: higherAuthority, blocked } = action === 'approved'
+        ? await ApprovalChainService.routeAboveLimit(approvalFlow, currentStep, onBehalfOf || approver._id, expense, hierarchicalSettings)
+        : { routedTo: null, blocked: false };
+      if (blocked) {
+        return {
+          success: false,
+          statusCode: 403,
+          message: 'This expense exceeds your approval limit and nobody in the company has the authority to approve it'
+        };
+      }
+      const routedTo = higherAuthority
+        ? { _id: higherAuthority._id, firstName: higherAuthority.firstName, lastName: higherAuthority.lastName }
+        : null;
+      const routedMessage = routedTo
+        ? `Approval limit exceeded, forwarded to ${routedTo.firstName} ${routedTo.lastName}`
+        : null;
+
       // Check if current step is completed
       const stepResult = this.evaluateStepCompletion(currentStep, hierarchicalSettings);
       
@@ -145,6 +175,7 @@ class HierarchicalApprovalEngine {
           if (approvalFlow.currentStep < approvalFlow.totalSteps) {
             approvalFlow.currentStep += 1;
             await approvalFlow.save();
+            await expense.save();
             
             // Send notification for next step
             if (io) {
@@ -161,9 +192,10 @@ class HierarchicalApprovalEngine {
             return {
               success: true,
               status: 'approved',
-              message: 'Step approved, moved to next step',
+              message: routedMessage || 'Step approved, moved to next step',
               nextStep: approvalFlow.currentStep,
-              isComplete: false
+              isComplete: false,
+              routedTo
             };
           } else {
             // All steps completed - approve expense
@@ -204,13 +236,15 @@ class HierarchicalApprovalEngine {
       } else {
         // Step not completed yet - save progress
         await approvalFlow.save();
+        await expense.save();
         
         return {
           success: true,
           status: 'pending',
-          message: 'Approval recorded, waiting for other approvers',
+          message: routedMessage || 'Approval recorded, waiting for other approvers',
           nextStep: approvalFlow.currentStep,
-          isComplete: false
+          isComplete: false,
+          routedTo
         };
       }
     } catch (error) {
@@ -226,13 +260,15 @@ class HierarchicalApprovalEngine {
    * @returns {Object} Step completion result
    */
   static evaluateStepCompletion(step, hierarchicalSettings) {
-    const totalApprovers = step.approvers.length;
-    const requiredApprovers = step.approvers.filter(approver => approver.isRequired).length;
-    const approvedCount = step.approvers.filter(approver => approver.status === 'approved').length;
-    const rejectedCount = step.approvers.filter(approver => approver.status === 'rejected').length;
+    // Approvers skipped by escalation no longer take part in the decision
+    const approvers = step.approvers.filter(approver => approver.status !== 'skipped');
+    const totalApprovers = approvers.length;
+    const requiredApprovers = approvers.filter(approver => approver.isRequired).length;
+    const approvedCount = approvers.filter(approver => approver.status === 'approved').length;
+    const rejectedCount = approvers.filter(approver => approver.status === 'rejected').length;
 
     // If any required approver rejected, step is rejected
-    const requiredRejected = step.approvers.some(approver => 
+    const requiredRejected = approvers.some(approver => 
       approver.isRequired && approver.status === 'rejected'
     );
 
@@ -245,7 +281,7 @@ class HierarchicalApprovalEngine {
     }
 
     // Check if all required approvers approved
-    const requiredApproved = step.approvers.filter(approver => 
+    const requiredApproved = approvers.filter(approver => 
       approver.isRequired && approver.status === 'approved'
     ).length;
 
@@ -280,7 +316,7 @@ class HierarchicalApprovalEngine {
     }
 
     // Check if all approvers have responded but no consensus
-    const respondedCount = step.approvers.filter(approver => 
+    const respondedCount = approvers.filter(approver => 
       approver.status !== 'pending'
     ).length;
 
@@ -301,13 +337,17 @@ class HierarchicalApprovalEngine {
   }
 
   /**
-   * Get pending approvals for hierarchical flow
+   * Get pending approvals for hierarchical flow, including the current steps
+   * the user can decide on as substitute for an approver who delegated to them
    * @param {Object} user - User object
    * @param {Object} filters - Additional filters
-   * @returns {Array} Pending approvals
+   * @returns {Array} Pending approvals; delegated ones carry `onBehalfOf`
    */
   static async getHierarchicalPendingApprovals(user, filters = {}) {
     try {
+      const delegations = await DelegationService.findActiveFor(user);
+      const delegatorIds = delegations.map(delegation => delegation.delegator._id);
+
       const query = {
         company: user.company,
         status: 'active',
@@ -316,6 +356,10 @@ class HierarchicalApprovalEngine {
           {
             [`steps.${user.role === 'admin' ? '$' : '0'}.approvers.user`]: user._id,
             [`steps.${user.role === 'admin' ? '$' : '0'}.approvers.status`]: 'pending'
+          },
+          // Someone who delegated to the user is a pending approver
+          {
+            'steps.approvers': { $elemMatch: { user: { $in: delegatorIds }, status: 'pending' } }
           }
         ]
       };
@@ -329,11 +373,29 @@ class HierarchicalApprovalEngine {
         .populate('steps.approvers.user', 'firstName lastName email role department')
         .sort({ startedAt: -1 });
 
-      return approvalFlows.map(flow => ({
-        ...flow.toObject(),
-        currentStepData: flow.steps.find(step => step.stepNumber === flow.currentStep),
-        userApprovalStatus: this.getUserApprovalStatus(flow, user._id)
-      }));
+      return approvalFlows.reduce((pending, flow) => {
+        const currentStepData = flow.steps.find(step => step.stepNumber === flow.currentStep);
+        let onBehalfOf = null;
+
+        // Delegated flows only count while the delegator's entry is open in the current step
+        if (!this.getUserApprovalStatus(flow, user._id)) {
+          const resolved = currentStepData && flow.expense
+            ? DelegationService.resolveApprover(currentStepData, user, flow.expense, delegations)
+            : {};
+          if (!resolved.onBehalfOf) {
+            return pending;
+          }
+          onBehalfOf = resolved.approverEntry.user;
+        }
+
+        pending.push({
+          ...flow.toObject(),
+          currentStepData,
+          userApprovalStatus: this.getUserApprovalStatus(flow, user._id),
+          onBehalfOf
+        });
+        return pending;
+      }, []);
     } catch (error) {
       console.error('Error getting hierarchical pending approvals:', error);
       throw error;
@@ -349,7 +411,7 @@ class HierarchicalApprovalEngine {
   static getUserApprovalStatus(approvalFlow, userId) {
     for (const step of approvalFlow.steps) {
       const userApproval = step.approvers.find(
-        approver => approver.user.toString() === userId.toString()
+        approver => (approver.user._id || approver.user).toString() === userId.toString()
       );
       
       if (userApproval) {
@@ -369,18 +431,54 @@ class HierarchicalApprovalEngine {
   }
 
   /**
-   * Handle escalation for hierarchical approval
+   * Handle escalation for hierarchical approval.
+   * The stalled approvers of the current step are skipped and the decision is
+   * reassigned to the escalation approver, who is added to the step if needed.
+   * The flow stays active so it keeps showing up in pending approvals.
    * @param {Object} approvalFlow - ApprovalFlow object
    * @param {Object} escalatedTo - User to escalate to
    * @param {Object} io - Socket.io instance
+   * @param {Date} now - Current time (injectable for tests)
    * @returns {Object} Escalation result
    */
-  static async handleHierarchicalEscalation(approvalFlow, escalatedTo, io = null) {
+  static async handleHierarchicalEscalation(approvalFlow, escalatedTo, io = null, now = new Date()) {
     try {
-      approvalFlow.status = 'escalated';
-      approvalFlow.escalatedAt = new Date();
+      const currentStep = approvalFlow.steps.find(step => step.stepNumber === approvalFlow.currentStep);
+      if (!currentStep) {
+        throw new Error('Current approval step not found');
+      }
+
+      const escalatedToId = escalatedTo._id.toString();
+      const existingApprover = currentStep.approvers.find(
+        approverObj => (approverObj.user._id || approverObj.user).toString() === escalatedToId
+      );
+
+      // If the escalation approver already decided on this step there is nobody to reassign to
+      if (!existingApprover || existingApprover.status === 'pending') {
+        for (const approverObj of currentStep.approvers) {
+          if (approverObj.status === 'pending' && approverObj !== existingApprover) {
+            approverObj.status = 'skipped';
+            approverObj.isRequired = false;
+            approverObj.comments = `Escalated to ${escalatedTo.firstName || 'escalation approver'} ${escalatedTo.lastName || ''}`.trim();
+          }
+        }
+
+        if (existingApprover) {
+          existingApprover.isRequired = true;
+        } else {
+          currentStep.approvers.push({
+            user: escalatedTo._id,
+            status: 'pending',
+            isRequired: true
+          });
+        }
+      }
+
+      currentStep.isEscalated = true;
+      currentStep.escalatedAt = now;
+      currentStep.escalatedTo = escalatedTo._id;
       approvalFlow.escalatedTo = escalatedTo._id;
-      
+
       await approvalFlow.save();
       
       // Send escalation notification
@@ -395,7 +493,8 @@ class HierarchicalApprovalEngine {
       return {
         success: true,
         message: 'Approval escalated successfully',
-        escalatedTo: escalatedTo._id
+        escalatedTo: escalatedTo._id,
+        stepNumber: currentStep.stepNumber
       };
     } catch (error) {
       console.error('Error handling hierarchical escalation:', error);
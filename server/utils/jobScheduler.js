@@ -0,0 +1,225 @@
+const os = require('os');
+const ScheduledJob = require('../models/ScheduledJob');
+
+const RETRY_BASE_DELAY_MS = 60 * 1000; // 1 minute
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000; // 1 hour
+
+class JobScheduler {
+  /**
+   * In-process job runner backed by the ScheduledJob collection, so pending
+   * jobs survive restarts and only one instance runs a due job at a time.
+   * @param {Object} options
+   * @param {Function} options.clock - Returns the current Date (injectable for tests)
+   * @param {Number} options.pollIntervalMs - How often to look for due jobs
+   * @param {Number} options.lockTimeoutMs - After this long a running job is considered abandoned
+   * @param {Number} options.batchSize - Maximum number of jobs processed per tick
+   * @param {String} options.workerId - Identifier written to locked jobs
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || (() => new Date());
+    this.pollIntervalMs = options.pollIntervalMs || 60 * 1000;
+    this.lockTimeoutMs = options.lockTimeoutMs || 10 * 60 * 1000;
+    this.batchSize = options.batchSize || 10;
+    this.workerId = options.workerId || `${os.hostname()}:${process.pid}`;
+    this.handlers = new Map();
+    this.context = {};
+    this.timer = null;
+    this.isTicking = false;
+  }
+
+  /**
+   * Register the handler for a job name
+   * @param {String} name - Job name
+   * @param {Function} handler - async (payload, { now, job, ...context }) => any
+   */
+  define(name, handler) {
+    this.handlers.set(name, handler);
+    return this;
+  }
+
+  /**
+   * Schedule a one-off job
+   * @param {String} name - Job name
+   * @param {Date} runAt - When the job becomes due
+   * @param {Object} payload - Data passed to the handler
+   * @param {Object} options - { key, maxAttempts }
+   * @returns {Object} Created (or existing, when key is taken) ScheduledJob
+   */
+  async schedule(name, runAt, payload = {}, options = {}) {
+    const jobData = {
+      name,
+      runAt,
+      payload,
+      maxAttempts: options.maxAttempts || 5
+    };
+
+    if (options.key) {
+      return ScheduledJob.findOneAndUpdate(
+        { key: options.key },
+        { $setOnInsert: jobData },
+        { upsert: true, new: true }
+      );
+    }
+
+    const job = new ScheduledJob(jobData);
+    await job.save();
+    return job;
+  }
+
+  /**
+   * Ensure a recurring job exists. Existing jobs keep their next run time so a
+   * restart does not reset or skip the schedule.
+   * @param {String} name - Job name (also used as the unique key)
+   * @param {Number} intervalMs - Interval between runs
+   * @param {Object} payload - Data passed to the handler
+   * @returns {Object} ScheduledJob
+   */
+  async every(name, intervalMs, payload = {}) {
+    return ScheduledJob.findOneAndUpdate(
+      { key: name },
+      {
+        $set: { repeatIntervalMs: intervalMs, payload },
+        $setOnInsert: { name, runAt: this.clock(), status: 'scheduled' }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Start polling for due jobs
+   * @param {Object} context - Extra values passed to every handler (e.g. io)
+   */
+  start(context = {}) {
+    if (this.timer) return;
+
+    this.context = context;
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error('Job scheduler tick error:', error));
+    }, this.pollIntervalMs);
+
+    // Don't keep the process alive just for the scheduler
+    if (this.timer.unref) this.timer.unref();
+
+    this.tick().catch(error => console.error('Job scheduler tick error:', error));
+    console.log(`Job scheduler started (worker ${this.workerId})`);
+  }
+
+  /**
+   * Stop polling. Jobs already running are allowed to finish.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run all jobs that are due at the current clock time
+   * @returns {Array} Results for each processed job
+   */
+  async tick() {
+    if (this.isTicking) return [];
+    this.isTicking = true;
+
+    const results = [];
+    try {
+      for (let i = 0; i < this.batchSize; i++) {
+        const job = await this.claimNextJob();
+        if (!job) break;
+        results.push(await this.runJob(job));
+      }
+    } finally {
+      this.isTicking = false;
+    }
+
+    return results;
+  }
+
+  /**
+   * Atomically lock the next due job (or one whose lock has expired)
+   * @returns {Object|null} Claimed ScheduledJob
+   */
+  async claimNextJob() {
+    const now = this.clock();
+    const staleLock = new Date(now.getTime() - this.lockTimeoutMs);
+
+    return ScheduledJob.findOneAndUpdate(
+      {
+        name: { $in: Array.from(this.handlers.keys()) },
+        $or: [
+          { status: 'scheduled', runAt: { $lte: now } },
+          { status: 'running', lockedAt: { $lt: staleLock } }
+        ]
+      },
+      {
+        $set: { status: 'running', lockedAt: now, lockedBy: this.workerId },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Execute a claimed job and record the outcome
+   * @param {Object} job - Claimed ScheduledJob
+   * @returns {Object} Job result
+   */
+  async runJob(job) {
+    const handler = this.handlers.get(job.name);
+    const startedAt = this.clock();
+
+    try {
+      const result = await handler(job.payload || {}, { ...this.context, now: startedAt, job });
+
+      const update = {
+        lastRunAt: startedAt,
+        lastError: null,
+        lockedAt: null,
+        lockedBy: null
+      };
+
+      if (job.repeatIntervalMs) {
+        Object.assign(update, {
+          status: 'scheduled',
+          attempts: 0,
+          runAt: new Date(startedAt.getTime() + job.repeatIntervalMs)
+        });
+      } else {
+        Object.assign(update, { status: 'completed', completedAt: this.clock() });
+      }
+
+      await ScheduledJob.updateOne({ _id: job._id }, { $set: update });
+
+      return { job: job._id, name: job.name, success: true, result };
+    } catch (error) {
+      console.error(`Job "${job.name}" failed:`, error);
+
+      const exhausted = job.attempts >= job.maxAttempts;
+      const retryDelay = Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, job.attempts - 1), RETRY_MAX_DELAY_MS);
+      const update = {
+        lastRunAt: startedAt,
+        lastError: error.message,
+        lockedAt: null,
+        lockedBy: null
+      };
+
+      if (exhausted && !job.repeatIntervalMs) {
+        update.status = 'failed';
+      } else {
+        // Recurring jobs never give up; they retry at their normal interval at the latest
+        update.status = 'scheduled';
+        update.attempts = exhausted ? 0 : job.attempts;
+        update.runAt = new Date(startedAt.getTime() + (job.repeatIntervalMs
+          ? Math.min(retryDelay, job.repeatIntervalMs)
+          : retryDelay));
+      }
+
+      await ScheduledJob.updateOne({ _id: job._id }, { $set: update });
+
+      return { job: job._id, name: job.name, success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = JobScheduler;
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Stores files on the local disk. Signed URLs point at /api/storage/files,
+ * which checks the HMAC signature instead of a login token.
+ */
+class LocalStorageDriver {
+  /**
+   * @param {Object} options - { root, signingSecret, publicUrl }
+   */
+  constructor({ root, signingSecret, publicUrl = '' }) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+    this.signingSecret = signingSecret;
+    this.publicUrl = publicUrl.replace(/\/$/, '');
+  }
+
+  /**
+   * Resolve a key to a path inside the storage root
+   * @param {String} key - Storage key
+   * @returns {String} Absolute file path
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  /**
+   * Write a file
+   * @param {String} key - Storage key
+   * @param {Buffer} buffer - File contents
+   */
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  /**
+   * Delete a file; missing files are ignored
+   * @param {String} key - Storage key
+   */
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Open a file for reading
+   * @param {String} key - Storage key
+   * @returns {Object} Readable stream
+   */
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  /**
+   * Sign the parameters of a download URL
+   * @param {String} key - Storage key
+   * @param {Object} params - { expires, disposition, type }
+   * @returns {String} Hex HMAC signature
+   */
+  sign(key, { expires, disposition, type }) {
+    return crypto
+      .createHmac('sha256', this.signingSecret)
+      .update([key, expires, disposition, type].join('\n'))
+      .digest('hex');
+  }
+
+  /**
+   * Create a short-lived download URL
+   * @param {String} key - Storage key
+   * @param {Object} options - { expiresIn (seconds), fileName, contentType, inline }
+   * @returns {String} Signed URL
+   */
+  async getSignedUrl(key, { expiresIn, fileName, contentType, inline }) {
+    const params = {
+      expires: String(Math.floor(Date.now() / 1000) + expiresIn),
+      disposition: `${inline ? 'inline' : 'attachment'}; filename="${fileName.replace(/"/g, '')}"`,
+      type: contentType || 'application/octet-stream'
+    };
+
+    const query = new URLSearchParams({ ...params, signature: this.sign(key, params) });
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+
+    return `${this.publicUrl}/api/storage/files/${encodedKey}?${query.toString()}`;
+  }
+
+  /**
+   * Check a signed URL's signature and expiry
+   * @param {String} key - Storage key
+   * @param {Object} query - { expires, disposition, type, signature }
+   * @returns {Boolean} True when the URL is valid
+   */
+  verifySignedUrl(key, { expires, disposition, type, signature }) {
+    if (!expires || !signature || Number(expires) < Date.now() / 1000) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, { expires, disposition, type }), 'hex');
+    const actual = Buffer.from(String(signature), 'hex');
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -190,6 +190,107 @@ class NotificationService {
     }
   }
 
+  /**
+   * Notify the submitter that an approver sent the expense back with a question
+   * @param {Object} expense - Expense object
+   * @param {Object} requester - User who asked
+   * @param {String} question - What the approver needs to know
+   * @param {Object} io - Socket.IO instance
+   */
+  static async createInfoRequestedNotification(expense, requester, question, io = null) {
+    try {
+      const requesterName = `${requester.firstName} ${requester.lastName}`;
+      const notificationData = {
+        recipient: expense.employee,
+        sender: requester._id,
+        company: expense.company,
+        type: 'expense_info_requested',
+        title: 'More Information Needed',
+        message: `${requesterName} needs more information about your expense of ${expense.currency} ${expense.amount}: ${question}`,
+        data: {
+          expenseId: expense._id,
+          amount: expense.amount,
+          currency: expense.currency,
+          managerName: requesterName,
+          reason: question
+        },
+        priority: 'high'
+      };
+
+      return await this.createNotification(notificationData, io);
+    } catch (error) {
+      console.error('Error creating info requested notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Notify the approver who asked that the submitter answered and the expense is pending again
+   * @param {Object} expense - Expense object (employee populated)
+   * @param {Object} infoRequest - Answered entry of expense.infoRequests
+   * @param {Object} io - Socket.IO instance
+   */
+  static async createInfoProvidedNotification(expense, infoRequest, io = null) {
+    try {
+      const employeeName = `${expense.employee.firstName} ${expense.employee.lastName}`;
+      const notificationData = {
+        recipient: infoRequest.requestedBy,
+        sender: expense.employee._id,
+        company: expense.company,
+        type: 'expense_info_provided',
+        title: 'Information Provided',
+        message: `${employeeName} answered your question about their expense of ${expense.currency} ${expense.amount}. It is waiting for approval again.`,
+        data: {
+          expenseId: expense._id,
+          amount: expense.amount,
+          currency: expense.currency,
+          employeeName,
+          reason: infoRequest.response
+        },
+        priority: 'medium'
+      };
+
+      return await this.createNotification(notificationData, io);
+    } catch (error) {
+      console.error('Error creating info provided notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create notification for a user @mentioned in an expense comment
+   * @param {Object} comment - ExpenseComment object
+   * @param {Object} expense - Expense object
+   * @param {Object} author - User who wrote the comment
+   * @param {ObjectId} recipientId - Mentioned user
+   * @param {Object} io - Socket.IO instance
+   */
+  static async createCommentMentionNotification(comment, expense, author, recipientId, io = null) {
+    try {
+      const authorName = `${author.firstName} ${author.lastName}`;
+      const notificationData = {
+        recipient: recipientId,
+        sender: author._id,
+        company: expense.company,
+        type: 'expense_comment_mention',
+        title: 'Mentioned in a Comment',
+        message: `${authorName} mentioned you in a comment on the expense "${expense.description}".`,
+        data: {
+          expenseId: expense._id,
+          commentId: comment._id,
+          amount: expense.amount,
+          currency: expense.currency
+        },
+        priority: 'medium'
+      };
+
+      return await this.createNotification(notificationData, io);
+    } catch (error) {
+      console.error('Error creating comment mention notification:', error);
+      throw error;
+    }
+  }
+
   /**
    * Create expense deletion notification for managers/admins
    * @param {Object} expense - Expense object
@@ -266,6 +367,297 @@ class NotificationService {
     }
   }
 
+  /**
+   * Notify every pending approver in an approval flow step
+   * @param {Object} expense - Expense object (employee populated)
+   * @param {Object} step - ApprovalFlow step object
+   * @param {Object} io - Socket.IO instance
+   */
+  static async createApprovalStepNotification(expense, step, io = null) {
+    try {
+      const notifications = [];
+
+      for (const stepApprover of step.approvers) {
+        if (stepApprover.status !== 'pending') continue;
+
+        const approverId = stepApprover.user._id || stepApprover.user;
+        const notification = await this.createApprovalRequestNotification(expense, { _id: approverId }, io);
+        notifications.push(notification);
+      }
+
+      return notifications;
+    } catch (error) {
+      console.error('Error creating approval step notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create escalation notification for the user an approval was escalated to
+   * @param {Object} approvalFlow - ApprovalFlow object (expense or report populated, with employee)
+   * @param {Object} escalatedTo - User the approval was escalated to
+   * @param {Object} io - Socket.IO instance
+   */
+  static async createEscalationNotification(approvalFlow, escalatedTo, io = null) {
+    try {
+      const report = approvalFlow.report;
+      const subject = approvalFlow.expense || report;
+      const employee = subject.employee || {};
+      const employeeName = employee.firstName ? `${employee.firstName} ${employee.lastName}` : undefined;
+      const amount = report ? report.totalAmount : subject.amount;
+
+      const notificationData = {
+        recipient: escalatedTo._id,
+        sender: employee._id || subject.employee,
+        company: approvalFlow.company,
+        type: 'approval_escalated',
+        title: 'Approval Escalated to You',
+        message: `An ${report ? 'expense report' : 'expense'} approval of ${subject.currency} ${amount}${employeeName ? ` by ${employeeName}` : ''} was escalated to you after the approvers did not respond in time.`,
+        data: {
+          expenseId: report ? undefined : subject._id,
+          reportId: report ? report._id : undefined,
+          amount,
+          currency: subject.currency,
+          employeeName
+        },
+        priority: 'high'
+      };
+
+      return await this.createNotification(notificationData, io);
+    } catch (error) {
+      console.error('Error creating escalation notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tell a substitute that they approve on someone's behalf for a period
+   * @param {Object} delegation - Delegation object (delegator populated)
+   * @param {Object} io - Socket.IO instance
+   */
+  static async createDelegationNotification(delegation, io = null) {
+    try {
+      const delegator = delegation.delegator;
+      const delegatorName = `${delegator.firstName} ${delegator.lastName}`;
+      const day = (date) => date.toISOString().slice(0, 10);
+
+      const notificationData = {
+        recipient: delegation.delegate._id || delegation.delegate,
+        sender: delegation.createdBy,
+        company: delegation.company,
+        type: 'approval_delegated',
+        title: 'Approvals Delegated to You',
+        message: `You approve on behalf of ${delegatorName} from ${day(delegation.startDate)} to ${day(delegation.endDate)}` +
+          `${delegation.categories.length > 0 ? ` for ${delegation.categories.join(', ')}` : ''}` +
+          `${delegation.maxAmount !== null ? ` up to ${delegation.maxAmount}` : ''}.`,
+        data: {
+          delegationId: delegation._id,
+          managerName: delegatorName,
+          reason: delegation.reason
+        },
+        priority: 'medium'
+      };
+
+      return await this.createNotification(notificationData, io);
+    } catch (error) {
+      console.error('Error creating delegation notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create expense report submission notification for managers/admins
+   * @param {Object} report - ExpenseReport object (employee populated)
+   * @param {Object} io - Socket.IO instance
+   */
+  static async createReportSubmittedNotification(report, io = null) {
+    try {
+      const managersAndAdmins = await User.find({
+        company: report.company,
+        role: { $in: ['manager', 'admin'] }
+      });
+
+      const notifications = [];
+
+      for (const user of managersAndAdmins) {
+        const notificationData = {
+          recipient: user._id,
+          sender: report.employee._id,
+          company: report.company,
+          type: 'report_submitted',
+          title: 'New Expense Report Submitted',
+          message: `Expense report "${report.title}" (${report.currency} ${report.totalAmount}, ${report.expenses.length} expenses) has been submitted for approval.`,
+          data: {
+            reportId: report._id,
+            amount: report.totalAmount,
+            currency: report.currency,
+            employeeName: `${report.employee.firstName} ${report.employee.lastName}`
+          },
+          priority: 'medium'
+        };
+
+        const notification = await this.createNotification(notificationData, io);
+        notifications.push(notification);
+      }
+
+      return notifications;
+    } catch (error) {
+      console.error('Error creating report submitted notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Notify every pending approver in an expense report approval step
+   * @param {Object} report - ExpenseReport object (employee populated)
+   * @param {Object} step - ApprovalFlow step object
+   * @param {Object} io - Socket.IO instance
+   */
+  static async createReportApprovalStepNotification(report, step, io = null) {
+    try {
+      const notifications = [];
+
+      for (const stepApprover of step.approvers) {
+        if (stepApprover.status !== 'pending') continue;
+
+        const notificationData = {
+          recipient: stepApprover.user._id || stepApprover.user,
+          sender: report.employee._id,
+          company: report.company,
+          type: 'approval_request',
+          title: 'Expense Report Approval Required',
+          message: `You have a pending approval request for expense report "${report.title}" (${report.currency} ${report.totalAmount}).`,
+          data: {
+            reportId: report._id,
+            amount: report.totalAmount,
+            currency: report.currency,
+            employeeName: `${report.employee.firstName} ${report.employee.lastName}`
+          },
+          priority: 'high'
+        };
+
+        const notification = await this.createNotification(notificationData, io);
+        notifications.push(notification);
+      }
+
+      return notifications;
+    } catch (error) {
+      console.error('Error creating report approval step notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create expense report decision notification for the employee
+   * @param {Object} report - ExpenseReport object
+   * @param {Object} decidedBy - User who made the final decision
+   * @param {String} reason - Rejection reason or summary of rejected lines
+   * @param {Object} io - Socket.IO instance
+   */
+  static async createReportDecisionNotification(report, decidedBy, reason, io = null) {
+    try {
+      const isApproved = report.status === 'approved';
+      const managerName = `${decidedBy.firstName} ${decidedBy.lastName}`;
+
+      const notificationData = {
+        recipient: report.employee._id || report.employee,
+        sender: decidedBy._id,
+        company: report.company,
+        type: isApproved ? 'report_approved' : 'report_rejected',
+        title: isApproved ? 'Expense Report Approved' : 'Expense Report Rejected',
+        message: `Your expense report "${report.title}" has been ${isApproved ? 'approved' : 'rejected'} by ${managerName}.${reason ? ` ${isApproved ? 'Note' : 'Reason'}: ${reason}` : ''}`,
+        data: {
+          reportId: report._id,
+          amount: report.totalAmount,
+          currency: report.currency,
+          managerName,
+          reason
+        },
+        priority: isApproved ? 'medium' : 'high'
+      };
+
+      return await this.createNotification(notificationData, io);
+    } catch (error) {
+      console.error('Error creating report decision notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create notification for an employee whose payout has been paid
+   * @param {Object} batch - ReimbursementBatch object
+   * @param {Object} payout - Payout entry of the batch
+   * @param {Object} paidBy - User who recorded the payment
+   * @param {Object} io - Socket.IO instance
+   */
+  static async createExpenseReimbursedNotification(batch, payout, paidBy, io = null) {
+    try {
+      const expenseCount = payout.expenses.length;
+
+      const notificationData = {
+        recipient: payout.employee._id || payout.employee,
+        sender: paidBy._id,
+        company: batch.company,
+        type: 'expense_reimbursed',
+        title: 'Expenses Reimbursed',
+        message: `${expenseCount} approved expense${expenseCount === 1 ? '' : 's'} totalling ${batch.currency} ${payout.amount.toFixed(2)} ${expenseCount === 1 ? 'has' : 'have'} been reimbursed (batch ${batch.batchNumber}).`,
+        data: {
+          reimbursementBatchId: batch._id,
+          amount: payout.amount,
+          currency: batch.currency
+        },
+        priority: 'medium'
+      };
+
+      return await this.createNotification(notificationData, io);
+    } catch (error) {
+      console.error('Error creating reimbursement notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Notify the people responsible for a budget that it crossed an alert threshold
+   * @param {Object} status - Budget consumption from BudgetService.getStatus
+   * @param {Number} threshold - Highest threshold crossed, in percent
+   * @param {Array} recipients - User ids to notify
+   * @param {Object} expense - Expense whose submission crossed the threshold
+   * @param {String} currency - Company currency
+   * @param {Object} io - Socket.IO instance
+   */
+  static async createBudgetThresholdNotification(status, threshold, recipients, expense, currency, io = null) {
+    try {
+      const notifications = [];
+
+      for (const recipient of recipients) {
+        const notificationData = {
+          recipient,
+          sender: expense.employee._id || expense.employee,
+          company: expense.company,
+          type: 'budget_threshold',
+          title: threshold >= 100 ? 'Budget Exceeded' : `Budget ${threshold}% Used`,
+          message: `${status.targetName} has used ${status.percentUsed}% of its budget for ${status.periodLabel} ` +
+            `(${currency} ${status.used.toFixed(2)} of ${currency} ${status.amount.toFixed(2)}: ` +
+            `${currency} ${status.spent.toFixed(2)} approved, ${currency} ${status.committed.toFixed(2)} pending).`,
+          data: {
+            budgetId: status.budget._id,
+            expenseId: expense._id,
+            amount: status.used,
+            currency
+          },
+          priority: threshold >= 100 ? 'high' : 'medium'
+        };
+
+        notifications.push(await this.createNotification(notificationData, io));
+      }
+
+      return notifications;
+    } catch (error) {
+      console.error('Error creating budget threshold notification:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get unread notification count for a user
    * @param {String} userId - User ID
@@ -0,0 +1,419 @@
+const User = require('../models/User');
+const Company = require('../models/Company');
+const EncryptionService = require('./encryptionService');
+
+// Currency each payment file format settles in
+const FORMAT_CURRENCIES = {
+  sepa: 'EUR',
+  nacha: 'USD'
+};
+
+class PaymentFileService {
+  /**
+   * Validate an IBAN using the ISO 13616 mod-97 check
+   * @param {String} iban - IBAN without spaces
+   * @returns {Boolean} Whether the IBAN is valid
+   */
+  static isValidIban(iban) {
+    if (!iban || !/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) {
+      return false;
+    }
+
+    const rearranged = iban.slice(4) + iban.slice(0, 4);
+    const numeric = rearranged.replace(/[A-Z]/g, char => (char.charCodeAt(0) - 55).toString());
+
+    let remainder = 0;
+    for (const digit of numeric) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+    return remainder === 1;
+  }
+
+  /**
+   * Validate a BIC (SWIFT code)
+   * @param {String} bic - BIC
+   * @returns {Boolean} Whether the BIC is well formed
+   */
+  static isValidBic(bic) {
+    return /^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(bic || '');
+  }
+
+  /**
+   * Validate a US ABA routing number using its check digit
+   * @param {String} routingNumber - 9 digit routing number
+   * @returns {Boolean} Whether the routing number is valid
+   */
+  static isValidRoutingNumber(routingNumber) {
+    if (!/^\d{9}$/.test(routingNumber || '')) {
+      return false;
+    }
+
+    const d = routingNumber.split('').map(Number);
+    const checksum = 3 * (d[0] + d[3] + d[6]) + 7 * (d[1] + d[4] + d[7]) + (d[2] + d[5] + d[8]);
+    return checksum % 10 === 0;
+  }
+
+  /**
+   * Check that a set of bank details can be paid with the given format
+   * @param {Object} details - Decrypted bank details
+   * @param {String} format - 'sepa' or 'nacha'
+   * @returns {String|null} Problem description, or null when usable
+   */
+  static validateBankDetails(details, format) {
+    if (!details) {
+      return 'No bank details on file';
+    }
+
+    if (format === 'sepa') {
+      if (!this.isValidIban(details.iban)) return 'Missing or invalid IBAN';
+      if (details.bic && !this.isValidBic(details.bic)) return 'Invalid BIC';
+    } else {
+      if (!this.isValidRoutingNumber(details.routingNumber)) return 'Missing or invalid routing number';
+      if (!/^[0-9A-Za-z-]{1,17}$/.test(details.accountNumber || '')) return 'Missing or invalid account number';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check the company payer settings required by a format
+   * @param {Object} company - Company with +paymentSettings.iban selected
+   * @param {String} format - 'sepa' or 'nacha'
+   * @returns {Array} Error messages
+   */
+  static validateCompanySettings(company, format) {
+    const errors = [];
+    const settings = company.paymentSettings || {};
+
+    if (company.currency !== FORMAT_CURRENCIES[format]) {
+      errors.push(`${format.toUpperCase()} files require company currency ${FORMAT_CURRENCIES[format]}, but the company uses ${company.currency}`);
+    }
+
+    if (format === 'sepa') {
+      const iban = EncryptionService.decrypt(settings.iban);
+      if (!this.isValidIban(iban)) errors.push('Company IBAN is missing or invalid');
+      if (settings.bic && !this.isValidBic(settings.bic)) errors.push('Company BIC is invalid');
+    } else {
+      if (!this.isValidRoutingNumber(settings.achImmediateDestination)) {
+        errors.push('Originating bank routing number is missing or invalid');
+      }
+      if (!/^.{1,10}$/.test(settings.achCompanyId || '')) {
+        errors.push('ACH company identification is missing or longer than 10 characters');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Resolve payee bank details for every payout in a batch
+   * @param {Object} batch - ReimbursementBatch object
+   * @param {String} format - 'sepa' or 'nacha'
+   * @returns {Array} [{ employee, amount, expenseCount, bankDetails, maskedAccount, issue }]
+   */
+  static async preparePayouts(batch, format) {
+    const employeeIds = batch.payouts.map(payout => payout.employee._id || payout.employee);
+    const employees = await User.find({ _id: { $in: employeeIds } })
+      .select('+bankDetails.iban +bankDetails.accountNumber');
+    const employeesById = new Map(employees.map(employee => [employee._id.toString(), employee]));
+
+    return batch.payouts.map(payout => {
+      const employee = employeesById.get((payout.employee._id || payout.employee).toString());
+      const bankDetails = employee ? employee.getBankDetails() : null;
+
+      return {
+        employee: employee ? {
+          _id: employee._id,
+          firstName: employee.firstName,
+          lastName: employee.lastName,
+          email: employee.email
+        } : null,
+        amount: payout.amount,
+        expenseCount: payout.expenses.length,
+        bankDetails,
+        maskedAccount: employee && employee.bankDetails ? employee.bankDetails.maskedAccount : null,
+        issue: employee ? this.validateBankDetails(bankDetails, format) : 'Employee not found'
+      };
+    });
+  }
+
+  /**
+   * Load the company and payouts for a batch and collect everything blocking the export
+   * @param {Object} batch - ReimbursementBatch object
+   * @param {String} format - 'sepa' or 'nacha'
+   * @returns {Object} { company, payouts, errors }
+   */
+  static async prepareExport(batch, format) {
+    const company = await Company.findById(batch.company).select('+paymentSettings.iban');
+    const payouts = await this.preparePayouts(batch, format);
+    const errors = this.validateCompanySettings(company, format);
+
+    payouts
+      .filter(payout => payout.issue)
+      .forEach(payout => {
+        const name = payout.employee ? `${payout.employee.firstName} ${payout.employee.lastName}` : 'Unknown employee';
+        errors.push(`${name}: ${payout.issue}`);
+      });
+
+    return { company, payouts, errors };
+  }
+
+  /**
+   * Build a preview of the payment file for a batch without generating it
+   * @param {Object} batch - ReimbursementBatch object
+   * @param {String} format - 'sepa' or 'nacha'
+   * @returns {Object} { format, batchNumber, currency, totalAmount, paymentCount, payouts, errors, ready }
+   */
+  static async buildPreview(batch, format) {
+    const { payouts, errors } = await this.prepareExport(batch, format);
+
+    return {
+      format,
+      batchNumber: batch.batchNumber,
+      currency: batch.currency,
+      totalAmount: batch.totalAmount,
+      paymentCount: payouts.length,
+      // Never expose decrypted account identifiers in the preview
+      payouts: payouts.map(({ bankDetails, ...payout }) => payout),
+      errors,
+      ready: errors.length === 0
+    };
+  }
+
+  /**
+   * Generate the payment file for a batch
+   * @param {Object} batch - ReimbursementBatch object
+   * @param {String} format - 'sepa' or 'nacha'
+   * @param {Object} options - { executionDate }
+   * @returns {Object} { errors } when not ready, otherwise { fileName, contentType, content }
+   */
+  static async generateFile(batch, format, options = {}) {
+    const { company, payouts, errors } = await this.prepareExport(batch, format);
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const executionDate = options.executionDate ? new Date(options.executionDate) : new Date();
+
+    if (format === 'sepa') {
+      return {
+        fileName: `${batch.batchNumber}.xml`,
+        contentType: 'application/xml',
+        content: this.buildSepaXml(batch, company, payouts, executionDate)
+      };
+    }
+
+    return {
+      fileName: `${batch.batchNumber}.ach`,
+      contentType: 'text/plain',
+      content: this.buildNachaFile(batch, company, payouts, executionDate)
+    };
+  }
+
+  /**
+   * Reduce text to the SEPA character set and maximum length
+   * @param {String} value - Text
+   * @param {Number} maxLength - Maximum length
+   * @returns {String} Sanitized, XML-safe text
+   */
+  static sepaText(value, maxLength) {
+    return String(value || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^A-Za-z0-9/\-?:().,'+ ]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, maxLength)
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Build a SEPA credit transfer initiation (pain.001.001.03)
+   * @param {Object} batch - ReimbursementBatch object
+   * @param {Object} company - Company with +paymentSettings.iban selected
+   * @param {Array} payouts - Prepared payouts (see preparePayouts)
+   * @param {Date} executionDate - Requested execution date
+   * @returns {String} XML document
+   */
+  static buildSepaXml(batch, company, payouts, executionDate) {
+    const settings = company.paymentSettings;
+    const debtorName = this.sepaText(settings.debtorName || company.name, 70);
+    const messageId = this.sepaText(`${batch.batchNumber}-${Date.now()}`, 35);
+    const controlSum = payouts.reduce((sum, payout) => sum + payout.amount, 0).toFixed(2);
+    const agent = (bic) => bic
+      ? `<FinInstnId><BIC>${bic}</BIC></FinInstnId>`
+      : '<FinInstnId><Othr><Id>NOTPROVIDED</Id></Othr></FinInstnId>';
+
+    const transactions = payouts.map((payout, index) => `
+      <CdtTrfTxInf>
+        <PmtId>
+          <EndToEndId>${this.sepaText(`${batch.batchNumber}-${index + 1}`, 35)}</EndToEndId>
+        </PmtId>
+        <Amt>
+          <InstdAmt Ccy="EUR">${payout.amount.toFixed(2)}</InstdAmt>
+        </Amt>
+        <CdtrAgt>${agent(payout.bankDetails.bic)}</CdtrAgt>
+        <Cdtr>
+          <Nm>${this.sepaText(payout.bankDetails.accountHolderName, 70)}</Nm>
+        </Cdtr>
+        <CdtrAcct>
+          <Id><IBAN>${payout.bankDetails.iban}</IBAN></Id>
+        </CdtrAcct>
+        <RmtInf>
+          <Ustrd>${this.sepaText(`Expense reimbursement ${batch.batchNumber}`, 140)}</Ustrd>
+        </RmtInf>
+      </CdtTrfTxInf>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.03" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <CstmrCdtTrfInitn>
+    <GrpHdr>
+      <MsgId>${messageId}</MsgId>
+      <CreDtTm>${new Date().toISOString().slice(0, 19)}</CreDtTm>
+      <NbOfTxs>${payouts.length}</NbOfTxs>
+      <CtrlSum>${controlSum}</CtrlSum>
+      <InitgPty>
+        <Nm>${debtorName}</Nm>
+      </InitgPty>
+    </GrpHdr>
+    <PmtInf>
+      <PmtInfId>${this.sepaText(batch.batchNumber, 35)}</PmtInfId>
+      <PmtMtd>TRF</PmtMtd>
+      <BtchBookg>true</BtchBookg>
+      <NbOfTxs>${payouts.length}</NbOfTxs>
+      <CtrlSum>${controlSum}</CtrlSum>
+      <PmtTpInf>
+        <SvcLvl><Cd>SEPA</Cd></SvcLvl>
+      </PmtTpInf>
+      <ReqdExctnDt>${executionDate.toISOString().slice(0, 10)}</ReqdExctnDt>
+      <Dbtr>
+        <Nm>${debtorName}</Nm>
+      </Dbtr>
+      <DbtrAcct>
+        <Id><IBAN>${EncryptionService.decrypt(settings.iban)}</IBAN></Id>
+      </DbtrAcct>
+      <DbtrAgt>${agent(settings.bic)}</DbtrAgt>
+      <ChrgBr>SLEV</ChrgBr>${transactions}
+    </PmtInf>
+  </CstmrCdtTrfInitn>
+</Document>
+`;
+  }
+
+  /**
+   * Fit a value into a fixed-width NACHA field
+   * @param {String|Number} value - Field value
+   * @param {Number} length - Field length
+   * @param {Boolean} numeric - Right-justify and zero-fill instead of left-justify and space-fill
+   * @returns {String} Field
+   */
+  static nachaField(value, length, numeric = false) {
+    const text = String(value === undefined || value === null ? '' : value);
+    if (numeric) {
+      return text.replace(/\D/g, '').slice(-length).padStart(length, '0');
+    }
+    return text
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toUpperCase()
+      .replace(/[^A-Z0-9 .,&'/-]/g, ' ')
+      .slice(0, length)
+      .padEnd(length, ' ');
+  }
+
+  /**
+   * Build a NACHA ACH file with a single PPD credit batch
+   * @param {Object} batch - ReimbursementBatch object
+   * @param {Object} company - Company object
+   * @param {Array} payouts - Prepared payouts (see preparePayouts)
+   * @param {Date} effectiveDate - Effective entry date
+   * @returns {String} ACH file contents
+   */
+  static buildNachaFile(batch, company, payouts, effectiveDate) {
+    const settings = company.paymentSettings;
+    const field = this.nachaField;
+    const now = new Date();
+    const yymmdd = (date) => date.toISOString().slice(2, 10).replace(/-/g, '');
+    const odfi = settings.achImmediateDestination.slice(0, 8);
+    const companyName = settings.achCompanyName || company.name;
+
+    const fileHeader = '1' + '01'
+      + ' ' + field(settings.achImmediateDestination, 9, true)
+      + field(settings.achImmediateOrigin || settings.achCompanyId, 10)
+      + yymmdd(now)
+      + now.toISOString().slice(11, 16).replace(':', '')
+      + 'A' + '094' + '10' + '1'
+      + field(settings.achImmediateDestinationName, 23)
+      + field(company.name, 23)
+      + field(batch.batchNumber.replace(/\D/g, '').slice(-8), 8);
+
+    const batchHeader = '5' + '220'
+      + field(companyName, 16)
+      + field('', 20)
+      + field(settings.achCompanyId, 10)
+      + 'PPD'
+      + field('EXPENSES', 10)
+      + field('', 6)
+      + yymmdd(effectiveDate)
+      + '   ' + '1'
+      + field(odfi, 8, true)
+      + field(1, 7, true);
+
+    let entryHash = 0;
+    let totalCredit = 0;
+
+    const entries = payouts.map((payout, index) => {
+      const { routingNumber, accountNumber, accountType, accountHolderName } = payout.bankDetails;
+      const cents = Math.round(payout.amount * 100);
+      entryHash += Number(routingNumber.slice(0, 8));
+      totalCredit += cents;
+
+      return '6'
+        + (accountType === 'savings' ? '32' : '22')
+        + routingNumber.slice(0, 8)
+        + routingNumber.slice(8)
+        + field(accountNumber, 17)
+        + field(cents, 10, true)
+        + field(payout.employee._id.toString().slice(-15), 15)
+        + field(accountHolderName, 22)
+        + '  ' + '0'
+        + field(odfi, 8, true) + field(index + 1, 7, true);
+    });
+
+    const hash = field(entryHash, 10, true);
+
+    const batchControl = '8' + '220'
+      + field(entries.length, 6, true)
+      + hash
+      + field(0, 12, true)
+      + field(totalCredit, 12, true)
+      + field(settings.achCompanyId, 10)
+      + field('', 19)
+      + field('', 6)
+      + field(odfi, 8, true)
+      + field(1, 7, true);
+
+    const recordCount = entries.length + 4;
+    const blockCount = Math.ceil(recordCount / 10);
+
+    const fileControl = '9'
+      + field(1, 6, true)
+      + field(blockCount, 6, true)
+      + field(entries.length, 8, true)
+      + hash
+      + field(0, 12, true)
+      + field(totalCredit, 12, true)
+      + field('', 39);
+
+    const records = [fileHeader, batchHeader, ...entries, batchControl, fileControl];
+
+    // Pad the file to a whole number of 10-record blocks
+    while (records.length % 10 !== 0) {
+      records.push('9'.repeat(94));
+    }
+
+    return records.join('\n') + '\n';
+  }
+}
+
+module.exports = PaymentFileService;
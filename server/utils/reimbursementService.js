@@ -0,0 +1,200 @@
+const Expense = require('../models/Expense');
+const Company = require('../models/Company');
+const ReimbursementBatch = require('../models/ReimbursementBatch');
+const NotificationService = require('./notificationService');
+
+class ReimbursementService {
+  /**
+   * Build the query for approved expenses that still have to be paid out
+   * @param {String} companyId - Company ID
+   * @param {Object} filters - { employeeIds, expenseIds, approvedBefore }
+   * @returns {Object} Mongo query
+   */
+  static getEligibleQuery(companyId, filters = {}) {
+    const query = {
+      company: companyId,
+      status: 'approved',
+      isReimbursed: false,
+      reimbursementBatch: null
+    };
+
+    if (filters.employeeIds && filters.employeeIds.length > 0) {
+      query.employee = { $in: filters.employeeIds };
+    }
+    if (filters.expenseIds && filters.expenseIds.length > 0) {
+      query._id = { $in: filters.expenseIds };
+    }
+    if (filters.approvedBefore) {
+      query.approvedAt = { $lte: new Date(filters.approvedBefore) };
+    }
+
+    return query;
+  }
+
+  /**
+   * Group expenses into one payout per employee
+   * @param {Array} expenses - Expense objects
+   * @returns {Array} [{ employee, expenses, amount }] sorted by amount, largest first
+   */
+  static groupByEmployee(expenses) {
+    const payouts = new Map();
+
+    for (const expense of expenses) {
+      const employeeId = (expense.employee._id || expense.employee).toString();
+      if (!payouts.has(employeeId)) {
+        payouts.set(employeeId, { employee: expense.employee, expenses: [], amount: 0 });
+      }
+
+      const payout = payouts.get(employeeId);
+      payout.expenses.push(expense);
+      payout.amount += expense.amountInCompanyCurrency || 0;
+    }
+
+    return Array.from(payouts.values())
+      .map(payout => ({ ...payout, amount: Math.round(payout.amount * 100) / 100 }))
+      .sort((a, b) => b.amount - a.amount);
+  }
+
+  /**
+   * Generate the next batch number for a company, e.g. RB-20240131-003
+   * @param {String} companyId - Company ID
+   * @param {Date} date - Batch date
+   * @returns {String} Batch number
+   */
+  static async generateBatchNumber(companyId, date = new Date()) {
+    const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+    const prefix = `RB-${day}-`;
+    const count = await ReimbursementBatch.countDocuments({
+      company: companyId,
+      batchNumber: { $regex: `^${prefix}` }
+    });
+
+    return `${prefix}${String(count + 1).padStart(3, '0')}`;
+  }
+
+  /**
+   * Create a payout batch from the eligible expenses matching the filters
+   * @param {Object} user - User creating the batch
+   * @param {Object} filters - { employeeIds, expenseIds, approvedBefore }
+   * @param {String} notes - Optional batch notes
+   * @returns {Object|null} Created batch, or null when nothing is eligible
+   */
+  static async createBatch(user, filters = {}, notes) {
+    try {
+      const company = await Company.findById(user.company);
+      const candidates = await Expense.find(this.getEligibleQuery(user.company, filters)).select('_id');
+      if (candidates.length === 0) {
+        return null;
+      }
+
+      const batch = new ReimbursementBatch({
+        company: user.company,
+        batchNumber: await this.generateBatchNumber(user.company),
+        currency: company.currency,
+        notes,
+        createdBy: user._id
+      });
+      await batch.save();
+
+      // Claim the expenses atomically so two batches never pay the same expense
+      await Expense.updateMany(
+        { _id: { $in: candidates.map(c => c._id) }, isReimbursed: false, reimbursementBatch: null },
+        { $set: { reimbursementBatch: batch._id } }
+      );
+
+      const claimed = await Expense.find({ reimbursementBatch: batch._id });
+      if (claimed.length === 0) {
+        await batch.deleteOne();
+        return null;
+      }
+
+      const payouts = this.groupByEmployee(claimed);
+      batch.payouts = payouts.map(payout => ({
+        employee: payout.employee,
+        expenses: payout.expenses.map(expense => expense._id),
+        amount: payout.amount
+      }));
+      batch.expenseCount = claimed.length;
+      batch.totalAmount = Math.round(payouts.reduce((sum, payout) => sum + payout.amount, 0) * 100) / 100;
+      await batch.save();
+
+      return batch;
+    } catch (error) {
+      console.error('Error creating reimbursement batch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an open batch as paid and flag all of its expenses as reimbursed
+   * @param {Object} batch - ReimbursementBatch object (document)
+   * @param {Object} user - User recording the payment
+   * @param {Object} payment - { method, reference, paidAt }
+   * @param {Object} io - Socket.IO instance
+   * @returns {Object} Updated batch
+   */
+  static async markBatchPaid(batch, user, payment, io = null) {
+    try {
+      const paidAt = payment.paidAt ? new Date(payment.paidAt) : new Date();
+
+      batch.status = 'paid';
+      batch.paymentMethod = payment.method;
+      batch.paymentReference = payment.reference;
+      batch.paidAt = paidAt;
+      batch.paidBy = user._id;
+      await batch.save();
+
+      await Expense.updateMany(
+        { reimbursementBatch: batch._id },
+        {
+          $set: {
+            isReimbursed: true,
+            reimbursementDate: paidAt,
+            reimbursementMethod: payment.method,
+            reimbursementReference: payment.reference
+          }
+        }
+      );
+
+      if (io) {
+        for (const payout of batch.payouts) {
+          try {
+            await NotificationService.createExpenseReimbursedNotification(batch, payout, user, io);
+          } catch (notificationError) {
+            console.error('Error sending reimbursement notification:', notificationError);
+          }
+        }
+      }
+
+      return batch;
+    } catch (error) {
+      console.error('Error marking reimbursement batch as paid:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an open batch and release its expenses for a later batch
+   * @param {Object} batch - ReimbursementBatch object (document)
+   * @returns {Object} Updated batch
+   */
+  static async cancelBatch(batch) {
+    try {
+      await Expense.updateMany(
+        { reimbursementBatch: batch._id, isReimbursed: false },
+        { $set: { reimbursementBatch: null } }
+      );
+
+      batch.status = 'cancelled';
+      batch.cancelledAt = new Date();
+      await batch.save();
+
+      return batch;
+    } catch (error) {
+      console.error('Error cancelling reimbursement batch:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ReimbursementService;
@@ -0,0 +1,72 @@
+const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * Stores files in an S3-compatible bucket (AWS S3, MinIO, ...).
+ * Downloads go straight to the bucket through presigned URLs.
+ */
+class S3StorageDriver {
+  /**
+   * @param {Object} options - { bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }
+   */
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region: region || 'us-east-1',
+      // A custom endpoint points the driver at MinIO or another S3-compatible service
+      endpoint: endpoint || undefined,
+      forcePathStyle: Boolean(forcePathStyle),
+      credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  /**
+   * Write a file
+   * @param {String} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - { contentType }
+   */
+  async save(key, buffer, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+  }
+
+  /**
+   * Delete a file
+   * @param {String} key - Storage key
+   */
+  async remove(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+
+  /**
+   * Create a presigned download URL
+   * @param {String} key - Storage key
+   * @param {Object} options - { expiresIn (seconds), fileName, contentType, inline }
+   * @returns {String} Presigned URL
+   */
+  async getSignedUrl(key, { expiresIn, fileName, contentType, inline }) {
+    const command = new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ResponseContentDisposition: `${inline ? 'inline' : 'attachment'}; filename="${fileName.replace(/"/g, '')}"`,
+      ResponseContentType: contentType || undefined
+    });
+
+    return getSignedUrl(this.client, command, { expiresIn });
+  }
+}
+
+module.exports = S3StorageDriver;
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const path = require('path');
+const LocalStorageDriver = require('./localStorageDriver');
+const S3StorageDriver = require('./s3StorageDriver');
+
+const DEFAULT_URL_TTL_SECONDS = 300;
+
+// Driver instances, created on first use
+const drivers = {};
+
+class StorageService {
+  /**
+   * Get a storage driver
+   * @param {String} name - 'local' or 's3' (defaults to STORAGE_DRIVER)
+   * @returns {Object} Driver instance
+   */
+  static getDriver(name = process.env.STORAGE_DRIVER || 'local') {
+    if (!drivers[name]) {
+      if (name === 'local') {
+        drivers[name] = new LocalStorageDriver({
+          root: process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '../uploads'),
+          signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || 'fallback-secret',
+          publicUrl: process.env.STORAGE_PUBLIC_URL || ''
+        });
+      } else if (name === 's3') {
+        drivers[name] = new S3StorageDriver({
+          bucket: process.env.S3_BUCKET,
+          region: process.env.S3_REGION,
+          endpoint: process.env.S3_ENDPOINT,
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+          forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+        });
+      } else {
+        throw new Error(`Unknown storage driver: ${name}`);
+      }
+    }
+    return drivers[name];
+  }
+
+  /**
+   * Build a unique storage key
+   * @param {String} prefix - Key prefix, e.g. 'receipts'
+   * @param {String} originalName - Uploaded file name (for the extension)
+   * @returns {String} Storage key, e.g. receipts/2024/05/1715000000000-3f2a9c1e.pdf
+   */
+  static buildKey(prefix, originalName) {
+    const now = new Date();
+    const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+    const ext = path.extname(originalName || '').toLowerCase();
+    const unique = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    return `${prefix}/${now.getUTCFullYear()}/${month}/${unique}${ext}`;
+  }
+
+  /**
+   * Store a file with the configured driver
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - { prefix, originalName, contentType }
+   * @returns {Object} { storage, storageKey }
+   */
+  static async save(buffer, { prefix, originalName, contentType }) {
+    const driver = this.getDriver();
+    const storageKey = this.buildKey(prefix, originalName);
+    await driver.save(storageKey, buffer, { contentType });
+    return { storage: driver.name, storageKey };
+  }
+
+  /**
+   * Find the driver and key of a stored file. Files uploaded before storage
+   * drivers existed only have an absolute `path` on the local disk.
+   * @param {Object} file - { storage, storageKey } or legacy { path }
+   * @returns {Object} { driver, key } (null key when the file cannot be located)
+   */
+  static locate(file) {
+    if (file.storageKey) {
+      return { driver: this.getDriver(file.storage || 'local'), key: file.storageKey };
+    }
+
+    const driver = this.getDriver('local');
+    const key = file.path ? path.relative(driver.root, path.resolve(file.path)) : null;
+    const insideRoot = key && !key.startsWith('..') && !path.isAbsolute(key);
+    return { driver, key: insideRoot ? key.split(path.sep).join('/') : null };
+  }
+
+  /**
+   * Delete a stored file; errors are logged, not thrown
+   * @param {Object} file - Stored file or attachment
+   */
+  static async remove(file) {
+    try {
+      const { driver, key } = this.locate(file);
+      if (key) {
+        await driver.remove(key);
+      }
+    } catch (error) {
+      console.error('Error deleting stored file:', error);
+    }
+  }
+
+  /**
+   * Create a short-lived download URL
+   * @param {Object} file - Stored file or attachment ({ originalName, mimetype })
+   * @param {Object} options - { inline }
+   * @returns {Object} { url, expiresAt } or null when the file cannot be located
+   */
+  static async getSignedUrl(file, { inline = false } = {}) {
+    const { driver, key } = this.locate(file);
+    if (!key) {
+      return null;
+    }
+
+    const expiresIn = parseInt(process.env.STORAGE_URL_TTL_SECONDS) || DEFAULT_URL_TTL_SECONDS;
+    // Header-safe file name for Content-Disposition
+    const fileName = (file.originalName || path.basename(key)).replace(/[^\x20-\x7e]/g, '_');
+
+    const url = await driver.getSignedUrl(key, {
+      expiresIn,
+      fileName,
+      contentType: file.mimetype,
+      inline
+    });
+
+    return { url, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+  }
+
+  /**
+   * Multer storage engine that hands uploads to the configured driver.
+   * Each stored file also gets a SHA-256 `contentHash` of its contents.
+   * @param {String} prefix - Key prefix for stored files
+   * @returns {Object} Multer storage engine
+   */
+  static multerStorage(prefix) {
+    return {
+      _handleFile: (req, file, cb) => {
+        const chunks = [];
+        file.stream.on('data', chunk => chunks.push(chunk));
+        file.stream.on('error', cb);
+        file.stream.on('end', async () => {
+          try {
+            const buffer = Buffer.concat(chunks);
+            const stored = await this.save(buffer, {
+              prefix,
+              originalName: file.originalname,
+              contentType: file.mimetype
+            });
+            cb(null, {
+              ...stored,
+              size: buffer.length,
+              contentHash: crypto.createHash('sha256').update(buffer).digest('hex')
+            });
+          } catch (error) {
+            cb(error);
+          }
+        });
+      },
+      _removeFile: (req, file, cb) => {
+        this.remove(file).then(() => cb(null), cb);
+      }
+    };
+  }
+}
+
+module.exports = StorageService;
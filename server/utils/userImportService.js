@@ -0,0 +1,349 @@
+const User = require('../models/User');
+const Department = require('../models/Department');
+const emailService = require('./emailService');
+const CsvImport = require('./csvImport');
+const { generateTempPassword } = require('./passwordUtils');
+
+const MAX_ROWS = 1000;
+const ROLES = ['employee', 'manager', 'admin'];
+const MANAGER_ROLES = ['manager', 'admin'];
+const EMAIL_PATTERN = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+
+// Accepted header names per User field, compared lowercase without spaces/punctuation
+const COLUMN_ALIASES = {
+  firstName: ['firstname', 'givenname'],
+  lastName: ['lastname', 'surname', 'familyname'],
+  email: ['email', 'emailaddress'],
+  role: ['role'],
+  managerEmail: ['manager', 'manageremail'],
+  department: ['department', 'departmentname'],
+  employeeId: ['employeeid', 'employeenumber', 'employeeno'],
+  phone: ['phone', 'phonenumber']
+};
+
+const REQUIRED_COLUMNS = ['firstName', 'lastName', 'email'];
+
+class UserImportService {
+  /**
+   * Validate a user CSV and plan the import without writing anything
+   * @param {Buffer} buffer - CSV file contents
+   * @param {String} companyId - Company ID
+   * @returns {Object} Validation report { totalRows, validRows, invalidRows, columns, errors, rows }
+   */
+  static async validate(buffer, companyId) {
+    let parsed;
+    try {
+      parsed = CsvImport.parse(buffer);
+    } catch (error) {
+      return this.fileError(`Could not parse CSV: ${error.message}`);
+    }
+
+    if (parsed.rows.length === 0) {
+      return this.fileError('The file contains no data rows');
+    }
+    if (parsed.rows.length > MAX_ROWS) {
+      return this.fileError(`The file contains ${parsed.rows.length} rows; at most ${MAX_ROWS} users can be imported at once`);
+    }
+
+    const { mapping, ignored } = CsvImport.mapColumns(parsed.headers, COLUMN_ALIASES);
+    const missing = REQUIRED_COLUMNS.filter(field => mapping[field] === undefined);
+    if (missing.length > 0) {
+      return {
+        ...this.fileError(`Missing required columns: ${missing.join(', ')}`),
+        columns: { mapped: mapping, ignored }
+      };
+    }
+
+    const rows = parsed.rows.map((row, index) => {
+      const value = CsvImport.reader(row, mapping);
+      return {
+        // Row numbers match the spreadsheet: the header is row 1
+        row: index + 2,
+        firstName: value('firstName'),
+        lastName: value('lastName'),
+        email: value('email').toLowerCase(),
+        role: (value('role') || 'employee').toLowerCase(),
+        managerEmail: value('managerEmail').toLowerCase(),
+        department: value('department'),
+        employeeId: value('employeeId'),
+        phone: value('phone'),
+        errors: []
+      };
+    });
+
+    const lookups = await this.loadLookups(rows, companyId);
+    rows.forEach(row => this.validateRow(row, rows, lookups));
+    this.resolveManagers(rows, lookups);
+
+    const result = rows.map(row => ({
+      row: row.row,
+      email: row.email,
+      firstName: row.firstName,
+      lastName: row.lastName,
+      role: row.role,
+      department: row.departmentId ? row.department : null,
+      manager: row.manager || null,
+      employeeId: row.employeeId || null,
+      status: row.errors.length > 0 ? 'invalid' : 'valid',
+      errors: row.errors,
+      // Resolved ids, used by importUsers()
+      departmentId: row.departmentId,
+      phone: row.phone
+    }));
+
+    const invalidRows = result.filter(row => row.status === 'invalid').length;
+
+    return {
+      totalRows: rows.length,
+      validRows: rows.length - invalidRows,
+      invalidRows,
+      columns: { mapped: mapping, ignored },
+      errors: rows.flatMap(row => row.errors.map(({ field, message }) => ({ row: row.row, field, message }))),
+      rows: result
+    };
+  }
+
+  /**
+   * Load existing users and departments referenced by the file
+   * @param {Array} rows - Parsed rows
+   * @param {String} companyId - Company ID
+   * @returns {Object} { existingEmails, existingEmployeeIds, managers, departments }
+   */
+  static async loadLookups(rows, companyId) {
+    const emails = rows.map(row => row.email).filter(Boolean);
+    const managerEmails = rows.map(row => row.managerEmail).filter(Boolean);
+    const employeeIds = rows.map(row => row.employeeId).filter(Boolean);
+
+    // Emails and employee IDs are unique across all companies
+    const [existingUsers, managers, departments] = await Promise.all([
+      User.find({ $or: [{ email: { $in: emails } }, { employeeId: { $in: employeeIds } }] }).select('email employeeId'),
+      User.find({ company: companyId, email: { $in: managerEmails }, isActive: true }).select('firstName lastName email role'),
+      Department.find({ company: companyId, isActive: true }).select('name')
+    ]);
+
+    return {
+      existingEmails: new Set(existingUsers.map(user => user.email)),
+      existingEmployeeIds: new Set(existingUsers.filter(user => user.employeeId).map(user => user.employeeId)),
+      managers: new Map(managers.map(manager => [manager.email, manager])),
+      departments: new Map(departments.map(department => [department.name.toLowerCase(), department]))
+    };
+  }
+
+  /**
+   * Validate the fields of one row (manager links are checked separately)
+   * @param {Object} row - Parsed row, errors are appended in place
+   * @param {Array} rows - All parsed rows, for duplicate checks
+   * @param {Object} lookups - Result of loadLookups()
+   */
+  static validateRow(row, rows, lookups) {
+    const addError = (field, message) => row.errors.push({ field, message });
+
+    if (!row.firstName) addError('firstName', 'First name is required');
+    else if (row.firstName.length > 50) addError('firstName', 'First name cannot exceed 50 characters');
+
+    if (!row.lastName) addError('lastName', 'Last name is required');
+    else if (row.lastName.length > 50) addError('lastName', 'Last name cannot exceed 50 characters');
+
+    if (!EMAIL_PATTERN.test(row.email)) {
+      addError('email', 'A valid email is required');
+    } else if (lookups.existingEmails.has(row.email)) {
+      addError('email', 'A user with this email already exists');
+    } else if (rows.find(other => other.email === row.email).row !== row.row) {
+      addError('email', 'Duplicate email in file');
+    }
+
+    if (!ROLES.includes(row.role)) {
+      addError('role', `Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    if (row.employeeId) {
+      if (lookups.existingEmployeeIds.has(row.employeeId)) {
+        addError('employeeId', 'A user with this employee ID already exists');
+      } else if (rows.find(other => other.employeeId === row.employeeId).row !== row.row) {
+        addError('employeeId', 'Duplicate employee ID in file');
+      }
+    }
+
+    if (row.department) {
+      const department = lookups.departments.get(row.department.toLowerCase());
+      if (department) {
+        row.departmentId = department._id;
+        row.department = department.name;
+      } else {
+        addError('department', `Department "${row.department}" does not exist`);
+      }
+    }
+  }
+
+  /**
+   * Resolve each row's manager to an existing user or another row of the file.
+   * Rows whose manager row is invalid, or that form a reporting cycle, become invalid too.
+   * @param {Array} rows - Parsed rows, updated in place
+   * @param {Object} lookups - Result of loadLookups()
+   */
+  static resolveManagers(rows, lookups) {
+    const rowsByEmail = new Map();
+    rows.forEach(row => {
+      if (!rowsByEmail.has(row.email)) rowsByEmail.set(row.email, row);
+    });
+
+    rows.forEach(row => {
+      if (!row.managerEmail) return;
+
+      if (row.managerEmail === row.email) {
+        row.errors.push({ field: 'manager', message: 'A user cannot be their own manager' });
+        return;
+      }
+
+      const existing = lookups.managers.get(row.managerEmail);
+      const fileRow = rowsByEmail.get(row.managerEmail);
+
+      if (existing) {
+        if (!MANAGER_ROLES.includes(existing.role)) {
+          row.errors.push({ field: 'manager', message: `${row.managerEmail} is not a manager or admin` });
+        } else {
+          row.manager = { email: existing.email, source: 'existing', userId: existing._id };
+        }
+      } else if (fileRow) {
+        if (!MANAGER_ROLES.includes(fileRow.role)) {
+          row.errors.push({ field: 'manager', message: `${row.managerEmail} (row ${fileRow.row}) is not imported as a manager or admin` });
+        } else {
+          row.manager = { email: fileRow.email, source: 'file', row: fileRow.row };
+        }
+      } else {
+        row.errors.push({ field: 'manager', message: `No manager found with email ${row.managerEmail}` });
+      }
+    });
+
+    // Reporting cycles within the file (A manages B manages A)
+    rows.forEach(row => {
+      const seen = new Set([row.email]);
+      let current = row;
+      while (current.manager && current.manager.source === 'file') {
+        current = rowsByEmail.get(current.manager.email);
+        if (current === row) {
+          row.errors.push({ field: 'manager', message: 'Manager assignments form a cycle' });
+          break;
+        }
+        // A cycle further up the chain is reported on its own rows
+        if (seen.has(current.email)) break;
+        seen.add(current.email);
+      }
+    });
+
+    // Propagate invalid manager rows down the chain until nothing changes
+    let changed = true;
+    while (changed) {
+      changed = false;
+      rows.forEach(row => {
+        if (row.errors.length > 0 || !row.manager || row.manager.source !== 'file') return;
+        const managerRow = rowsByEmail.get(row.manager.email);
+        if (managerRow.errors.length > 0) {
+          row.errors.push({ field: 'manager', message: `Manager row ${managerRow.row} is invalid` });
+          changed = true;
+        }
+      });
+    }
+  }
+
+  /**
+   * Create the valid rows, link managers and send welcome emails
+   * @param {Array} rows - Rows from validate()
+   * @param {Object} admin - Admin running the import
+   * @returns {Array} Per-row results { row, email, status, userId, manager, emailSent, errors }
+   */
+  static async importUsers(rows, admin) {
+    try {
+      const results = [];
+      const created = new Map();
+      const passwords = new Map();
+
+      // Pass 1: create users without managers so forward references can be resolved
+      for (const row of rows) {
+        if (row.status !== 'valid') {
+          results.push({ row: row.row, email: row.email, status: 'skipped', errors: row.errors });
+          continue;
+        }
+
+        try {
+          const tempPassword = generateTempPassword();
+          const user = new User({
+            firstName: row.firstName,
+            lastName: row.lastName,
+            email: row.email,
+            password: tempPassword,
+            role: row.role,
+            company: admin.company,
+            department: row.departmentId || null,
+            employeeId: row.employeeId || undefined,
+            phone: row.phone || undefined,
+            isManagerApprover: MANAGER_ROLES.includes(row.role)
+          });
+          await user.save();
+
+          created.set(row.email, user);
+          passwords.set(row.email, tempPassword);
+          results.push({ row: row.row, email: row.email, status: 'created', userId: user._id, errors: [] });
+        } catch (error) {
+          results.push({ row: row.row, email: row.email, status: 'failed', errors: [{ field: null, message: error.message }] });
+        }
+      }
+
+      // Pass 2: link managers, now that every manager row exists
+      for (const result of results.filter(r => r.status === 'created')) {
+        const row = rows.find(r => r.row === result.row);
+        if (!row.manager) continue;
+
+        const managerId = row.manager.source === 'existing'
+          ? row.manager.userId
+          : created.get(row.manager.email)?._id;
+
+        if (managerId) {
+          await User.updateOne({ _id: result.userId }, { manager: managerId });
+          result.manager = row.manager.email;
+        } else {
+          result.errors.push({ field: 'manager', message: `Manager ${row.manager.email} was not created; no manager assigned` });
+        }
+      }
+
+      // Pass 3: welcome emails; a failed email does not undo the import
+      for (const result of results.filter(r => r.status === 'created')) {
+        const user = created.get(result.email);
+        try {
+          const emailResult = await emailService.sendWelcomeEmail(user.email, {
+            firstName: user.firstName,
+            lastName: user.lastName,
+            role: user.role,
+            employeeId: user.employeeId
+          }, passwords.get(result.email));
+          result.emailSent = Boolean(emailResult && emailResult.success);
+        } catch (emailError) {
+          console.error('Email service error:', emailError);
+          result.emailSent = false;
+        }
+      }
+
+      return results;
+    } catch (error) {
+      console.error('Error importing users:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a report for a file that cannot be processed at all
+   * @param {String} message - Error message
+   * @returns {Object} Validation report
+   */
+  static fileError(message) {
+    return {
+      totalRows: 0,
+      validRows: 0,
+      invalidRows: 0,
+      errors: [{ row: null, field: null, message }],
+      rows: []
+    };
+  }
+}
+
+module.exports = UserImportService;